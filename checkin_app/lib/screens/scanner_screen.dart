@@ -54,14 +54,17 @@ class _ScannerScreenState extends State<ScannerScreen> {
     _processCode(code);
   }
 
-  static final _validCodePattern = RegExp(r'^[A-HJ-NP-Z2-9]{12}$');
+  // v1: 12文字（固定コード）、v2: 24文字（30秒ごとに切り替わるコード）、
+  // ゲスト: G＋16文字（パスごとのコード）
+  static final _validCodePattern = RegExp(
+      r'^([A-HJ-NP-Z2-9]{12}|[A-HJ-NP-Z2-9]{24}|G[A-HJ-NP-Z2-9]{16})$');
 
   Future<void> _processCode(String code) async {
     if (_isProcessing) return;
 
-    // コード形式チェック（ハイフン除去後12文字、Base32文字セット）
+    // コード形式チェック（ハイフン除去後12文字・24文字またはG＋16文字、Base32文字セット）
     final clean = code.replaceAll('-', '').toUpperCase();
-    if (clean.length != 12 || !_validCodePattern.hasMatch(clean)) {
+    if (!_validCodePattern.hasMatch(clean)) {
       _showErrorSnackBar('無効なコード形式です');
       return;
     }
@@ -258,19 +261,30 @@ class _TicketBottomSheetState extends State<TicketBottomSheet> {
           ),
           const SizedBox(height: 20),
 
-          // チケット情報
+          // チケット情報（ゲストコードの場合はゲスト情報）
           _infoRow('コード', widget.code),
-          _infoRow('注文番号', ticket.orderName),
-          _infoRow('商品名', ticket.productName),
-          if (ticket.variantTitle != null && ticket.variantTitle!.isNotEmpty)
-            _infoRow('席種', ticket.variantTitle!),
-          _infoRow(
-            '座席',
-            (ticket.reservedSeat != null &&
-                    ticket.reservedSeat!.trim().isNotEmpty)
-                ? ticket.reservedSeat!
-                : '自由席',
-          ),
+          if (ticket.isGuest) ...[
+            _infoRow('氏名', ticket.guest!.name),
+            if (ticket.guest!.companyName.isNotEmpty)
+              _infoRow('団体名', ticket.guest!.companyName),
+            _infoRow('付与パス', ticket.guest!.passType),
+            if (ticket.guest!.groupType.isNotEmpty)
+              _infoRow('区分', ticket.guest!.groupType),
+            if (ticket.passNo != null && ticket.passCount != null)
+              _infoRow('パス', '${ticket.passNo} / ${ticket.passCount}'),
+          ] else ...[
+            _infoRow('注文番号', ticket.orderName),
+            _infoRow('商品名', ticket.productName),
+            if (ticket.variantTitle != null && ticket.variantTitle!.isNotEmpty)
+              _infoRow('席種', ticket.variantTitle!),
+            _infoRow(
+              '座席',
+              (ticket.reservedSeat != null &&
+                      ticket.reservedSeat!.trim().isNotEmpty)
+                  ? ticket.reservedSeat!
+                  : '自由席',
+            ),
+          ],
           if (!isUsable && ticket.usedAt != null)
             _infoRow('使用日時', _formatDateTime(ticket.usedAt!)),
 
@@ -3,6 +3,30 @@ import 'package:http/http.dart' as http;
 import 'auth_service.dart';
 import '../config.dart';
 
+/// ゲストコードで受付するゲストの情報
+class GuestInfo {
+  final String name;
+  final String companyName;
+  final String passType;
+  final String groupType;
+
+  GuestInfo({
+    required this.name,
+    required this.companyName,
+    required this.passType,
+    required this.groupType,
+  });
+
+  factory GuestInfo.fromJson(Map<String, dynamic> json) {
+    return GuestInfo(
+      name: json['name_ja'] as String? ?? '',
+      companyName: json['company_ja'] as String? ?? '',
+      passType: json['pass_type'] as String? ?? '',
+      groupType: json['group_type'] as String? ?? '',
+    );
+  }
+}
+
 class TicketInfo {
   final String orderName;
   final String productName;
@@ -11,6 +35,11 @@ class TicketInfo {
   final String? reservedSeat;
   final String? usedAt;
 
+  /// ゲストコードの場合のみ（パスの番号・枚数）
+  final GuestInfo? guest;
+  final int? passNo;
+  final int? passCount;
+
   TicketInfo({
     required this.orderName,
     required this.productName,
@@ -18,9 +47,15 @@ class TicketInfo {
     required this.isUsable,
     this.reservedSeat,
     this.usedAt,
+    this.guest,
+    this.passNo,
+    this.passCount,
   });
 
+  bool get isGuest => guest != null;
+
   factory TicketInfo.fromJson(Map<String, dynamic> json) {
+    final isGuest = json['type'] == 'guest' && json['guest'] is Map<String, dynamic>;
     return TicketInfo(
       orderName: json['orderName'] as String? ?? '',
       productName: json['productName'] as String? ?? '',
@@ -28,6 +63,11 @@ class TicketInfo {
       isUsable: json['isUsable'] as bool? ?? false,
       reservedSeat: json['reservedSeat'] as String?,
       usedAt: json['usedAt'] as String?,
+      guest: isGuest
+          ? GuestInfo.fromJson(json['guest'] as Map<String, dynamic>)
+          : null,
+      passNo: json['passNo'] as int?,
+      passCount: json['passCount'] as int?,
     );
   }
 }
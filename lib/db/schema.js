@@ -1,4 +1,4 @@
-const { pgTable, serial, varchar, boolean, integer, timestamp, index, unique } = require('drizzle-orm/pg-core');
+const { pgTable, serial, varchar, boolean, integer, real, text, timestamp, index, unique } = require('drizzle-orm/pg-core');
 
 const tickets = pgTable('tickets', {
   id: serial('id').primaryKey(),
@@ -49,6 +49,7 @@ const contests = pgTable('contests', {
   isReady: boolean('is_ready').notNull().default(false),
   isTest: boolean('is_test').notNull().default(false),
   campaign: integer('campaign').notNull().default(0),
+  rankingTier: varchar('ranking_tier', { length: 50 }).notNull().default(''),  // ランキングのティア（倍率は ranking_seasons で設定）
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow(),
 }, (table) => [
@@ -232,6 +233,8 @@ const orders = pgTable('orders', {
   backStagePass: integer('back_stage_pass').default(0),
   occupation: varchar('occupation', { length: 255 }),
   biography: varchar('biography', { length: 2000 }),
+  shopifyUpdatedAt: timestamp('shopify_updated_at'),  // Shopify側の注文更新日時（差分同期用）
+  cancelledAt: varchar('cancelled_at', { length: 30 }),
   tag1: varchar('tag1', { length: 255 }),
   tag2: varchar('tag2', { length: 255 }),
   tag3: varchar('tag3', { length: 255 }),
@@ -258,6 +261,9 @@ const orderExportMeta = pgTable('order_export_meta', {
   exportedAt: timestamp('exported_at').defaultNow(),
   orderCount: integer('order_count').default(0),
   rowCount: integer('row_count').default(0),
+  syncCursor: timestamp('sync_cursor'),  // 取り込んだ注文の最大 updated_at（次回の差分同期の起点）
+  insertedCount: integer('inserted_count').default(0),
+  updatedCount: integer('updated_count').default(0),
 });
 
 // registrations テーブル（大会登録）
@@ -277,7 +283,7 @@ const registrations = pgTable('registrations', {
   province: varchar('province', { length: 20 }),
   age: varchar('age', { length: 10 }),
   className: varchar('class_name', { length: 255 }),
-
+  classId: integer('class_id'),  // contest_classes.id
   height: varchar('height', { length: 20 }),
   weight: varchar('weight', { length: 20 }),
   occupation: varchar('occupation', { length: 255 }),
@@ -296,9 +302,261 @@ const registrations = pgTable('registrations', {
   index('idx_registrations_contest_name').on(table.contestName),
   index('idx_registrations_fwj_card_no').on(table.fwjCardNo),
   index('idx_registrations_class_name').on(table.className),
+  index('idx_registrations_class_id').on(table.classId),
   index('idx_registrations_is_valid').on(table.isValid),
 ]);
 
+// contestClasses テーブル（大会ごとのクラスマスタ。開催順・Shopifyバリエーション対応・出場資格）
+const contestClasses = pgTable('contest_classes', {
+  id: serial('id').primaryKey(),
+  contestName: varchar('contest_name', { length: 255 }).notNull(),
+  className: varchar('class_name', { length: 255 }).notNull(),  // 表示名
+  shopifyVariant: varchar('shopify_variant', { length: 255 }),  // 対応するShopifyのバリエーション名
+  sortIndex: integer('sort_index'),  // 開催順（昇順）
+  category: varchar('category', { length: 100 }),  // 番号帯のカテゴリー（例: 'Bodybuilding'）
+  sex: varchar('sex', { length: 10 }),  // 'male' | 'female' | null（制限なし）
+  minAge: integer('min_age'),
+  maxAge: integer('max_age'),
+  minHeight: real('min_height'),  // cm
+  maxHeight: real('max_height'),
+  minWeight: real('min_weight'),  // kg
+  maxWeight: real('max_weight'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => [
+  index('idx_contest_classes_contest_name').on(table.contestName),
+  unique('unique_contest_classes_contest_class').on(table.contestName, table.className),
+]);
+
+// contestCapacities テーブル（大会・バリエーションごとの定員）
+const contestCapacities = pgTable('contest_capacities', {
+  id: serial('id').primaryKey(),
+  contestName: varchar('contest_name', { length: 255 }).notNull(),
+  variant: varchar('variant', { length: 255 }).notNull(),  // チケットのバリエーション名（例: 'A席'）
+  capacity: integer('capacity').notNull(),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => [
+  index('idx_contest_capacities_contest_name').on(table.contestName),
+  unique('unique_contest_capacities_contest_variant').on(table.contestName, table.variant),
+]);
+
+// playerNumberRanges テーブル（カテゴリーごとに予約するゼッケン番号の範囲）
+const playerNumberRanges = pgTable('player_number_ranges', {
+  id: serial('id').primaryKey(),
+  contestName: varchar('contest_name', { length: 255 }).notNull(),
+  category: varchar('category', { length: 100 }).notNull(),
+  startNo: integer('start_no').notNull(),
+  endNo: integer('end_no').notNull(),
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+  index('idx_player_number_ranges_contest_name').on(table.contestName),
+  unique('unique_player_number_ranges_contest_category').on(table.contestName, table.category),
+]);
+
+// importPlans テーブル（インポートのプレビュー結果。token指定で確定処理に使用）
+const importPlans = pgTable('import_plans', {
+  id: serial('id').primaryKey(),
+  token: varchar('token', { length: 64 }).notNull(),
+  kind: varchar('kind', { length: 50 }).notNull(),
+  contestName: varchar('contest_name', { length: 255 }),
+  contestDate: varchar('contest_date', { length: 20 }),
+  plan: text('plan').notNull(),  // UPSERT計画（JSON）
+  createdBy: varchar('created_by', { length: 255 }),
+  expiresAt: timestamp('expires_at').notNull(),
+  committedAt: timestamp('committed_at'),
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+  unique('unique_import_plans_token').on(table.token),
+]);
+
+// importBatches テーブル（インポート実行単位。ロールバック用）
+const importBatches = pgTable('import_batches', {
+  id: serial('id').primaryKey(),
+  kind: varchar('kind', { length: 50 }).notNull(),  // 'registrations-csv' | 'registrations-shopify' | 'scores' | 'tickets-csv'
+  contestName: varchar('contest_name', { length: 255 }),
+  status: varchar('status', { length: 20 }).notNull().default('applied'),  // 'applied' | 'rolled_back'
+  createdBy: varchar('created_by', { length: 255 }),
+  rolledBackBy: varchar('rolled_back_by', { length: 255 }),
+  rolledBackAt: timestamp('rolled_back_at'),
+  appliedAt: timestamp('applied_at'),  // インポートの書き込みが完了した日時（これより後に更新された行はロールバックしない）
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+  index('idx_import_batches_kind').on(table.kind),
+]);
+
+// importBatchItems テーブル（インポートで変更された行と変更前の値）
+const importBatchItems = pgTable('import_batch_items', {
+  id: serial('id').primaryKey(),
+  batchId: integer('batch_id').notNull(),
+  entity: varchar('entity', { length: 50 }).notNull(),  // 'registrations' | 'scores' | 'tickets'
+  entityId: integer('entity_id').notNull(),
+  action: varchar('action', { length: 20 }).notNull(),  // 'insert' | 'update' | 'delete'
+  preImage: text('pre_image'),  // 変更前の行（JSON）。insertの場合はnull
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+  index('idx_import_batch_items_batch_id').on(table.batchId),
+]);
+
+// auditLog テーブル（誰がいつ何を変更したかの履歴）
+const auditLog = pgTable('audit_log', {
+  id: serial('id').primaryKey(),
+  entity: varchar('entity', { length: 50 }).notNull(),  // テーブル名（例: 'registrations'）
+  entityId: varchar('entity_id', { length: 50 }).notNull(),
+  action: varchar('action', { length: 20 }).notNull(),  // 'create' | 'update' | 'soft_delete' | 'restore' | 'delete' | 'undo_checkin' | 'transfer'
+  changes: text('changes'),  // 項目別の差分（JSON: { field: { from, to } }）
+  actorId: varchar('actor_id', { length: 50 }),
+  actorEmail: varchar('actor_email', { length: 255 }),
+  originIp: varchar('origin_ip', { length: 100 }),
+  userAgent: varchar('user_agent', { length: 500 }),
+  requestPath: varchar('request_path', { length: 500 }),  // 例: 'PUT /api/registrations/123'
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+  index('idx_audit_log_entity').on(table.entity, table.entityId),
+  index('idx_audit_log_actor_email').on(table.actorEmail),
+]);
+
+// webhookEvents テーブル（Shopify Webhookの受信履歴・処理状況）
+const webhookEvents = pgTable('webhook_events', {
+  id: serial('id').primaryKey(),
+  webhookId: varchar('webhook_id', { length: 100 }),  // X-Shopify-Webhook-Id（再送時も同じ値）
+  topic: varchar('topic', { length: 100 }).notNull(),  // 例: 'orders-updated'
+  payload: text('payload').notNull(),
+  status: varchar('status', { length: 20 }).notNull().default('received'),  // 'received' | 'processing' | 'processed' | 'failed'
+  error: text('error'),
+  result: text('result'),  // 処理結果（JSON）
+  attempts: integer('attempts').notNull().default(0),
+  processedAt: timestamp('processed_at'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => [
+  unique('unique_webhook_events_webhook_id').on(table.webhookId),
+  index('idx_webhook_events_status').on(table.status),
+]);
+
+// checkinEvents テーブル（チェックイン・コード検証の受付履歴）
+const checkinEvents = pgTable('checkin_events', {
+  id: serial('id').primaryKey(),
+  ticketId: integer('ticket_id'),  // コードが無効な場合はnull
+  guestId: integer('guest_id'),  // ゲストコードの受付の場合のみ
+  contestName: varchar('contest_name', { length: 255 }),  // 受付端末から送られた大会名
+  action: varchar('action', { length: 20 }).notNull(),  // 'verify' | 'checkin' | 'batch' | 'group' | 'undo'
+  result: varchar('result', { length: 30 }).notNull(),  // 'accepted' | 'duplicate' | 'already_used' | 'not_usable' | 'invalid_signature' | 'stale_code' | 'clock_skew' | 'retired_key' | 'transferred_code' | 'not_found' | 'invalid_request' | 'error'
+  code: varchar('code', { length: 30 }),
+  scanId: varchar('scan_id', { length: 100 }),  // オフライン受付の端末側の受付ID（再送の判定に使う）
+  message: text('message'),
+  staffId: varchar('staff_id', { length: 50 }),
+  staffEmail: varchar('staff_email', { length: 255 }),
+  deviceId: varchar('device_id', { length: 100 }),
+  gate: varchar('gate', { length: 100 }),
+  scannedAt: timestamp('scanned_at').notNull(),  // 受付時刻（オフライン受付は端末の時刻）
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+  index('idx_checkin_events_ticket_id').on(table.ticketId),
+  index('idx_checkin_events_guest_id').on(table.guestId),
+  index('idx_checkin_events_contest_name').on(table.contestName),
+  index('idx_checkin_events_scanned_at').on(table.scannedAt),
+  index('idx_checkin_events_scan_id').on(table.scanId),
+]);
+
+// guestCheckins テーブル（ゲストのパスごとのチェックイン）
+const guestCheckins = pgTable('guest_checkins', {
+  id: serial('id').primaryKey(),
+  guestId: integer('guest_id').notNull(),
+  passNo: integer('pass_no').notNull(),  // 1〜付与枚数
+  staffEmail: varchar('staff_email', { length: 255 }),
+  checkedInAt: timestamp('checked_in_at').notNull().defaultNow(),
+}, (table) => [
+  index('idx_guest_checkins_guest_id').on(table.guestId),
+  unique('unique_guest_checkins_guest_pass').on(table.guestId, table.passNo),
+]);
+
+// guestMails テーブル（ゲストへのメール送信履歴。招待状・お礼状ごとの送信状況とバウンス）
+const guestMails = pgTable('guest_mails', {
+  id: serial('id').primaryKey(),
+  guestId: integer('guest_id').notNull(),
+  template: varchar('template', { length: 50 }).notNull(),  // 'invitation' | 'thanks'
+  toAddress: varchar('to_address', { length: 255 }).notNull(),
+  subject: varchar('subject', { length: 500 }).notNull(),
+  status: varchar('status', { length: 20 }).notNull(),  // 'sent' | 'failed' | 'bounced'
+  messageId: varchar('message_id', { length: 255 }),
+  error: text('error'),
+  staffEmail: varchar('staff_email', { length: 255 }),  // 送信したスタッフ
+  sentAt: timestamp('sent_at').notNull().defaultNow(),
+  bouncedAt: timestamp('bounced_at'),
+}, (table) => [
+  index('idx_guest_mails_guest_id').on(table.guestId),
+  index('idx_guest_mails_message_id').on(table.messageId),
+]);
+
+// ticketTransfers テーブル（会員間のチケット譲渡履歴）
+const ticketTransfers = pgTable('ticket_transfers', {
+  id: serial('id').primaryKey(),
+  ticketId: integer('ticket_id').notNull(),
+  fromShopifyId: varchar('from_shopify_id', { length: 50 }).notNull(),
+  toShopifyId: varchar('to_shopify_id', { length: 50 }).notNull(),
+  toEmail: varchar('to_email', { length: 255 }),
+  note: text('note'),
+  staffEmail: varchar('staff_email', { length: 255 }),  // 譲渡を操作したスタッフ
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => [
+  index('idx_ticket_transfers_ticket_id').on(table.ticketId),
+  index('idx_ticket_transfers_from_shopify_id').on(table.fromShopifyId),
+  index('idx_ticket_transfers_to_shopify_id').on(table.toShopifyId),
+]);
+
+// rankingSeasons テーブル（ランキングのシーズンごとの期間・ポイント設定）
+const rankingSeasons = pgTable('ranking_seasons', {
+  id: serial('id').primaryKey(),
+  season: varchar('season', { length: 20 }).notNull(),  // 例: '2026'
+  startDate: varchar('start_date', { length: 20 }).notNull(),
+  endDate: varchar('end_date', { length: 20 }).notNull(),
+  pointsTable: text('points_table').notNull(),  // 順位ごとのポイント（JSON: [1位, 2位, ...]）
+  tierMultipliers: text('tier_multipliers').notNull(),  // ティアごとの倍率（JSON: { ティア: 倍率 }）
+  note: text('note'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => [
+  unique('unique_ranking_seasons_season').on(table.season),
+]);
+
+// seatMaps テーブル（会場の座席表）
+const seatMaps = pgTable('seat_maps', {
+  id: serial('id').primaryKey(),
+  name: varchar('name', { length: 255 }).notNull(),
+  note: text('note'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => [
+  unique('unique_seat_maps_name').on(table.name),
+]);
+
+// seats テーブル（座席表の座席。priorityが小さいほど良い席）
+const seats = pgTable('seats', {
+  id: serial('id').primaryKey(),
+  seatMapId: integer('seat_map_id').notNull(),
+  section: varchar('section', { length: 50 }).notNull(),
+  rowLabel: varchar('row_label', { length: 20 }).notNull(),
+  seatNumber: integer('seat_number').notNull(),
+  label: varchar('label', { length: 50 }).notNull(),  // reserved_seat に書き込む座席番号
+  grade: varchar('grade', { length: 100 }).notNull(),
+  priority: integer('priority').notNull(),
+  isBlocked: boolean('is_blocked').notNull().default(false),  // 機材席・関係者席など、割り当てない座席
+}, (table) => [
+  index('idx_seats_seat_map_id').on(table.seatMapId),
+  unique('unique_seats_seat_map_label').on(table.seatMapId, table.label),
+]);
+
+// seatGrades テーブル（座席の等級とチケットのバリエーションの対応）
+const seatGrades = pgTable('seat_grades', {
+  id: serial('id').primaryKey(),
+  seatMapId: integer('seat_map_id').notNull(),
+  grade: varchar('grade', { length: 100 }).notNull(),
+  variant: varchar('variant', { length: 255 }).notNull(),
+}, (table) => [
+  index('idx_seat_grades_seat_map_id').on(table.seatMapId),
+  unique('unique_seat_grades_seat_map_variant').on(table.seatMapId, table.variant),
+]);
 
 const pushSubscriptions = pgTable('push_subscriptions', {
   id: serial('id').primaryKey(),
@@ -313,4 +571,4 @@ const pushSubscriptions = pgTable('push_subscriptions', {
   unique('unique_push_endpoint').on(table.endpoint),
 ]);
 
-module.exports = { tickets, contests, guests, users, subjects, notes, scores, registrations, members, orders, orderExportMeta, pushSubscriptions };
+module.exports = { tickets, contests, guests, users, subjects, notes, scores, registrations, contestClasses, contestCapacities, playerNumberRanges, members, orders, orderExportMeta, importPlans, importBatches, importBatchItems, auditLog, webhookEvents, checkinEvents, guestCheckins, guestMails, ticketTransfers, seatMaps, seats, seatGrades, rankingSeasons, pushSubscriptions };
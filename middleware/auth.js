@@ -1,13 +1,15 @@
+// Vercel/プロキシ環境での実際のクライアントIP取得
+const getClientIp = (req) =>
+  req.headers['cf-connecting-ip'] ||      // Cloudflare
+  req.headers['x-real-ip'] ||             // Nginx
+  req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||  // プロキシチェーン
+  req.ip ||                               // Express trust proxy
+  req.connection?.remoteAddress ||        // 直接接続
+  req.socket?.remoteAddress ||            // ソケット
+  'unknown';
+
 const requireIpRestriction = (req, res, next) => {
-  // Vercel/プロキシ環境での実際のクライアントIP取得
-  const clientIp = 
-    req.headers['cf-connecting-ip'] ||      // Cloudflare
-    req.headers['x-real-ip'] ||             // Nginx
-    req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||  // プロキシチェーン
-    req.ip ||                               // Express trust proxy
-    req.connection.remoteAddress ||         // 直接接続
-    req.socket.remoteAddress ||             // ソケット
-    'unknown';
+  const clientIp = getClientIp(req);
     
   const allowedIps = process.env.ALLOWED_IPS ? process.env.ALLOWED_IPS.split(',') : [];
 
@@ -86,6 +88,7 @@ const checkAuth = (req, res, next) => {
 };
 
 module.exports = {
+  getClientIp,
   requireIpRestriction,
   requireAuth,
   requireAdmin,
@@ -0,0 +1,164 @@
+const { getDb } = require('../lib/db');
+const { auditLog } = require('../lib/db/schema');
+const { eq, and, desc } = require('drizzle-orm');
+const { getClientIp } = require('../middleware/auth');
+
+// 差分の対象外とする項目（変更のたびに更新されるため）
+const IGNORED_FIELDS = ['updatedAt', 'updated_at', 'createdAt', 'created_at'];
+
+// 値を記録しない項目
+const SECRET_FIELDS = ['password'];
+
+const CHUNK_SIZE = 500;
+
+/**
+ * 監査ログモデル - Neon Postgres / Drizzle ORM版
+ *
+ * 各ルートの作成・更新・削除・復元時に、実行者・対象・項目別の差分・リクエスト元を記録する。
+ * ログの書き込みに失敗しても本来の処理は失敗させない。
+ */
+class AuditLog {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換
+   * @private
+   */
+  _toSnakeCase(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      entity: row.entity,
+      entity_id: row.entityId,
+      action: row.action,
+      changes: row.changes ? JSON.parse(row.changes) : {},
+      actor_id: row.actorId,
+      actor_email: row.actorEmail,
+      origin_ip: row.originIp,
+      user_agent: row.userAgent,
+      request_path: row.requestPath,
+      created_at: row.createdAt,
+    };
+  }
+
+  /**
+   * 比較用に値を正規化
+   * @private
+   */
+  _normalize(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * 変更前後のレコードから項目別の差分を作成
+   * @param {Object|null} before - 変更前（作成時はnull）
+   * @param {Object|null} after - 変更後（削除時はnull）
+   * @returns {Object} { field: { from, to } }
+   */
+  diff(before, after) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+      if (IGNORED_FIELDS.includes(key)) continue;
+
+      const from = this._normalize(before ? before[key] : null);
+      const to = this._normalize(after ? after[key] : null);
+      if (from === to) continue;
+
+      changes[key] = SECRET_FIELDS.includes(key)
+        ? { from: from === null ? null : '（非表示）', to: to === null ? null : '（非表示）' }
+        : { from, to };
+    }
+
+    return changes;
+  }
+
+  /**
+   * リクエストから実行者とリクエスト元を取得
+   * @private
+   */
+  _origin(req) {
+    const user = (req.session && req.session.user) || req.user || {};
+    return {
+      actorId: user.id != null ? String(user.id) : null,
+      actorEmail: user.email || null,
+      originIp: req.headers ? getClientIp(req) : null,
+      userAgent: req.headers && req.headers['user-agent'] ? req.headers['user-agent'].substring(0, 500) : null,
+      requestPath: `${req.method} ${req.originalUrl || req.url}`.substring(0, 500),
+    };
+  }
+
+  /**
+   * 1件の変更を記録
+   * @param {Object} req - Expressのリクエスト
+   * @param {string} entity - テーブル名（例: 'registrations'）
+   * @param {number|string} entityId
+   * @param {string} action - 'create' | 'update' | 'soft_delete' | 'restore' | 'delete'
+   * @param {Object|null} before - 変更前のレコード
+   * @param {Object|null} after - 変更後のレコード
+   */
+  async record(req, entity, entityId, action, before, after) {
+    await this.recordMany(req, entity, [{ entityId, action, before, after }]);
+  }
+
+  /**
+   * 複数件の変更をまとめて記録（一括更新・インポート用）
+   * @param {Object} req - Expressのリクエスト
+   * @param {string} entity - テーブル名
+   * @param {Array<Object>} entries - { entityId, action, before, after } または { entityId, action, changes }
+   */
+  async recordMany(req, entity, entries) {
+    try {
+      const origin = this._origin(req);
+      const values = [];
+
+      for (const entry of entries) {
+        const changes = entry.changes || this.diff(entry.before, entry.after);
+        // 変更のない更新は記録しない
+        if (entry.action === 'update' && Object.keys(changes).length === 0) continue;
+
+        values.push({
+          entity,
+          entityId: String(entry.entityId),
+          action: entry.action,
+          changes: JSON.stringify(changes),
+          ...origin,
+        });
+      }
+
+      if (values.length === 0) return;
+
+      const db = getDb();
+      for (let i = 0; i < values.length; i += CHUNK_SIZE) {
+        await db.insert(auditLog).values(values.slice(i, i + CHUNK_SIZE));
+      }
+    } catch (error) {
+      console.error(`[AuditLog] Failed to record ${entity}:`, error);
+    }
+  }
+
+  /**
+   * 監査ログを取得（新しい順）
+   * @param {Object} filters - { entity, entityId, actorEmail }
+   * @param {number} limit
+   */
+  async findAll(filters = {}, limit = 100) {
+    const db = getDb();
+    const conditions = [];
+    if (filters.entity) conditions.push(eq(auditLog.entity, filters.entity));
+    if (filters.entityId) conditions.push(eq(auditLog.entityId, String(filters.entityId)));
+    if (filters.actorEmail) conditions.push(eq(auditLog.actorEmail, filters.actorEmail));
+
+    let query = db.select().from(auditLog);
+    if (conditions.length > 0) {
+      query = query.where(and(...conditions));
+    }
+    const rows = await query.orderBy(desc(auditLog.id)).limit(limit);
+
+    return rows.map(row => this._toSnakeCase(row));
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,240 @@
+const { getDb } = require('../lib/db');
+const { checkinEvents, tickets, guests } = require('../lib/db/schema');
+const { eq, and, or, gt, gte, asc, desc, inArray, sql } = require('drizzle-orm');
+
+// 入場として数える受付（コード検証のみ・取り消しは含めない）
+const ADMISSION_ACTIONS = ['checkin', 'batch', 'group'];
+
+/**
+ * チェックイン履歴モデル - Neon Postgres / Drizzle ORM版
+ *
+ * /api/checkin・/api/checkin/verify・/api/checkin/batch の受付ごとに、結果・スタッフ・端末・ゲート・時刻を記録する。
+ * 「既に使用済みと言われた」等の問い合わせ調査に使う。記録に失敗しても受付処理は失敗させない。
+ */
+class CheckinEvent {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換（チケット情報を含む）
+   * @private
+   */
+  _toSnakeCase(row) {
+    if (!row) return null;
+    const event = row.event || row;
+    return {
+      id: event.id,
+      ticket_id: event.ticketId,
+      guest_id: event.guestId,
+      contest_name: event.contestName,
+      action: event.action,
+      result: event.result,
+      code: event.code,
+      scan_id: event.scanId,
+      message: event.message,
+      staff_id: event.staffId,
+      staff_email: event.staffEmail,
+      device_id: event.deviceId,
+      gate: event.gate,
+      scanned_at: event.scannedAt,
+      created_at: event.createdAt,
+      order_no: row.orderNo || '',
+      product_name: row.productName || '',
+      variant: row.variant || '',
+      full_name: row.fullName || '',
+      guest_name: row.guestName || '',
+      company_ja: row.companyJa || '',
+    };
+  }
+
+  /**
+   * リクエストからスタッフ・端末・ゲート・大会名を取得
+   * 端末ID・ゲートはリクエストボディまたは X-Device-Id / X-Gate-Id ヘッダーで指定する
+   * @private
+   */
+  _origin(req) {
+    const user = (req.session && req.session.user) || req.user || {};
+    const body = req.body || {};
+    const header = name => (req.get ? req.get(name) : null) || null;
+    return {
+      staffId: user.id != null ? String(user.id) : null,
+      staffEmail: user.email || null,
+      deviceId: body.deviceId || header('X-Device-Id'),
+      gate: body.gate || header('X-Gate-Id'),
+      contestName: body.contest || null,
+    };
+  }
+
+  /**
+   * 受付結果を記録
+   * @param {Object} req - Expressのリクエスト
+   * @param {Array<Object>} entries - { ticketId, guestId, action, result, code, scanId, message, scannedAt, deviceId }
+   */
+  async record(req, entries) {
+    try {
+      const origin = this._origin(req);
+      const now = new Date();
+      const values = entries.map(entry => ({
+        ...origin,
+        ticketId: entry.ticketId ?? null,
+        guestId: entry.guestId ?? null,
+        action: entry.action,
+        result: entry.result,
+        code: entry.code ? String(entry.code).substring(0, 30) : null,
+        scanId: entry.scanId != null && entry.scanId !== '' ? String(entry.scanId).substring(0, 100) : null,
+        message: entry.message || null,
+        deviceId: entry.deviceId || origin.deviceId,
+        scannedAt: entry.scannedAt || now,
+      }));
+      if (values.length === 0) return;
+
+      const db = getDb();
+      await db.insert(checkinEvents).values(values);
+    } catch (error) {
+      console.error('[CheckinEvent] Failed to record:', error);
+    }
+  }
+
+  /**
+   * オフライン受付で既に受け付けた受付ID（再送の判定用）
+   * @param {Array<string>} scanIds - 端末側の受付ID
+   * @returns {Promise<Set<string>>} 受け付け済みの「チケットID|受付ID」
+   */
+  async findAcceptedScans(scanIds) {
+    if (!scanIds || scanIds.length === 0) return new Set();
+    const db = getDb();
+    const rows = await db
+      .select({ ticketId: checkinEvents.ticketId, scanId: checkinEvents.scanId })
+      .from(checkinEvents)
+      .where(and(
+        eq(checkinEvents.action, 'batch'),
+        eq(checkinEvents.result, 'accepted'),
+        inArray(checkinEvents.scanId, scanIds)
+      ));
+    return new Set(rows.map(row => `${row.ticketId}|${row.scanId}`));
+  }
+
+  /**
+   * 大会の受付の絞り込み条件（tickets・guests との結合が必要）
+   * 端末から送られた大会名、チケットのタグ、またはゲストの大会名で大会を判定する
+   * @private
+   */
+  _contestCondition(contestName) {
+    return or(
+      sql`LOWER(${checkinEvents.contestName}) = LOWER(${contestName})`,
+      sql`LOWER(${guests.contestName}) = LOWER(${contestName})`,
+      sql`(
+        LOWER(${tickets.tag1}) = LOWER(${contestName}) OR LOWER(${tickets.tag2}) = LOWER(${contestName}) OR
+        LOWER(${tickets.tag3}) = LOWER(${contestName}) OR LOWER(${tickets.tag4}) = LOWER(${contestName}) OR
+        LOWER(${tickets.tag5}) = LOWER(${contestName}) OR LOWER(${tickets.tag6}) = LOWER(${contestName}) OR
+        LOWER(${tickets.tag7}) = LOWER(${contestName}) OR LOWER(${tickets.tag8}) = LOWER(${contestName}) OR
+        LOWER(${tickets.tag9}) = LOWER(${contestName}) OR LOWER(${tickets.tag10}) = LOWER(${contestName})
+      )`
+    );
+  }
+
+  /**
+   * 大会の受付履歴を取得（受付時刻の新しい順）
+   * @param {string} contestName - 大会名
+   * @param {Object} filters - { ticketId, result, gate, deviceId, staffEmail }
+   * @param {number} limit
+   */
+  async findTimeline(contestName, filters = {}, limit = 500) {
+    const db = getDb();
+    const conditions = [this._contestCondition(contestName)];
+    if (filters.ticketId) conditions.push(eq(checkinEvents.ticketId, parseInt(filters.ticketId, 10)));
+    if (filters.result) conditions.push(eq(checkinEvents.result, filters.result));
+    if (filters.gate) conditions.push(eq(checkinEvents.gate, filters.gate));
+    if (filters.deviceId) conditions.push(eq(checkinEvents.deviceId, filters.deviceId));
+    if (filters.staffEmail) conditions.push(eq(checkinEvents.staffEmail, filters.staffEmail));
+
+    const rows = await db
+      .select({
+        event: checkinEvents,
+        orderNo: tickets.orderNo,
+        productName: tickets.productName,
+        variant: tickets.variant,
+        fullName: tickets.fullName,
+        guestName: guests.nameJa,
+        companyJa: guests.companyJa,
+      })
+      .from(checkinEvents)
+      .leftJoin(tickets, eq(checkinEvents.ticketId, tickets.id))
+      .leftJoin(guests, eq(checkinEvents.guestId, guests.id))
+      .where(and(...conditions))
+      .orderBy(desc(checkinEvents.scannedAt), desc(checkinEvents.id))
+      .limit(limit);
+
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * 最新の受付履歴ID（ストリームの開始位置）
+   * @returns {Promise<number>}
+   */
+  async getLatestId() {
+    const db = getDb();
+    const [row] = await db.select({ maxId: sql`COALESCE(MAX(${checkinEvents.id}), 0)` }).from(checkinEvents);
+    return Number(row.maxId);
+  }
+
+  /**
+   * 指定IDより後の大会の受付を取得（記録順）
+   * @param {string} contestName - 大会名
+   * @param {number} afterId
+   * @param {number} limit
+   */
+  async findSince(contestName, afterId, limit = 100) {
+    const db = getDb();
+    const rows = await db
+      .select({
+        event: checkinEvents,
+        orderNo: tickets.orderNo,
+        productName: tickets.productName,
+        variant: tickets.variant,
+        fullName: tickets.fullName,
+        guestName: guests.nameJa,
+        companyJa: guests.companyJa,
+      })
+      .from(checkinEvents)
+      .leftJoin(tickets, eq(checkinEvents.ticketId, tickets.id))
+      .leftJoin(guests, eq(checkinEvents.guestId, guests.id))
+      .where(and(gt(checkinEvents.id, afterId), this._contestCondition(contestName)))
+      .orderBy(asc(checkinEvents.id))
+      .limit(limit);
+
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * ゲート別の入場処理数（ゲート未設定は空文字）
+   * @param {string} contestName - 大会名
+   * @param {Date} recentSince - 直近の処理数を数える開始時刻
+   * @returns {Promise<Array>} [{ gate, admitted, rejected, recent_admitted, last_scanned_at }]
+   */
+  async getGateThroughput(contestName, recentSince) {
+    const db = getDb();
+    const gate = sql`COALESCE(${checkinEvents.gate}, '')`;
+    const rows = await db
+      .select({
+        gate,
+        admitted: sql`COUNT(*) FILTER (WHERE ${checkinEvents.result} = 'accepted')`,
+        rejected: sql`COUNT(*) FILTER (WHERE ${checkinEvents.result} NOT IN ('accepted', 'duplicate'))`,
+        recentAdmitted: sql`COUNT(*) FILTER (WHERE ${checkinEvents.result} = 'accepted' AND ${gte(checkinEvents.scannedAt, recentSince)})`,
+        lastScannedAt: sql`MAX(${checkinEvents.scannedAt})`,
+      })
+      .from(checkinEvents)
+      .leftJoin(tickets, eq(checkinEvents.ticketId, tickets.id))
+      .leftJoin(guests, eq(checkinEvents.guestId, guests.id))
+      .where(and(inArray(checkinEvents.action, ADMISSION_ACTIONS), this._contestCondition(contestName)))
+      .groupBy(gate)
+      .orderBy(gate);
+
+    return rows.map(row => ({
+      gate: row.gate,
+      admitted: Number(row.admitted),
+      rejected: Number(row.rejected),
+      recent_admitted: Number(row.recentAdmitted),
+      last_scanned_at: row.lastScannedAt,
+    }));
+  }
+}
+
+module.exports = CheckinEvent;
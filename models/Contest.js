@@ -20,6 +20,7 @@ class Contest {
       is_ready: row.isReady,
       is_test: row.isTest,
       campaign: row.campaign,
+      ranking_tier: row.rankingTier,
       created_at: row.createdAt,
       updated_at: row.updatedAt,
     };
@@ -223,6 +224,7 @@ class Contest {
           contestPlace: contestData.contest_place || '',
           isReady: contestData.is_ready === true || contestData.is_ready === 'true' || contestData.is_ready === 'TRUE',
           isTest: contestData.is_test === true || contestData.is_test === 'true' || contestData.is_test === 'TRUE',
+          rankingTier: (contestData.ranking_tier || '').trim(),
         })
         .returning({ id: contests.id });
 
@@ -261,6 +263,9 @@ class Contest {
       if (contestData.is_test !== undefined) {
         updateData.isTest = contestData.is_test === true || contestData.is_test === 'true' || contestData.is_test === 'TRUE';
       }
+      if (contestData.ranking_tier !== undefined) {
+        updateData.rankingTier = String(contestData.ranking_tier || '').trim();
+      }
 
       await db
         .update(contests)
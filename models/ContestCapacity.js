@@ -0,0 +1,75 @@
+const { getDb } = require('../lib/db');
+const { contestCapacities } = require('../lib/db/schema');
+const { eq, asc } = require('drizzle-orm');
+
+/**
+ * 大会定員モデル - Neon Postgres / Drizzle ORM版
+ *
+ * 大会・チケットのバリエーションごとの定員を管理する。
+ * 発券数との比較は utils/capacity.js の buildCapacityReport で行う。
+ */
+class ContestCapacity {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換
+   * @private
+   */
+  _toSnakeCase(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      contest_name: row.contestName,
+      variant: row.variant,
+      capacity: row.capacity,
+      created_at: row.createdAt,
+      updated_at: row.updatedAt,
+    };
+  }
+
+  /**
+   * 全大会の定員を取得
+   * @returns {Promise<Array>}
+   */
+  async findAll() {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(contestCapacities)
+      .orderBy(asc(contestCapacities.contestName), asc(contestCapacities.variant));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * 大会の定員を取得
+   * @param {string} contestName - 大会名
+   * @returns {Promise<Array>}
+   */
+  async findByContestName(contestName) {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(contestCapacities)
+      .where(eq(contestCapacities.contestName, contestName))
+      .orderBy(asc(contestCapacities.variant));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * 大会の定員を登録（既存の定員は削除して置き換える）
+   * @param {string} contestName - 大会名
+   * @param {Array<Object>} capacities - [{ variant, capacity }]
+   * @returns {Promise<Array>} 登録した定員
+   */
+  async replaceForContest(contestName, capacities) {
+    const db = getDb();
+    await db.delete(contestCapacities).where(eq(contestCapacities.contestName, contestName));
+
+    if (capacities.length === 0) return [];
+    const rows = await db
+      .insert(contestCapacities)
+      .values(capacities.map(c => ({ contestName, variant: c.variant, capacity: c.capacity })))
+      .returning();
+    return rows.map(row => this._toSnakeCase(row));
+  }
+}
+
+module.exports = ContestCapacity;
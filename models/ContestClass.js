@@ -0,0 +1,461 @@
+const { getDb } = require('../lib/db');
+const { contestClasses, playerNumberRanges } = require('../lib/db/schema');
+const { eq, asc, sql } = require('drizzle-orm');
+const { calculateAge } = require('../utils/dateUtils');
+
+const SEX_VALUES = ['male', 'female'];
+
+// 出場資格の上下限（API名 → DB列名）
+const BOUND_FIELDS = {
+  min_age: 'minAge',
+  max_age: 'maxAge',
+  min_height: 'minHeight',
+  max_height: 'maxHeight',
+  min_weight: 'minWeight',
+  max_weight: 'maxWeight',
+};
+
+// クラスマスタに年齢制限がない場合の、クラス名による既定の年齢制限
+const JUNIOR_PATTERN = /junior|ジュニア/i;
+const MASTERS_PATTERN = /masters?|マスターズ/i;
+const JUNIOR_MAX_AGE = 23;
+const MASTERS_MIN_AGE = 40;
+
+/**
+ * 会員の性別表記を 'male' | 'female' に正規化
+ * @param {string} value - fwj_sex の値（例: '男性', 'M', 'Female'）
+ * @returns {string|null}
+ */
+function normalizeSex(value) {
+  const v = String(value || '').trim().toLowerCase();
+  if (['male', 'm', '男', '男性'].includes(v)) return 'male';
+  if (['female', 'f', '女', '女性'].includes(v)) return 'female';
+  return null;
+}
+
+/**
+ * 大会クラスモデル - Neon Postgres / Drizzle ORM版
+ *
+ * 大会ごとのクラスマスタ（表示名・Shopifyバリエーション対応・開催順・出場資格）と、
+ * カテゴリーごとに予約するゼッケン番号の範囲を管理する。
+ */
+class ContestClass {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換
+   * @private
+   */
+  _toSnakeCase(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      contest_name: row.contestName,
+      class_name: row.className,
+      shopify_variant: row.shopifyVariant || '',
+      sort_index: row.sortIndex,
+      category: row.category || '',
+      sex: row.sex || '',
+      min_age: row.minAge,
+      max_age: row.maxAge,
+      min_height: row.minHeight,
+      max_height: row.maxHeight,
+      min_weight: row.minWeight,
+      max_weight: row.maxWeight,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _rangeToSnakeCase(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      contest_name: row.contestName,
+      category: row.category,
+      start_no: row.startNo,
+      end_no: row.endNo,
+    };
+  }
+
+  /**
+   * 大会のクラス一覧を開催順で取得（開催順未設定のクラスは末尾）
+   * @param {string} contestName
+   */
+  async findByContestName(contestName) {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(contestClasses)
+      .where(eq(contestClasses.contestName, contestName))
+      .orderBy(sql`${contestClasses.sortIndex} ASC NULLS LAST`, asc(contestClasses.className));
+
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * IDでクラスを取得
+   * @param {number} id
+   */
+  async findById(id) {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(contestClasses)
+      .where(eq(contestClasses.id, parseInt(id)));
+
+    if (rows.length === 0) return null;
+    return this._toSnakeCase(rows[0]);
+  }
+
+  /**
+   * 入力値をDB用に変換（入力チェックを含む）
+   * @private
+   * @returns {Object} { values } または { error }
+   */
+  _buildValues(data) {
+    const values = {};
+
+    if (data.class_name !== undefined) {
+      const className = String(data.class_name || '').trim();
+      if (!className) return { error: 'クラス名は必須です' };
+      values.className = className;
+    }
+    if (data.shopify_variant !== undefined) values.shopifyVariant = String(data.shopify_variant || '').trim() || null;
+    if (data.sort_index !== undefined) {
+      const sortIndex = parseInt(data.sort_index, 10);
+      values.sortIndex = isNaN(sortIndex) ? null : sortIndex;
+    }
+    if (data.category !== undefined) values.category = String(data.category || '').trim() || null;
+    if (data.sex !== undefined) {
+      if (data.sex && !SEX_VALUES.includes(data.sex)) return { error: '性別が不正です' };
+      values.sex = data.sex || null;
+    }
+
+    for (const [field, column] of Object.entries(BOUND_FIELDS)) {
+      if (data[field] === undefined) continue;
+      if (data[field] === null || data[field] === '') {
+        values[column] = null;
+        continue;
+      }
+      const number = column.endsWith('Age') ? parseInt(data[field], 10) : parseFloat(data[field]);
+      if (isNaN(number) || number < 0) return { error: `${field} の値が不正です` };
+      values[column] = number;
+    }
+
+    for (const [min, max] of [['minAge', 'maxAge'], ['minHeight', 'maxHeight'], ['minWeight', 'maxWeight']]) {
+      if (values[min] != null && values[max] != null && values[min] > values[max]) {
+        return { error: '下限が上限を超えています' };
+      }
+    }
+
+    return { values };
+  }
+
+  /**
+   * クラスを作成
+   * @param {Object} data - { contest_name, class_name, shopify_variant, sort_index, category, sex, min_age, ... }
+   * @returns {Promise<Object>} { success, data?, error? }
+   */
+  async create(data) {
+    if (!data.contest_name) {
+      return { success: false, error: '大会名は必須です' };
+    }
+
+    const { values, error } = this._buildValues({ class_name: data.class_name || '', ...data });
+    if (error) {
+      return { success: false, error };
+    }
+
+    try {
+      const db = getDb();
+      const result = await db
+        .insert(contestClasses)
+        .values({ ...values, contestName: data.contest_name })
+        .onConflictDoNothing()
+        .returning();
+
+      if (result.length === 0) {
+        return { success: false, error: `クラス「${values.className}」は既に登録されています` };
+      }
+
+      return { success: true, data: this._toSnakeCase(result[0]) };
+    } catch (err) {
+      console.error('ContestClass create error:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * クラスを更新
+   * @param {number} id
+   * @param {Object} data
+   * @returns {Promise<Object>} { success, data?, error? }
+   */
+  async update(id, data) {
+    const { contest_name: _contestName, ...updatable } = data;
+    const { values, error } = this._buildValues(updatable);
+    if (error) {
+      return { success: false, error };
+    }
+
+    try {
+      const db = getDb();
+      const result = await db
+        .update(contestClasses)
+        .set({ ...values, updatedAt: new Date() })
+        .where(eq(contestClasses.id, parseInt(id)))
+        .returning();
+
+      if (result.length === 0) {
+        return { success: false, error: 'クラスが見つかりません' };
+      }
+
+      return { success: true, data: this._toSnakeCase(result[0]) };
+    } catch (err) {
+      // 同じ大会内でクラス名が重複した場合
+      if (err.code === '23505') {
+        return { success: false, error: `クラス「${values.className}」は既に登録されています` };
+      }
+      console.error('ContestClass update error:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * クラスを削除
+   * @param {number} id
+   * @returns {Promise<Object>} { success, data?, error? }
+   */
+  async delete(id) {
+    const db = getDb();
+    const result = await db
+      .delete(contestClasses)
+      .where(eq(contestClasses.id, parseInt(id)))
+      .returning();
+
+    if (result.length === 0) {
+      return { success: false, error: 'クラスが見つかりません' };
+    }
+
+    return { success: true, data: this._toSnakeCase(result[0]) };
+  }
+
+  /**
+   * 未登録のクラス名をまとめて作成（Shopifyバリエーション名 = クラス名として登録）
+   * @param {string} contestName
+   * @param {Array<string>} classNames
+   * @returns {Promise<Array<Object>>} 作成したクラス
+   */
+  async createMissing(contestName, classNames) {
+    const names = [...new Set(classNames.map(name => String(name || '').trim()).filter(Boolean))];
+    if (names.length === 0) return [];
+
+    const db = getDb();
+    const result = await db
+      .insert(contestClasses)
+      .values(names.map(className => ({ contestName, className, shopifyVariant: className })))
+      .onConflictDoNothing()
+      .returning();
+
+    return result.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * Shopifyのバリエーション名に対応するクラスを探す
+   * shopify_variant が一致するクラスを優先し、なければクラス名が一致するクラス
+   * @param {Array<Object>} classes - findByContestName の結果
+   * @param {string} variant
+   * @returns {Object|null}
+   */
+  matchVariant(classes, variant) {
+    const name = String(variant || '').trim();
+    if (!name) return null;
+    return classes.find(cls => cls.shopify_variant === name)
+      || classes.find(cls => cls.class_name === name)
+      || null;
+  }
+
+  /**
+   * クラスの年齢制限を取得
+   * クラスマスタに年齢の上下限がない場合は、クラス名のジュニア・マスターズ表記から判定する
+   * @param {Object} cls - クラス（class_name, min_age, max_age）
+   * @returns {Object} { min_age, max_age }（制限がなければ null）
+   */
+  ageLimits(cls) {
+    if (!cls) return { min_age: null, max_age: null };
+    if (cls.min_age != null || cls.max_age != null) {
+      return { min_age: cls.min_age ?? null, max_age: cls.max_age ?? null };
+    }
+
+    const name = String(cls.class_name || '');
+    if (JUNIOR_PATTERN.test(name)) {
+      return { min_age: null, max_age: JUNIOR_MAX_AGE };
+    }
+    if (MASTERS_PATTERN.test(name)) {
+      // 「Masters 45+」「マスターズ50」のように年齢の記載があればそれを下限にする
+      const match = name.match(/(?:masters?|マスターズ)\s*(?:over\s*)?(\d{2})(?!\d)/i)
+        || name.match(/(?<!\d)(\d{2})\s*(?:\+|歳以上|才以上)/);
+      return { min_age: match ? parseInt(match[1], 10) : MASTERS_MIN_AGE, max_age: null };
+    }
+    return { min_age: null, max_age: null };
+  }
+
+  /**
+   * 会員情報からクラスの出場資格をチェック
+   * 会員情報に値がない項目はチェックしない
+   * @param {Object} cls - クラス
+   * @param {Object|null} member - Member の取得結果（fwj_birthday, fwj_sex, fwj_height, fwj_weight）
+   * @param {string} contestDate - 年齢の基準日
+   * @returns {Array<Object>} 資格を満たさない理由 { rule: 'sex' | 'age' | 'height' | 'weight', message }（空なら出場可能）
+   */
+  checkEligibility(cls, member, contestDate) {
+    const issues = [];
+    if (!cls || !member) return issues;
+
+    if (cls.sex) {
+      const sex = normalizeSex(member.fwj_sex);
+      if (sex && sex !== cls.sex) {
+        issues.push({ rule: 'sex', message: `性別が対象外です（${cls.sex === 'male' ? '男性' : '女性'}のみ）` });
+      }
+    }
+
+    const { min_age, max_age } = this.ageLimits(cls);
+    if ((min_age != null || max_age != null) && member.fwj_birthday) {
+      const age = calculateAge(member.fwj_birthday, contestDate);
+      if (age !== null) {
+        if (min_age != null && age < min_age) issues.push({ rule: 'age', message: `年齢が下限未満です（${age}歳 / ${min_age}歳以上）` });
+        if (max_age != null && age > max_age) issues.push({ rule: 'age', message: `年齢が上限を超えています（${age}歳 / ${max_age}歳以下）` });
+      }
+    }
+
+    const height = parseFloat(member.fwj_height);
+    if (!isNaN(height)) {
+      if (cls.min_height != null && height < cls.min_height) issues.push({ rule: 'height', message: `身長が下限未満です（${height}cm / ${cls.min_height}cm以上）` });
+      if (cls.max_height != null && height > cls.max_height) issues.push({ rule: 'height', message: `身長が上限を超えています（${height}cm / ${cls.max_height}cm以下）` });
+    }
+
+    const weight = parseFloat(member.fwj_weight);
+    if (!isNaN(weight)) {
+      if (cls.min_weight != null && weight < cls.min_weight) issues.push({ rule: 'weight', message: `体重が下限未満です（${weight}kg / ${cls.min_weight}kg以上）` });
+      if (cls.max_weight != null && weight > cls.max_weight) issues.push({ rule: 'weight', message: `体重が上限を超えています（${weight}kg / ${cls.max_weight}kg以下）` });
+    }
+
+    return issues;
+  }
+
+  /**
+   * 大会のゼッケン番号範囲を取得
+   * @param {string} contestName
+   */
+  async findNumberRanges(contestName) {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(playerNumberRanges)
+      .where(eq(playerNumberRanges.contestName, contestName))
+      .orderBy(asc(playerNumberRanges.startNo));
+
+    return rows.map(row => this._rangeToSnakeCase(row));
+  }
+
+  /**
+   * ゼッケン番号範囲の入力チェック
+   * @param {Array<Object>} ranges - { category, start_no, end_no }
+   * @returns {string|null} エラーメッセージ
+   */
+  validateNumberRanges(ranges) {
+    const categories = new Set();
+
+    for (const range of ranges) {
+      const category = (range.category || '').trim();
+      const startNo = parseInt(range.start_no, 10);
+      const endNo = parseInt(range.end_no, 10);
+
+      if (!category) return 'カテゴリーを入力してください';
+      if (categories.has(category)) return `カテゴリー「${category}」が重複しています`;
+      categories.add(category);
+
+      if (isNaN(startNo) || isNaN(endNo) || startNo < 1 || endNo < startNo) {
+        return `カテゴリー「${category}」の番号範囲が不正です`;
+      }
+    }
+
+    const sorted = [...ranges].sort((a, b) => parseInt(a.start_no, 10) - parseInt(b.start_no, 10));
+    for (let i = 1; i < sorted.length; i++) {
+      if (parseInt(sorted[i].start_no, 10) <= parseInt(sorted[i - 1].end_no, 10)) {
+        return `カテゴリー「${sorted[i - 1].category}」と「${sorted[i].category}」の番号範囲が重複しています`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 大会のクラス開催順とゼッケン番号範囲を保存
+   * クラスは開催順・カテゴリーのみ更新し（未登録のクラスは作成）、番号範囲は置き換える
+   * @param {string} contestName
+   * @param {Array<Object>} classes - { class_name, sort_index, category }
+   * @param {Array<Object>} ranges - { category, start_no, end_no }
+   * @returns {Promise<Object>} { success, data?, error? }
+   */
+  async saveOrder(contestName, classes, ranges) {
+    const rangeError = this.validateNumberRanges(ranges);
+    if (rangeError) {
+      return { success: false, error: rangeError };
+    }
+
+    const classNames = new Set();
+    for (const cls of classes) {
+      const className = (cls.class_name || '').trim();
+      if (!className) return { success: false, error: 'クラス名を入力してください' };
+      if (classNames.has(className)) return { success: false, error: `クラス「${className}」が重複しています` };
+      classNames.add(className);
+    }
+
+    try {
+      const db = getDb();
+      const now = new Date();
+      const queries = classes.map(cls => {
+        const sortIndex = parseInt(cls.sort_index, 10);
+        const order = {
+          sortIndex: isNaN(sortIndex) ? null : sortIndex,
+          category: (cls.category || '').trim() || null,
+        };
+        return db
+          .insert(contestClasses)
+          .values({ contestName, className: cls.class_name.trim(), ...order })
+          .onConflictDoUpdate({
+            target: [contestClasses.contestName, contestClasses.className],
+            set: { ...order, updatedAt: now },
+          });
+      });
+
+      queries.push(db.delete(playerNumberRanges).where(eq(playerNumberRanges.contestName, contestName)));
+      if (ranges.length > 0) {
+        queries.push(db.insert(playerNumberRanges).values(ranges.map(range => ({
+          contestName,
+          category: range.category.trim(),
+          startNo: parseInt(range.start_no, 10),
+          endNo: parseInt(range.end_no, 10),
+        }))));
+      }
+
+      await db.batch(queries);
+
+      return {
+        success: true,
+        data: {
+          classes: await this.findByContestName(contestName),
+          ranges: await this.findNumberRanges(contestName),
+        },
+      };
+    } catch (error) {
+      console.error('ContestClass saveOrder error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = ContestClass;
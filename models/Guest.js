@@ -2,6 +2,9 @@ const { getDb } = require('../lib/db');
 const { guests, contests } = require('../lib/db/schema');
 const { eq, ilike, and, desc, asc, sql } = require('drizzle-orm');
 
+// CSVインポートで1回のクエリにまとめる件数
+const IMPORT_CHUNK_SIZE = 500;
+
 /**
  * ゲストモデル - Neon Postgres / Drizzle ORM版
  */
@@ -61,6 +64,52 @@ class Guest {
     }
   }
 
+  /**
+   * 一覧のフィルタ条件を構築（有効なレコードのみ）
+   * 大会名は部分一致（exact_contest を指定した場合は大文字小文字を区別しない完全一致）
+   * @private
+   */
+  _filterConditions(filters) {
+    const conditions = [
+      eq(guests.isValid, true),
+      sql`${guests.nameJa} IS NOT NULL AND ${guests.nameJa} != ''`
+    ];
+
+    if (filters.contest_name) {
+      conditions.push(filters.exact_contest
+        ? sql`LOWER(${guests.contestName}) = LOWER(${filters.contest_name})`
+        : ilike(guests.contestName, `%${filters.contest_name}%`));
+    }
+    if (filters.contest_date) {
+      conditions.push(eq(guests.contestDate, filters.contest_date));
+    }
+    if (filters.organization_type) {
+      conditions.push(ilike(guests.groupType, `%${filters.organization_type}%`));
+    }
+    if (filters.pass_type) {
+      conditions.push(ilike(guests.passType, `%${filters.pass_type}%`));
+    }
+    if (filters.representative_name) {
+      conditions.push(ilike(guests.nameJa, `%${filters.representative_name}%`));
+    }
+    if (filters.organization_name) {
+      conditions.push(ilike(guests.companyJa, `%${filters.organization_name}%`));
+    }
+    if (filters.search) {
+      const searchTerm = `%${filters.search}%`;
+      conditions.push(
+        sql`(
+          ${guests.nameJa} ILIKE ${searchTerm} OR
+          ${guests.companyJa} ILIKE ${searchTerm} OR
+          ${guests.contactPerson} ILIKE ${searchTerm} OR
+          ${guests.email} ILIKE ${searchTerm}
+        )`
+      );
+    }
+
+    return conditions;
+  }
+
   /**
    * ページング・フィルタリング・ソート付きでゲストを取得
    */
@@ -68,40 +117,7 @@ class Guest {
     try {
       const db = getDb();
 
-      // フィルタ条件を構築
-      const conditions = [
-        eq(guests.isValid, true),
-        sql`${guests.nameJa} IS NOT NULL AND ${guests.nameJa} != ''`
-      ];
-
-      if (filters.contest_name) {
-        conditions.push(ilike(guests.contestName, `%${filters.contest_name}%`));
-      }
-      if (filters.organization_type) {
-        conditions.push(ilike(guests.groupType, `%${filters.organization_type}%`));
-      }
-      if (filters.pass_type) {
-        conditions.push(ilike(guests.passType, `%${filters.pass_type}%`));
-      }
-      if (filters.representative_name) {
-        conditions.push(ilike(guests.nameJa, `%${filters.representative_name}%`));
-      }
-      if (filters.organization_name) {
-        conditions.push(ilike(guests.companyJa, `%${filters.organization_name}%`));
-      }
-      if (filters.search) {
-        const searchTerm = `%${filters.search}%`;
-        conditions.push(
-          sql`(
-            ${guests.nameJa} ILIKE ${searchTerm} OR
-            ${guests.companyJa} ILIKE ${searchTerm} OR
-            ${guests.contactPerson} ILIKE ${searchTerm} OR
-            ${guests.email} ILIKE ${searchTerm}
-          )`
-        );
-      }
-
-      const whereClause = and(...conditions);
+      const whereClause = and(...this._filterConditions(filters));
 
       // ソートカラムをマップ
       const sortColumnMap = {
@@ -143,6 +159,72 @@ class Guest {
     }
   }
 
+  /**
+   * 一覧と同じフィルタでゲストをすべて取得（ページングなし、大会名・団体名・代表者氏名・ID順）
+   * @param {Object} filters - findWithPaging と同じフィルタ
+   * @returns {Promise<Array>}
+   */
+  async findByFilters(filters = {}) {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(guests)
+      .where(and(...this._filterConditions(filters)))
+      .orderBy(asc(guests.contestName), asc(guests.companyJa), asc(guests.nameJa), asc(guests.id));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * 大会のゲストを取得（有効なレコードのみ、団体名・代表者氏名順）
+   * @param {string} contestName - 大会名
+   * @param {string} [contestDate] - 開催日（同じ大会名の別の回を区別する場合）
+   * @returns {Promise<Array>}
+   */
+  async findByContestName(contestName, contestDate = null) {
+    const db = getDb();
+    const conditions = [
+      eq(guests.isValid, true),
+      sql`LOWER(${guests.contestName}) = LOWER(${contestName})`
+    ];
+    if (contestDate) {
+      conditions.push(eq(guests.contestDate, contestDate));
+    }
+
+    const rows = await db
+      .select()
+      .from(guests)
+      .where(and(...conditions))
+      .orderBy(asc(guests.companyJa), asc(guests.nameJa));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * 大会のチケット種別ごとのゲストのチケット枚数（定員レポート用、有効なレコードのみ）
+   * @param {string} contestName - 大会名
+   * @returns {Promise<Array>} [{ ticket_type, ticket_count }]
+   */
+  async getTicketCountsByType(contestName) {
+    const db = getDb();
+    const ticketType = sql`COALESCE(TRIM(${guests.ticketType}), '')`;
+    const rows = await db
+      .select({
+        ticketType,
+        ticketCount: sql`COALESCE(SUM(${guests.ticketCount}), 0)`,
+      })
+      .from(guests)
+      .where(and(
+        eq(guests.isValid, true),
+        sql`LOWER(${guests.contestName}) = LOWER(${contestName})`
+      ))
+      .groupBy(ticketType)
+      .orderBy(ticketType);
+
+    return rows.map(row => ({
+      ticket_type: row.ticketType,
+      ticket_count: Number(row.ticketCount),
+    }));
+  }
+
   /**
    * フィルターオプションの取得
    */
@@ -233,6 +315,78 @@ class Guest {
     }
   }
 
+  /**
+   * 追加する値を作成（API用のsnake_caseからDBのcamelCaseへ）
+   * @private
+   */
+  _toInsertValues(guestData) {
+    return {
+      contestDate: guestData.contest_date || null,
+      contestName: guestData.contest_name || null,
+      ticketType: guestData.ticket_type || null,
+      groupType: guestData.group_type || null,
+      nameJa: guestData.name_ja,
+      passType: guestData.pass_type || null,
+      companyJa: guestData.company_ja || null,
+      requestType: guestData.request_type || null,
+      ticketCount: parseInt(guestData.ticket_count, 10) || 0,
+      isCheckedIn: guestData.is_checked_in === true || guestData.is_checked_in === 'TRUE',
+      note: guestData.note || null,
+      email: guestData.email || null,
+      phone: guestData.phone || null,
+      contactPerson: guestData.contact_person || null,
+      isPreNotified: guestData.is_pre_notified === true || guestData.is_pre_notified === 'TRUE',
+      isPostMailed: guestData.is_post_mailed === true || guestData.is_post_mailed === 'TRUE',
+      isValid: true,
+    };
+  }
+
+  /**
+   * 更新する値を作成（指定された項目のみ、API用のsnake_caseからDBのcamelCaseへ）
+   * @private
+   */
+  _toUpdateValues(guestData) {
+    const updateData = { updatedAt: new Date() };
+
+    // フィールドマッピング
+    const fieldMap = {
+      contest_date: 'contestDate',
+      contest_name: 'contestName',
+      ticket_type: 'ticketType',
+      group_type: 'groupType',
+      name_ja: 'nameJa',
+      pass_type: 'passType',
+      company_ja: 'companyJa',
+      request_type: 'requestType',
+      ticket_count: 'ticketCount',
+      is_checked_in: 'isCheckedIn',
+      note: 'note',
+      email: 'email',
+      phone: 'phone',
+      contact_person: 'contactPerson',
+      is_pre_notified: 'isPreNotified',
+      is_post_mailed: 'isPostMailed',
+    };
+
+    // Boolean型フィールド
+    const booleanFields = ['is_checked_in', 'is_pre_notified', 'is_post_mailed'];
+
+    for (const [snakeKey, value] of Object.entries(guestData)) {
+      const camelKey = fieldMap[snakeKey];
+      if (camelKey) {
+        if (booleanFields.includes(snakeKey)) {
+          updateData[camelKey] = value === true || value === 'TRUE' || value === '○';
+        } else if (snakeKey === 'ticket_count') {
+          updateData[camelKey] = parseInt(value, 10) || 0;
+        } else {
+          updateData[camelKey] = value;
+        }
+      }
+    }
+
+    return updateData;
+  }
+
   /**
    * 新規作成
    */
@@ -242,25 +396,7 @@ class Guest {
 
       const insertResult = await db
         .insert(guests)
-        .values({
-          contestDate: guestData.contest_date || null,
-          contestName: guestData.contest_name || null,
-          ticketType: guestData.ticket_type || null,
-          groupType: guestData.group_type || null,
-          nameJa: guestData.name_ja,
-          passType: guestData.pass_type || null,
-          companyJa: guestData.company_ja || null,
-          requestType: guestData.request_type || null,
-          ticketCount: parseInt(guestData.ticket_count, 10) || 0,
-          isCheckedIn: guestData.is_checked_in === true || guestData.is_checked_in === 'TRUE',
-          note: guestData.note || null,
-          email: guestData.email || null,
-          phone: guestData.phone || null,
-          contactPerson: guestData.contact_person || null,
-          isPreNotified: guestData.is_pre_notified === true || guestData.is_pre_notified === 'TRUE',
-          isPostMailed: guestData.is_post_mailed === true || guestData.is_post_mailed === 'TRUE',
-          isValid: true,
-        })
+        .values(this._toInsertValues(guestData))
         .returning({ id: guests.id });
 
       return { 
@@ -281,43 +417,7 @@ class Guest {
     try {
       const db = getDb();
 
-      const updateData = { updatedAt: new Date() };
-
-      // フィールドマッピング
-      const fieldMap = {
-        contest_date: 'contestDate',
-        contest_name: 'contestName',
-        ticket_type: 'ticketType',
-        group_type: 'groupType',
-        name_ja: 'nameJa',
-        pass_type: 'passType',
-        company_ja: 'companyJa',
-        request_type: 'requestType',
-        ticket_count: 'ticketCount',
-        is_checked_in: 'isCheckedIn',
-        note: 'note',
-        email: 'email',
-        phone: 'phone',
-        contact_person: 'contactPerson',
-        is_pre_notified: 'isPreNotified',
-        is_post_mailed: 'isPostMailed',
-      };
-
-      // Boolean型フィールド
-      const booleanFields = ['is_checked_in', 'is_pre_notified', 'is_post_mailed'];
-
-      for (const [snakeKey, value] of Object.entries(guestData)) {
-        const camelKey = fieldMap[snakeKey];
-        if (camelKey) {
-          if (booleanFields.includes(snakeKey)) {
-            updateData[camelKey] = value === true || value === 'TRUE' || value === '○';
-          } else if (snakeKey === 'ticket_count') {
-            updateData[camelKey] = parseInt(value, 10) || 0;
-          } else {
-            updateData[camelKey] = value;
-          }
-        }
-      }
+      const updateData = this._toUpdateValues(guestData);
 
       await db
         .update(guests)
@@ -331,6 +431,34 @@ class Guest {
     }
   }
 
+  /**
+   * CSVインポートの追加・更新をまとめて実行
+   * @param {Array<Object>} inserts - 追加するゲスト（snake_case）
+   * @param {Array<Object>} updates - { id, data }（data は更新する項目のみ）
+   * @returns {Promise<{ insertedIds: Array<number>, updated: number }>}
+   */
+  async importRows(inserts, updates) {
+    const db = getDb();
+    const insertedIds = [];
+
+    for (let i = 0; i < inserts.length; i += IMPORT_CHUNK_SIZE) {
+      const rows = await db
+        .insert(guests)
+        .values(inserts.slice(i, i + IMPORT_CHUNK_SIZE).map(guestData => this._toInsertValues(guestData)))
+        .returning({ id: guests.id });
+      insertedIds.push(...rows.map(row => row.id));
+    }
+
+    const updateQueries = updates.map(({ id, data }) =>
+      db.update(guests).set(this._toUpdateValues(data)).where(eq(guests.id, id))
+    );
+    for (let i = 0; i < updateQueries.length; i += IMPORT_CHUNK_SIZE) {
+      await db.batch(updateQueries.slice(i, i + IMPORT_CHUNK_SIZE));
+    }
+
+    return { insertedIds, updated: updates.length };
+  }
+
   /**
    * IDで削除（論理削除）
    */
@@ -373,6 +501,25 @@ class Guest {
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * メール送信済みフラグを更新（招待状は is_pre_notified、お礼状は is_post_mailed）
+   * @param {number} id - ゲストID
+   * @param {string} field - 'is_pre_notified' | 'is_post_mailed'
+   * @param {boolean} value
+   */
+  async updateMailFlag(id, field, value) {
+    const columns = { is_pre_notified: 'isPreNotified', is_post_mailed: 'isPostMailed' };
+    if (!columns[field]) {
+      throw new Error(`更新できないフラグです: ${field}`);
+    }
+
+    const db = getDb();
+    await db
+      .update(guests)
+      .set({ [columns[field]]: value, updatedAt: new Date() })
+      .where(eq(guests.id, parseInt(id, 10)));
+  }
 }
 
 module.exports = Guest;
@@ -0,0 +1,78 @@
+const { getDb } = require('../lib/db');
+const { guestCheckins } = require('../lib/db/schema');
+const { eq, asc } = require('drizzle-orm');
+
+/**
+ * ゲストチェックインモデル - Neon Postgres / Drizzle ORM版
+ *
+ * ゲストコード（パスごとに発行）での受付を、ゲストID・パスの番号ごとに1件記録する。
+ * ゲストの is_checked_in は、いずれかのパスが受付されると true になる。
+ */
+class GuestCheckin {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換
+   * @private
+   */
+  _toSnakeCase(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      guest_id: row.guestId,
+      pass_no: row.passNo,
+      staff_email: row.staffEmail,
+      checked_in_at: row.checkedInAt,
+    };
+  }
+
+  /**
+   * ゲストのパス数（チケット枚数、0枚なら1枚）
+   * @param {Object} guest - ゲスト（snake_case）
+   * @returns {number}
+   */
+  passCount(guest) {
+    return Math.max(guest.ticket_count || 0, 1);
+  }
+
+  /**
+   * ゲストのパスの受付状況を取得（パスの番号順）
+   * @param {number} guestId - ゲストID
+   * @returns {Promise<Array>}
+   */
+  async findByGuestId(guestId) {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(guestCheckins)
+      .where(eq(guestCheckins.guestId, guestId))
+      .orderBy(asc(guestCheckins.passNo));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * パスを受付（他の端末で受付済みの場合はnull）
+   * @param {number} guestId - ゲストID
+   * @param {number} passNo - パスの番号
+   * @param {string} staffEmail - 受付したスタッフ
+   * @returns {Promise<Object|null>} 記録した受付
+   */
+  async checkin(guestId, passNo, staffEmail) {
+    const db = getDb();
+    const [row] = await db
+      .insert(guestCheckins)
+      .values({ guestId, passNo, staffEmail: staffEmail || null })
+      .onConflictDoNothing()
+      .returning();
+    return row ? this._toSnakeCase(row) : null;
+  }
+
+  /**
+   * ゲストのパスの受付をすべて取り消す（管理者がチェックイン状態を未チェックインに戻したとき）
+   * @param {number} guestId - ゲストID
+   */
+  async deleteByGuestId(guestId) {
+    const db = getDb();
+    await db.delete(guestCheckins).where(eq(guestCheckins.guestId, guestId));
+  }
+}
+
+module.exports = GuestCheckin;
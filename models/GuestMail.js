@@ -0,0 +1,148 @@
+const { getDb } = require('../lib/db');
+const { guestMails } = require('../lib/db/schema');
+const { eq, and, desc, inArray } = require('drizzle-orm');
+
+/**
+ * ゲストメールモデル - Neon Postgres / Drizzle ORM版
+ *
+ * ゲストへの招待状・お礼状の送信を1通ずつ記録する。
+ * status: 'sent'（送信済み） | 'failed'（接続エラーなど、再送できる） | 'bounced'（宛先不明などで届かなかった）
+ */
+class GuestMail {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換
+   * @private
+   */
+  _toSnakeCase(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      guest_id: row.guestId,
+      template: row.template,
+      to_address: row.toAddress,
+      subject: row.subject,
+      status: row.status,
+      message_id: row.messageId,
+      error: row.error,
+      staff_email: row.staffEmail,
+      sent_at: row.sentAt,
+      bounced_at: row.bouncedAt,
+    };
+  }
+
+  /**
+   * 送信結果を記録
+   * @param {Object} mail - { guestId, template, toAddress, subject, status, messageId, error, staffEmail }
+   * @returns {Promise<Object>}
+   */
+  async record(mail) {
+    const db = getDb();
+    const [row] = await db
+      .insert(guestMails)
+      .values({
+        guestId: mail.guestId,
+        template: mail.template,
+        toAddress: mail.toAddress,
+        subject: String(mail.subject).substring(0, 500),
+        status: mail.status,
+        messageId: mail.messageId || null,
+        error: mail.error || null,
+        staffEmail: mail.staffEmail || null,
+        bouncedAt: mail.status === 'bounced' ? new Date() : null,
+      })
+      .returning();
+    return this._toSnakeCase(row);
+  }
+
+  /**
+   * IDで取得
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id) {
+    const db = getDb();
+    const rows = await db.select().from(guestMails).where(eq(guestMails.id, id));
+    return this._toSnakeCase(rows[0]);
+  }
+
+  /**
+   * ゲストの送信履歴を取得（新しい順）
+   * @param {number} guestId - ゲストID
+   * @returns {Promise<Array>}
+   */
+  async findByGuestId(guestId) {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(guestMails)
+      .where(eq(guestMails.guestId, guestId))
+      .orderBy(desc(guestMails.sentAt), desc(guestMails.id));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * 複数ゲストの、テンプレートごとの最新の送信状況を取得（一覧表示用）
+   * @param {Array<number>} guestIds - ゲストID
+   * @returns {Promise<Object>} { [guestId]: { [template]: { status, sent_at } } }
+   */
+  async findLatestStatuses(guestIds) {
+    if (guestIds.length === 0) return {};
+
+    const db = getDb();
+    const rows = await db
+      .selectDistinctOn([guestMails.guestId, guestMails.template], {
+        guestId: guestMails.guestId,
+        template: guestMails.template,
+        status: guestMails.status,
+        sentAt: guestMails.sentAt,
+      })
+      .from(guestMails)
+      .where(inArray(guestMails.guestId, guestIds))
+      .orderBy(guestMails.guestId, guestMails.template, desc(guestMails.sentAt), desc(guestMails.id));
+
+    const statuses = {};
+    rows.forEach(row => {
+      statuses[row.guestId] = statuses[row.guestId] || {};
+      statuses[row.guestId][row.template] = { status: row.status, sent_at: row.sentAt };
+    });
+    return statuses;
+  }
+
+  /**
+   * 送信済みのメールをバウンスとして記録
+   * @param {number} id - メールID
+   * @param {string} reason - バウンスの内容（DSNの本文など）
+   * @returns {Promise<Object|null>} 更新したメール（送信済みでない場合はnull）
+   */
+  async markBounced(id, reason) {
+    const db = getDb();
+    const [row] = await db
+      .update(guestMails)
+      .set({ status: 'bounced', error: reason || null, bouncedAt: new Date() })
+      .where(and(eq(guestMails.id, id), eq(guestMails.status, 'sent')))
+      .returning();
+    return row ? this._toSnakeCase(row) : null;
+  }
+
+  /**
+   * ゲストにテンプレートのメールが届いているか（送信済みでバウンスしていないものがあるか）
+   * @param {number} guestId - ゲストID
+   * @param {string} template - テンプレート
+   * @returns {Promise<boolean>}
+   */
+  async hasDelivered(guestId, template) {
+    const db = getDb();
+    const rows = await db
+      .select({ id: guestMails.id })
+      .from(guestMails)
+      .where(and(
+        eq(guestMails.guestId, guestId),
+        eq(guestMails.template, template),
+        eq(guestMails.status, 'sent')
+      ))
+      .limit(1);
+    return rows.length > 0;
+  }
+}
+
+module.exports = GuestMail;
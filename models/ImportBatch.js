@@ -0,0 +1,321 @@
+const { getDb } = require('../lib/db');
+const { importBatches, importBatchItems, registrations, scores, tickets, guests } = require('../lib/db/schema');
+const { eq, and, desc, inArray, getTableColumns } = require('drizzle-orm');
+
+// ロールバック対象のテーブル
+const ENTITY_TABLES = {
+  registrations,
+  scores,
+  tickets,
+  guests,
+};
+
+const CHUNK_SIZE = 500;
+
+/**
+ * インポートバッチモデル - Neon Postgres / Drizzle ORM版
+ *
+ * インポート1回分で変更された行の変更前の値（pre-image）を記録し、
+ * バッチ単位でインポート前の状態に戻せるようにする。
+ * インポートの書き込みが完了したら markApplied で完了日時を記録する。ロールバック時は、
+ * 完了日時より後に更新された行（手動の編集・Webhook・後のインポートなど）を上書きせずに報告する。
+ */
+class ImportBatch {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換
+   * @private
+   */
+  _toSnakeCase(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      kind: row.kind,
+      contest_name: row.contestName,
+      status: row.status,
+      created_by: row.createdBy,
+      rolled_back_by: row.rolledBackBy,
+      rolled_back_at: row.rolledBackAt,
+      applied_at: row.appliedAt,
+      created_at: row.createdAt,
+    };
+  }
+
+  /**
+   * JSONから復元した行をテーブルの型に戻す（timestamp列は文字列になっているため）
+   * @private
+   */
+  _fromPreImage(table, preImage) {
+    const columns = getTableColumns(table);
+    const values = {};
+    for (const [key, column] of Object.entries(columns)) {
+      if (!(key in preImage)) continue;
+      const value = preImage[key];
+      values[key] = column.columnType === 'PgTimestamp' && value ? new Date(value) : value;
+    }
+    return values;
+  }
+
+  /**
+   * バッチを作成
+   * @param {string} kind - インポートの種類（例: 'registrations-csv'）
+   * @param {object} params - { contestName, createdBy }
+   * @returns {Promise<Object>}
+   */
+  async create(kind, { contestName, createdBy } = {}) {
+    const db = getDb();
+    const result = await db.insert(importBatches).values({
+      kind,
+      contestName: contestName || null,
+      createdBy: createdBy || null,
+    }).returning();
+
+    return this._toSnakeCase(result[0]);
+  }
+
+  /**
+   * インポートの書き込みが完了した日時を記録（すべての書き込みの後に呼ぶ）
+   * @param {number} id
+   */
+  async markApplied(id) {
+    const db = getDb();
+    await db
+      .update(importBatches)
+      .set({ appliedAt: new Date() })
+      .where(eq(importBatches.id, parseInt(id)));
+  }
+
+  /**
+   * インポート後に更新された行のIDを取得
+   * 完了日時がない（書き込みの途中で失敗した）バッチは、すべての行をインポート後の変更なしとみなす
+   * @private
+   * @returns {Promise<Set<number>>}
+   */
+  async _findChangedSince(table, ids, appliedAt) {
+    const changed = new Set();
+    if (!appliedAt || ids.length === 0) return changed;
+
+    const db = getDb();
+    for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+      const rows = await db
+        .select({ id: table.id, updatedAt: table.updatedAt })
+        .from(table)
+        .where(inArray(table.id, ids.slice(i, i + CHUNK_SIZE)));
+      rows.forEach(row => {
+        if (row.updatedAt && row.updatedAt > appliedAt) changed.add(row.id);
+      });
+    }
+    return changed;
+  }
+
+  /**
+   * 更新・削除する行の変更前の値を記録（更新・削除の実行前に呼ぶ）
+   * @param {number} batchId
+   * @param {string} entity - 'registrations' | 'scores' | 'tickets' | 'guests'
+   * @param {Array<number|string>} ids
+   * @param {string} action - 'update' | 'delete'
+   */
+  async recordPreImages(batchId, entity, ids, action = 'update') {
+    const table = ENTITY_TABLES[entity];
+    const targetIds = [...new Set(ids.map(id => parseInt(id, 10)).filter(id => !isNaN(id)))];
+    if (!table || targetIds.length === 0) return 0;
+
+    const db = getDb();
+    let recorded = 0;
+
+    for (let i = 0; i < targetIds.length; i += CHUNK_SIZE) {
+      const chunkIds = targetIds.slice(i, i + CHUNK_SIZE);
+      const rows = await db.select().from(table).where(inArray(table.id, chunkIds));
+      if (rows.length === 0) continue;
+
+      await db.insert(importBatchItems).values(rows.map(row => ({
+        batchId,
+        entity,
+        entityId: row.id,
+        action,
+        preImage: JSON.stringify(row),
+      })));
+      recorded += rows.length;
+    }
+
+    return recorded;
+  }
+
+  /**
+   * 新規追加した行を記録（ロールバック時に削除する）
+   * @param {number} batchId
+   * @param {string} entity - 'registrations' | 'scores' | 'tickets' | 'guests'
+   * @param {Array<number>} ids
+   */
+  async recordInserts(batchId, entity, ids) {
+    if (!ENTITY_TABLES[entity] || !ids || ids.length === 0) return 0;
+
+    const db = getDb();
+    for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+      const chunk = ids.slice(i, i + CHUNK_SIZE);
+      await db.insert(importBatchItems).values(chunk.map(id => ({
+        batchId,
+        entity,
+        entityId: id,
+        action: 'insert',
+        preImage: null,
+      })));
+    }
+
+    return ids.length;
+  }
+
+  /**
+   * バッチ一覧を取得（新しい順）
+   * @param {object} filters - { kind, contestName }
+   * @param {number} limit
+   */
+  async findAll(filters = {}, limit = 50) {
+    const db = getDb();
+    const conditions = [];
+    if (filters.kind) conditions.push(eq(importBatches.kind, filters.kind));
+    if (filters.contestName) conditions.push(eq(importBatches.contestName, filters.contestName));
+
+    let query = db.select().from(importBatches);
+    if (conditions.length > 0) {
+      query = query.where(and(...conditions));
+    }
+    const rows = await query.orderBy(desc(importBatches.id)).limit(limit);
+
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * IDでバッチを取得（行ごとの件数を含む）
+   * @param {number} id
+   */
+  async findById(id) {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(importBatches)
+      .where(eq(importBatches.id, parseInt(id)));
+
+    if (rows.length === 0) return null;
+
+    const items = await db
+      .select({ entity: importBatchItems.entity, action: importBatchItems.action })
+      .from(importBatchItems)
+      .where(eq(importBatchItems.batchId, rows[0].id));
+
+    const counts = {};
+    items.forEach(({ entity, action }) => {
+      counts[entity] = counts[entity] || { insert: 0, update: 0, delete: 0 };
+      counts[entity][action]++;
+    });
+
+    return { ...this._toSnakeCase(rows[0]), counts };
+  }
+
+  /**
+   * バッチをロールバック（追加した行を削除し、更新・削除した行を変更前の値に戻す）
+   * インポート後に更新された行は上書き・削除せず skipped として返す
+   * @param {number} id
+   * @param {string} rolledBackBy
+   * @returns {Promise<Object>} { success, restored, removed, skipped: [{ entity, entity_id, action }], error? }
+   */
+  async rollback(id, rolledBackBy) {
+    const db = getDb();
+
+    // 二重実行を防ぐため、適用済みのバッチのみロールバック済みにする
+    const claimed = await db
+      .update(importBatches)
+      .set({ status: 'rolled_back', rolledBackBy: rolledBackBy || null, rolledBackAt: new Date() })
+      .where(and(
+        eq(importBatches.id, parseInt(id)),
+        eq(importBatches.status, 'applied')
+      ))
+      .returning();
+
+    if (claimed.length === 0) {
+      const batch = await this.findById(id);
+      if (!batch) {
+        return { success: false, error: 'インポートバッチが見つかりません' };
+      }
+      return { success: false, error: 'このインポートバッチは既にロールバック済みです' };
+    }
+
+    try {
+      const appliedAt = claimed[0].appliedAt;
+      const items = await db
+        .select()
+        .from(importBatchItems)
+        .where(eq(importBatchItems.batchId, parseInt(id)))
+        .orderBy(importBatchItems.id);
+
+      // 同じ行が複数回記録されている場合は最初の変更前の値を使う
+      const insertedIds = {};
+      const preImages = {};
+      for (const item of items) {
+        if (item.action === 'insert') {
+          (insertedIds[item.entity] = insertedIds[item.entity] || new Set()).add(item.entityId);
+        } else {
+          preImages[item.entity] = preImages[item.entity] || new Map();
+          if (!preImages[item.entity].has(item.entityId)) {
+            preImages[item.entity].set(item.entityId, { action: item.action, preImage: JSON.parse(item.preImage) });
+          }
+        }
+      }
+
+      let removed = 0;
+      let restored = 0;
+      const skipped = [];
+
+      for (const [entity, table] of Object.entries(ENTITY_TABLES)) {
+        const entityPreImages = preImages[entity] || new Map();
+        const changed = await this._findChangedSince(
+          table,
+          [...(insertedIds[entity] || []), ...entityPreImages.keys()],
+          appliedAt
+        );
+        const skip = (entityId, action) => {
+          if (!changed.has(entityId)) return false;
+          skipped.push({ entity, entity_id: entityId, action });
+          return true;
+        };
+
+        // 追加した行を削除
+        const ids = [...(insertedIds[entity] || [])].filter(entityId => !skip(entityId, 'insert'));
+        for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+          const result = await db.delete(table)
+            .where(inArray(table.id, ids.slice(i, i + CHUNK_SIZE)))
+            .returning({ id: table.id });
+          removed += result.length;
+        }
+
+        // 更新・削除した行を変更前の値で上書き（削除済みの場合は同じIDで再作成）
+        const restoreQueries = [...entityPreImages.entries()]
+          .filter(([entityId, { action }]) => !skip(entityId, action))
+          .map(([, { preImage }]) => {
+            const values = this._fromPreImage(table, preImage);
+            const { id: _id, ...updateValues } = values;
+            return db.insert(table).values(values).onConflictDoUpdate({
+              target: table.id,
+              set: updateValues,
+            });
+          });
+        for (let i = 0; i < restoreQueries.length; i += CHUNK_SIZE) {
+          await db.batch(restoreQueries.slice(i, i + CHUNK_SIZE));
+        }
+        restored += restoreQueries.length;
+      }
+
+      console.log(`[ImportBatch] Rolled back batch ${id}: removed=${removed}, restored=${restored}, skipped=${skipped.length}`);
+      return { success: true, removed, restored, skipped };
+    } catch (error) {
+      // 失敗した場合は再実行できるよう適用済みに戻す
+      await db
+        .update(importBatches)
+        .set({ status: 'applied', rolledBackBy: null, rolledBackAt: null })
+        .where(eq(importBatches.id, parseInt(id)));
+      console.error('ImportBatch rollback error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = ImportBatch;
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { getDb } = require('../lib/db');
+const { importPlans } = require('../lib/db/schema');
+const { eq, and, isNull } = require('drizzle-orm');
+
+// プレビュー結果の有効期限（分）
+const PLAN_TTL_MINUTES = 30;
+
+/**
+ * インポート計画モデル - Neon Postgres / Drizzle ORM版
+ *
+ * プレビューで算出したUPSERT計画を保存し、token指定で同じ計画を確定実行するために使用する。
+ * サーバーレス環境ではリクエスト間でメモリを共有できないため、DBに保持する。
+ */
+class ImportPlan {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換
+   * @private
+   */
+  _toSnakeCase(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      token: row.token,
+      kind: row.kind,
+      contest_name: row.contestName,
+      contest_date: row.contestDate,
+      plan: row.plan ? JSON.parse(row.plan) : null,
+      created_by: row.createdBy,
+      expires_at: row.expiresAt,
+      committed_at: row.committedAt,
+      created_at: row.createdAt,
+    };
+  }
+
+  /**
+   * 計画を保存してtokenを発行
+   * @param {string} kind - 計画の種類（例: 'registrations-shopify'）
+   * @param {object} params - { contestName, contestDate, plan, createdBy }
+   * @returns {Promise<{ token: string, expires_at: Date }>}
+   */
+  async create(kind, { contestName, contestDate, plan, createdBy }) {
+    const db = getDb();
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = new Date(Date.now() + PLAN_TTL_MINUTES * 60 * 1000);
+
+    await db.insert(importPlans).values({
+      token,
+      kind,
+      contestName: contestName || null,
+      contestDate: contestDate || null,
+      plan: JSON.stringify(plan),
+      createdBy: createdBy || null,
+      expiresAt,
+    });
+
+    return { token, expires_at: expiresAt };
+  }
+
+  /**
+   * tokenで計画を取得
+   * @param {string} token
+   * @returns {Promise<Object|null>}
+   */
+  async findByToken(token) {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(importPlans)
+      .where(eq(importPlans.token, token));
+
+    if (rows.length === 0) return null;
+    return this._toSnakeCase(rows[0]);
+  }
+
+  /**
+   * 計画を確定済みにする（未確定の場合のみ）
+   * 二重実行を防ぐため、更新できた場合のみ true を返す
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  async markCommitted(id) {
+    const db = getDb();
+    const result = await db
+      .update(importPlans)
+      .set({ committedAt: new Date() })
+      .where(and(
+        eq(importPlans.id, id),
+        isNull(importPlans.committedAt)
+      ))
+      .returning({ id: importPlans.id });
+
+    return result.length > 0;
+  }
+
+  /**
+   * 確定済みを取り消す（確定の処理が失敗した場合に、同じtokenで再度確定できるようにする）
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async releaseCommitted(id) {
+    const db = getDb();
+    await db
+      .update(importPlans)
+      .set({ committedAt: null })
+      .where(eq(importPlans.id, id));
+  }
+}
+
+module.exports = ImportPlan;
@@ -1,6 +1,8 @@
 const { getDb } = require('../lib/db');
 const { orders, orderExportMeta } = require('../lib/db/schema');
-const { eq, ilike, and, desc, asc, sql } = require('drizzle-orm');
+const { eq, ilike, and, desc, asc, sql, inArray, isNotNull } = require('drizzle-orm');
+
+const CHUNK_SIZE = 500;
 
 /**
  * Orderモデル - Neon Postgres / Drizzle ORM版
@@ -58,12 +60,60 @@ class Order {
       product_id: row.productId,
       occupation: row.occupation || '',
       biography: row.biography || '',
+      shopify_updated_at: row.shopifyUpdatedAt,
+      cancelled_at: row.cancelledAt || '',
       created_at: row.createdAt,
       updated_at: row.updatedAt,
       tags: this._tagsFromRow(row),
     };
   }
 
+  /**
+   * formatOrderForSheet の行データ { baseData, tags } をDBの値に変換
+   * @private
+   */
+  _toValues(orderData) {
+    const baseData = orderData.baseData;
+    const shopifyUpdatedAt = baseData[18] ? new Date(baseData[18]) : null;
+    return {
+      orderNo: baseData[0],        // order_no
+      orderDate: baseData[1],       // order_date
+      shopifyId: baseData[2],       // shopify_id
+      fullName: baseData[3],        // full_name
+      email: baseData[4],           // email
+      totalPrice: baseData[5],      // total_price
+      financialStatus: baseData[6], // financial_status
+      fulfillmentStatus: baseData[7], // fulfillment_status
+      productName: baseData[8],     // product_name
+      variant: baseData[9],         // variant
+      quantity: parseInt(baseData[10], 10) || 0, // quantity
+      currentQuantity: parseInt(baseData[11], 10) || 0, // current_quantity
+      price: baseData[12],          // price
+      lineItemId: baseData[13],     // line_item_id
+      backStagePass: parseInt(baseData[14], 10) || 0, // back_stage_pass
+      productId: baseData[15],  // product_id
+      occupation: baseData[16] || '',      // occupation
+      biography: baseData[17] || '',       // biography
+      shopifyUpdatedAt: shopifyUpdatedAt && !isNaN(shopifyUpdatedAt.getTime()) ? shopifyUpdatedAt : null, // shopify_updated_at
+      cancelledAt: baseData[19] || null,   // cancelled_at
+      ...this._tagsToColumns(orderData.tags),
+    };
+  }
+
+  /**
+   * 指定したタグをすべて持つ行の条件（大文字小文字は区別しない）
+   * @private
+   */
+  _tagsCondition(tags) {
+    const tagColumns = [];
+    for (let i = 1; i <= 10; i++) {
+      tagColumns.push(sql`lower(${orders[`tag${i}`]})`);
+    }
+    return and(...tags.map(tag =>
+      sql`lower(${tag}) IN (${sql.join(tagColumns, sql`, `)})`
+    ));
+  }
+
   /**
    * 全注文を取得
    * @returns {Promise<Array>} 注文配列
@@ -113,6 +163,9 @@ class Order {
           )`
         );
       }
+      if (Array.isArray(filters.tags) && filters.tags.length > 0) {
+        conditions.push(this._tagsCondition(filters.tags));
+      }
       if (filters.startDate && filters.endDate) {
         conditions.push(
           sql`${orders.orderDate}::date >= ${filters.startDate}::date AND ${orders.orderDate}::date <= ${filters.endDate}::date`
@@ -160,6 +213,24 @@ class Order {
     }
   }
 
+  /**
+   * 指定したタグをすべて持つ注文を取得（タグ指定なしの場合は全注文）
+   * @param {Array<string>} tags - 商品タグ
+   * @returns {Promise<Array>} 注文配列
+   */
+  async findByTags(tags) {
+    if (!tags || tags.length === 0) return this.findAll();
+
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(orders)
+      .where(this._tagsCondition(tags))
+      .orderBy(desc(orders.createdAt));
+
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
   /**
    * 注文番号で検索
    * @param {string} orderNo - 注文番号
@@ -263,33 +334,9 @@ class Order {
       const db = getDb();
 
       // 全レコードの values を配列に変換
-      const allValues = orderRows.map(orderData => {
-        const baseData = orderData.baseData;
-        return {
-          orderNo: baseData[0],        // order_no
-          orderDate: baseData[1],       // order_date
-          shopifyId: baseData[2],       // shopify_id
-          fullName: baseData[3],        // full_name
-          email: baseData[4],           // email
-          totalPrice: baseData[5],      // total_price
-          financialStatus: baseData[6], // financial_status
-          fulfillmentStatus: baseData[7], // fulfillment_status
-          productName: baseData[8],     // product_name
-          variant: baseData[9],         // variant
-          quantity: parseInt(baseData[10], 10) || 0, // quantity
-          currentQuantity: parseInt(baseData[11], 10) || 0, // current_quantity
-          price: baseData[12],          // price
-          lineItemId: baseData[13],     // line_item_id
-          backStagePass: parseInt(baseData[14], 10) || 0, // back_stage_pass
-          productId: baseData[15],  // product_id
-          occupation: baseData[16] || '',      // occupation
-          biography: baseData[17] || '',       // biography
-          ...this._tagsToColumns(orderData.tags),
-        };
-      });
+      const allValues = orderRows.map(orderData => this._toValues(orderData));
 
       // チャンク分割してバッチINSERT（PostgreSQLパラメータ上限対策）
-      const CHUNK_SIZE = 500;
       for (let i = 0; i < allValues.length; i += CHUNK_SIZE) {
         const chunk = allValues.slice(i, i + CHUNK_SIZE);
         await db.insert(orders).values(chunk);
@@ -303,23 +350,81 @@ class Order {
   }
 
   /**
-   * 全削除して一括追加
-   * @param {Array<object>} orderRows - 注文データ配列 { baseData, tags }
-   * @returns {Promise<Object>} 処理結果
+   * Shopifyの注文を line_item_id 単位でアップサート（既存の注文は削除しない）
+   * insertable が false の行（返金・キャンセル等で検索条件から外れた注文）は、
+   * 既に取り込み済みの行の状態更新にのみ使い、新規追加はしない
+   * @param {Array<object>} orderRows - 注文データ配列 { baseData, tags, insertable }
+   * @returns {Promise<Object>} 処理結果 { inserted, updated, unchanged, skipped }
    */
-  async clearAndImport(orderRows) {
+  async upsertFromShopify(orderRows) {
     try {
       const db = getDb();
 
-      // 全削除
-      await db.delete(orders);
+      // Phase 1: 既存データをMapに（lineItemId → row）
+      const lineItemIds = [...new Set(orderRows.map(row => row.baseData[13]).filter(Boolean))];
+      const existingMap = new Map();
+      for (let i = 0; i < lineItemIds.length; i += CHUNK_SIZE) {
+        const rows = await db
+          .select()
+          .from(orders)
+          .where(inArray(orders.lineItemId, lineItemIds.slice(i, i + CHUNK_SIZE)));
+        rows.forEach(row => existingMap.set(row.lineItemId, row));
+      }
+
+      // Phase 2: INSERT/UPDATE を分類
+      const insertList = [];
+      const updateList = [];
+      let unchanged = 0;
+      let skipped = 0;
+
+      for (const orderData of orderRows) {
+        const data = this._toValues(orderData);
+        const existing = data.lineItemId ? existingMap.get(data.lineItemId) : null;
+
+        if (existing) {
+          // Shopify側の更新日時が同じなら変更なし
+          const sameVersion = existing.shopifyUpdatedAt && data.shopifyUpdatedAt
+            && existing.shopifyUpdatedAt.getTime() === data.shopifyUpdatedAt.getTime();
+          if (sameVersion) {
+            unchanged++;
+          } else {
+            updateList.push({ data, existing });
+          }
+        } else if (orderData.insertable !== false) {
+          insertList.push(data);
+        } else {
+          skipped++;
+        }
+      }
 
-      // 一括追加
-      const result = await this.exportFromShopify(orderRows);
+      // Phase 3: バッチ UPDATE（db.batch()）
+      if (updateList.length > 0) {
+        const updateQueries = updateList.map(({ data, existing }) =>
+          db.update(orders).set({
+            ...data,
+            updatedAt: new Date(),
+          }).where(eq(orders.id, existing.id))
+        );
+
+        for (let i = 0; i < updateQueries.length; i += CHUNK_SIZE) {
+          await db.batch(updateQueries.slice(i, i + CHUNK_SIZE));
+        }
+      }
 
-      return result;
+      // Phase 4: バッチ INSERT（.values([...])）
+      for (let i = 0; i < insertList.length; i += CHUNK_SIZE) {
+        await db.insert(orders).values(insertList.slice(i, i + CHUNK_SIZE));
+      }
+
+      return {
+        success: true,
+        inserted: insertList.length,
+        updated: updateList.length,
+        unchanged,
+        skipped,
+      };
     } catch (error) {
-      console.error('Error in clearAndImport:', error);
+      console.error('Error in upsertFromShopify:', error);
       return { success: false, error: error.message };
     }
   }
@@ -366,7 +471,7 @@ class Order {
 
   /**
    * エクスポートメタデータを保存
-   * @param {Object} meta - メタデータ { searchTags, paidOnly, orderCount, rowCount }
+   * @param {Object} meta - メタデータ { searchTags, paidOnly, orderCount, rowCount, syncCursor, insertedCount, updatedCount }
    * @returns {Promise<Object>} 処理結果
    */
   async saveExportMeta(meta) {
@@ -379,6 +484,9 @@ class Order {
         exportedAt: new Date(),
         orderCount: meta.orderCount || 0,
         rowCount: meta.rowCount || 0,
+        syncCursor: meta.syncCursor || null,
+        insertedCount: meta.insertedCount || 0,
+        updatedCount: meta.updatedCount || 0,
       });
 
       return { success: true };
@@ -388,6 +496,49 @@ class Order {
     }
   }
 
+  /**
+   * order_export_meta の行をAPI用に変換
+   * @private
+   */
+  _metaFromRow(row) {
+    return {
+      id: row.id,
+      searchTags: row.searchTags ? JSON.parse(row.searchTags) : [],
+      paidOnly: row.paidOnly,
+      exportedAt: row.exportedAt,
+      orderCount: row.orderCount,
+      rowCount: row.rowCount,
+      syncCursor: row.syncCursor,
+      insertedCount: row.insertedCount,
+      updatedCount: row.updatedCount,
+    };
+  }
+
+  /**
+   * 同じ検索条件（タグ・支払い済みのみ）で前回同期したときの updated_at カーソルを取得
+   * @param {Array<string>} searchTags - 検索タグ
+   * @param {boolean} paidOnly
+   * @returns {Promise<Date|null>} カーソル（未同期ならnull）
+   */
+  async getSyncCursor(searchTags, paidOnly) {
+    const db = getDb();
+    const normalize = (tags) => JSON.stringify(tags.map(t => t.toLowerCase()).sort());
+    const key = normalize(searchTags || []);
+
+    const rows = await db
+      .select()
+      .from(orderExportMeta)
+      .where(and(
+        eq(orderExportMeta.paidOnly, paidOnly),
+        isNotNull(orderExportMeta.syncCursor)
+      ))
+      .orderBy(desc(orderExportMeta.exportedAt))
+      .limit(100);
+
+    const match = rows.find(row => normalize(row.searchTags ? JSON.parse(row.searchTags) : []) === key);
+    return match ? match.syncCursor : null;
+  }
+
   /**
    * 最新のエクスポートメタデータを取得
    * @returns {Promise<Object|null>} 最新のメタデータ、またはnull
@@ -406,15 +557,7 @@ class Order {
         return null;
       }
 
-      const row = rows[0];
-      return {
-        id: row.id,
-        searchTags: row.searchTags ? JSON.parse(row.searchTags) : [],
-        paidOnly: row.paidOnly,
-        exportedAt: row.exportedAt,
-        orderCount: row.orderCount,
-        rowCount: row.rowCount,
-      };
+      return this._metaFromRow(rows[0]);
     } catch (error) {
       console.error('Error in getLatestExportMeta:', error);
       return null;
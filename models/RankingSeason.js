@@ -0,0 +1,119 @@
+const { getDb } = require('../lib/db');
+const { rankingSeasons } = require('../lib/db/schema');
+const { eq, desc } = require('drizzle-orm');
+
+/**
+ * ランキングシーズンモデル - Neon Postgres / Drizzle ORM版
+ *
+ * シーズンごとの期間・順位ごとのポイント・ティアの倍率を管理する。
+ * ランキングの計算は utils/rankings.js の computeRankings で行う。
+ */
+class RankingSeason {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換
+   * @private
+   */
+  _toSnakeCase(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      season: row.season,
+      start_date: row.startDate,
+      end_date: row.endDate,
+      points_table: JSON.parse(row.pointsTable || '[]'),
+      tier_multipliers: JSON.parse(row.tierMultipliers || '{}'),
+      note: row.note || '',
+      created_at: row.createdAt,
+      updated_at: row.updatedAt,
+    };
+  }
+
+  /**
+   * API用のsnake_caseをDBのカラムに変換
+   * @private
+   */
+  _toValues(data) {
+    return {
+      season: String(data.season).trim(),
+      startDate: data.start_date,
+      endDate: data.end_date,
+      pointsTable: JSON.stringify(data.points_table),
+      tierMultipliers: JSON.stringify(data.tier_multipliers || {}),
+      note: data.note || null,
+    };
+  }
+
+  /**
+   * 全シーズンを取得（新しい順）
+   * @returns {Promise<Array>}
+   */
+  async findAll() {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(rankingSeasons)
+      .orderBy(desc(rankingSeasons.startDate), desc(rankingSeasons.id));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * IDで取得
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id) {
+    const db = getDb();
+    const rows = await db.select().from(rankingSeasons).where(eq(rankingSeasons.id, id));
+    return this._toSnakeCase(rows[0]);
+  }
+
+  /**
+   * シーズン名で取得
+   * @param {string} season - 例: '2026'
+   * @returns {Promise<Object|null>}
+   */
+  async findBySeason(season) {
+    const db = getDb();
+    const rows = await db.select().from(rankingSeasons).where(eq(rankingSeasons.season, season));
+    return this._toSnakeCase(rows[0]);
+  }
+
+  /**
+   * 新規作成
+   * @param {Object} data - { season, start_date, end_date, points_table, tier_multipliers, note }
+   * @returns {Promise<Object>}
+   */
+  async create(data) {
+    const db = getDb();
+    const [row] = await db.insert(rankingSeasons).values(this._toValues(data)).returning();
+    return this._toSnakeCase(row);
+  }
+
+  /**
+   * IDで更新
+   * @param {number} id
+   * @param {Object} data - { season, start_date, end_date, points_table, tier_multipliers, note }
+   * @returns {Promise<Object|null>}
+   */
+  async update(id, data) {
+    const db = getDb();
+    const [row] = await db
+      .update(rankingSeasons)
+      .set({ ...this._toValues(data), updatedAt: new Date() })
+      .where(eq(rankingSeasons.id, id))
+      .returning();
+    return this._toSnakeCase(row);
+  }
+
+  /**
+   * IDで削除
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async deleteById(id) {
+    const db = getDb();
+    await db.delete(rankingSeasons).where(eq(rankingSeasons.id, id));
+  }
+}
+
+module.exports = RankingSeason;
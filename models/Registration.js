@@ -26,6 +26,7 @@ class Registration {
       province: row.province || '',
       age: row.age || '',
       class_name: row.className || '',
+      class_id: row.classId ?? null,
 
       height: row.height || '',
       weight: row.weight || '',
@@ -118,6 +119,32 @@ class Registration {
     return rows.map(row => this._toResponse(row));
   }
 
+  // クラスマスタのクラスを参照している有効なレコード数
+  async countByClassId(classId) {
+    const db = getDb();
+    const result = await db
+      .select({ count: sql`count(*)` })
+      .from(registrations)
+      .where(and(
+        eq(registrations.classId, parseInt(classId)),
+        eq(registrations.isValid, true)
+      ));
+
+    return parseInt(result[0].count);
+  }
+
+  // クラスマスタの表示名変更を、そのクラスを参照するレコードの class_name に反映
+  async renameClass(classId, className) {
+    const db = getDb();
+    const result = await db
+      .update(registrations)
+      .set({ className, updatedAt: new Date() })
+      .where(eq(registrations.classId, parseInt(classId)))
+      .returning({ id: registrations.id });
+
+    return { updated: result.length };
+  }
+
   // ソフトデリート済みを含む全レコードを返す（UPSERT マッチング用）
   async findByContestNameAll(contestName) {
     const db = getDb();
@@ -319,6 +346,7 @@ class Registration {
         province: data.province || null,
         age: data.age || null,
         className: data.class_name || null,
+        classId: parseInt(data.class_id, 10) || null,
 
         height: data.height || null,
         weight: data.weight || null,
@@ -365,6 +393,7 @@ class Registration {
     if (data.province !== undefined) updateData.province = data.province || null;
     if (data.age !== undefined) updateData.age = data.age || null;
     if (data.class_name !== undefined) updateData.className = data.class_name || null;
+    if (data.class_id !== undefined) updateData.classId = parseInt(data.class_id, 10) || null;
 
     if (data.height !== undefined) updateData.height = data.height || null;
     if (data.weight !== undefined) updateData.weight = data.weight || null;
@@ -543,6 +572,7 @@ class Registration {
           province: normalizedRow['province'] || null,
           age: normalizedRow['age'] || null,
           className: normalizedRow['class_name'] || null,
+          classId: parseInt(normalizedRow['class_id'], 10) || null,
 
           height: normalizedRow['height'] || null,
           weight: normalizedRow['weight'] || null,
@@ -559,7 +589,8 @@ class Registration {
       });
 
       // バルクインサート
-      await db.insert(registrations).values(insertData);
+      const inserted = await db.insert(registrations).values(insertData)
+        .returning({ id: registrations.id });
 
       console.log('Import completed successfully');
 
@@ -568,6 +599,7 @@ class Registration {
         data: {
           total: csvData.length,
           imported: insertData.length,
+          ids: inserted.map(row => row.id),
           contestDate: contestDate,
           contestName: contestName,
         }
@@ -482,7 +482,8 @@ class Score {
       }));
 
       // バルクインサート
-      await db.insert(scores).values(insertData);
+      const inserted = await db.insert(scores).values(insertData)
+        .returning({ id: scores.id });
 
       console.log('Import completed successfully');
 
@@ -491,6 +492,7 @@ class Score {
         data: {
           total: csvData.length,
           imported: insertData.length,
+          ids: inserted.map(row => row.id),
         }
       };
 
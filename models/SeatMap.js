@@ -0,0 +1,173 @@
+const { getDb } = require('../lib/db');
+const { seatMaps, seats, seatGrades } = require('../lib/db/schema');
+const { eq, asc, sql } = require('drizzle-orm');
+
+const CHUNK_SIZE = 500;
+
+/**
+ * 座席表モデル - Neon Postgres / Drizzle ORM版
+ *
+ * 会場の座席（ブロック・列・座席番号・等級・割当不可）と、等級とチケットのバリエーションの対応を管理する。
+ * 座席の定義は utils/seat-map.js の normalizeSeatMapDefinition で検証したものを渡す。
+ */
+class SeatMap {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換
+   * @private
+   */
+  _toSnakeCase(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      name: row.name,
+      note: row.note,
+      seat_count: row.seatCount !== undefined ? Number(row.seatCount) : undefined,
+      created_at: row.createdAt,
+      updated_at: row.updatedAt,
+    };
+  }
+
+  /**
+   * 座席をsnake_caseに変換
+   * @private
+   */
+  _seatToSnakeCase(row) {
+    return {
+      id: row.id,
+      seat_map_id: row.seatMapId,
+      section: row.section,
+      row_label: row.rowLabel,
+      seat_number: row.seatNumber,
+      label: row.label,
+      grade: row.grade,
+      priority: row.priority,
+      is_blocked: row.isBlocked,
+    };
+  }
+
+  /**
+   * 全座席表を取得（座席数つき）
+   */
+  async findAll() {
+    const db = getDb();
+    const rows = await db
+      .select({
+        id: seatMaps.id,
+        name: seatMaps.name,
+        note: seatMaps.note,
+        createdAt: seatMaps.createdAt,
+        updatedAt: seatMaps.updatedAt,
+        seatCount: sql`(SELECT COUNT(*) FROM seats WHERE seats.seat_map_id = ${seatMaps.id})`,
+      })
+      .from(seatMaps)
+      .orderBy(asc(seatMaps.name));
+
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * IDで座席表を取得
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id) {
+    const db = getDb();
+    const rows = await db.select().from(seatMaps).where(eq(seatMaps.id, id));
+    return rows.length > 0 ? this._toSnakeCase(rows[0]) : null;
+  }
+
+  /**
+   * 座席表の座席を取得（優先順位順）
+   * @param {number} seatMapId
+   * @returns {Promise<Array>}
+   */
+  async findSeats(seatMapId) {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(seats)
+      .where(eq(seats.seatMapId, seatMapId))
+      .orderBy(asc(seats.priority));
+    return rows.map(row => this._seatToSnakeCase(row));
+  }
+
+  /**
+   * 座席表の等級とバリエーションの対応を取得
+   * @param {number} seatMapId
+   * @returns {Promise<Array>} [{ grade, variant }]
+   */
+  async findGrades(seatMapId) {
+    const db = getDb();
+    const rows = await db
+      .select({ grade: seatGrades.grade, variant: seatGrades.variant })
+      .from(seatGrades)
+      .where(eq(seatGrades.seatMapId, seatMapId))
+      .orderBy(asc(seatGrades.id));
+    return rows;
+  }
+
+  /**
+   * 座席・等級の対応を登録（既存の座席・対応は削除して置き換える）
+   * @private
+   */
+  async _replaceSeats(seatMapId, seatRows, gradeRows) {
+    const db = getDb();
+    await db.delete(seats).where(eq(seats.seatMapId, seatMapId));
+    await db.delete(seatGrades).where(eq(seatGrades.seatMapId, seatMapId));
+
+    for (let i = 0; i < seatRows.length; i += CHUNK_SIZE) {
+      await db.insert(seats).values(seatRows.slice(i, i + CHUNK_SIZE).map(seat => ({ ...seat, seatMapId })));
+    }
+    if (gradeRows.length > 0) {
+      await db.insert(seatGrades).values(gradeRows.map(grade => ({ ...grade, seatMapId })));
+    }
+  }
+
+  /**
+   * 座席表を作成
+   * @param {Object} data - { name, note, seats, grades }（seats・grades は normalizeSeatMapDefinition の結果）
+   * @returns {Promise<Object>} 作成した座席表
+   */
+  async create(data) {
+    const db = getDb();
+    const [row] = await db
+      .insert(seatMaps)
+      .values({ name: data.name, note: data.note || null })
+      .returning();
+
+    await this._replaceSeats(row.id, data.seats, data.grades);
+    return this._toSnakeCase(row);
+  }
+
+  /**
+   * 座席表を更新（座席・等級の対応はすべて置き換える）
+   * @param {number} id
+   * @param {Object} data - { name, note, seats, grades }
+   * @returns {Promise<Object|null>} 更新した座席表
+   */
+  async update(id, data) {
+    const db = getDb();
+    const [row] = await db
+      .update(seatMaps)
+      .set({ name: data.name, note: data.note || null, updatedAt: new Date() })
+      .where(eq(seatMaps.id, id))
+      .returning();
+    if (!row) return null;
+
+    await this._replaceSeats(id, data.seats, data.grades);
+    return this._toSnakeCase(row);
+  }
+
+  /**
+   * 座席表を削除
+   * @param {number} id
+   */
+  async deleteById(id) {
+    const db = getDb();
+    await db.delete(seats).where(eq(seats.seatMapId, id));
+    await db.delete(seatGrades).where(eq(seatGrades.seatMapId, id));
+    await db.delete(seatMaps).where(eq(seatMaps.id, id));
+  }
+}
+
+module.exports = SeatMap;
@@ -1,8 +1,11 @@
 const { getDb } = require('../lib/db');
 const { tickets, contests } = require('../lib/db/schema');
-const { eq, ne, ilike, and, desc, asc, sql } = require('drizzle-orm');
+const { eq, ne, gt, gte, ilike, and, desc, asc, sql, inArray } = require('drizzle-orm');
 const ShopifyService = require('../services/shopify');
 
+// コンテストエントリーに付く招待チケットの商品名の末尾（'○○大会 招待チケット'）
+const CAMPAIGN_PRODUCT_SUFFIX = ' 招待チケット';
+
 /**
  * チケットモデル - Neon Postgres / Drizzle ORM版
  */
@@ -236,6 +239,19 @@ class Ticket {
     }
   }
 
+  /**
+   * 複数のIDでチケットを取得
+   * @param {Array<number>} ids - チケットID
+   * @returns {Promise<Array>}
+   */
+  async findByIds(ids) {
+    if (!ids || ids.length === 0) return [];
+    const db = getDb();
+    const rows = await db.select().from(tickets)
+      .where(inArray(tickets.id, ids.map(id => parseInt(id, 10))));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
   /**
    * チケットIDで検索（チェックイン用）
    * @param {number} ticketId - 数値ID
@@ -318,6 +334,68 @@ class Ticket {
     }
   }
 
+  /**
+   * 返金されたラインアイテムのチケットを返金数量分だけ無効化（枝番の大きい有効チケットから）
+   * @param {string} lineItemId - LineItem ID
+   * @param {number} quantity - 返金数量
+   * @returns {Promise<Object>} 処理結果 { invalidated }
+   */
+  async invalidateByLineItem(lineItemId, quantity) {
+    try {
+      const db = getDb();
+      const targets = await db
+        .select({ id: tickets.id })
+        .from(tickets)
+        .where(and(
+          eq(tickets.lineItemId, String(lineItemId)),
+          eq(tickets.isUsable, true)
+        ))
+        .orderBy(desc(tickets.itemSubNo))
+        .limit(quantity);
+
+      if (targets.length === 0) {
+        return { success: true, invalidated: 0 };
+      }
+
+      const updated = await db
+        .update(tickets)
+        .set({ isUsable: false, updatedAt: new Date() })
+        .where(inArray(tickets.id, targets.map(t => t.id)))
+        .returning({ id: tickets.id });
+
+      return { success: true, invalidated: updated.length };
+    } catch (error) {
+      console.error('Error in invalidateByLineItem:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * コンテストエントリーに付く招待チケット（line_item_id = 注文番号-LineItemID-枝番）を無効化
+   * @param {string} orderNo - 注文番号
+   * @param {string} lineItemId - コンテストエントリーの LineItem ID
+   * @returns {Promise<Object>} 処理結果 { invalidated }
+   */
+  async invalidateContestEntryTickets(orderNo, lineItemId) {
+    try {
+      const db = getDb();
+      const updated = await db
+        .update(tickets)
+        .set({ isUsable: false, updatedAt: new Date() })
+        .where(and(
+          eq(tickets.orderNo, orderNo),
+          sql`${tickets.lineItemId} LIKE ${`${orderNo}-${lineItemId}-%`}`,
+          eq(tickets.isUsable, true)
+        ))
+        .returning({ id: tickets.id });
+
+      return { success: true, invalidated: updated.length };
+    } catch (error) {
+      console.error('Error in invalidateContestEntryTickets:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * チェックイン実行（is_usableをfalseに更新し、used_atに現在時刻を記録）
    * @param {number} id - チケットID
@@ -327,6 +405,289 @@ class Ticket {
     return this.updateById(id, { is_usable: 'FALSE', used_at: new Date() });
   }
 
+  /**
+   * チェックインを取り消す（指定時刻以降にチェックインされたチケットのみ）
+   * @param {number} id - チケットID
+   * @param {Date} usedAfter - この時刻より前のチェックインは取り消さない
+   * @returns {Promise<Object|null>} 取り消したチケット（対象外の場合はnull）
+   */
+  async undoCheckin(id, usedAfter) {
+    const db = getDb();
+    const [row] = await db
+      .update(tickets)
+      .set({ isUsable: true, usedAt: null, updatedAt: new Date() })
+      .where(and(
+        eq(tickets.id, id),
+        eq(tickets.isUsable, false),
+        gte(tickets.usedAt, usedAfter)
+      ))
+      .returning();
+    return row ? this._toSnakeCase(row) : null;
+  }
+
+  /**
+   * チケットの所有者を変更（未使用・有効で、所有者が変わっていないチケットのみ）
+   * @param {number} id - チケットID
+   * @param {string} fromShopifyId - 現在の所有者
+   * @param {string} toShopifyId - 新しい所有者
+   * @returns {Promise<Object|null>} 更新したチケット（対象外の場合はnull）
+   */
+  async transferOwner(id, fromShopifyId, toShopifyId) {
+    const db = getDb();
+    const [row] = await db
+      .update(tickets)
+      .set({ ownerShopifyId: toShopifyId, updatedAt: new Date() })
+      .where(and(
+        eq(tickets.id, id),
+        eq(tickets.ownerShopifyId, fromShopifyId),
+        eq(tickets.isUsable, true),
+        sql`${tickets.usedAt} IS NULL`
+      ))
+      .returning();
+    return row ? this._toSnakeCase(row) : null;
+  }
+
+  /**
+   * 同じラインアイテムのチケット（枝番違い）を取得（枝番順）
+   * ラインアイテムIDのないチケット（CSVインポート等）は自分自身のみ
+   * @param {Object} ticket - チケット（snake_case）
+   * @returns {Promise<Array>}
+   */
+  async findSiblings(ticket) {
+    if (!ticket.line_item_id) return [ticket];
+    const db = getDb();
+    const rows = await db.select().from(tickets)
+      .where(and(eq(tickets.lineItemId, ticket.line_item_id), eq(tickets.orderNo, ticket.order_no)))
+      .orderBy(asc(tickets.itemSubNo));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * 複数のチケットをまとめてチェックイン（使用可能なチケットのみ）
+   * @param {Array<number>} ids - チケットID
+   * @returns {Promise<Array>} チェックインしたチケット
+   */
+  async checkinMany(ids) {
+    if (!ids || ids.length === 0) return [];
+    const db = getDb();
+    const now = new Date();
+    const rows = await db
+      .update(tickets)
+      .set({ isUsable: false, usedAt: now, updatedAt: now })
+      .where(and(inArray(tickets.id, ids), eq(tickets.isUsable, true)))
+      .returning();
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * オフラインで受付したチケットを受付時刻つきでチェックイン
+   * 既に使用済みの場合は、より早い受付時刻を used_at に残す（先に受付した方を正とする）
+   * used_at が受付時刻と同じ場合は、受け付け済みの受付の再送として扱う
+   * @param {number} id - チケットID
+   * @param {Date} usedAt - 端末での受付時刻
+   * @returns {Promise<Object>} { status: 'checked_in'|'duplicate'|'already_used'|'not_usable'|'not_found', ticket, previousUsedAt }
+   */
+  async checkinAt(id, usedAt) {
+    const db = getDb();
+
+    // 使用可能なチケットのみ更新（オンラインの受付と同時に届いても1回だけ成功する）
+    const [checkedIn] = await db
+      .update(tickets)
+      .set({ isUsable: false, usedAt, updatedAt: new Date() })
+      .where(and(eq(tickets.id, id), eq(tickets.isUsable, true)))
+      .returning();
+    if (checkedIn) {
+      return { status: 'checked_in', ticket: this._toSnakeCase(checkedIn), previousUsedAt: null };
+    }
+
+    const [row] = await db.select().from(tickets).where(eq(tickets.id, id));
+    if (!row) {
+      return { status: 'not_found', ticket: null, previousUsedAt: null };
+    }
+    // 使用日時がない無効チケット（返金など）は受付できない
+    if (!row.usedAt) {
+      return { status: 'not_usable', ticket: this._toSnakeCase(row), previousUsedAt: null };
+    }
+    if (usedAt.getTime() === row.usedAt.getTime()) {
+      return { status: 'duplicate', ticket: this._toSnakeCase(row), previousUsedAt: null };
+    }
+
+    if (usedAt < row.usedAt) {
+      const [updated] = await db
+        .update(tickets)
+        .set({ usedAt, updatedAt: new Date() })
+        .where(and(eq(tickets.id, id), gt(tickets.usedAt, usedAt)))
+        .returning();
+      if (updated) {
+        return { status: 'checked_in', ticket: this._toSnakeCase(updated), previousUsedAt: row.usedAt };
+      }
+    }
+
+    return { status: 'already_used', ticket: this._toSnakeCase(row), previousUsedAt: null };
+  }
+
+  /**
+   * 大会の商品名・バリエーション別の販売数と入場数
+   * 販売数には返金などで無効になったチケット（使用日時なし）を含めない
+   * @param {string} contestName - 大会名（タグで絞り込み）
+   * @returns {Promise<Array>} [{ product_name, variant, sold, admitted }]
+   */
+  async getAdmissionStats(contestName) {
+    const db = getDb();
+    const rows = await db
+      .select({
+        productName: tickets.productName,
+        variant: tickets.variant,
+        sold: sql`COUNT(*) FILTER (WHERE ${tickets.isUsable} = true OR ${tickets.usedAt} IS NOT NULL)`,
+        admitted: sql`COUNT(*) FILTER (WHERE ${tickets.isUsable} = false AND ${tickets.usedAt} IS NOT NULL)`,
+      })
+      .from(tickets)
+      .where(this._contestCondition(contestName))
+      .groupBy(tickets.productName, tickets.variant)
+      .orderBy(tickets.productName, tickets.variant);
+
+    return rows.map(row => ({
+      product_name: row.productName,
+      variant: row.variant,
+      sold: Number(row.sold),
+      admitted: Number(row.admitted),
+    }));
+  }
+
+  /**
+   * 大会のバリエーション別の発券数（定員レポート用）
+   * 返金などで無効になったチケット（使用日時なし）は含めない。
+   * 招待チケット（コンテストエントリーに付くチケット）は campaign として別に集計する
+   * @param {string} contestName - 大会名（タグで絞り込み）
+   * @returns {Promise<Array>} [{ variant, issued, campaign }]
+   */
+  async getCapacityCounts(contestName) {
+    const db = getDb();
+    const isCampaign = sql`${tickets.productName} LIKE ${'%' + CAMPAIGN_PRODUCT_SUFFIX}`;
+    const rows = await db
+      .select({
+        variant: tickets.variant,
+        issued: sql`COUNT(*) FILTER (WHERE NOT (${isCampaign}))`,
+        campaign: sql`COUNT(*) FILTER (WHERE ${isCampaign})`,
+      })
+      .from(tickets)
+      .where(and(
+        sql`(${tickets.isUsable} = true OR ${tickets.usedAt} IS NOT NULL)`,
+        this._contestCondition(contestName)
+      ))
+      .groupBy(tickets.variant)
+      .orderBy(tickets.variant);
+
+    return rows.map(row => ({
+      variant: row.variant || '',
+      issued: Number(row.issued),
+      campaign: Number(row.campaign),
+    }));
+  }
+
+  /**
+   * 注文番号でチケットを取得
+   * @param {string} orderNo - 注文番号
+   * @returns {Promise<Array>}
+   */
+  async findByOrderNo(orderNo) {
+    const db = getDb();
+    const rows = await db.select().from(tickets)
+      .where(eq(tickets.orderNo, orderNo))
+      .orderBy(asc(tickets.id));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * 大会の時間帯別の入場数（使用日時で集計）
+   * @param {string} contestName - 大会名（タグで絞り込み）
+   * @param {number} bucketMinutes - 集計単位（分）
+   * @returns {Promise<Array>} [{ bucket_start, count }]
+   */
+  async getArrivals(contestName, bucketMinutes = 5) {
+    const db = getDb();
+    // GROUP BY と同じ式にするため、秒数はパラメータではなく直接埋め込む
+    const seconds = sql.raw(String(parseInt(bucketMinutes, 10) * 60));
+    const bucket = sql`FLOOR(EXTRACT(EPOCH FROM ${tickets.usedAt}) / ${seconds}) * ${seconds}`;
+    const rows = await db
+      .select({ bucket, count: sql`COUNT(*)` })
+      .from(tickets)
+      .where(and(
+        eq(tickets.isUsable, false),
+        sql`${tickets.usedAt} IS NOT NULL`,
+        this._contestCondition(contestName)
+      ))
+      .groupBy(bucket)
+      .orderBy(bucket);
+
+    return rows.map(row => ({
+      bucket_start: new Date(Number(row.bucket) * 1000),
+      count: Number(row.count),
+    }));
+  }
+
+  /**
+   * 大会の絞り込み条件（tag1〜tag10のいずれかが大会名と一致）
+   * @private
+   */
+  _contestCondition(contestName) {
+    return sql`(
+      LOWER(${tickets.tag1}) = LOWER(${contestName}) OR LOWER(${tickets.tag2}) = LOWER(${contestName}) OR
+      LOWER(${tickets.tag3}) = LOWER(${contestName}) OR LOWER(${tickets.tag4}) = LOWER(${contestName}) OR
+      LOWER(${tickets.tag5}) = LOWER(${contestName}) OR LOWER(${tickets.tag6}) = LOWER(${contestName}) OR
+      LOWER(${tickets.tag7}) = LOWER(${contestName}) OR LOWER(${tickets.tag8}) = LOWER(${contestName}) OR
+      LOWER(${tickets.tag9}) = LOWER(${contestName}) OR LOWER(${tickets.tag10}) = LOWER(${contestName})
+    )`;
+  }
+
+  /**
+   * 大会のチケット一覧（オフライン受付用）
+   * @param {string} contestName - 大会名（タグで絞り込み）
+   * @returns {Promise<Array>} [{ id, order_no, product_name, variant, reserved_seat, is_usable, used_at }]
+   */
+  async findManifest(contestName) {
+    const db = getDb();
+    const rows = await db
+      .select({
+        id: tickets.id,
+        orderNo: tickets.orderNo,
+        productName: tickets.productName,
+        variant: tickets.variant,
+        reservedSeat: tickets.reservedSeat,
+        isUsable: tickets.isUsable,
+        usedAt: tickets.usedAt,
+      })
+      .from(tickets)
+      .where(this._contestCondition(contestName))
+      .orderBy(asc(tickets.id));
+
+    return rows.map(row => ({
+      id: row.id,
+      order_no: row.orderNo,
+      product_name: row.productName,
+      variant: row.variant,
+      reserved_seat: row.reservedSeat,
+      is_usable: row.isUsable,
+      used_at: row.usedAt,
+    }));
+  }
+
+  /**
+   * 使用可能なチケットを取得（チェックインコードの再発行用）
+   * @param {string} [contestName] - 大会名（省略時はすべての大会）
+   * @returns {Promise<Array>}
+   */
+  async findUsable(contestName) {
+    const db = getDb();
+    const conditions = [eq(tickets.isUsable, true)];
+    if (contestName) conditions.push(this._contestCondition(contestName));
+
+    const rows = await db.select().from(tickets)
+      .where(and(...conditions))
+      .orderBy(asc(tickets.id));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
   /**
    * ShopifyからインポートしたデータをDBに書き込む
    * @param {Array<object>} ticketsData - チケットデータ配列
@@ -603,7 +964,7 @@ class Ticket {
       const seenContests = new Set();
       const uniqueContestItems = [];
       for (const item of contestItems) {
-        const productName = (item.title || '').replace(/コンテストエントリー.*$/, '').trim() + ' 招待チケット';
+        const productName = (item.title || '').replace(/コンテストエントリー.*$/, '').trim() + CAMPAIGN_PRODUCT_SUFFIX;
         if (!seenContests.has(productName)) {
           seenContests.add(productName);
           uniqueContestItems.push(item);
@@ -632,7 +993,7 @@ class Ticket {
       );
 
       const filteredContestItems = uniqueContestItems.filter(item => {
-        const productName = (item.title || '').replace(/コンテストエントリー.*$/, '').trim() + ' 招待チケット';
+        const productName = (item.title || '').replace(/コンテストエントリー.*$/, '').trim() + CAMPAIGN_PRODUCT_SUFFIX;
         if (contestsWithExistingTickets.has(productName)) {
           console.log(`[upsertContestEntryTickets] Order ${orderNo}: skipping "${productName}" - customer ${shopifyId} already has tickets from another order`);
           return false;
@@ -644,7 +1005,7 @@ class Ticket {
       const ticketDataArray = [];
       for (const item of filteredContestItems) {
         const contestName = (item.title || '').replace(/コンテストエントリー.*$/, '').trim();
-        const productName = contestName + ' 招待チケット';
+        const productName = contestName + CAMPAIGN_PRODUCT_SUFFIX;
         const contestTags = ['2026シーズン', contestName, '観戦チケット'];
 
         // contestsテーブルからcampaign枚数を取得
@@ -1001,13 +1362,15 @@ class Ticket {
 
       console.log(`[Ticket.batchInsertFromCsv] Inserting: ${insertValues.length}, skipped: ${skipped}`);
 
+      const ids = [];
       for (let i = 0; i < insertValues.length; i += CHUNK_SIZE) {
         const chunk = insertValues.slice(i, i + CHUNK_SIZE);
-        await db.insert(tickets).values(chunk);
+        const inserted = await db.insert(tickets).values(chunk).returning({ id: tickets.id });
+        ids.push(...inserted.map(row => row.id));
       }
 
       console.log(`[Ticket.batchInsertFromCsv] Done: inserted=${insertValues.length}, skipped=${skipped}`);
-      return { success: true, inserted: insertValues.length, skipped };
+      return { success: true, inserted: insertValues.length, skipped, ids };
     } catch (error) {
       console.error('Ticket batchInsertFromCsv error:', error);
       return { success: false, error: error.message };
@@ -0,0 +1,81 @@
+const { getDb } = require('../lib/db');
+const { ticketTransfers } = require('../lib/db/schema');
+const { eq, desc, inArray } = require('drizzle-orm');
+
+/**
+ * チケット譲渡履歴モデル - Neon Postgres / Drizzle ORM版
+ *
+ * 会員間でチケットの所有者（owner_shopify_id）を変更した記録。
+ */
+class TicketTransfer {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換
+   * @private
+   */
+  _toSnakeCase(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      ticket_id: row.ticketId,
+      from_shopify_id: row.fromShopifyId,
+      to_shopify_id: row.toShopifyId,
+      to_email: row.toEmail,
+      note: row.note,
+      staff_email: row.staffEmail,
+      created_at: row.createdAt,
+    };
+  }
+
+  /**
+   * 譲渡を記録
+   * @param {Object} data - { ticket_id, from_shopify_id, to_shopify_id, to_email, note, staff_email }
+   * @returns {Promise<Object>} 記録した譲渡履歴
+   */
+  async create(data) {
+    const db = getDb();
+    const [row] = await db
+      .insert(ticketTransfers)
+      .values({
+        ticketId: data.ticket_id,
+        fromShopifyId: data.from_shopify_id,
+        toShopifyId: data.to_shopify_id,
+        toEmail: data.to_email || null,
+        note: data.note || null,
+        staffEmail: data.staff_email || null,
+      })
+      .returning();
+    return this._toSnakeCase(row);
+  }
+
+  /**
+   * チケットの譲渡履歴を取得（新しい順）
+   * @param {number} ticketId - チケットID
+   * @returns {Promise<Array>}
+   */
+  async findByTicketId(ticketId) {
+    const db = getDb();
+    const rows = await db
+      .select()
+      .from(ticketTransfers)
+      .where(eq(ticketTransfers.ticketId, ticketId))
+      .orderBy(desc(ticketTransfers.createdAt), desc(ticketTransfers.id));
+    return rows.map(row => this._toSnakeCase(row));
+  }
+
+  /**
+   * 譲渡されたことのあるチケットIDを取得
+   * @param {Array<number>} ticketIds - チケットID
+   * @returns {Promise<Set<number>>}
+   */
+  async findTransferredTicketIds(ticketIds) {
+    if (!ticketIds || ticketIds.length === 0) return new Set();
+    const db = getDb();
+    const rows = await db
+      .selectDistinct({ ticketId: ticketTransfers.ticketId })
+      .from(ticketTransfers)
+      .where(inArray(ticketTransfers.ticketId, ticketIds));
+    return new Set(rows.map(row => row.ticketId));
+  }
+}
+
+module.exports = TicketTransfer;
@@ -0,0 +1,162 @@
+const { getDb } = require('../lib/db');
+const { webhookEvents } = require('../lib/db/schema');
+const { eq, and, or, desc, inArray, lt, sql } = require('drizzle-orm');
+
+// この時間を過ぎても processing のままのイベントは、処理が中断されたとみなして再処理を許可する
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Webhookイベントモデル - Neon Postgres / Drizzle ORM版
+ *
+ * Shopify Webhookの受信ごとに X-Shopify-Webhook-Id・トピック・ペイロード・処理結果を記録する。
+ * 再送された同じイベントは処理済みであればスキップし、失敗したイベントは後から再実行できる。
+ */
+class WebhookEvent {
+  /**
+   * DBのcamelCaseをAPI用のsnake_caseに変換
+   * @private
+   */
+  _toSnakeCase(row, includePayload = false) {
+    if (!row) return null;
+    const data = {
+      id: row.id,
+      webhook_id: row.webhookId,
+      topic: row.topic,
+      status: row.status,
+      error: row.error,
+      result: row.result ? JSON.parse(row.result) : null,
+      attempts: row.attempts,
+      processed_at: row.processedAt,
+      created_at: row.createdAt,
+      updated_at: row.updatedAt,
+    };
+    if (includePayload) {
+      data.payload = JSON.parse(row.payload);
+    }
+    return data;
+  }
+
+  /**
+   * 受信したWebhookを記録（同じ webhookId が記録済みならその行を返す）
+   * @param {string|null} webhookId - X-Shopify-Webhook-Id
+   * @param {string} topic
+   * @param {string} payload - 受信したJSON文字列
+   * @returns {Promise<Object>} DBの行
+   */
+  async receive(webhookId, topic, payload) {
+    const db = getDb();
+    const [inserted] = await db
+      .insert(webhookEvents)
+      .values({ webhookId: webhookId || null, topic, payload })
+      .onConflictDoNothing({ target: webhookEvents.webhookId })
+      .returning();
+
+    if (inserted) return inserted;
+
+    const [existing] = await db
+      .select()
+      .from(webhookEvents)
+      .where(eq(webhookEvents.webhookId, webhookId));
+    return existing;
+  }
+
+  /**
+   * イベントを処理中にする（未処理・失敗・中断されたイベントのみ）
+   * 同じイベントの再送が同時に届いても、処理するのは1回だけになる
+   * @param {number} id
+   * @returns {Promise<Object|null>} 処理中にした行（処理済み・処理中の場合はnull）
+   */
+  async claim(id) {
+    const db = getDb();
+    const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+    const [row] = await db
+      .update(webhookEvents)
+      .set({
+        status: 'processing',
+        attempts: sql`${webhookEvents.attempts} + 1`,
+        updatedAt: new Date(),
+      })
+      .where(and(
+        eq(webhookEvents.id, id),
+        or(
+          inArray(webhookEvents.status, ['received', 'failed']),
+          and(eq(webhookEvents.status, 'processing'), lt(webhookEvents.updatedAt, staleBefore))
+        )
+      ))
+      .returning();
+
+    return row || null;
+  }
+
+  /**
+   * 処理成功を記録
+   * @param {number} id
+   * @param {Object} result - ハンドラーの戻り値
+   */
+  async markProcessed(id, result) {
+    const db = getDb();
+    const now = new Date();
+    await db
+      .update(webhookEvents)
+      .set({
+        status: 'processed',
+        error: null,
+        result: JSON.stringify(result ?? null),
+        processedAt: now,
+        updatedAt: now,
+      })
+      .where(eq(webhookEvents.id, id));
+  }
+
+  /**
+   * 処理失敗を記録
+   * @param {number} id
+   * @param {string} error - エラーメッセージ
+   */
+  async markFailed(id, error) {
+    const db = getDb();
+    await db
+      .update(webhookEvents)
+      .set({
+        status: 'failed',
+        error,
+        updatedAt: new Date(),
+      })
+      .where(eq(webhookEvents.id, id));
+  }
+
+  /**
+   * IDでイベントを取得（ペイロードを含む）
+   * @param {number} id
+   */
+  async findById(id) {
+    const db = getDb();
+    const [row] = await db
+      .select()
+      .from(webhookEvents)
+      .where(eq(webhookEvents.id, parseInt(id, 10)));
+    return row ? this._toSnakeCase(row, true) : null;
+  }
+
+  /**
+   * イベント一覧を取得（新しい順、ペイロードは含まない）
+   * @param {Object} filters - { status, topic }
+   * @param {number} limit
+   */
+  async findAll(filters = {}, limit = 100) {
+    const db = getDb();
+    const conditions = [];
+    if (filters.status) conditions.push(eq(webhookEvents.status, filters.status));
+    if (filters.topic) conditions.push(eq(webhookEvents.topic, filters.topic));
+
+    let query = db.select().from(webhookEvents);
+    if (conditions.length > 0) {
+      query = query.where(and(...conditions));
+    }
+    const rows = await query.orderBy(desc(webhookEvents.id)).limit(limit);
+
+    return rows.map(row => this._toSnakeCase(row));
+  }
+}
+
+module.exports = WebhookEvent;
@@ -0,0 +1,304 @@
+// JWT管理ユーティリティ
+const AuthToken = {
+    get() {
+        return localStorage.getItem('authToken');
+    },
+    set(token) {
+        localStorage.setItem('authToken', token);
+    },
+    remove() {
+        localStorage.removeItem('authToken');
+    },
+    getHeaders() {
+        const token = this.get();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+};
+
+// 認証付きfetch関数
+async function authFetch(url, options = {}) {
+    const authHeaders = AuthToken.getHeaders();
+
+    const defaultOptions = {
+        headers: {
+            'Content-Type': 'application/json',
+            ...authHeaders,
+            ...(options.headers || {})
+        },
+        credentials: 'include'
+    };
+
+    const mergedOptions = { ...defaultOptions, ...options };
+
+    return fetch(url, mergedOptions);
+}
+
+class AthleteProfilePage {
+    // FWJ会員情報に表示する項目
+    static MEMBER_FIELDS = {
+        fwj_card_no: 'FWJカード番号',
+        fwj_effectivedate: '有効日',
+        fwj_sex: '性別',
+        fwj_birthday: '生年月日',
+        fwj_nationality: '国籍',
+        fwj_height: '身長',
+        fwj_weight: '体重',
+        email: 'メールアドレス',
+        phone: '電話番号',
+        shopify_id: 'Shopify ID',
+    };
+
+    constructor() {
+        this.apiUrl = '/api/athletes';
+        this.currentUser = null;
+        this.isAdmin = false;
+        this.init();
+    }
+
+    async init() {
+        await this.checkAuthStatus();
+        this.bindEvents();
+
+        // /athletes?fwj=12345 で直接開けるようにする
+        const fwjCardNo = new URLSearchParams(window.location.search).get('fwj');
+        if (this.currentUser && fwjCardNo) {
+            document.getElementById('fwjCardInput').value = fwjCardNo;
+            await this.loadProfile(fwjCardNo);
+        }
+    }
+
+    async checkAuthStatus() {
+        try {
+            const response = await authFetch('/api/auth/status');
+            const result = await response.json();
+
+            if (!result.isAuthenticated) {
+                AuthToken.remove();
+                window.location.href = '/';
+                return;
+            }
+
+            this.currentUser = result.user;
+            this.isAdmin = result.user.role === 'admin';
+
+            const displayName = result.user.name || result.user.username || result.user.email || 'Unknown';
+
+            document.getElementById('userName').textContent = displayName;
+            document.getElementById('userRole').textContent = result.user.role === 'admin' ? '管理者' : 'ユーザー';
+            document.getElementById('userAvatar').textContent = displayName.charAt(0).toUpperCase();
+            document.getElementById('authHeader').style.display = 'flex';
+
+            // 管理者の場合、admin-only要素を表示
+            if (this.isAdmin && typeof showAdminOnlyElements === 'function') {
+                showAdminOnlyElements();
+            }
+        } catch (error) {
+            console.error('Auth check failed:', error);
+            AuthToken.remove();
+            window.location.href = '/';
+        }
+    }
+
+    bindEvents() {
+        document.getElementById('searchBtn').addEventListener('click', () => {
+            this.search();
+        });
+        document.getElementById('fwjCardInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.search();
+            }
+        });
+
+        // ログアウト
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            this.logout();
+        });
+    }
+
+    // 入力したFWJカード番号で表示し、URLにも反映する（リロード・共有用）
+    async search() {
+        const fwjCardNo = document.getElementById('fwjCardInput').value.trim();
+        if (!fwjCardNo) {
+            this.showMessage('FWJカード番号を入力してください');
+            return;
+        }
+        history.replaceState(null, '', `?fwj=${encodeURIComponent(fwjCardNo)}`);
+        await this.loadProfile(fwjCardNo);
+    }
+
+    showMessage(message) {
+        const messageEl = document.getElementById('athleteMessage');
+        messageEl.textContent = message;
+        messageEl.classList.remove('hidden');
+        document.getElementById('athleteProfile').classList.add('hidden');
+    }
+
+    async loadProfile(fwjCardNo) {
+        try {
+            const response = await authFetch(`${this.apiUrl}/${encodeURIComponent(fwjCardNo)}`);
+            const result = await response.json();
+            if (!result.success) {
+                this.showMessage(result.error);
+                return;
+            }
+
+            document.getElementById('athleteMessage').classList.add('hidden');
+            this.renderProfile(result.data);
+            document.getElementById('athleteProfile').classList.remove('hidden');
+        } catch (error) {
+            console.error('Athlete profile loading failed:', error);
+            this.showNotification('選手プロフィールの読み込みに失敗しました', 'error');
+        }
+    }
+
+    renderProfile(profile) {
+        const { name, summary } = profile;
+        document.title = `${name.name_ja || profile.fwj_card_no} - 選手プロフィール`;
+        document.getElementById('athleteName').textContent = `${name.name_ja || '(氏名なし)'}（FWJ ${profile.fwj_card_no}）`;
+        document.getElementById('athleteSubName').textContent =
+            [name.name_ja_kana, [name.first_name, name.last_name].filter(Boolean).join(' ')].filter(Boolean).join(' / ');
+
+        // 違反認定者の場合は目立つように表示
+        const violation = document.getElementById('athleteViolation');
+        if (profile.subject) {
+            violation.textContent = `違反認定者です${profile.subject.note ? `: ${profile.subject.note}` : ''}`;
+            violation.classList.remove('hidden');
+        } else {
+            violation.classList.add('hidden');
+        }
+
+        document.getElementById('statContests').textContent = summary.contests;
+        document.getElementById('statEntries').textContent = summary.entries;
+        document.getElementById('statWins').textContent = summary.wins;
+        document.getElementById('statBestPlacing').textContent = summary.best_placing ? `${summary.best_placing}位` : '-';
+        document.getElementById('statNotes').textContent = summary.notes;
+
+        this.renderMember(profile.member);
+        this.renderContests(profile.contests);
+        this.renderTimeline(profile.timeline);
+    }
+
+    renderMember(member) {
+        const container = document.getElementById('memberContainer');
+        if (!member) {
+            container.innerHTML = '<p class="no-data">FWJ会員情報が見つかりません（Shopifyから同期されていない可能性があります）</p>';
+            return;
+        }
+
+        const rows = Object.entries(AthleteProfilePage.MEMBER_FIELDS).map(([key, label]) => `
+            <tr>
+                <th>${label}</th>
+                <td>${this.escapeHtml(member[key] || '')}</td>
+            </tr>
+        `).join('');
+        container.innerHTML = `<table class="data-table athlete-member-table"><tbody>${rows}</tbody></table>`;
+    }
+
+    renderContests(contests) {
+        const container = document.getElementById('contestsContainer');
+        if (contests.length === 0) {
+            container.innerHTML = '<p class="no-data">出場歴がありません</p>';
+            return;
+        }
+
+        const rows = contests.map(contest => {
+            const classes = contest.classes
+                .map(c => `${this.escapeHtml(c.class_name)}${c.player_no ? `（No.${this.escapeHtml(c.player_no)}）` : ''}`)
+                .join('<br>');
+            const placings = contest.placings
+                .map(p => `${this.escapeHtml(p.category_name)}: <strong>${this.escapeHtml(p.placing || '-')}</strong>`)
+                .join('<br>');
+            const notes = contest.notes
+                .map(n => `${this.escapeHtml(n.type)}${n.note ? `: ${this.escapeHtml(n.note)}` : ''}`)
+                .join('<br>');
+            return `
+                <tr>
+                    <td>${this.escapeHtml(contest.contest_date)}</td>
+                    <td>${this.escapeHtml(contest.contest_name)}</td>
+                    <td>${classes || '-'}</td>
+                    <td>${placings || '-'}</td>
+                    <td>${notes || '-'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>開催日</th>
+                        <th>大会名</th>
+                        <th>出場クラス</th>
+                        <th>成績</th>
+                        <th>特記事項</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderTimeline(timeline) {
+        const container = document.getElementById('timelineContainer');
+        if (timeline.length === 0) {
+            container.innerHTML = '<p class="no-data">記録がありません</p>';
+            return;
+        }
+
+        const rows = timeline.map(event => `
+            <tr>
+                <td>${this.escapeHtml(String(event.date || '').slice(0, 10))}</td>
+                <td><span class="timeline-type ${event.type}">${this.escapeHtml(event.type_label)}</span></td>
+                <td>${this.escapeHtml(event.contest_name || '')}</td>
+                <td>${this.escapeHtml(event.title || '')}</td>
+                <td>${this.escapeHtml(event.detail || '')}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>日付</th>
+                        <th>種類</th>
+                        <th>大会名</th>
+                        <th>内容</th>
+                        <th>詳細</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.getElementById('notification');
+        notification.textContent = message;
+        notification.className = `notification ${type}`;
+        notification.classList.remove('hidden');
+
+        setTimeout(() => {
+            notification.classList.add('hidden');
+        }, 5000);
+    }
+
+    async logout() {
+        try {
+            await authFetch('/api/auth/logout', {
+                method: 'POST'
+            });
+        } catch (error) {
+            console.error('Logout failed:', error);
+        }
+        AuthToken.remove();
+        window.location.href = '/';
+    }
+}
+
+const athleteProfilePage = new AthleteProfilePage();
@@ -0,0 +1,108 @@
+/**
+ * 変更履歴パネル - 全画面共通ユーティリティ
+ *
+ * 使い方:
+ * 1. HTMLに <script src="audit-history.js"></script> を追加
+ * 2. AuditHistory.open('registrations', id) を呼び出す（idを省略するとテーブル全体の履歴）
+ */
+const AuditHistory = {
+    ACTION_LABELS: {
+        create: '作成',
+        update: '更新',
+        soft_delete: '削除',
+        restore: '復元',
+        delete: '完全削除',
+        undo_checkin: 'チェックイン取消',
+        transfer: '譲渡',
+    },
+
+    /**
+     * 変更履歴モーダルを表示
+     * @param {string} entity - テーブル名（例: 'registrations'）
+     * @param {number|string} [id] - レコードID
+     * @param {string} [title] - モーダルの見出しに表示する名前
+     */
+    async open(entity, id, title) {
+        const modal = this.getModal();
+        document.getElementById('auditHistoryTitle').textContent =
+            title ? `変更履歴: ${title}` : '変更履歴';
+        modal.classList.remove('hidden');
+
+        const list = document.getElementById('auditHistoryList');
+        list.textContent = '読み込み中...';
+
+        try {
+            const params = new URLSearchParams({ entity });
+            if (id !== undefined && id !== null) params.set('id', id);
+
+            const response = await authFetch(`/api/audit?${params}`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.render(result.data, id === undefined || id === null);
+        } catch (error) {
+            list.textContent = `読み込みに失敗しました: ${error.message}`;
+        }
+    },
+
+    close() {
+        this.getModal().classList.add('hidden');
+    },
+
+    getModal() {
+        let modal = document.getElementById('auditHistoryModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'auditHistoryModal';
+        modal.className = 'modal hidden';
+        modal.innerHTML = `
+            <div class="modal-content audit-history-content">
+                <div class="modal-header">
+                    <h2 id="auditHistoryTitle">変更履歴</h2>
+                    <button class="modal-close" onclick="AuditHistory.close()">&times;</button>
+                </div>
+                <div class="modal-form">
+                    <div id="auditHistoryList"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        return modal;
+    },
+
+    render(logs, showEntityId) {
+        const list = document.getElementById('auditHistoryList');
+        list.innerHTML = '';
+
+        if (logs.length === 0) {
+            list.textContent = '変更履歴はありません';
+            return;
+        }
+
+        logs.forEach(log => {
+            const entry = document.createElement('div');
+            entry.className = 'audit-history-entry';
+
+            const header = document.createElement('div');
+            header.className = 'audit-history-header';
+            const target = showEntityId ? ` #${log.entity_id}` : '';
+            header.textContent = `${new Date(log.created_at).toLocaleString('ja-JP')} ${this.ACTION_LABELS[log.action] || log.action}${target} - ${log.actor_email || '不明'}`;
+            header.title = `${log.request_path || ''} ${log.origin_ip || ''}`.trim();
+            entry.appendChild(header);
+
+            const fields = Object.entries(log.changes || {});
+            if (fields.length > 0) {
+                const changes = document.createElement('ul');
+                fields.forEach(([field, { from, to }]) => {
+                    const li = document.createElement('li');
+                    li.textContent = `${field}: ${from ?? '（空）'} → ${to ?? '（空）'}`;
+                    changes.appendChild(li);
+                });
+                entry.appendChild(changes);
+            }
+
+            list.appendChild(entry);
+        });
+    }
+};
@@ -0,0 +1,361 @@
+// JWT管理ユーティリティ
+const AuthToken = {
+    get() {
+        return localStorage.getItem('authToken');
+    },
+    set(token) {
+        localStorage.setItem('authToken', token);
+    },
+    remove() {
+        localStorage.removeItem('authToken');
+    },
+    getHeaders() {
+        const token = this.get();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+};
+
+// 認証付きfetch関数
+async function authFetch(url, options = {}) {
+    const authHeaders = AuthToken.getHeaders();
+
+    const defaultOptions = {
+        headers: {
+            'Content-Type': 'application/json',
+            ...authHeaders,
+            ...(options.headers || {})
+        },
+        credentials: 'include'
+    };
+
+    const mergedOptions = { ...defaultOptions, ...options };
+
+    return fetch(url, mergedOptions);
+}
+
+class CheckinDashboard {
+    static RESULT_LABELS = {
+        accepted: '受付',
+        duplicate: '再送',
+        already_used: '使用済み',
+        not_usable: '無効チケット',
+        invalid_signature: '無効なコード',
+        stale_code: '期限切れコード',
+        clock_skew: '時刻ずれ',
+        retired_key: '失効した鍵',
+        transferred_code: '譲渡前のコード',
+        not_found: '該当なし',
+        invalid_request: '入力エラー',
+        error: 'エラー',
+    };
+
+    static ACTION_LABELS = {
+        verify: '確認',
+        checkin: '受付',
+        batch: 'オフライン',
+        group: 'グループ',
+        undo: '取消',
+    };
+
+    // 受付ログに表示する最大件数
+    static MAX_FEED_ITEMS = 100;
+
+    // 時間帯別入場数に表示する最大件数（直近の時間帯のみ表示）
+    static MAX_ARRIVAL_BUCKETS = 36;
+
+    constructor() {
+        this.apiUrl = '/api/checkin';
+        this.currentUser = null;
+        this.isAdmin = false;
+        this.contestName = '';
+        this.eventSource = null;
+        this.reloadTimer = null;
+        this.init();
+    }
+
+    async init() {
+        await this.checkAuthStatus();
+        this.bindEvents();
+        if (this.currentUser) {
+            await this.loadContests();
+        }
+    }
+
+    async checkAuthStatus() {
+        try {
+            const response = await authFetch('/api/auth/status');
+            const result = await response.json();
+
+            if (!result.isAuthenticated) {
+                AuthToken.remove();
+                window.location.href = '/';
+                return;
+            }
+
+            this.currentUser = result.user;
+            this.isAdmin = result.user.role === 'admin';
+
+            const displayName = result.user.name || result.user.username || result.user.email || 'Unknown';
+
+            document.getElementById('userName').textContent = displayName;
+            document.getElementById('userRole').textContent = result.user.role === 'admin' ? '管理者' : 'ユーザー';
+            document.getElementById('userAvatar').textContent = displayName.charAt(0).toUpperCase();
+            document.getElementById('authHeader').style.display = 'flex';
+
+            // 管理者の場合、admin-only要素を表示
+            if (this.isAdmin && typeof showAdminOnlyElements === 'function') {
+                showAdminOnlyElements();
+            }
+        } catch (error) {
+            console.error('Auth check failed:', error);
+            AuthToken.remove();
+            window.location.href = '/';
+        }
+    }
+
+    bindEvents() {
+        document.getElementById('contestFilter').addEventListener('change', (e) => {
+            this.selectContest(e.target.value);
+        });
+
+        // ログアウト
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            this.logout();
+        });
+    }
+
+    async loadContests() {
+        try {
+            const response = await authFetch('/api/tickets/filter-options');
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            const contestFilter = document.getElementById('contestFilter');
+            result.data.contestNames.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                contestFilter.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Load contests error:', error);
+            this.showNotification('大会名の取得に失敗しました', 'error');
+        }
+    }
+
+    selectContest(contestName) {
+        this.contestName = contestName;
+        document.getElementById('scanFeed').innerHTML = '';
+        this.disconnect();
+
+        if (!contestName) {
+            this.setStreamStatus('未接続');
+            return;
+        }
+
+        this.loadDashboard();
+        this.connect();
+    }
+
+    // ====== リアルタイム配信 ======
+
+    connect() {
+        // EventSourceはヘッダーを設定できないため、トークンはクエリで渡す
+        const params = new URLSearchParams({ contest: this.contestName });
+        const token = AuthToken.get();
+        if (token) params.set('token', token);
+
+        this.eventSource = new EventSource(`${this.apiUrl}/stream?${params.toString()}`, { withCredentials: true });
+        this.eventSource.onopen = () => this.setStreamStatus('接続中', 'connected');
+        this.eventSource.onerror = () => this.setStreamStatus('再接続中...', 'reconnecting');
+        this.eventSource.addEventListener('scan', (e) => {
+            this.addScan(JSON.parse(e.data));
+            this.scheduleReload();
+        });
+    }
+
+    disconnect() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    setStreamStatus(text, state = '') {
+        const el = document.getElementById('streamStatus');
+        el.textContent = text;
+        el.className = `stream-status ${state}`;
+    }
+
+    // 受付が続けて届いた場合はまとめて集計を再取得する
+    scheduleReload() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.loadDashboard(), 2000);
+    }
+
+    addScan(scan) {
+        const feed = document.getElementById('scanFeed');
+        const item = document.createElement('div');
+        item.className = `scan-item ${scan.result === 'accepted' ? 'accepted' : 'rejected'}`;
+
+        const time = new Date(scan.scanned_at).toLocaleTimeString('ja-JP');
+        const action = CheckinDashboard.ACTION_LABELS[scan.action] || scan.action;
+        const result = CheckinDashboard.RESULT_LABELS[scan.result] || scan.result;
+        let ticket = scan.code || '';
+        if (scan.order_no) {
+            ticket = `${scan.order_no} ${scan.product_name} ${scan.variant}`;
+        } else if (scan.guest_name) {
+            ticket = `ゲスト ${[scan.company_ja, scan.guest_name].filter(Boolean).join(' ')}`;
+        }
+        const gate = scan.gate ? `[${scan.gate}]` : '';
+        item.textContent = `${time} ${gate} ${action}: ${result} - ${ticket}`;
+
+        feed.prepend(item);
+        while (feed.children.length > CheckinDashboard.MAX_FEED_ITEMS) {
+            feed.lastChild.remove();
+        }
+    }
+
+    // ====== 集計 ======
+
+    async loadDashboard() {
+        const contestName = this.contestName;
+        try {
+            const response = await authFetch(`${this.apiUrl}/dashboard?contest=${encodeURIComponent(contestName)}`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+            if (contestName !== this.contestName) return;
+
+            this.renderTotals(result.data.totals);
+            this.renderProducts(result.data.products);
+            this.renderGates(result.data.gates, result.data.gateRecentMinutes);
+            this.renderArrivals(result.data.arrivals, result.data.arrivalBucketMinutes);
+        } catch (error) {
+            console.error('Load dashboard error:', error);
+            this.showNotification(`入場状況の取得に失敗しました: ${error.message}`, 'error');
+        }
+    }
+
+    formatRate(admitted, sold) {
+        return sold > 0 ? `${Math.round(admitted / sold * 1000) / 10}%` : '-';
+    }
+
+    renderTotals(totals) {
+        document.getElementById('admittedTotal').textContent = totals.admitted;
+        document.getElementById('soldTotal').textContent = totals.sold;
+        document.getElementById('admittedRate').textContent = this.formatRate(totals.admitted, totals.sold);
+    }
+
+    renderTable(containerId, headers, rows) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+
+        if (rows.length === 0) {
+            container.textContent = 'データがありません';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const headerRow = table.createTHead().insertRow();
+        headers.forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        rows.forEach(values => {
+            const row = tbody.insertRow();
+            values.forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+
+        container.appendChild(table);
+    }
+
+    renderProducts(products) {
+        this.renderTable('productsContainer',
+            ['商品名', 'バリエーション', '入場数', '販売数', '入場率'],
+            products.map(p => [p.product_name, p.variant, p.admitted, p.sold, this.formatRate(p.admitted, p.sold)])
+        );
+    }
+
+    renderGates(gates, recentMinutes) {
+        this.renderTable('gatesContainer',
+            ['ゲート', '入場数', '拒否数', `直近${recentMinutes}分`, '毎分', '最終受付'],
+            gates.map(g => [
+                g.gate || '（未設定）',
+                g.admitted,
+                g.rejected,
+                g.recent_admitted,
+                Math.round(g.recent_admitted / recentMinutes * 10) / 10,
+                g.last_scanned_at ? new Date(g.last_scanned_at).toLocaleTimeString('ja-JP') : '',
+            ])
+        );
+    }
+
+    renderArrivals(arrivals, bucketMinutes) {
+        const container = document.getElementById('arrivalsContainer');
+        container.innerHTML = '';
+
+        if (arrivals.length === 0) {
+            container.textContent = 'データがありません';
+            return;
+        }
+
+        const recent = arrivals.slice(-CheckinDashboard.MAX_ARRIVAL_BUCKETS);
+        const max = Math.max(...recent.map(a => a.count));
+
+        recent.forEach(arrival => {
+            const start = new Date(arrival.bucket_start);
+            const end = new Date(start.getTime() + bucketMinutes * 60 * 1000);
+            const format = d => d.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+
+            const row = document.createElement('div');
+            row.className = 'arrival-row';
+
+            const label = document.createElement('span');
+            label.className = 'arrival-label';
+            label.textContent = `${format(start)}〜${format(end)}`;
+
+            const bar = document.createElement('span');
+            bar.className = 'arrival-bar';
+            bar.style.width = `${Math.max(arrival.count / max * 100, 1)}%`;
+
+            const count = document.createElement('span');
+            count.className = 'arrival-count';
+            count.textContent = arrival.count;
+
+            row.append(label, bar, count);
+            container.appendChild(row);
+        });
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.getElementById('notification');
+        notification.textContent = message;
+        notification.className = `notification ${type}`;
+        notification.classList.remove('hidden');
+
+        setTimeout(() => {
+            notification.classList.add('hidden');
+        }, 5000);
+    }
+
+    async logout() {
+        this.disconnect();
+        try {
+            await authFetch('/api/auth/logout', {
+                method: 'POST'
+            });
+        } catch (error) {
+            console.error('Logout failed:', error);
+        }
+        AuthToken.remove();
+        window.location.href = '/';
+    }
+}
+
+const checkinDashboard = new CheckinDashboard();
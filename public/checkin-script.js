@@ -178,8 +178,10 @@ document.addEventListener('DOMContentLoaded', () => {
       confirmProductName.innerHTML = `<strong>${escapeHtml(data.productName)}</strong>`;
     }
 
-    // 座席情報を表示
-    if (data.reservedSeat && data.reservedSeat.trim() !== '') {
+    // 座席情報を表示（ゲストコードは氏名とパスの番号）
+    if (data.type === 'guest') {
+      confirmSeatInfo.textContent = `${data.guest.name_ja} ／ パス ${data.passNo}/${data.passCount}`;
+    } else if (data.reservedSeat && data.reservedSeat.trim() !== '') {
       confirmSeatInfo.textContent = '座席: ' + data.reservedSeat;
     } else {
       confirmSeatInfo.textContent = '自由席';
@@ -49,6 +49,9 @@ class ContestsManager {
         };
         this.editingContest = null;
         this.deletingContest = null;
+        this.classesContest = null;
+        this.capacityContest = null;
+        this.manifestContest = null;
         this.init();
     }
 
@@ -63,6 +66,28 @@ class ContestsManager {
             setTimeout(async () => {
                 await this.loadContests();
             }, 100);
+            this.loadRankingTiers();
+        }
+    }
+
+    // ランキングのシーズン設定にあるティアを入力候補にする
+    async loadRankingTiers() {
+        try {
+            const response = await authFetch('/api/rankings/seasons');
+            const result = await response.json();
+            if (!result.success) return;
+
+            const tiers = new Set();
+            result.data.forEach(season => Object.keys(season.tier_multipliers || {}).forEach(tier => tiers.add(tier)));
+            const datalist = document.getElementById('rankingTierOptions');
+            datalist.innerHTML = '';
+            tiers.forEach(tier => {
+                const option = document.createElement('option');
+                option.value = tier;
+                datalist.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Ranking tiers loading failed:', error);
         }
     }
 
@@ -188,6 +213,39 @@ class ContestsManager {
                 this.closeDeleteDialog();
             }
         });
+
+        // クラスマスタダイアログ関連
+        document.getElementById('closeClassesDialog').addEventListener('click', () => {
+            this.closeClassesDialog();
+        });
+        document.getElementById('addClassRowBtn').addEventListener('click', () => {
+            this.appendClassRow(document.querySelector('#classesList tbody'), {});
+        });
+        document.getElementById('createClassesFromRegistrationsBtn').addEventListener('click', () => {
+            this.createClassesFromRegistrations();
+        });
+
+        // 定員ダイアログ関連
+        document.getElementById('closeCapacityDialog').addEventListener('click', () => {
+            this.closeCapacityDialog();
+        });
+        document.getElementById('addCapacityRowBtn').addEventListener('click', () => {
+            this.appendCapacityRow(document.querySelector('#capacityList tbody'), { variant: '', capacity: null });
+        });
+        document.getElementById('saveCapacitiesBtn').addEventListener('click', () => {
+            this.saveCapacities();
+        });
+
+        // 来場者一覧ダイアログ関連
+        document.getElementById('closeManifestDialog').addEventListener('click', () => {
+            this.closeManifestDialog();
+        });
+        document.getElementById('downloadManifestCsvBtn').addEventListener('click', () => {
+            this.downloadManifestCsv();
+        });
+        document.getElementById('printManifestBtn').addEventListener('click', () => {
+            this.openManifestPrint();
+        });
     }
 
     async loadContests() {
@@ -232,6 +290,7 @@ class ContestsManager {
             { key: 'contest_date', label: '開催日' },
             { key: 'contest_name', label: '大会名' },
             { key: 'contest_place', label: '開催地' },
+            { key: 'ranking_tier', label: 'ティア' },
             { key: 'is_ready', label: '公開' },
             { key: 'is_test', label: 'テスト用' },
         ];
@@ -305,6 +364,32 @@ class ContestsManager {
 
                     actionsDiv.appendChild(editBtn);
                     actionsDiv.appendChild(deleteBtn);
+
+                    const manifestBtn = document.createElement('button');
+                    manifestBtn.className = 'btn-small';
+                    manifestBtn.textContent = '来場者';
+                    manifestBtn.addEventListener('click', () => this.openManifestDialog(contest));
+                    actionsDiv.appendChild(manifestBtn);
+
+                    if (this.isAdmin) {
+                        const classesBtn = document.createElement('button');
+                        classesBtn.className = 'btn-small';
+                        classesBtn.textContent = 'クラス';
+                        classesBtn.addEventListener('click', () => this.openClassesDialog(contest));
+                        actionsDiv.appendChild(classesBtn);
+
+                        const capacityBtn = document.createElement('button');
+                        capacityBtn.className = 'btn-small';
+                        capacityBtn.textContent = '定員';
+                        capacityBtn.addEventListener('click', () => this.openCapacityDialog(contest));
+                        actionsDiv.appendChild(capacityBtn);
+
+                        const historyBtn = document.createElement('button');
+                        historyBtn.className = 'btn-small';
+                        historyBtn.textContent = '履歴';
+                        historyBtn.addEventListener('click', () => AuditHistory.open('contests', contest.id, contest.contest_name));
+                        actionsDiv.appendChild(historyBtn);
+                    }
                     td.appendChild(actionsDiv);
                 } else if (header.key === 'contest_date') {
                     // 日付のフォーマット
@@ -501,6 +586,7 @@ class ContestsManager {
         }
         
         document.getElementById('edit_contest_place').value = contest.contest_place || '';
+        document.getElementById('edit_ranking_tier').value = contest.ranking_tier || '';
 
         // is_readyの設定（TRUE/true/'○'の場合にチェック）
         const isReady = contest.is_ready;
@@ -529,6 +615,7 @@ class ContestsManager {
             contest_name: document.getElementById('edit_contest_name').value,
             contest_date: document.getElementById('edit_contest_date').value,
             contest_place: document.getElementById('edit_contest_place').value,
+            ranking_tier: document.getElementById('edit_ranking_tier').value,
             is_ready: document.getElementById('edit_is_ready').checked ? 'TRUE' : 'FALSE',
             is_test: document.getElementById('edit_is_test').checked ? 'TRUE' : 'FALSE'
         };
@@ -631,6 +718,415 @@ class ContestsManager {
         }
     }
 
+    // クラスマスタダイアログ
+    async openClassesDialog(contest) {
+        this.classesContest = contest;
+        document.getElementById('classesDialogTitle').textContent = `クラス: ${contest.contest_name}`;
+        document.getElementById('classesStatus').className = 'import-status hidden';
+        document.getElementById('classesDialog').classList.remove('hidden');
+        await this.loadClasses();
+    }
+
+    closeClassesDialog() {
+        document.getElementById('classesDialog').classList.add('hidden');
+        this.classesContest = null;
+    }
+
+    async loadClasses() {
+        const container = document.getElementById('classesList');
+        container.textContent = '読み込み中...';
+
+        try {
+            const response = await authFetch(`/api/classes?contest_name=${encodeURIComponent(this.classesContest.contest_name)}`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.renderClasses(result.data);
+        } catch (error) {
+            container.textContent = `読み込みに失敗しました: ${error.message}`;
+        }
+    }
+
+    renderClasses(classes) {
+        const container = document.getElementById('classesList');
+        container.innerHTML = '';
+
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        ['開催順', 'クラス名', 'Shopifyバリエーション', 'カテゴリー', '性別', '年齢', '身長(cm)', '体重(kg)', ''].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        classes.forEach(cls => this.appendClassRow(tbody, cls));
+        container.appendChild(table);
+
+        if (classes.length === 0) {
+            this.appendClassRow(tbody, {});
+        }
+    }
+
+    // クラス1行分の入力欄（idがない行は新規作成）
+    appendClassRow(tbody, cls) {
+        if (!tbody) return;
+        const row = tbody.insertRow();
+
+        const addInput = (field, type, width) => {
+            const input = document.createElement('input');
+            input.type = type;
+            input.dataset.field = field;
+            input.value = cls[field] ?? '';
+            if (width) input.style.width = width;
+            return input;
+        };
+        const addRange = (minField, maxField) => {
+            const cell = row.insertCell();
+            cell.className = 'class-bounds';
+            cell.append(addInput(minField, 'number', '60px'), '〜', addInput(maxField, 'number', '60px'));
+        };
+
+        row.insertCell().appendChild(addInput('sort_index', 'number', '60px'));
+        row.insertCell().appendChild(addInput('class_name', 'text'));
+        row.insertCell().appendChild(addInput('shopify_variant', 'text'));
+        row.insertCell().appendChild(addInput('category', 'text', '100px'));
+
+        const sexSelect = document.createElement('select');
+        sexSelect.dataset.field = 'sex';
+        [['', '制限なし'], ['male', '男性'], ['female', '女性']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            sexSelect.appendChild(option);
+        });
+        sexSelect.value = cls.sex || '';
+        row.insertCell().appendChild(sexSelect);
+
+        addRange('min_age', 'max_age');
+        addRange('min_height', 'max_height');
+        addRange('min_weight', 'max_weight');
+
+        const actionsCell = row.insertCell();
+        actionsCell.className = 'row-actions';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'button';
+        saveBtn.className = 'btn-small btn-edit';
+        saveBtn.textContent = cls.id ? '保存' : '追加';
+        saveBtn.addEventListener('click', () => this.saveClassRow(row, cls));
+        actionsCell.appendChild(saveBtn);
+
+        if (cls.id) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-small btn-delete';
+            deleteBtn.textContent = '削除';
+            deleteBtn.addEventListener('click', () => this.deleteClass(cls));
+            actionsCell.appendChild(deleteBtn);
+        }
+    }
+
+    async saveClassRow(row, cls) {
+        const data = {};
+        row.querySelectorAll('[data-field]').forEach(input => {
+            data[input.dataset.field] = input.value.trim();
+        });
+
+        const isNew = !cls.id;
+        if (isNew) {
+            data.contest_name = this.classesContest.contest_name;
+        }
+
+        try {
+            const response = await authFetch(isNew ? '/api/classes' : `/api/classes/${cls.id}`, {
+                method: isNew ? 'POST' : 'PUT',
+                body: JSON.stringify(data)
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            let message = `クラス「${result.data.class_name}」を保存しました`;
+            if (result.renamedRegistrations) {
+                message += `（出場登録${result.renamedRegistrations}件のクラス名を変更）`;
+            }
+            this.showClassesStatus(message, 'success');
+            await this.loadClasses();
+        } catch (error) {
+            this.showClassesStatus(`エラー: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteClass(cls) {
+        if (!confirm(`クラス「${cls.class_name}」を削除しますか？`)) return;
+
+        try {
+            const response = await authFetch(`/api/classes/${cls.id}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.showClassesStatus(result.message, 'success');
+            await this.loadClasses();
+        } catch (error) {
+            this.showClassesStatus(`エラー: ${error.message}`, 'error');
+        }
+    }
+
+    async createClassesFromRegistrations() {
+        try {
+            const response = await authFetch('/api/classes/from-registrations', {
+                method: 'POST',
+                body: JSON.stringify({ contest_name: this.classesContest.contest_name })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.showClassesStatus(result.message, 'success');
+            await this.loadClasses();
+        } catch (error) {
+            this.showClassesStatus(`エラー: ${error.message}`, 'error');
+        }
+    }
+
+    showClassesStatus(message, type) {
+        const statusEl = document.getElementById('classesStatus');
+        statusEl.textContent = message;
+        statusEl.className = `import-status ${type}`;
+    }
+
+    // 定員ダイアログ
+    async openCapacityDialog(contest) {
+        this.capacityContest = contest;
+        document.getElementById('capacityDialogTitle').textContent = `定員: ${contest.contest_name}`;
+        document.getElementById('capacityStatus').className = 'import-status hidden';
+        document.getElementById('capacityDialog').classList.remove('hidden');
+        await this.loadCapacity();
+    }
+
+    closeCapacityDialog() {
+        document.getElementById('capacityDialog').classList.add('hidden');
+        this.capacityContest = null;
+    }
+
+    async loadCapacity() {
+        const container = document.getElementById('capacityList');
+        container.textContent = '読み込み中...';
+
+        try {
+            const response = await authFetch(`/api/contests/${this.capacityContest.id}/capacity`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.renderCapacity(result.data);
+        } catch (error) {
+            container.textContent = `読み込みに失敗しました: ${error.message}`;
+        }
+    }
+
+    renderCapacity(report) {
+        const container = document.getElementById('capacityList');
+        container.innerHTML = '';
+
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        ['バリエーション', '定員', '発券', '招待', 'ゲスト', '合計', '残り', '状態'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        report.rows.forEach(row => this.appendCapacityRow(tbody, row));
+        if (report.rows.length === 0) {
+            this.appendCapacityRow(tbody, { variant: '', capacity: null });
+        }
+
+        const totalRow = table.createTFoot().insertRow();
+        ['合計', report.totals.capacity, report.totals.issued, report.totals.campaign, report.totals.guests, report.totals.total, '', ''].forEach(value => {
+            totalRow.insertCell().textContent = value;
+        });
+
+        container.appendChild(table);
+    }
+
+    // バリエーション1行分（定員は入力欄、集計は表示のみ）
+    appendCapacityRow(tbody, row) {
+        if (!tbody) return;
+        const tr = tbody.insertRow();
+        const isNew = row.issued === undefined;
+
+        const variantCell = tr.insertCell();
+        if (isNew) {
+            const variantInput = document.createElement('input');
+            variantInput.type = 'text';
+            variantInput.dataset.field = 'variant';
+            variantCell.appendChild(variantInput);
+        } else {
+            variantCell.textContent = row.variant || '（種別なし）';
+            variantCell.dataset.variant = row.variant;
+        }
+
+        const capacityInput = document.createElement('input');
+        capacityInput.type = 'number';
+        capacityInput.min = '0';
+        capacityInput.dataset.field = 'capacity';
+        capacityInput.value = row.capacity ?? '';
+        capacityInput.style.width = '80px';
+        tr.insertCell().appendChild(capacityInput);
+
+        const statusLabels = { ok: '', full: '満席', over: '定員超過', no_capacity: '定員なし' };
+        [row.issued, row.campaign, row.guests, row.total, row.remaining, statusLabels[row.status]].forEach(value => {
+            tr.insertCell().textContent = value ?? '';
+        });
+        if (row.status === 'over') tr.classList.add('capacity-over');
+    }
+
+    async saveCapacities() {
+        const capacities = [];
+        document.querySelectorAll('#capacityList tbody tr').forEach(tr => {
+            const variantInput = tr.querySelector('[data-field="variant"]');
+            const variant = variantInput ? variantInput.value.trim() : tr.cells[0].dataset.variant;
+            const capacity = tr.querySelector('[data-field="capacity"]').value.trim();
+            if (variant && capacity !== '') {
+                capacities.push({ variant, capacity: Number(capacity) });
+            }
+        });
+
+        try {
+            const response = await authFetch(`/api/contests/${this.capacityContest.id}/capacities`, {
+                method: 'PUT',
+                body: JSON.stringify({ capacities })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.renderCapacity(result.data);
+            this.showCapacityStatus(result.message, 'success');
+        } catch (error) {
+            this.showCapacityStatus(`エラー: ${error.message}`, 'error');
+        }
+    }
+
+    showCapacityStatus(message, type) {
+        const statusEl = document.getElementById('capacityStatus');
+        statusEl.textContent = message;
+        statusEl.className = `import-status ${type}`;
+    }
+
+    // 来場者一覧ダイアログ
+    async openManifestDialog(contest) {
+        this.manifestContest = contest;
+        document.getElementById('manifestDialogTitle').textContent = `来場者一覧: ${contest.contest_name}`;
+        document.getElementById('manifestStatus').className = 'import-status hidden';
+        document.getElementById('manifestDialog').classList.remove('hidden');
+
+        const container = document.getElementById('manifestSummary');
+        container.textContent = '読み込み中...';
+
+        try {
+            const response = await authFetch(`/api/contests/${contest.id}/manifest`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.renderManifestSummary(result.data.counts);
+        } catch (error) {
+            container.textContent = `読み込みに失敗しました: ${error.message}`;
+        }
+    }
+
+    closeManifestDialog() {
+        document.getElementById('manifestDialog').classList.add('hidden');
+        this.manifestContest = null;
+    }
+
+    renderManifestSummary(counts) {
+        const container = document.getElementById('manifestSummary');
+        container.innerHTML = '';
+
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        ['', '件数', '人数', '入場済み'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        const rows = [
+            ['観戦チケット', counts.by_source.ticket],
+            ['関係者', counts.by_source.guest],
+            ['選手', counts.by_source.athlete],
+            ['客席', counts.by_zone.seat],
+            ['バックステージ', counts.by_zone.backstage],
+            ['報道・撮影', counts.by_zone.press],
+        ];
+        rows.forEach(([label, count]) => {
+            const row = tbody.insertRow();
+            [label, count.entries, count.people, count.checked_in].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+
+        const totalRow = table.createTFoot().insertRow();
+        ['合計', counts.total.entries, counts.total.people, counts.total.checked_in].forEach(value => {
+            totalRow.insertCell().textContent = value;
+        });
+
+        container.appendChild(table);
+    }
+
+    async downloadManifestCsv() {
+        const contest = this.manifestContest;
+        try {
+            const response = await authFetch(`/api/contests/${contest.id}/manifest?format=csv`);
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error);
+            }
+
+            const blob = await response.blob();
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${contest.contest_date}_${contest.contest_name}_来場者一覧.csv`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            this.showManifestStatus(`エラー: ${error.message}`, 'error');
+        }
+    }
+
+    // 印刷用HTMLは認証ヘッダーが必要なため、取得した内容を新しいウィンドウに書き込む
+    async openManifestPrint() {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            this.showManifestStatus('ポップアップがブロックされました。ブラウザの設定を確認してください', 'error');
+            return;
+        }
+
+        try {
+            const response = await authFetch(`/api/contests/${this.manifestContest.id}/manifest?format=html`);
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error);
+            }
+
+            printWindow.document.open();
+            printWindow.document.write(await response.text());
+            printWindow.document.close();
+        } catch (error) {
+            printWindow.close();
+            this.showManifestStatus(`エラー: ${error.message}`, 'error');
+        }
+    }
+
+    showManifestStatus(message, type) {
+        const statusEl = document.getElementById('manifestStatus');
+        statusEl.textContent = message;
+        statusEl.className = `import-status ${type}`;
+    }
+
     showNotification(message, type = 'info') {
         const notification = document.getElementById('notification');
         notification.textContent = message;
@@ -34,6 +34,31 @@ async function authFetch(url, options = {}) {
 }
 
 class GuestsManager {
+    // メールの送信状況（テンプレートごとの最新）
+    static MAIL_STATUS_LABELS = {
+        sent: '送信済み',
+        failed: '送信失敗',
+        bounced: '不達'
+    };
+
+    // 送信済みフラグとテンプレートの対応
+    static MAIL_FLAG_TEMPLATES = {
+        is_pre_notified: 'invitation',
+        is_post_mailed: 'thanks'
+    };
+
+    // 前回大会からコピーしなかった理由
+    static CLONE_SKIP_REASONS = {
+        exists: 'コピー先に登録済み',
+        duplicate: 'コピー元で重複'
+    };
+
+    // CSVインポートで既存の関係者と一致した項目
+    static IMPORT_MATCHED_BY_LABELS = {
+        email: 'メールアドレス',
+        name_company: '代表者氏名＋団体名'
+    };
+
     constructor() {
         this.apiUrl = '/api/guests';
         this.currentUser = null;
@@ -206,6 +231,109 @@ class GuestsManager {
                 this.closeDeleteDialog();
             }
         });
+
+        // CSVエクスポート・インポート
+        document.getElementById('csvExportBtn').addEventListener('click', () => {
+            this.exportCsv();
+        });
+        document.getElementById('csvImportBtn').addEventListener('click', () => {
+            this.openCsvImportDialog();
+        });
+        document.getElementById('importHistoryBtn').addEventListener('click', () => {
+            ImportHistory.open(['guests-csv', 'guests-clone'], () => this.loadGuests());
+        });
+        document.getElementById('closeCsvImportDialog').addEventListener('click', () => {
+            this.closeCsvImportDialog();
+        });
+        document.getElementById('csvImportFile').addEventListener('change', () => {
+            this.loadCsvImportFile();
+        });
+        document.getElementById('csvImportContest').addEventListener('change', () => {
+            this.resetCsvImportReport();
+        });
+        document.getElementById('previewCsvImportBtn').addEventListener('click', () => {
+            this.previewCsvImport();
+        });
+        document.getElementById('executeCsvImportBtn').addEventListener('click', () => {
+            this.executeCsvImport();
+        });
+        document.getElementById('csvImportDialog').addEventListener('click', (e) => {
+            if (e.target.id === 'csvImportDialog') {
+                this.closeCsvImportDialog();
+            }
+        });
+
+        // 前回大会からコピー
+        document.getElementById('cloneBtn').addEventListener('click', () => {
+            this.openCloneDialog();
+        });
+        document.getElementById('closeCloneDialog').addEventListener('click', () => {
+            this.closeCloneDialog();
+        });
+        ['cloneSource', 'cloneTarget', 'cloneGroupType', 'clonePassType'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.resetCloneReport();
+            });
+        });
+        document.getElementById('previewCloneBtn').addEventListener('click', () => {
+            this.runClone(true);
+        });
+        document.getElementById('executeCloneBtn').addEventListener('click', () => {
+            this.runClone(false);
+        });
+        document.getElementById('cloneDialog').addEventListener('click', (e) => {
+            if (e.target.id === 'cloneDialog') {
+                this.closeCloneDialog();
+            }
+        });
+
+        // メール送信ダイアログ関連
+        document.getElementById('mailBtn').addEventListener('click', () => {
+            this.openMailDialog();
+        });
+        document.getElementById('closeMailDialog').addEventListener('click', () => {
+            this.closeMailDialog();
+        });
+        document.getElementById('mailTemplate').addEventListener('change', () => {
+            this.applyMailTemplate();
+        });
+        document.getElementById('previewMailBtn').addEventListener('click', () => {
+            this.previewMail();
+        });
+        document.getElementById('sendMailBtn').addEventListener('click', () => {
+            this.sendMails();
+        });
+        document.getElementById('mailDialog').addEventListener('click', (e) => {
+            if (e.target.id === 'mailDialog') {
+                this.closeMailDialog();
+            }
+        });
+
+        // メール送信履歴ダイアログ関連
+        document.getElementById('closeMailHistoryDialog').addEventListener('click', () => {
+            this.closeMailHistoryDialog();
+        });
+        document.getElementById('closeMailHistoryBtn').addEventListener('click', () => {
+            this.closeMailHistoryDialog();
+        });
+        document.getElementById('mailHistoryDialog').addEventListener('click', (e) => {
+            if (e.target.id === 'mailHistoryDialog') {
+                this.closeMailHistoryDialog();
+            }
+        });
+
+        // チェックインコードダイアログ関連
+        document.getElementById('closeCheckinCodesDialog').addEventListener('click', () => {
+            this.closeCheckinCodesDialog();
+        });
+        document.getElementById('closeCheckinCodesBtn').addEventListener('click', () => {
+            this.closeCheckinCodesDialog();
+        });
+        document.getElementById('checkinCodesDialog').addEventListener('click', (e) => {
+            if (e.target.id === 'checkinCodesDialog') {
+                this.closeCheckinCodesDialog();
+            }
+        });
     }
 
     async loadFilterOptions() {
@@ -218,6 +346,7 @@ class GuestsManager {
 
                 // 大会名を保存（編集ダイアログで使用）
                 this.contestNames = contestNames;
+                this.filterOptions = result.data;
 
                 // Contestsテーブルから大会情報を取得してマッピングを作成
                 await this.loadContests();
@@ -240,6 +369,11 @@ class GuestsManager {
             const result = await response.json();
 
             if (result.success && result.data) {
+                // 開催日の新しい順（前回大会からコピーで使用）
+                this.contests = result.data
+                    .filter(contest => contest.contest_name && contest.contest_date)
+                    .sort((a, b) => new Date(b.contest_date) - new Date(a.contest_date));
+
                 // 大会名 -> 開催日のマッピングを作成
                 this.contestsMap.clear();
                 result.data.forEach(contest => {
@@ -383,6 +517,26 @@ class GuestsManager {
 
                     actionsDiv.appendChild(editBtn);
                     actionsDiv.appendChild(deleteBtn);
+
+                    if (this.isAdmin) {
+                        const codesBtn = document.createElement('button');
+                        codesBtn.className = 'btn-small';
+                        codesBtn.textContent = 'コード';
+                        codesBtn.addEventListener('click', () => this.openCheckinCodesDialog(guest));
+                        actionsDiv.appendChild(codesBtn);
+
+                        const mailsBtn = document.createElement('button');
+                        mailsBtn.className = 'btn-small';
+                        mailsBtn.textContent = 'メール';
+                        mailsBtn.addEventListener('click', () => this.openMailHistoryDialog(guest));
+                        actionsDiv.appendChild(mailsBtn);
+
+                        const historyBtn = document.createElement('button');
+                        historyBtn.className = 'btn-small';
+                        historyBtn.textContent = '履歴';
+                        historyBtn.addEventListener('click', () => AuditHistory.open('guests', guest.id, guest.name_ja));
+                        actionsDiv.appendChild(historyBtn);
+                    }
                     td.appendChild(actionsDiv);
                 } else {
                     let value = guest[header.key] || '';
@@ -407,6 +561,16 @@ class GuestsManager {
 
                         td.appendChild(checkbox);
                         td.style.textAlign = 'center';
+
+                        // 最新のメールが届かなかった場合は表示
+                        const mailTemplate = GuestsManager.MAIL_FLAG_TEMPLATES[header.key];
+                        const mailStatus = mailTemplate && guest.mail_statuses && guest.mail_statuses[mailTemplate];
+                        if (mailStatus && mailStatus.status !== 'sent') {
+                            const label = document.createElement('span');
+                            label.className = 'mail-status-error';
+                            label.textContent = GuestsManager.MAIL_STATUS_LABELS[mailStatus.status] || mailStatus.status;
+                            td.appendChild(label);
+                        }
                     } else {
                         td.textContent = value;
                     }
@@ -639,6 +803,798 @@ class GuestsManager {
         this.deletingGuest = null;
     }
 
+    // チェックインコードダイアログを開く
+    async openCheckinCodesDialog(guest) {
+        document.getElementById('checkinCodesDialogTitle').textContent = `チェックインコード: ${guest.name_ja || ''}`;
+        document.getElementById('checkinCodesDialog').classList.remove('hidden');
+
+        const container = document.getElementById('checkinCodesList');
+        container.textContent = '読み込み中...';
+
+        try {
+            const response = await authFetch(`${this.apiUrl}/${guest.id}/checkin-codes`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.renderCheckinCodes(result.data.passes);
+        } catch (error) {
+            container.textContent = `読み込みに失敗しました: ${error.message}`;
+        }
+    }
+
+    // チェックインコードダイアログを閉じる
+    closeCheckinCodesDialog() {
+        document.getElementById('checkinCodesDialog').classList.add('hidden');
+    }
+
+    renderCheckinCodes(passes) {
+        const container = document.getElementById('checkinCodesList');
+        container.innerHTML = '';
+
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        ['パス', 'コード', '受付日時'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        passes.forEach(pass => {
+            const row = tbody.insertRow();
+            row.insertCell().textContent = `${pass.pass_no}/${passes.length}`;
+            const codeCell = row.insertCell();
+            codeCell.textContent = pass.code;
+            codeCell.className = 'checkin-code';
+            row.insertCell().textContent = pass.checked_in_at
+                ? new Date(pass.checked_in_at).toLocaleString('ja-JP')
+                : '未受付';
+        });
+
+        container.appendChild(table);
+    }
+
+    // ====== CSVエクスポート・インポート ======
+
+    // 一覧の絞り込み・検索の条件に一致する関係者をエクスポート
+    async exportCsv() {
+        try {
+            const params = new URLSearchParams(this.currentFilters);
+            const response = await authFetch(`${this.apiUrl}/export?${params}`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            if (result.data.length === 0) {
+                this.showNotification('該当する関係者がいません', 'error');
+                return;
+            }
+            this.downloadCSV(result.data, result.filename);
+            this.showNotification(`${result.data.length}件のデータをエクスポートしました`, 'success');
+        } catch (error) {
+            console.error('CSV export error:', error);
+            this.showNotification(`エクスポートに失敗しました: ${error.message}`, 'error');
+        }
+    }
+
+    downloadCSV(data, filename) {
+        if (!data || data.length === 0) return;
+
+        // ヘッダー行（全項目）
+        const headers = Object.keys(data[0]);
+
+        // CSV生成（BOM付きUTF-8）
+        const csvContent = [
+            headers.join(','),
+            ...data.map(row => {
+                return headers.map(header => {
+                    let value = row[header];
+                    // null/undefinedは空文字に
+                    if (value === null || value === undefined) {
+                        value = '';
+                    }
+                    // 文字列に変換
+                    value = String(value);
+                    // カンマ、改行、ダブルクォートを含む場合はエスケープ
+                    if (value.includes(',') || value.includes('\n') || value.includes('"')) {
+                        value = '"' + value.replace(/"/g, '""') + '"';
+                    }
+                    return value;
+                }).join(',');
+            })
+        ].join('\n');
+
+        // BOM付きでBlobを作成
+        const bom = new Uint8Array([0xEF, 0xBB, 0xBF]);
+        const blob = new Blob([bom, csvContent], { type: 'text/csv;charset=utf-8;' });
+
+        // ダウンロード
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    // CSVインポートダイアログを開く
+    async openCsvImportDialog() {
+        try {
+            if (!this.importFields) {
+                const response = await authFetch(`${this.apiUrl}/import-fields`);
+                const result = await response.json();
+                if (!result.success) throw new Error(result.error);
+                this.importFields = result.data;
+            }
+        } catch (error) {
+            this.showNotification(`インポート項目の読み込みに失敗しました: ${error.message}`, 'error');
+            return;
+        }
+
+        // 大会名の列が空の行に使う大会（一覧で選択中の大会を初期値にする）
+        const contestSelect = document.getElementById('csvImportContest');
+        contestSelect.innerHTML = '<option value="">大会名を選択</option>';
+        [...this.contestsMap.keys()].forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            contestSelect.appendChild(option);
+        });
+        contestSelect.value = this.currentFilters.contest_name || '';
+
+        this.csvImportRows = null;
+        document.getElementById('csvImportFile').value = '';
+        document.getElementById('csvImportMapping').classList.add('hidden');
+        document.getElementById('previewCsvImportBtn').disabled = true;
+        this.resetCsvImportReport();
+        document.getElementById('csvImportDialog').classList.remove('hidden');
+    }
+
+    // CSVインポートダイアログを閉じる
+    closeCsvImportDialog() {
+        document.getElementById('csvImportDialog').classList.add('hidden');
+        this.csvImportRows = null;
+    }
+
+    // 条件を変えたらプレビューからやり直す
+    resetCsvImportReport() {
+        document.getElementById('csvImportReport').classList.add('hidden');
+        document.getElementById('csvImportStatus').className = 'import-status hidden';
+        document.getElementById('executeCsvImportBtn').disabled = true;
+    }
+
+    showCsvImportStatus(message, type) {
+        const status = document.getElementById('csvImportStatus');
+        status.textContent = message;
+        status.className = `import-status ${type}`;
+    }
+
+    // CSVファイルを読み込み、列の対応付けを表示
+    async loadCsvImportFile() {
+        const csvFile = document.getElementById('csvImportFile').files[0];
+        this.csvImportRows = null;
+        document.getElementById('previewCsvImportBtn').disabled = true;
+        document.getElementById('csvImportMapping').classList.add('hidden');
+        this.resetCsvImportReport();
+        if (!csvFile) return;
+
+        try {
+            const rows = this.parseCSV(await this.readFileAsText(csvFile));
+            if (rows.length === 0) {
+                this.showCsvImportStatus('CSVファイルにデータがありません', 'error');
+                return;
+            }
+            this.csvImportRows = rows;
+            this.renderCsvImportMapping(Object.keys(rows[0]));
+            document.getElementById('previewCsvImportBtn').disabled = false;
+        } catch (error) {
+            this.showCsvImportStatus(`エラー: ${error.message}`, 'error');
+        }
+    }
+
+    // 項目ごとにCSVの列を選択（見出しが表示名・別名・キーと一致する列を自動で選択）
+    renderCsvImportMapping(headers) {
+        const normalize = (value) => String(value).normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+        const container = document.getElementById('csvImportMapping');
+        container.innerHTML = '';
+
+        Object.entries(this.importFields).forEach(([field, { label, aliases }]) => {
+            const names = [label, ...aliases, field].map(normalize);
+            const matched = headers.find(header => names.includes(normalize(header)));
+
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const labelEl = document.createElement('label');
+            labelEl.textContent = label;
+            const select = document.createElement('select');
+            select.className = 'filter-select';
+            select.dataset.field = field;
+            select.innerHTML = '<option value="">（インポートしない）</option>';
+            headers.forEach(header => {
+                const option = document.createElement('option');
+                option.value = header;
+                option.textContent = header;
+                select.appendChild(option);
+            });
+            select.value = matched || '';
+            select.addEventListener('change', () => this.resetCsvImportReport());
+
+            group.appendChild(labelEl);
+            group.appendChild(select);
+            container.appendChild(group);
+        });
+
+        container.classList.remove('hidden');
+    }
+
+    // 列の対応付けに従ってCSVの行を項目のキーに変換
+    csvImportRequest() {
+        const mapping = {};
+        document.querySelectorAll('#csvImportMapping select').forEach(select => {
+            if (select.value) mapping[select.dataset.field] = select.value;
+        });
+
+        return {
+            contest_name: document.getElementById('csvImportContest').value,
+            rows: this.csvImportRows.map(row => {
+                const mapped = {};
+                Object.entries(mapping).forEach(([field, header]) => {
+                    mapped[field] = row[header];
+                });
+                return mapped;
+            })
+        };
+    }
+
+    // プレビュー（追加・更新・重複の統合・エラーを表示）
+    async previewCsvImport() {
+        const previewBtn = document.getElementById('previewCsvImportBtn');
+        previewBtn.disabled = true;
+        this.resetCsvImportReport();
+
+        try {
+            const response = await authFetch(`${this.apiUrl}/import-csv/preview`, {
+                method: 'POST',
+                body: JSON.stringify(this.csvImportRequest())
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            const { summary } = result.data;
+            this.renderCsvImportReport(result.data);
+            this.showCsvImportStatus(
+                `新規追加 ${summary.inserts}件、更新 ${summary.updates}件、変更なし ${summary.unchanged}件、まとめた行 ${summary.merged_rows}件、エラー ${summary.errors}件`,
+                summary.errors > 0 ? 'warning' : 'success'
+            );
+            document.getElementById('executeCsvImportBtn').disabled = summary.inserts + summary.updates === 0;
+        } catch (error) {
+            this.showCsvImportStatus(`エラー: ${error.message}`, 'error');
+        } finally {
+            previewBtn.disabled = false;
+        }
+    }
+
+    renderCsvImportReport(report) {
+        const container = document.getElementById('csvImportReport');
+        container.innerHTML = '';
+        const fieldLabel = (field) => (this.importFields[field] || {}).label || field;
+        const rowsLabel = (rowNumbers) => `${rowNumbers.join('・')}行目`;
+        const guestLabel = (item) => [item.name_ja, item.company_ja].filter(Boolean).join(' / ');
+
+        const addSection = (title, items, format) => {
+            if (items.length === 0) return;
+            const heading = document.createElement('h4');
+            heading.textContent = `${title}（${items.length}件）`;
+            const list = document.createElement('ul');
+            items.forEach(item => {
+                const li = document.createElement('li');
+                li.textContent = format(item);
+                list.appendChild(li);
+            });
+            container.appendChild(heading);
+            container.appendChild(list);
+        };
+
+        addSection('エラー', report.errors, (e) => `${e.row_number}行目: ${e.error}`);
+        addSection('更新', report.updates, (u) => {
+            const matchedBy = GuestsManager.IMPORT_MATCHED_BY_LABELS[u.matched_by] || u.matched_by;
+            const changes = Object.entries(u.changes)
+                .map(([field, { before, after }]) => `${fieldLabel(field)}: ${before || '（空）'} → ${after}`)
+                .join('、');
+            return `${rowsLabel(u.row_numbers)} ${guestLabel(u)}（${matchedBy}で一致）: ${changes}`;
+        });
+        addSection('CSV内の重複（1件にまとめます）', report.merged, (m) => {
+            const conflicts = Object.entries(m.conflicts)
+                .map(([field, values]) => `${fieldLabel(field)}: ${values.join(' / ')}`)
+                .join('、');
+            return `${rowsLabel(m.row_numbers)} ${guestLabel(m)}${conflicts ? `（値が異なる項目は後の行を使用: ${conflicts}）` : ''}`;
+        });
+        addSection('新規追加', report.inserts, (i) => `${rowsLabel(i.row_numbers)} ${guestLabel(i.data)}（${i.data.contest_name}）`);
+
+        container.classList.toggle('hidden', container.children.length === 0);
+    }
+
+    // インポート実行
+    async executeCsvImport() {
+        if (!confirm('プレビューの内容でインポートしますか？')) return;
+
+        const executeBtn = document.getElementById('executeCsvImportBtn');
+        executeBtn.disabled = true;
+        this.showCsvImportStatus('インポート中...', 'warning');
+
+        try {
+            const response = await authFetch(`${this.apiUrl}/import-csv`, {
+                method: 'POST',
+                body: JSON.stringify(this.csvImportRequest())
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.renderCsvImportReport(result.data.report);
+            this.showCsvImportStatus(result.data.message, result.data.errors > 0 ? 'warning' : 'success');
+            this.showNotification(result.data.message, 'success');
+            await this.loadFilterOptions();
+            await this.loadGuests();
+        } catch (error) {
+            this.showCsvImportStatus(`エラー: ${error.message}`, 'error');
+            executeBtn.disabled = false;
+        }
+    }
+
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = (e) => reject(new Error('ファイルの読み込みに失敗しました'));
+            reader.readAsText(file, 'UTF-8');
+        });
+    }
+
+    parseCSV(csvText) {
+        const lines = csvText.trim().split(/\r?\n/);
+        if (lines.length < 2) return [];
+
+        // BOMを除去
+        let headerLine = lines[0];
+        if (headerLine.charCodeAt(0) === 0xFEFF) {
+            headerLine = headerLine.slice(1);
+        }
+
+        const headers = this.parseCSVLine(headerLine).map(header => header.trim());
+        const data = [];
+
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line) continue;
+
+            const values = this.parseCSVLine(line);
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = values[index] || '';
+            });
+            data.push(row);
+        }
+
+        return data;
+    }
+
+    parseCSVLine(line) {
+        const result = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            const nextChar = line[i + 1];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (nextChar === '"') {
+                        current += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    current += char;
+                }
+            } else {
+                if (char === '"') {
+                    inQuotes = true;
+                } else if (char === ',') {
+                    result.push(current);
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+        }
+
+        result.push(current);
+        return result;
+    }
+
+    // ====== 前回大会からコピー ======
+
+    // 前回大会からコピーダイアログを開く（コピー先は一覧で選択中の大会、コピー元はその前の回）
+    openCloneDialog() {
+        const contests = this.contests || [];
+        ['cloneSource', 'cloneTarget'].forEach(id => {
+            const select = document.getElementById(id);
+            select.innerHTML = '<option value="">大会を選択</option>';
+            contests.forEach((contest, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = `${contest.contest_name}（${contest.contest_date}）`;
+                select.appendChild(option);
+            });
+        });
+
+        const targetIndex = contests.findIndex(c => c.contest_name === this.currentFilters.contest_name);
+        if (targetIndex >= 0) {
+            document.getElementById('cloneTarget').value = targetIndex;
+            if (targetIndex + 1 < contests.length) {
+                document.getElementById('cloneSource').value = targetIndex + 1;
+            }
+        }
+
+        const { organizationTypes = [], passTypes = [] } = this.filterOptions || {};
+        this.populateFilterSelect('cloneGroupType', organizationTypes);
+        this.populateFilterSelect('clonePassType', passTypes);
+        document.getElementById('cloneGroupType').value = this.currentFilters.organization_type || '';
+        document.getElementById('clonePassType').value = this.currentFilters.pass_type || '';
+
+        this.resetCloneReport();
+        document.getElementById('cloneDialog').classList.remove('hidden');
+    }
+
+    // 前回大会からコピーダイアログを閉じる
+    closeCloneDialog() {
+        document.getElementById('cloneDialog').classList.add('hidden');
+    }
+
+    // 条件を変えたらプレビューからやり直す
+    resetCloneReport() {
+        document.getElementById('cloneReport').classList.add('hidden');
+        document.getElementById('cloneStatus').className = 'import-status hidden';
+        document.getElementById('executeCloneBtn').disabled = true;
+    }
+
+    showCloneStatus(message, type) {
+        const status = document.getElementById('cloneStatus');
+        status.textContent = message;
+        status.className = `import-status ${type}`;
+    }
+
+    // プレビュー（dryRun）またはコピー実行
+    async runClone(dryRun) {
+        const source = this.contests[document.getElementById('cloneSource').value];
+        const target = this.contests[document.getElementById('cloneTarget').value];
+        if (!source || !target) {
+            this.showCloneStatus('コピー元とコピー先の大会を選択してください', 'error');
+            return;
+        }
+        if (!dryRun && !confirm(`大会「${source.contest_name}」の関係者を「${target.contest_name}」にコピーしますか？`)) return;
+
+        const previewBtn = document.getElementById('previewCloneBtn');
+        const executeBtn = document.getElementById('executeCloneBtn');
+        previewBtn.disabled = true;
+        executeBtn.disabled = true;
+
+        try {
+            const response = await authFetch(`${this.apiUrl}/clone`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    source_contest_name: source.contest_name,
+                    source_contest_date: source.contest_date,
+                    target_contest_name: target.contest_name,
+                    target_contest_date: target.contest_date,
+                    group_type: document.getElementById('cloneGroupType').value,
+                    pass_type: document.getElementById('clonePassType').value,
+                    dry_run: dryRun
+                })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            const { inserts, skipped, summary, message } = result.data;
+            this.renderCloneReport(inserts, skipped);
+            if (dryRun) {
+                this.showCloneStatus(
+                    `コピー ${summary.inserts}件、コピー先に登録済み ${summary.exists}件、コピー元で重複 ${summary.duplicates}件`,
+                    summary.inserts > 0 ? 'success' : 'warning'
+                );
+                executeBtn.disabled = summary.inserts === 0;
+            } else {
+                this.showCloneStatus(message, 'success');
+                this.showNotification(message, 'success');
+                await this.loadGuests();
+            }
+        } catch (error) {
+            this.showCloneStatus(`エラー: ${error.message}`, 'error');
+        } finally {
+            previewBtn.disabled = false;
+        }
+    }
+
+    renderCloneReport(inserts, skipped) {
+        const container = document.getElementById('cloneReport');
+        container.innerHTML = '';
+        const guestLabel = (guest) => [guest.name_ja, guest.company_ja].filter(Boolean).join(' / ');
+
+        const addSection = (title, items, format) => {
+            if (items.length === 0) return;
+            const heading = document.createElement('h4');
+            heading.textContent = `${title}（${items.length}件）`;
+            const list = document.createElement('ul');
+            items.forEach(item => {
+                const li = document.createElement('li');
+                li.textContent = format(item);
+                list.appendChild(li);
+            });
+            container.appendChild(heading);
+            container.appendChild(list);
+        };
+
+        addSection('コピーする関係者', inserts, (i) => `${guestLabel(i.data)}（${i.data.pass_type || '付与パスなし'}、${i.data.ticket_count || 0}枚）`);
+        addSection('コピーしない関係者', skipped, (s) => `${guestLabel(s)}: ${GuestsManager.CLONE_SKIP_REASONS[s.reason] || s.reason}`);
+
+        container.classList.toggle('hidden', container.children.length === 0);
+    }
+
+    // メール送信ダイアログを開く（一覧の絞り込み・検索の条件に一致するゲストに送信する）
+    async openMailDialog() {
+        if (!this.currentFilters.contest_name) {
+            this.showNotification('メールを送信する大会を選択してください', 'error');
+            return;
+        }
+
+        try {
+            if (!this.mailTemplates) {
+                const response = await authFetch(`${this.apiUrl}/mail/templates`);
+                const result = await response.json();
+                if (!result.success) throw new Error(result.error);
+                this.mailTemplates = result.data;
+            }
+        } catch (error) {
+            this.showNotification(`テンプレートの読み込みに失敗しました: ${error.message}`, 'error');
+            return;
+        }
+
+        const select = document.getElementById('mailTemplate');
+        select.innerHTML = '';
+        Object.entries(this.mailTemplates.templates).forEach(([key, template]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = template.label;
+            select.appendChild(option);
+        });
+        this.applyMailTemplate();
+
+        document.getElementById('mailFields').textContent = '差し込み項目: ' + Object.entries(this.mailTemplates.fields)
+            .map(([key, label]) => `{{${key}}} ${label}`)
+            .join('、');
+        document.getElementById('mailTargetInfo').textContent =
+            `大会「${this.currentFilters.contest_name}」で、一覧の絞り込み・検索の条件に一致する関係者に送信します。メールアドレスのない関係者には送信しません。`;
+        document.getElementById('mailPreview').classList.add('hidden');
+        document.getElementById('mailStatus').className = 'import-status hidden';
+        if (!this.mailTemplates.configured) {
+            this.showMailStatus('メール送信が設定されていません（SMTP_HOST・MAIL_FROM）。プレビューのみ利用できます', 'warning');
+        }
+        document.getElementById('sendMailBtn').disabled = !this.mailTemplates.configured;
+        document.getElementById('mailDialog').classList.remove('hidden');
+    }
+
+    // メール送信ダイアログを閉じる
+    closeMailDialog() {
+        document.getElementById('mailDialog').classList.add('hidden');
+    }
+
+    // 選択したテンプレートの件名・本文を設定
+    applyMailTemplate() {
+        const template = this.mailTemplates.templates[document.getElementById('mailTemplate').value];
+        document.getElementById('mailSubject').value = template.subject;
+        document.getElementById('mailBody').value = template.body;
+    }
+
+    mailRequest() {
+        return {
+            template: document.getElementById('mailTemplate').value,
+            subject: document.getElementById('mailSubject').value,
+            body: document.getElementById('mailBody').value
+        };
+    }
+
+    showMailStatus(message, type) {
+        const status = document.getElementById('mailStatus');
+        status.textContent = message;
+        status.className = `import-status ${type}`;
+    }
+
+    // プレビュー（サンプルのゲストで差し込み項目を置き換える）
+    async previewMail() {
+        try {
+            const response = await authFetch(`${this.apiUrl}/mail/preview`, {
+                method: 'POST',
+                body: JSON.stringify(this.mailRequest())
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            const preview = document.getElementById('mailPreview');
+            preview.innerHTML = '';
+            const subject = document.createElement('h4');
+            subject.textContent = result.data.subject;
+            const text = document.createElement('pre');
+            text.className = 'mail-preview-text';
+            text.textContent = result.data.text;
+            preview.appendChild(subject);
+            preview.appendChild(text);
+            preview.classList.remove('hidden');
+        } catch (error) {
+            this.showMailStatus(error.message, 'error');
+        }
+    }
+
+    // メールを送信（サーバーのタイムアウトを避けるため、数通ずつ続けて送信する）
+    async sendMails() {
+        const request = this.mailRequest();
+        const label = this.mailTemplates.templates[request.template].label;
+        if (!confirm(`大会「${this.currentFilters.contest_name}」の関係者に${label}を送信しますか？`)) return;
+
+        const sendBtn = document.getElementById('sendMailBtn');
+        sendBtn.disabled = true;
+        this.showMailStatus('送信中...', 'warning');
+
+        const totals = { sent: 0, failed: 0, bounced: 0, skipped: 0 };
+        const results = [];
+        try {
+            let offset = 0;
+            while (offset !== null) {
+                const response = await authFetch(`${this.apiUrl}/mail/send`, {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        ...request,
+                        filters: this.currentFilters,
+                        only_unsent: document.getElementById('mailOnlyUnsent').checked,
+                        offset
+                    })
+                });
+                const result = await response.json();
+                if (!result.success) throw new Error(result.error);
+
+                Object.keys(totals).forEach(key => { totals[key] += result.data[key]; });
+                results.push(...result.data.results);
+                offset = result.data.next_offset;
+                if (offset !== null) {
+                    this.showMailStatus(`送信中... (${offset}/${result.data.total}件)`, 'warning');
+                }
+            }
+
+            const { sent, failed, bounced, skipped } = totals;
+            this.showMailStatus(
+                `送信 ${sent}件、送信失敗 ${failed}件、不達 ${bounced}件、送信しなかった関係者 ${skipped}件`,
+                failed + bounced > 0 ? 'warning' : 'success'
+            );
+
+            // 送信できなかった関係者を表示
+            const preview = document.getElementById('mailPreview');
+            preview.innerHTML = '';
+            const problems = results.filter(r => r.status !== 'sent');
+            if (problems.length > 0) {
+                const list = document.createElement('ul');
+                problems.forEach(r => {
+                    const item = document.createElement('li');
+                    const status = GuestsManager.MAIL_STATUS_LABELS[r.status] || '送信しない';
+                    item.textContent = `${r.name_ja}（${r.email || 'メールアドレスなし'}）: ${status} ${r.error || ''}`;
+                    list.appendChild(item);
+                });
+                preview.appendChild(list);
+                preview.classList.remove('hidden');
+            } else {
+                preview.classList.add('hidden');
+            }
+
+            await this.loadGuests();
+        } catch (error) {
+            // 途中で失敗した場合も、それまでに送信した件数を表示する
+            this.showMailStatus(totals.sent > 0 ? `${error.message}（それまでに${totals.sent}件送信済み）` : error.message, 'error');
+            if (totals.sent > 0) await this.loadGuests();
+        } finally {
+            sendBtn.disabled = false;
+        }
+    }
+
+    // メール送信履歴ダイアログを開く
+    async openMailHistoryDialog(guest) {
+        this.mailHistoryGuest = guest;
+        document.getElementById('mailHistoryDialogTitle').textContent = `メール送信履歴: ${guest.name_ja || ''}`;
+        document.getElementById('mailHistoryDialog').classList.remove('hidden');
+        await this.loadMailHistory();
+    }
+
+    // メール送信履歴ダイアログを閉じる
+    closeMailHistoryDialog() {
+        document.getElementById('mailHistoryDialog').classList.add('hidden');
+        this.mailHistoryGuest = null;
+    }
+
+    async loadMailHistory() {
+        const container = document.getElementById('mailHistoryList');
+        container.textContent = '読み込み中...';
+
+        try {
+            const response = await authFetch(`${this.apiUrl}/${this.mailHistoryGuest.id}/mails`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.renderMailHistory(result.data);
+        } catch (error) {
+            container.textContent = `読み込みに失敗しました: ${error.message}`;
+        }
+    }
+
+    renderMailHistory(mails) {
+        const container = document.getElementById('mailHistoryList');
+        container.innerHTML = '';
+
+        if (mails.length === 0) {
+            container.textContent = '送信したメールはありません';
+            return;
+        }
+
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        ['送信日時', '件名', '宛先', '状況', ''].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        mails.forEach(mail => {
+            const row = tbody.insertRow();
+            row.insertCell().textContent = new Date(mail.sent_at).toLocaleString('ja-JP');
+            row.insertCell().textContent = mail.subject;
+            row.insertCell().textContent = mail.to_address;
+            const statusCell = row.insertCell();
+            statusCell.textContent = GuestsManager.MAIL_STATUS_LABELS[mail.status] || mail.status;
+            if (mail.error) statusCell.title = mail.error;
+
+            const actionCell = row.insertCell();
+            if (mail.status === 'sent') {
+                const bounceBtn = document.createElement('button');
+                bounceBtn.className = 'btn-small';
+                bounceBtn.textContent = '不達';
+                bounceBtn.addEventListener('click', () => this.recordBounce(mail));
+                actionCell.appendChild(bounceBtn);
+            }
+        });
+
+        container.appendChild(table);
+    }
+
+    // 後から届いたバウンスを記録
+    async recordBounce(mail) {
+        const reason = prompt(`「${mail.subject}」（${mail.to_address}）を不達として記録します。理由を入力してください（宛先不明など）`);
+        if (reason === null) return;
+
+        try {
+            const response = await authFetch(`${this.apiUrl}/mails/${mail.id}/bounce`, {
+                method: 'POST',
+                body: JSON.stringify({ reason })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.showNotification('不達として記録しました', 'success');
+            await this.loadMailHistory();
+            await this.loadGuests();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
     // ゲストを削除
     async deleteGuest() {
         if (!this.deletingGuest) return;
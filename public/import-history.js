@@ -0,0 +1,161 @@
+/**
+ * インポート履歴 - 全画面共通ユーティリティ
+ *
+ * 使い方:
+ * 1. HTMLに <script src="import-history.js"></script> を追加
+ * 2. ImportHistory.open(['registrations-csv'], () => reload()) を呼び出す
+ */
+const ImportHistory = {
+    KIND_LABELS: {
+        'registrations-csv': '出場登録 CSVインポート',
+        'registrations-shopify': '出場登録 Shopify同期',
+        'scores': '成績 CSVインポート',
+        'tickets-csv': 'チケット CSVインポート',
+        'guests-csv': '関係者 CSVインポート',
+        'guests-clone': '関係者 前回大会からコピー',
+    },
+
+    ENTITY_LABELS: {
+        registrations: '出場登録',
+        scores: '成績',
+        tickets: 'チケット',
+        guests: '関係者',
+    },
+
+    /**
+     * インポート履歴モーダルを表示
+     * @param {Array<string>} kinds - 表示するインポートの種類
+     * @param {Function} onRolledBack - ロールバック完了後に呼ばれるコールバック
+     */
+    async open(kinds, onRolledBack) {
+        this.kinds = kinds;
+        this.onRolledBack = onRolledBack;
+
+        const modal = this.getModal();
+        modal.classList.remove('hidden');
+        await this.load();
+    },
+
+    close() {
+        this.getModal().classList.add('hidden');
+    },
+
+    getModal() {
+        let modal = document.getElementById('importHistoryModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'importHistoryModal';
+        modal.className = 'modal hidden';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>インポート履歴</h2>
+                    <button class="modal-close" onclick="ImportHistory.close()">&times;</button>
+                </div>
+                <div class="modal-form">
+                    <p class="modal-description">インポートを取り消すと、追加された行は削除され、更新・削除された行はインポート前の値に戻ります。インポート後に編集された行は上書きせず、そのまま残します。</p>
+                    <div id="importHistoryList"></div>
+                    <div id="importHistoryStatus" class="import-status hidden"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        return modal;
+    },
+
+    async load() {
+        const list = document.getElementById('importHistoryList');
+        list.textContent = '読み込み中...';
+
+        try {
+            const results = await Promise.all(this.kinds.map(kind =>
+                authFetch(`/api/imports?kind=${encodeURIComponent(kind)}&limit=20`).then(r => r.json())
+            ));
+            const failed = results.find(r => !r.success);
+            if (failed) throw new Error(failed.error);
+
+            const batches = results
+                .flatMap(r => r.data)
+                .sort((a, b) => b.id - a.id);
+
+            this.render(batches);
+        } catch (error) {
+            list.textContent = `読み込みに失敗しました: ${error.message}`;
+        }
+    },
+
+    render(batches) {
+        const list = document.getElementById('importHistoryList');
+        list.innerHTML = '';
+
+        if (batches.length === 0) {
+            list.textContent = 'インポート履歴はありません';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const headerRow = table.createTHead().insertRow();
+        ['ID', '日時', '種類', '大会名', '実行者', ''].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        batches.forEach(batch => {
+            const row = tbody.insertRow();
+            [
+                batch.id,
+                new Date(batch.created_at).toLocaleString('ja-JP'),
+                this.KIND_LABELS[batch.kind] || batch.kind,
+                batch.contest_name || '',
+                batch.created_by || '',
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+
+            const actionCell = row.insertCell();
+            if (batch.status === 'rolled_back') {
+                actionCell.textContent = '取消済み';
+            } else {
+                const button = document.createElement('button');
+                button.className = 'btn btn-danger btn-small';
+                button.textContent = '取り消す';
+                button.addEventListener('click', () => this.rollback(batch, button));
+                actionCell.appendChild(button);
+            }
+        });
+
+        list.appendChild(table);
+    },
+
+    async rollback(batch, button) {
+        const label = this.KIND_LABELS[batch.kind] || batch.kind;
+        if (!confirm(`#${batch.id}「${label}」を取り消して、インポート前の状態に戻しますか？`)) return;
+
+        const statusEl = document.getElementById('importHistoryStatus');
+        button.disabled = true;
+
+        try {
+            const response = await authFetch(`/api/imports/${batch.id}/rollback`, { method: 'POST' });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            // インポート後に変更されたため戻さなかった行を一覧にする
+            const skipped = result.data.skipped || [];
+            statusEl.textContent = [
+                result.data.message,
+                ...skipped.map(item => `・${this.ENTITY_LABELS[item.entity] || item.entity} ID ${item.entity_id}`)
+            ].join('\n');
+            statusEl.className = skipped.length > 0 ? 'import-status warning' : 'import-status success';
+            await this.load();
+            if (this.onRolledBack) this.onRolledBack();
+        } catch (error) {
+            statusEl.textContent = `エラー: ${error.message}`;
+            statusEl.className = 'import-status error';
+            button.disabled = false;
+        }
+    }
+};
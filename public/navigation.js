@@ -8,6 +8,8 @@ const NAV_CONFIG = {
                 { href: '/registrations', label: '出場登録' },
                 { href: '/scores', label: '大会成績' },
                 { href: '/notes', label: '特記事項' },
+                { href: '/athletes', label: '選手プロフィール' },
+                { href: '/rankings', label: '年間ランキング' },
                 { href: '/subjects', label: '違反認定者', adminOnly: true },
                 { href: '/contests', label: '大会基本情報' }
             ]
@@ -16,7 +18,8 @@ const NAV_CONFIG = {
             label: '入場管理',
             items: [
                 { href: '/tickets', label: 'チケット管理' },
-                { href: '/guests', label: '関係者チケット' }
+                { href: '/guests', label: '関係者チケット' },
+                { href: '/checkin-dashboard', label: '入場状況' }
             ]
         },
         {
@@ -494,6 +494,10 @@ class NotesManager {
             buttons += `<button class="btn btn-sm btn-warning" onclick="notesManager.softDeleteNote('${note.id}')">削除</button>`;
         }
 
+        if (this.isAdmin) {
+            buttons += `<button class="btn btn-sm btn-secondary" onclick="AuditHistory.open('notes', '${note.id}')">履歴</button>`;
+        }
+
         return buttons;
     }
 
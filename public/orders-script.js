@@ -93,14 +93,16 @@ class OrdersManager {
         document.getElementById('searchBtn').addEventListener('click', () => {
             const tag = document.getElementById('tagInput').value.trim();
             const paidOnly = document.getElementById('paidOnlyCheckbox').checked;
-            this.searchOrders(tag, paidOnly);
+            const full = document.getElementById('fullSyncCheckbox').checked;
+            this.searchOrders(tag, paidOnly, full);
         });
 
         document.getElementById('tagInput').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
                 const tag = document.getElementById('tagInput').value.trim();
                 const paidOnly = document.getElementById('paidOnlyCheckbox').checked;
-                this.searchOrders(tag, paidOnly);
+                const full = document.getElementById('fullSyncCheckbox').checked;
+                this.searchOrders(tag, paidOnly, full);
             }
         });
 
@@ -125,7 +127,7 @@ class OrdersManager {
         });
     }
 
-    async searchOrders(tag, paidOnly = true) {
+    async searchOrders(tag, paidOnly = true, full = false) {
         const searchBtn = document.getElementById('searchBtn');
         const originalText = searchBtn.textContent;
         const container = document.getElementById('ordersTableContainer');
@@ -137,7 +139,8 @@ class OrdersManager {
 
             const params = new URLSearchParams({
                 tag: tag || '',
-                paidOnly: paidOnly.toString()
+                paidOnly: paidOnly.toString(),
+                full: full.toString()
             });
             const response = await authFetch(`${this.apiUrl}/search?${params}`);
             const result = await response.json();
@@ -145,7 +148,8 @@ class OrdersManager {
             if (result.success) {
                 this.currentTag = tag;
                 this.currentPaidOnly = paidOnly;
-                this.showNotification(`${result.count}件の注文（${result.rowCount}行）を取得しました`, 'success');
+                const mode = result.incremental ? '前回以降の更新分' : '全件';
+                this.showNotification(`${mode}: ${result.count}件の注文（${result.rowCount}行）を取得しました（新規: ${result.inserted}行、更新: ${result.updated}行）`, 'success');
 
                 // DBから再読み込みして表示（統一されたフォーマットで表示）
                 await this.loadCurrentOrders();
@@ -260,6 +264,8 @@ class OrdersManager {
             if (result.success) {
                 // DB情報を表示
                 this.displayDbInfo(result.totalOrders, result.latestExport);
+                // 一覧は最後に検索したタグの注文に絞り込む
+                this.currentTags = result.latestExport ? result.latestExport.searchTags : [];
 
                 // データがあればページネーション付きで表示
                 if (result.totalOrders > 0) {
@@ -291,6 +297,9 @@ class OrdersManager {
                 sortBy: 'order_date',
                 sortOrder: 'desc'
             });
+            if (this.currentTags && this.currentTags.length > 0) {
+                params.set('tags', JSON.stringify(this.currentTags));
+            }
 
             const response = await authFetch(`${this.apiUrl}/list?${params}`);
             const result = await response.json();
@@ -0,0 +1,526 @@
+// JWT管理ユーティリティ
+const AuthToken = {
+    get() {
+        return localStorage.getItem('authToken');
+    },
+    set(token) {
+        localStorage.setItem('authToken', token);
+    },
+    remove() {
+        localStorage.removeItem('authToken');
+    },
+    getHeaders() {
+        const token = this.get();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+};
+
+// 認証付きfetch関数
+async function authFetch(url, options = {}) {
+    const authHeaders = AuthToken.getHeaders();
+
+    const defaultOptions = {
+        headers: {
+            'Content-Type': 'application/json',
+            ...authHeaders,
+            ...(options.headers || {})
+        },
+        credentials: 'include'
+    };
+
+    const mergedOptions = { ...defaultOptions, ...options };
+
+    return fetch(url, mergedOptions);
+}
+
+
+class RankingsPage {
+    constructor() {
+        this.apiUrl = '/api/rankings';
+        this.currentUser = null;
+        this.isAdmin = false;
+        this.seasons = [];
+        this.editingSeasonId = null;
+        this.init();
+    }
+
+    async init() {
+        await this.checkAuthStatus();
+        this.bindEvents();
+
+        // /rankings?season=2026&category=... で直接開けるようにする
+        if (this.currentUser) {
+            const params = new URLSearchParams(window.location.search);
+            await this.loadSeasons(params.get('season'));
+            await this.loadRankings(params.get('category') || '');
+        }
+    }
+
+    async checkAuthStatus() {
+        try {
+            const response = await authFetch('/api/auth/status');
+            const result = await response.json();
+
+            if (!result.isAuthenticated) {
+                AuthToken.remove();
+                window.location.href = '/';
+                return;
+            }
+
+            this.currentUser = result.user;
+            this.isAdmin = result.user.role === 'admin';
+
+            const displayName = result.user.name || result.user.username || result.user.email || 'Unknown';
+
+            document.getElementById('userName').textContent = displayName;
+            document.getElementById('userRole').textContent = result.user.role === 'admin' ? '管理者' : 'ユーザー';
+            document.getElementById('userAvatar').textContent = displayName.charAt(0).toUpperCase();
+            document.getElementById('authHeader').style.display = 'flex';
+
+            // 管理者の場合、admin-only要素を表示
+            if (this.isAdmin && typeof showAdminOnlyElements === 'function') {
+                showAdminOnlyElements();
+            }
+        } catch (error) {
+            console.error('Auth check failed:', error);
+            AuthToken.remove();
+            window.location.href = '/';
+        }
+    }
+
+    bindEvents() {
+        document.getElementById('seasonSelect').addEventListener('change', () => {
+            this.loadRankings('');
+        });
+        document.getElementById('categorySelect').addEventListener('change', (e) => {
+            this.loadRankings(e.target.value);
+        });
+        document.getElementById('csvExportBtn').addEventListener('click', () => {
+            this.exportCsv();
+        });
+
+        // シーズン設定
+        document.getElementById('seasonSettingsBtn').addEventListener('click', () => {
+            this.openSeasonDialog();
+        });
+        document.getElementById('closeSeasonDialog').addEventListener('click', () => {
+            document.getElementById('seasonDialog').classList.add('hidden');
+        });
+        document.getElementById('resetSeasonFormBtn').addEventListener('click', () => {
+            this.fillSeasonForm(null);
+        });
+        document.getElementById('saveSeasonBtn').addEventListener('click', () => {
+            this.saveSeason();
+        });
+
+        // ログアウト
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            this.logout();
+        });
+    }
+
+    // シーズン一覧を読み込み、選択肢を作成（指定がなければ最新のシーズンを選択）
+    async loadSeasons(selected = null) {
+        try {
+            const response = await authFetch(`${this.apiUrl}/seasons`);
+            const result = await response.json();
+            if (!result.success) {
+                this.showNotification(result.error || 'シーズンの読み込みに失敗しました', 'error');
+                return;
+            }
+
+            this.seasons = result.data;
+            const select = document.getElementById('seasonSelect');
+            const current = selected || select.value || (this.seasons[0] && this.seasons[0].season) || '';
+            select.innerHTML = '<option value="">シーズンを選択</option>';
+            this.seasons.forEach(season => {
+                const option = document.createElement('option');
+                option.value = season.season;
+                option.textContent = season.season;
+                select.appendChild(option);
+            });
+            select.value = this.seasons.some(s => s.season === current) ? current : '';
+        } catch (error) {
+            console.error('Ranking seasons loading failed:', error);
+            this.showNotification('シーズンの読み込みに失敗しました', 'error');
+        }
+    }
+
+    showMessage(message) {
+        const messageEl = document.getElementById('rankingMessage');
+        messageEl.textContent = message;
+        messageEl.classList.remove('hidden');
+    }
+
+    // 選択中のシーズン・カテゴリーのクエリ
+    queryParams(category) {
+        const params = new URLSearchParams();
+        const season = document.getElementById('seasonSelect').value;
+        if (season) params.set('season', season);
+        if (category) params.set('category', category);
+        return params;
+    }
+
+    async loadRankings(category) {
+        const container = document.getElementById('rankingsContainer');
+        document.getElementById('rankingMessage').classList.add('hidden');
+        document.getElementById('seasonSummary').textContent = '';
+
+        if (!document.getElementById('seasonSelect').value) {
+            container.innerHTML = '';
+            this.showMessage(this.seasons.length === 0
+                ? 'ランキングのシーズンが設定されていません。管理者が「シーズン設定」から追加してください。'
+                : 'シーズンを選択してください');
+            return;
+        }
+
+        try {
+            const params = this.queryParams(category);
+            history.replaceState(null, '', `?${params}`);
+
+            const response = await authFetch(`${this.apiUrl}?${params}`);
+            const result = await response.json();
+            if (!result.success) {
+                container.innerHTML = '';
+                this.showMessage(result.error);
+                return;
+            }
+
+            this.renderSeasonSummary(result.season);
+            this.renderCategories(result.data.categories, category);
+            this.renderExcluded(result.data.excluded);
+            this.renderRankings(result.data.rankings);
+        } catch (error) {
+            console.error('Rankings loading failed:', error);
+            this.showNotification('ランキングの読み込みに失敗しました', 'error');
+        }
+    }
+
+    renderSeasonSummary(season) {
+        const multipliers = Object.entries(season.tier_multipliers)
+            .map(([tier, value]) => `${tier}×${value}`)
+            .join('、');
+        document.getElementById('seasonSummary').textContent = [
+            `期間: ${season.start_date} 〜 ${season.end_date}`,
+            `ポイント: ${season.points_table.join(' / ')}`,
+            `ティアの倍率: ${multipliers || 'なし（すべて1倍）'}`,
+            season.note,
+        ].filter(Boolean).join('　');
+    }
+
+    renderCategories(categories, selected) {
+        const select = document.getElementById('categorySelect');
+        select.innerHTML = '<option value="">すべてのカテゴリー</option>';
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category;
+            select.appendChild(option);
+        });
+        select.value = categories.includes(selected) ? selected : '';
+    }
+
+    // 集計から外した成績・倍率が未設定のティアを知らせる
+    renderExcluded(excluded) {
+        const messages = [];
+        if (excluded.unidentified > 0) {
+            messages.push(`FWJカード番号のない成績 ${excluded.unidentified}件 は集計していません。`);
+        }
+        if (excluded.unknown_tiers.length > 0) {
+            messages.push(`ティア「${excluded.unknown_tiers.join('」「')}」の倍率が設定されていないため、1倍で計算しています。`);
+        }
+        if (messages.length > 0) {
+            this.showMessage(messages.join(' '));
+        }
+    }
+
+    renderRankings(rankings) {
+        const container = document.getElementById('rankingsContainer');
+        if (rankings.length === 0) {
+            container.innerHTML = '<section class="statistics-section"><p class="no-data">このシーズンの成績がありません</p></section>';
+            return;
+        }
+
+        container.innerHTML = rankings.map(({ category, standings }) => {
+            const rows = standings.map(s => {
+                const results = s.results.map(r => {
+                    const placing = /^\d+$/.test(r.placing) ? `${r.placing}位` : r.placing;
+                    const multiplier = r.multiplier !== 1 ? `（${this.escapeHtml(r.tier)} ×${r.multiplier}）` : '';
+                    return `${this.escapeHtml(r.contest_name)} ${this.escapeHtml(placing)} <strong>${r.points}pt</strong>${multiplier}`;
+                }).join('<br>');
+                return `
+                    <tr>
+                        <td class="center-cell"><strong>${s.rank}</strong></td>
+                        <td><a href="/athletes?fwj=${encodeURIComponent(s.fwj_card_no)}">${this.escapeHtml(s.fwj_card_no)}</a></td>
+                        <td>${this.escapeHtml(s.player_name)}</td>
+                        <td class="center-cell"><strong>${s.total_points}</strong></td>
+                        <td class="center-cell">${s.contests}</td>
+                        <td class="center-cell">${s.best_placing ? `${s.best_placing}位` : '-'}</td>
+                        <td class="center-cell">${s.wins} / ${s.seconds} / ${s.thirds}</td>
+                        <td>${this.escapeHtml(s.tie_break_label)}</td>
+                        <td>${results}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            return `
+                <section class="statistics-section">
+                    <h2>${this.escapeHtml(category)}</h2>
+                    <div class="table-scroll-container">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>順位</th>
+                                    <th>FWJカード番号</th>
+                                    <th>氏名</th>
+                                    <th>合計ポイント</th>
+                                    <th>出場大会数</th>
+                                    <th>最高順位</th>
+                                    <th>1位/2位/3位</th>
+                                    <th>同点の判定</th>
+                                    <th>内訳</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                </section>
+            `;
+        }).join('');
+    }
+
+    async exportCsv() {
+        if (!document.getElementById('seasonSelect').value) {
+            this.showNotification('シーズンを選択してください', 'error');
+            return;
+        }
+
+        try {
+            const params = this.queryParams(document.getElementById('categorySelect').value);
+            const response = await authFetch(`${this.apiUrl}/export?${params}`);
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            if (result.data.length === 0) {
+                this.showNotification('エクスポートするデータがありません', 'error');
+                return;
+            }
+
+            this.downloadCSV(result.data, result.filename);
+            this.showNotification(`${result.data.length}件のデータをエクスポートしました`, 'success');
+        } catch (error) {
+            console.error('CSV export error:', error);
+            this.showNotification(`エクスポートに失敗しました: ${error.message}`, 'error');
+        }
+    }
+
+    downloadCSV(data, filename) {
+        if (!data || data.length === 0) return;
+
+        // ヘッダー行（全項目）
+        const headers = Object.keys(data[0]);
+
+        // CSV生成（BOM付きUTF-8）
+        const csvContent = [
+            headers.join(','),
+            ...data.map(row => {
+                return headers.map(header => {
+                    let value = row[header];
+                    // null/undefinedは空文字に
+                    if (value === null || value === undefined) {
+                        value = '';
+                    }
+                    // 文字列に変換
+                    value = String(value);
+                    // カンマ、改行、ダブルクォートを含む場合はエスケープ
+                    if (value.includes(',') || value.includes('\n') || value.includes('"')) {
+                        value = '"' + value.replace(/"/g, '""') + '"';
+                    }
+                    return value;
+                }).join(',');
+            })
+        ].join('\n');
+
+        // BOM付きでBlobを作成
+        const bom = new Uint8Array([0xEF, 0xBB, 0xBF]);
+        const blob = new Blob([bom, csvContent], { type: 'text/csv;charset=utf-8;' });
+
+        // ダウンロード
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    // シーズン設定ダイアログを開く（管理者のみ）
+    openSeasonDialog() {
+        this.renderSeasonList();
+        this.fillSeasonForm(null);
+        document.getElementById('seasonDialog').classList.remove('hidden');
+    }
+
+    renderSeasonList() {
+        const container = document.getElementById('seasonList');
+        if (this.seasons.length === 0) {
+            container.innerHTML = '<p class="no-data">シーズンが設定されていません</p>';
+            return;
+        }
+
+        const rows = this.seasons.map(season => `
+            <tr>
+                <td>${this.escapeHtml(season.season)}</td>
+                <td>${this.escapeHtml(season.start_date)} 〜 ${this.escapeHtml(season.end_date)}</td>
+                <td>${season.points_table.join(' / ')}</td>
+                <td>${this.escapeHtml(Object.entries(season.tier_multipliers).map(([tier, value]) => `${tier}×${value}`).join('、'))}</td>
+                <td>
+                    <button type="button" class="btn-small edit-btn" data-edit-season="${season.id}">編集</button>
+                    <button type="button" class="btn-small delete-btn" data-delete-season="${season.id}">削除</button>
+                </td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>シーズン</th>
+                        <th>期間</th>
+                        <th>ポイント</th>
+                        <th>ティアの倍率</th>
+                        <th>操作</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('[data-edit-season]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.fillSeasonForm(this.seasons.find(s => s.id === parseInt(button.dataset.editSeason, 10)));
+            });
+        });
+        container.querySelectorAll('[data-delete-season]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.deleteSeason(this.seasons.find(s => s.id === parseInt(button.dataset.deleteSeason, 10)));
+            });
+        });
+    }
+
+    fillSeasonForm(season) {
+        this.editingSeasonId = season ? season.id : null;
+        document.getElementById('seasonFormTitle').textContent = season ? `シーズン「${season.season}」を編集` : 'シーズンを追加';
+        document.getElementById('season_name').value = season ? season.season : '';
+        document.getElementById('season_start_date').value = season ? season.start_date : '';
+        document.getElementById('season_end_date').value = season ? season.end_date : '';
+        document.getElementById('season_points').value = season ? season.points_table.join(',') : '';
+        document.getElementById('season_multipliers').value = season
+            ? Object.entries(season.tier_multipliers).map(([tier, value]) => `${tier}=${value}`).join('\n')
+            : '';
+        document.getElementById('season_note').value = season ? season.note : '';
+    }
+
+    // 入力欄からシーズン設定を作成（数値でない値はそのまま送り、サーバー側のチェックでエラーにする）
+    readSeasonForm() {
+        const toNumber = value => (value.trim() === '' || isNaN(Number(value)) ? value.trim() : Number(value));
+        const tierMultipliers = {};
+        document.getElementById('season_multipliers').value.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            const [tier, value = ''] = line.split('=');
+            tierMultipliers[tier.trim()] = toNumber(value);
+        });
+
+        return {
+            season: document.getElementById('season_name').value.trim(),
+            start_date: document.getElementById('season_start_date').value,
+            end_date: document.getElementById('season_end_date').value,
+            points_table: document.getElementById('season_points').value
+                .split(/[,、\s]+/)
+                .filter(value => value !== '')
+                .map(toNumber),
+            tier_multipliers: tierMultipliers,
+            note: document.getElementById('season_note').value.trim(),
+        };
+    }
+
+    async saveSeason() {
+        try {
+            const url = this.editingSeasonId ? `${this.apiUrl}/seasons/${this.editingSeasonId}` : `${this.apiUrl}/seasons`;
+            const response = await authFetch(url, {
+                method: this.editingSeasonId ? 'PUT' : 'POST',
+                body: JSON.stringify(this.readSeasonForm())
+            });
+            const result = await response.json();
+            if (!result.success) {
+                this.showNotification(result.error, 'error');
+                return;
+            }
+
+            this.showNotification(`シーズン「${result.data.season}」を保存しました`, 'success');
+            await this.loadSeasons(result.data.season);
+            this.renderSeasonList();
+            this.fillSeasonForm(result.data);
+            await this.loadRankings(document.getElementById('categorySelect').value);
+        } catch (error) {
+            console.error('Save ranking season failed:', error);
+            this.showNotification('シーズンの保存に失敗しました', 'error');
+        }
+    }
+
+    async deleteSeason(season) {
+        if (!season || !confirm(`シーズン「${season.season}」を削除しますか？`)) return;
+
+        try {
+            const response = await authFetch(`${this.apiUrl}/seasons/${season.id}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!result.success) {
+                this.showNotification(result.error, 'error');
+                return;
+            }
+
+            this.showNotification(`シーズン「${season.season}」を削除しました`, 'success');
+            document.getElementById('seasonSelect').value = '';
+            await this.loadSeasons();
+            this.renderSeasonList();
+            this.fillSeasonForm(null);
+            await this.loadRankings('');
+        } catch (error) {
+            console.error('Delete ranking season failed:', error);
+            this.showNotification('シーズンの削除に失敗しました', 'error');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.getElementById('notification');
+        notification.textContent = message;
+        notification.className = `notification ${type}`;
+        notification.classList.remove('hidden');
+
+        setTimeout(() => {
+            notification.classList.add('hidden');
+        }, 5000);
+    }
+
+    async logout() {
+        try {
+            await authFetch('/api/auth/logout', {
+                method: 'POST'
+            });
+        } catch (error) {
+            console.error('Logout failed:', error);
+        }
+        AuthToken.remove();
+        window.location.href = '/';
+    }
+}
+
+const rankingsPage = new RankingsPage();
@@ -254,10 +254,43 @@ class RegistrationsManager {
             this.openAssignPlayerNoModal();
         });
 
+        document.getElementById('eligibilityReportBtn').addEventListener('click', () => {
+            document.getElementById('dataNumberingDropdownMenu').classList.add('hidden');
+            this.openEligibilityModal();
+        });
+
+        document.getElementById('eligibilityContestName').addEventListener('change', (e) => {
+            document.getElementById('eligibilityCheckBtn').disabled = !e.target.value;
+            document.getElementById('eligibilityCsvBtn').disabled = true;
+            document.getElementById('eligibilityStatus').className = 'import-status hidden';
+            document.getElementById('eligibilityResult').classList.add('hidden');
+        });
+
+        document.getElementById('eligibilityCheckBtn').addEventListener('click', () => {
+            this.loadEligibilityReport();
+        });
+
+        document.getElementById('eligibilityCsvBtn').addEventListener('click', () => {
+            this.downloadEligibilityReport();
+        });
+
+        document.getElementById('assignPnoPreviewBtn').addEventListener('click', () => {
+            this.previewAssignPlayerNumbers();
+        });
+
         document.getElementById('assignPnoExecuteBtn').addEventListener('click', () => {
             this.executeAssignPlayerNumbers();
         });
 
+        document.getElementById('assignPnoMode').addEventListener('change', () => {
+            this.validateAssignPlayerNoForm();
+        });
+
+        document.getElementById('assignPnoAddRangeBtn').addEventListener('click', () => {
+            this.addAssignNumberRangeRow();
+            this.validateAssignPlayerNoForm();
+        });
+
         // 全項目CSVドロップダウン
         document.getElementById('csvAllDropdownBtn').addEventListener('click', (e) => {
             e.stopPropagation();
@@ -272,6 +305,11 @@ class RegistrationsManager {
             this.openCsvImportModal();
         });
 
+        document.getElementById('importHistoryBtn').addEventListener('click', () => {
+            document.getElementById('csvAllDropdownMenu').classList.add('hidden');
+            ImportHistory.open(['registrations-csv', 'registrations-shopify'], () => this.loadRegistrations());
+        });
+
         document.getElementById('exportModalBtn').addEventListener('click', () => {
             document.getElementById('csvAllDropdownMenu').classList.add('hidden');
             this.openExportModal();
@@ -291,6 +329,10 @@ class RegistrationsManager {
             this.executeShopifyImport();
         });
 
+        document.getElementById('shopifyImportCommitBtn').addEventListener('click', () => {
+            this.commitShopifyImport();
+        });
+
         document.getElementById('modalExportBtn').addEventListener('click', () => {
             this.handleModalExport();
         });
@@ -427,6 +469,10 @@ class RegistrationsManager {
         document.getElementById('shopifyImportExecuteBtn').disabled = true;
         document.getElementById('shopifyImportStatus').className = 'import-status hidden';
         document.getElementById('shopifyImportStatus').textContent = '';
+        document.getElementById('shopifyImportPreview').className = 'import-preview hidden';
+        document.getElementById('shopifyImportPreview').innerHTML = '';
+        document.getElementById('shopifyImportCommitBtn').classList.add('hidden');
+        this.shopifyImportToken = null;
 
         // 今日以降で最も近い大会をデフォルト値として設定
         if (this.defaultContest) {
@@ -476,19 +522,19 @@ class RegistrationsManager {
 
         // フォームをリセット
         document.getElementById('assignPnoMode').value = 'keep';
-        document.getElementById('assignPnoExecuteBtn').disabled = true;
-        document.getElementById('assignPnoStatus').className = 'import-status hidden';
-        document.getElementById('assignPnoStatus').textContent = '';
+        document.getElementById('assignPnoClassOrder').textContent = '大会を選択してください';
+        document.getElementById('assignPnoRanges').innerHTML = '';
+        this.validateAssignPlayerNoForm();
 
         // デフォルト大会を設定
         if (this.defaultContest) {
             contestSelect.value = this.defaultContest.contest_name;
-            this.validateAssignPlayerNoForm();
+            this.onAssignPnoContestChange();
         }
 
         // バリデーション
         contestSelect.removeEventListener('change', this._assignPnoValidateBound);
-        this._assignPnoValidateBound = () => this.validateAssignPlayerNoForm();
+        this._assignPnoValidateBound = () => this.onAssignPnoContestChange();
         contestSelect.addEventListener('change', this._assignPnoValidateBound);
     }
 
@@ -496,9 +542,336 @@ class RegistrationsManager {
         document.getElementById('assignPlayerNoModal').classList.add('hidden');
     }
 
+    // 入力が変わったらプレビューをやり直す
     validateAssignPlayerNoForm() {
         const contestName = document.getElementById('assignPnoContestName').value;
-        document.getElementById('assignPnoExecuteBtn').disabled = !contestName;
+        document.getElementById('assignPnoPreviewBtn').disabled = !contestName;
+        document.getElementById('assignPnoExecuteBtn').disabled = true;
+        document.getElementById('assignPnoStatus').className = 'import-status hidden';
+        document.getElementById('assignPnoStatus').textContent = '';
+        document.getElementById('assignPnoPreview').classList.add('hidden');
+    }
+
+    onAssignPnoContestChange() {
+        this.validateAssignPlayerNoForm();
+        const contestName = document.getElementById('assignPnoContestName').value;
+        if (contestName) {
+            this.loadAssignClassOrder(contestName);
+        }
+    }
+
+    // クラス開催順とゼッケン番号範囲を読み込む
+    async loadAssignClassOrder(contestName) {
+        const classContainer = document.getElementById('assignPnoClassOrder');
+        classContainer.textContent = '読み込み中...';
+        document.getElementById('assignPnoRanges').innerHTML = '';
+
+        try {
+            const response = await authFetch(`${this.apiUrl}/class-order/${encodeURIComponent(contestName)}`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.renderAssignClassOrder(result.data.classes);
+            result.data.ranges.forEach(range => this.addAssignNumberRangeRow(range));
+        } catch (error) {
+            classContainer.textContent = `読み込みに失敗しました: ${error.message}`;
+        }
+    }
+
+    renderAssignClassOrder(classes) {
+        const container = document.getElementById('assignPnoClassOrder');
+        container.innerHTML = '';
+
+        if (classes.length === 0) {
+            container.textContent = 'クラスがありません';
+            return;
+        }
+
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        ['クラス名', '開催順', 'カテゴリー'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        classes.forEach(cls => {
+            const row = tbody.insertRow();
+            row.dataset.className = cls.class_name;
+            row.insertCell().textContent = cls.class_name;
+
+            const sortInput = document.createElement('input');
+            sortInput.type = 'number';
+            sortInput.min = '1';
+            sortInput.className = 'class-order-sort-index';
+            sortInput.value = cls.sort_index ?? '';
+            sortInput.disabled = !this.isAdmin;
+            row.insertCell().appendChild(sortInput);
+
+            const categoryInput = document.createElement('input');
+            categoryInput.type = 'text';
+            categoryInput.className = 'class-order-category';
+            categoryInput.placeholder = '例: Bodybuilding';
+            categoryInput.value = cls.category || '';
+            categoryInput.disabled = !this.isAdmin;
+            row.insertCell().appendChild(categoryInput);
+        });
+
+        table.addEventListener('input', () => this.validateAssignPlayerNoForm());
+        container.appendChild(table);
+    }
+
+    addAssignNumberRangeRow(range = {}) {
+        const container = document.getElementById('assignPnoRanges');
+        const row = document.createElement('div');
+        row.className = 'number-range-row';
+
+        const categoryInput = document.createElement('input');
+        categoryInput.type = 'text';
+        categoryInput.className = 'number-range-category';
+        categoryInput.placeholder = 'カテゴリー';
+        categoryInput.value = range.category || '';
+
+        const startInput = document.createElement('input');
+        startInput.type = 'number';
+        startInput.min = '1';
+        startInput.className = 'number-range-start';
+        startInput.placeholder = '開始';
+        startInput.value = range.start_no ?? '';
+
+        const endInput = document.createElement('input');
+        endInput.type = 'number';
+        endInput.min = '1';
+        endInput.className = 'number-range-end';
+        endInput.placeholder = '終了';
+        endInput.value = range.end_no ?? '';
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-danger btn-small';
+        removeBtn.textContent = '削除';
+        removeBtn.addEventListener('click', () => {
+            row.remove();
+            this.validateAssignPlayerNoForm();
+        });
+
+        const separator = document.createElement('span');
+        separator.textContent = '〜';
+
+        // 開催順・番号範囲の変更は管理者のみ（それ以外は保存済みの設定で採番する）
+        [categoryInput, startInput, endInput, removeBtn].forEach(el => { el.disabled = !this.isAdmin; });
+
+        row.append(categoryInput, startInput, separator, endInput, removeBtn);
+        row.addEventListener('input', () => this.validateAssignPlayerNoForm());
+        container.appendChild(row);
+    }
+
+    collectAssignClassOrder() {
+        const classes = Array.from(document.querySelectorAll('#assignPnoClassOrder tbody tr')).map(row => ({
+            class_name: row.dataset.className,
+            sort_index: row.querySelector('.class-order-sort-index').value,
+            category: row.querySelector('.class-order-category').value.trim()
+        }));
+
+        const ranges = Array.from(document.querySelectorAll('#assignPnoRanges .number-range-row'))
+            .map(row => ({
+                category: row.querySelector('.number-range-category').value.trim(),
+                start_no: row.querySelector('.number-range-start').value,
+                end_no: row.querySelector('.number-range-end').value
+            }))
+            .filter(range => range.category || range.start_no || range.end_no);
+
+        return { classes, ranges };
+    }
+
+    // 開催順を保存してから採番結果をプレビュー（保存は管理者のみ）
+    async previewAssignPlayerNumbers() {
+        const contestName = document.getElementById('assignPnoContestName').value;
+        const mode = document.getElementById('assignPnoMode').value;
+        const statusEl = document.getElementById('assignPnoStatus');
+        const previewBtn = document.getElementById('assignPnoPreviewBtn');
+        const executeBtn = document.getElementById('assignPnoExecuteBtn');
+
+        if (!contestName) return;
+
+        try {
+            previewBtn.disabled = true;
+            executeBtn.disabled = true;
+            statusEl.textContent = 'プレビューを作成中...';
+            statusEl.className = 'import-status';
+
+            if (this.isAdmin) {
+                const saveResponse = await authFetch(`${this.apiUrl}/class-order/${encodeURIComponent(contestName)}`, {
+                    method: 'PUT',
+                    body: JSON.stringify(this.collectAssignClassOrder())
+                });
+                const saveResult = await saveResponse.json();
+                if (!saveResult.success) throw new Error(saveResult.error);
+            }
+
+            const response = await authFetch(`${this.apiUrl}/assign-player-numbers/preview`, {
+                method: 'POST',
+                body: JSON.stringify({ contestName, mode })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.renderAssignPlayerNumbersPreview(result.data);
+
+            if (result.data.errors.length > 0) {
+                statusEl.textContent = result.data.errors.join('\n');
+                statusEl.className = 'import-status error';
+                return;
+            }
+
+            const changed = result.data.items.filter(item => item.changed).length;
+            statusEl.textContent = `プレビュー: ${changed}件のゼッケン番号が変更されます（FWJカード番号なし${result.data.skipped}件は対象外）\n内容を確認して「採番実行」を押してください`;
+            statusEl.className = 'import-status warning';
+            executeBtn.disabled = false;
+        } catch (error) {
+            console.error('Assign player numbers preview error:', error);
+            statusEl.textContent = `エラー: ${error.message}`;
+            statusEl.className = 'import-status error';
+        } finally {
+            previewBtn.disabled = false;
+        }
+    }
+
+    // 採番結果のプレビュー（開催順に 現在の番号 → 新しい番号）を表示
+    renderAssignPlayerNumbersPreview(preview) {
+        const container = document.getElementById('assignPnoPreview');
+        container.innerHTML = '';
+
+        const changedItems = preview.items.filter(item => item.changed);
+        if (changedItems.length === 0) {
+            container.textContent = '変更はありません';
+        } else {
+            const heading = document.createElement('h4');
+            heading.textContent = `変更（${changedItems.length}件）`;
+            container.appendChild(heading);
+
+            const list = document.createElement('ul');
+            changedItems.forEach(item => {
+                const li = document.createElement('li');
+                const order = item.sort_index != null ? `[${item.sort_index}] ` : '[開催順なし] ';
+                li.textContent = `${order}${item.class_name} ${item.name_ja || '(氏名なし)'} [${item.fwj_card_no}]: ${item.current_player_no || '(なし)'} → ${item.player_no}`;
+                list.appendChild(li);
+            });
+            container.appendChild(list);
+        }
+
+        container.classList.remove('hidden');
+    }
+
+    // 出場資格チェックモーダル
+    openEligibilityModal() {
+        document.getElementById('eligibilityModal').classList.remove('hidden');
+
+        const contestSelect = document.getElementById('eligibilityContestName');
+        contestSelect.innerHTML = '<option value="">大会を選択してください</option>';
+
+        Array.from(this.contestsMap.entries())
+            .sort((a, b) => new Date(b[1].contest_date) - new Date(a[1].contest_date))
+            .forEach(([name]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                contestSelect.appendChild(option);
+            });
+
+        if (this.defaultContest) {
+            contestSelect.value = this.defaultContest.contest_name;
+        }
+
+        this.eligibilityReport = null;
+        document.getElementById('eligibilityCheckBtn').disabled = !contestSelect.value;
+        document.getElementById('eligibilityCsvBtn').disabled = true;
+        document.getElementById('eligibilityStatus').className = 'import-status hidden';
+        document.getElementById('eligibilityResult').classList.add('hidden');
+    }
+
+    closeEligibilityModal() {
+        document.getElementById('eligibilityModal').classList.add('hidden');
+    }
+
+    async loadEligibilityReport() {
+        const contestName = document.getElementById('eligibilityContestName').value;
+        if (!contestName) return;
+
+        const checkBtn = document.getElementById('eligibilityCheckBtn');
+        const statusEl = document.getElementById('eligibilityStatus');
+        checkBtn.disabled = true;
+        statusEl.textContent = 'チェック中...';
+        statusEl.className = 'import-status';
+
+        try {
+            const response = await authFetch(`${this.apiUrl}/eligibility/${encodeURIComponent(contestName)}`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.eligibilityReport = result.data;
+            const { totalEntries, entriesWithViolations } = result.data.summary;
+            statusEl.textContent = entriesWithViolations > 0
+                ? `${totalEntries}件中${entriesWithViolations}件のエントリーに確認が必要な項目があります`
+                : `${totalEntries}件のエントリーに問題はありません`;
+            statusEl.className = entriesWithViolations > 0 ? 'import-status warning' : 'import-status success';
+
+            this.renderEligibilityReport(result.data);
+            document.getElementById('eligibilityCsvBtn').disabled = result.data.violations.length === 0;
+        } catch (error) {
+            console.error('Eligibility report error:', error);
+            statusEl.textContent = `エラー: ${error.message}`;
+            statusEl.className = 'import-status error';
+        } finally {
+            checkBtn.disabled = false;
+        }
+    }
+
+    // ルールごとに該当エントリーを表示
+    renderEligibilityReport(report) {
+        const container = document.getElementById('eligibilityResult');
+        container.innerHTML = '';
+
+        Object.entries(report.rules).forEach(([rule, label]) => {
+            const items = report.violations.filter(v => v.rule === rule);
+            if (items.length === 0) return;
+
+            const heading = document.createElement('h4');
+            heading.textContent = `${label}（${items.length}件）`;
+            container.appendChild(heading);
+
+            const list = document.createElement('ul');
+            items.forEach(item => {
+                const li = document.createElement('li');
+                const playerNo = item.player_no ? `No.${item.player_no} ` : '';
+                const contact = [item.email, item.phone].filter(Boolean).join(' / ');
+                li.textContent = `${playerNo}${item.name_ja || '(氏名なし)'} [${item.fwj_card_no || 'カード番号なし'}] ${item.class_name} - ${item.message}${contact ? `（${contact}）` : ''}`;
+                list.appendChild(li);
+            });
+            container.appendChild(list);
+        });
+
+        container.classList.toggle('hidden', report.violations.length === 0);
+    }
+
+    downloadEligibilityReport() {
+        const report = this.eligibilityReport;
+        if (!report) return;
+
+        const rows = report.violations.map(v => ({
+            player_no: v.player_no,
+            name_ja: v.name_ja,
+            fwj_card_no: v.fwj_card_no,
+            member_card_no: v.member_card_no,
+            class_name: v.class_name,
+            rule: v.rule_label,
+            message: v.message,
+            email: v.email,
+            phone: v.phone
+        }));
+        const sanitizedContestName = report.contestName.replace(/[^a-zA-Z0-9\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/g, '_');
+        this.downloadCSV(rows, `${sanitizedContestName}_出場資格チェック.csv`);
     }
 
     async executeAssignPlayerNumbers() {
@@ -1069,6 +1442,8 @@ class RegistrationsManager {
 
         try {
             importBtn.disabled = true;
+            this.shopifyImportToken = null;
+            document.getElementById('shopifyImportCommitBtn').classList.add('hidden');
             statusElement.className = 'import-status';
             statusElement.style.display = 'block';
 
@@ -1096,48 +1471,140 @@ class RegistrationsManager {
                 throw new Error('エントリー取得に失敗しました: ' + (ordersResult.error || ''));
             }
 
-            // Step 3: Registrations作成
-            statusElement.textContent = '(3/3) Registrationsを作成中...';
-            const response = await authFetch(`${this.apiUrl}/import-shopify`, {
+            // Step 3: 変更内容をプレビュー
+            statusElement.textContent = '(3/3) 変更内容を確認中...';
+            const response = await authFetch(`${this.apiUrl}/import-shopify/preview`, {
                 method: 'POST',
                 body: JSON.stringify({ contestDate, contestName })
             });
             const result = await response.json();
 
-            if (result.success) {
-                const { inserted, updated, deleted, preserved, memberNotFound, warnings } = result.data;
+            if (!result.success) {
+                throw new Error('プレビューの作成に失敗しました: ' + (result.error || ''));
+            }
 
-                this.showNotification(`${inserted}件を新規追加、${updated}件を更新、${deleted}件を削除しました`, 'success');
+            this.shopifyImportToken = result.data.token;
+            this.renderShopifyImportPreview(result.data);
 
-                statusElement.className = 'import-status success';
-                let statusMessage = `インポート完了: ${contestName} (${contestDate})\n新規追加: ${inserted}件 / 更新: ${updated}件 / 削除: ${deleted}件`;
-                if (preserved > 0) {
-                    statusMessage += `\n手動エントリー保持: ${preserved}件`;
-                }
-                if (memberNotFound > 0) {
-                    statusMessage += `\n※${memberNotFound}件はMemberが見つからず、Members由来の項目が空白です`;
-                }
-                statusElement.textContent = statusMessage;
+            const { inserts, updates, deletes, unchanged, unmappedVariants, ineligible } = result.data.summary;
+            statusElement.className = 'import-status warning';
+            statusElement.textContent = `プレビュー: 新規追加 ${inserts}件 / 更新 ${updates}件 / 削除 ${deletes}件 / 変更なし ${unchanged}件`
+                + (unmappedVariants > 0 ? `\n※クラス未設定のバリエーションが${unmappedVariants}件あります` : '')
+                + (ineligible > 0 ? `\n※出場資格の確認が必要なエントリーが${ineligible}件あります` : '')
+                + '\n内容を確認して「確定」を押してください';
+            document.getElementById('shopifyImportCommitBtn').classList.remove('hidden');
+        } catch (error) {
+            this.showNotification('エラーが発生しました: ' + error.message, 'error');
+            statusElement.className = 'import-status error';
+            statusElement.textContent = error.message;
+        } finally {
+            importBtn.disabled = false;
+        }
+    }
+
+    // Shopifyインポートのプレビュー（新規・更新差分・削除）を表示
+    renderShopifyImportPreview(preview) {
+        const container = document.getElementById('shopifyImportPreview');
+        container.innerHTML = '';
+
+        const addSection = (title, items, formatItem) => {
+            if (items.length === 0) return;
+            const heading = document.createElement('h4');
+            heading.textContent = `${title}（${items.length}件）`;
+            container.appendChild(heading);
+
+            const list = document.createElement('ul');
+            items.forEach(item => {
+                const li = document.createElement('li');
+                li.textContent = formatItem(item);
+                list.appendChild(li);
+            });
+            container.appendChild(list);
+        };
+
+        addSection('新規追加', preview.inserts, item =>
+            `${item.name_ja || '(氏名なし)'} [${item.fwj_card_no}] ${item.class_name}`
+        );
+        addSection('更新', preview.updates, item => {
+            const changes = Object.entries(item.diff)
+                .map(([field, { from, to }]) => `${field}: "${from}" → "${to}"`)
+                .join(', ');
+            return `${item.player_no ? `No.${item.player_no} ` : ''}${item.name_ja} [${item.fwj_card_no}] ${item.class_name} - ${changes}`;
+        });
+        addSection('削除', preview.deletes, item => {
+            const order = item.refundedOrder;
+            return `${item.player_no ? `No.${item.player_no} ` : ''}${item.name_ja} [${item.fwj_card_no}] ${item.class_name} - 注文${order.order_no}（${order.financial_status}、数量${order.current_quantity}）`;
+        });
+        addSection('クラス未設定のバリエーション', preview.unmappedVariants, item =>
+            `${item.variant}（${item.count}件） - コンテスト画面の「クラス」で登録してください`
+        );
+        addSection('出場資格の確認が必要', preview.ineligible, item =>
+            `${item.name_ja || '(氏名なし)'} [${item.fwj_card_no}] ${item.class_name} - ${item.issues.join('、')}`
+        );
+
+        if (container.children.length === 0) {
+            container.textContent = '変更はありません';
+        }
+        container.classList.remove('hidden');
+    }
+
+    async commitShopifyImport() {
+        if (!this.shopifyImportToken) return;
+
+        const commitBtn = document.getElementById('shopifyImportCommitBtn');
+        const statusElement = document.getElementById('shopifyImportStatus');
 
-                if (warnings && warnings.length > 0) {
-                    console.log('Shopify import warnings:', warnings);
+        try {
+            commitBtn.disabled = true;
+            statusElement.className = 'import-status';
+            statusElement.textContent = 'Registrationsに反映中...';
+
+            const response = await authFetch(`${this.apiUrl}/import-shopify/commit`, {
+                method: 'POST',
+                body: JSON.stringify({ token: this.shopifyImportToken })
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                if (result.stale) {
+                    console.log('Shopify import stale entries:', result.stale);
                 }
+                throw new Error(result.error || 'Registrations作成に失敗しました');
+            }
 
-                await this.loadFilterOptions();
-                this.loadRegistrations();
+            this.shopifyImportToken = null;
+            commitBtn.classList.add('hidden');
 
-                setTimeout(() => {
-                    this.closeShopifyImportModal();
-                }, 2000);
-            } else {
-                throw new Error('Registrations作成に失敗しました: ' + (result.error || ''));
+            const { inserted, updated, deleted, preserved, memberNotFound, warnings, contestName, contestDate } = result.data;
+
+            this.showNotification(`${inserted}件を新規追加、${updated}件を更新、${deleted}件を削除しました`, 'success');
+
+            statusElement.className = 'import-status success';
+            let statusMessage = `インポート完了: ${contestName} (${contestDate})\n新規追加: ${inserted}件 / 更新: ${updated}件 / 削除: ${deleted}件`;
+            if (preserved > 0) {
+                statusMessage += `\n手動エントリー保持: ${preserved}件`;
+            }
+            if (memberNotFound > 0) {
+                statusMessage += `\n※${memberNotFound}件はMemberが見つからず、Members由来の項目が空白です`;
             }
+            statusElement.textContent = statusMessage;
+
+            if (warnings && warnings.length > 0) {
+                console.log('Shopify import warnings:', warnings);
+            }
+
+            await this.loadFilterOptions();
+            this.loadRegistrations();
+
+            setTimeout(() => {
+                this.closeShopifyImportModal();
+            }, 2000);
         } catch (error) {
             this.showNotification('エラーが発生しました: ' + error.message, 'error');
             statusElement.className = 'import-status error';
             statusElement.textContent = error.message;
         } finally {
-            importBtn.disabled = false;
+            commitBtn.disabled = false;
         }
     }
 
@@ -1470,6 +1937,13 @@ class RegistrationsManager {
                 tdActions.appendChild(editBtn);
                 tdActions.appendChild(deleteBtn);
             }
+            if (this.isAdmin) {
+                const historyBtn = document.createElement('button');
+                historyBtn.textContent = '履歴';
+                historyBtn.className = 'btn-small';
+                historyBtn.addEventListener('click', () => AuditHistory.open('registrations', registration.id, registration.name_ja));
+                tdActions.appendChild(historyBtn);
+            }
             row.appendChild(tdActions);
 
             headers.forEach(header => {
@@ -227,6 +227,14 @@ class ScoresManager {
             this.openImportModal();
         });
 
+        document.getElementById('importHistoryBtn').addEventListener('click', () => {
+            ImportHistory.open(['scores'], () => this.loadScores());
+        });
+
+        document.getElementById('auditHistoryBtn').addEventListener('click', () => {
+            AuditHistory.open('scores');
+        });
+
         document.getElementById('modalContestName').addEventListener('change', () => {
             this.updateImportButtonState();
         });
@@ -620,7 +628,7 @@ class ScoresManager {
 
             tableHtml += `
                 <tr class="${isDeleted ? 'deleted' : ''}">
-                    <td>${this.escapeHtml(score.fwj_card_no || '')}</td>
+                    <td>${score.fwj_card_no ? `<a href="/athletes?fwj=${encodeURIComponent(score.fwj_card_no)}" title="選手プロフィールを表示">${this.escapeHtml(score.fwj_card_no)}</a>` : ''}</td>
                     <td>${score.contest_date || ''}</td>
                     <td>${this.escapeHtml(score.contest_name || '')}</td>
                     <td>${this.escapeHtml(score.category_name || '')}</td>
@@ -0,0 +1,323 @@
+/**
+ * 座席表・座席の自動割当 - 全画面共通ユーティリティ
+ *
+ * 使い方:
+ * 1. HTMLに <script src="seat-allocation.js"></script> を追加
+ * 2. SeatAllocation.open(productNames, () => reload()) を呼び出す
+ */
+const SeatAllocation = {
+    REASON_LABELS: {
+        'unmapped_variant': '等級が未設定のバリエーション',
+        'no_seats': '空席不足',
+    },
+
+    /**
+     * 座席割当モーダルを表示
+     * @param {Array<string>} productNames - 商品名の選択肢
+     * @param {Function} onCommitted - 割当確定後に呼ばれるコールバック
+     */
+    async open(productNames, onCommitted) {
+        this.onCommitted = onCommitted;
+        this.token = null;
+
+        const modal = this.getModal();
+        const productSelect = document.getElementById('seatAllocationProduct');
+        productSelect.innerHTML = '<option value="">商品名を選択</option>';
+        productNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            productSelect.appendChild(option);
+        });
+        document.getElementById('seatAllocationPreview').innerHTML = '';
+        document.getElementById('seatAllocationCommitBtn').disabled = true;
+        this.setStatus('');
+
+        modal.classList.remove('hidden');
+        await this.loadSeatMaps();
+    },
+
+    close() {
+        this.getModal().classList.add('hidden');
+    },
+
+    getModal() {
+        let modal = document.getElementById('seatAllocationModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'seatAllocationModal';
+        modal.className = 'modal hidden';
+        modal.innerHTML = `
+            <div class="modal-content modal-large">
+                <div class="modal-header">
+                    <h2>座席割当</h2>
+                    <button class="modal-close" onclick="SeatAllocation.close()">&times;</button>
+                </div>
+                <div class="modal-form">
+                    <p class="modal-description">座席表をもとに、座席未割当の有効なチケットへ指定席番号を割り当てます。注文日時の早い注文から良い席を割り当て、同じ注文のチケットは同じ列の連続した席にまとめます。</p>
+                    <div class="form-group">
+                        <label for="seatAllocationMap">座席表:</label>
+                        <select id="seatAllocationMap" class="form-input"></select>
+                    </div>
+                    <div class="form-group">
+                        <label for="seatAllocationProduct">商品名:</label>
+                        <select id="seatAllocationProduct" class="form-input"></select>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" onclick="SeatAllocation.preview()">プレビュー</button>
+                        <button type="button" id="seatAllocationCommitBtn" class="btn btn-primary" onclick="SeatAllocation.commit()" disabled>割当を確定</button>
+                    </div>
+                    <div id="seatAllocationStatus" class="import-status hidden"></div>
+                    <div id="seatAllocationPreview"></div>
+
+                    <h3>座席表の登録</h3>
+                    <p class="modal-description">座席CSV（列: section, row, seat, grade, blocked）は良い席から順に並べてください。blocked が TRUE の座席は割り当てません。同じ名前の座席表がある場合は置き換えます。</p>
+                    <div class="form-group">
+                        <label for="seatMapName">座席表の名前:</label>
+                        <input type="text" id="seatMapName" class="form-input">
+                    </div>
+                    <div class="form-group">
+                        <label for="seatMapFile">座席CSV:</label>
+                        <input type="file" id="seatMapFile" accept=".csv" class="form-input">
+                    </div>
+                    <div class="form-group">
+                        <label for="seatMapGrades">等級とバリエーションの対応（1行に「等級,バリエーション」）:</label>
+                        <textarea id="seatMapGrades" rows="4" class="form-input"></textarea>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-primary" onclick="SeatAllocation.saveSeatMap()">座席表を登録</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        return modal;
+    },
+
+    setStatus(message, type = 'success') {
+        const statusEl = document.getElementById('seatAllocationStatus');
+        statusEl.textContent = message;
+        statusEl.className = message ? `import-status ${type}` : 'import-status hidden';
+    },
+
+    async loadSeatMaps() {
+        const select = document.getElementById('seatAllocationMap');
+        try {
+            const response = await authFetch('/api/seat-maps');
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.seatMaps = result.data;
+            select.innerHTML = '<option value="">座席表を選択</option>';
+            result.data.forEach(seatMap => {
+                const option = document.createElement('option');
+                option.value = seatMap.id;
+                option.textContent = `${seatMap.name}（${seatMap.seat_count}席）`;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            this.setStatus(`座席表の取得に失敗しました: ${error.message}`, 'error');
+        }
+    },
+
+    async preview() {
+        const seatMapId = document.getElementById('seatAllocationMap').value;
+        const productName = document.getElementById('seatAllocationProduct').value;
+        const commitBtn = document.getElementById('seatAllocationCommitBtn');
+        commitBtn.disabled = true;
+        this.token = null;
+
+        if (!seatMapId || !productName) {
+            this.setStatus('座席表と商品名を選択してください', 'error');
+            return;
+        }
+
+        this.setStatus('');
+        const previewEl = document.getElementById('seatAllocationPreview');
+        previewEl.textContent = '計算中...';
+
+        try {
+            const response = await authFetch(`/api/seat-maps/${seatMapId}/allocate/preview`, {
+                method: 'POST',
+                body: JSON.stringify({ product_name: productName })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.token = result.data.token;
+            this.renderPreview(result.data);
+            commitBtn.disabled = result.data.assignments.length === 0;
+        } catch (error) {
+            previewEl.textContent = '';
+            this.setStatus(`プレビューに失敗しました: ${error.message}`, 'error');
+        }
+    },
+
+    renderPreview(data) {
+        const previewEl = document.getElementById('seatAllocationPreview');
+        previewEl.innerHTML = '';
+
+        const summary = document.createElement('p');
+        summary.textContent = `割当: ${data.summary.assigned}件（分割: ${data.summary.split}件） / 未割当: ${data.summary.unassigned}件`;
+        previewEl.appendChild(summary);
+
+        // 既存の座席の問題（確定しても解消されない）
+        const warnings = [
+            ['座席の重複', data.doubleBooked],
+            ['座席表にない座席', data.unknownSeats],
+            ['割当不可の座席', data.blockedSeats],
+        ];
+        warnings.forEach(([label, entries]) => {
+            if (entries.length === 0) return;
+            const warning = document.createElement('div');
+            warning.className = 'form-warning';
+            warning.textContent = `${label}: ${entries.map(e => `${e.seat}（チケットID ${e.ticket_ids.join(', ')}）`).join(' / ')}`;
+            previewEl.appendChild(warning);
+        });
+
+        if (data.unassigned.length > 0) {
+            const unassigned = document.createElement('div');
+            unassigned.className = 'form-warning';
+            unassigned.textContent = `未割当: ${data.unassigned.map(u => `${u.order_no} ${u.variant}（${this.REASON_LABELS[u.reason] || u.reason}）`).join(' / ')}`;
+            previewEl.appendChild(unassigned);
+        }
+
+        if (data.assignments.length === 0) return;
+
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const headerRow = table.createTHead().insertRow();
+        ['注文番号', '注文日時', '購入者名', 'バリエーション', '座席', ''].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        data.assignments.forEach(assignment => {
+            const row = tbody.insertRow();
+            [
+                assignment.order_no,
+                assignment.order_date,
+                assignment.full_name,
+                assignment.variant,
+                assignment.reserved_seat,
+                assignment.split ? '分割' : '',
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+
+        const container = document.createElement('div');
+        container.className = 'table-scroll-container';
+        container.appendChild(table);
+        previewEl.appendChild(container);
+    },
+
+    async commit() {
+        if (!this.token) return;
+        if (!confirm('プレビューの内容で座席を割り当てますか？')) return;
+
+        const commitBtn = document.getElementById('seatAllocationCommitBtn');
+        commitBtn.disabled = true;
+
+        try {
+            const response = await authFetch('/api/seat-maps/allocate/commit', {
+                method: 'POST',
+                body: JSON.stringify({ token: this.token })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.token = null;
+            document.getElementById('seatAllocationPreview').innerHTML = '';
+            this.setStatus(result.message);
+            if (this.onCommitted) this.onCommitted();
+        } catch (error) {
+            this.setStatus(`エラー: ${error.message}`, 'error');
+            commitBtn.disabled = false;
+        }
+    },
+
+    async saveSeatMap() {
+        const name = document.getElementById('seatMapName').value.trim();
+        const file = document.getElementById('seatMapFile').files[0];
+
+        if (!name || !file) {
+            this.setStatus('座席表の名前と座席CSVを指定してください', 'error');
+            return;
+        }
+
+        try {
+            const seats = this.parseCSV(await file.text());
+            const grades = document.getElementById('seatMapGrades').value
+                .split('\n')
+                .map(line => line.trim())
+                .filter(Boolean)
+                .map(line => {
+                    const [grade, ...variant] = line.split(',');
+                    return { grade: grade.trim(), variant: variant.join(',').trim() };
+                });
+
+            const existing = (this.seatMaps || []).find(seatMap => seatMap.name === name);
+            const response = await authFetch(existing ? `/api/seat-maps/${existing.id}` : '/api/seat-maps', {
+                method: existing ? 'PUT' : 'POST',
+                body: JSON.stringify({ name, seats, grades })
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.setStatus(`座席表「${name}」を登録しました（${result.data.seat_count}席）`);
+            await this.loadSeatMaps();
+        } catch (error) {
+            this.setStatus(`エラー: ${error.message}`, 'error');
+        }
+    },
+
+    parseCSV(csvText) {
+        const lines = csvText.replace(/^\uFEFF/, '').trim().split(/\r?\n/);
+        if (lines.length < 2) return [];
+
+        const headers = this.parseCSVLine(lines[0]).map(h => h.trim());
+        return lines.slice(1)
+            .filter(line => line.trim())
+            .map(line => {
+                const values = this.parseCSVLine(line);
+                const row = {};
+                headers.forEach((header, index) => {
+                    row[header] = (values[index] || '').trim();
+                });
+                return row;
+            });
+    },
+
+    parseCSVLine(line) {
+        const result = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (inQuotes) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                result.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        result.push(current);
+        return result;
+    }
+};
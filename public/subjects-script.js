@@ -387,6 +387,14 @@ class SubjectManager {
                         actionsDiv.appendChild(deleteBtn);
                     }
 
+                    if (this.isAdmin) {
+                        const historyBtn = document.createElement('button');
+                        historyBtn.className = 'btn-small';
+                        historyBtn.textContent = '履歴';
+                        historyBtn.addEventListener('click', () => AuditHistory.open('subjects', subject.id, subject.name_ja));
+                        actionsDiv.appendChild(historyBtn);
+                    }
+
                     td.appendChild(actionsDiv);
                 } else if (header.key === 'name_ja') {
                     td.textContent = subject.name_ja || '';
@@ -223,6 +223,30 @@ class TicketsManager {
             });
         }
 
+        // インポート履歴ボタン
+        const importHistoryBtn = document.getElementById('importHistoryBtn');
+        if (importHistoryBtn) {
+            importHistoryBtn.addEventListener('click', () => {
+                ImportHistory.open(['tickets-csv'], () => this.loadTickets());
+            });
+        }
+
+        // Webhook履歴ボタン
+        const webhookEventsBtn = document.getElementById('webhookEventsBtn');
+        if (webhookEventsBtn) {
+            webhookEventsBtn.addEventListener('click', () => {
+                WebhookEvents.open(() => this.loadTickets());
+            });
+        }
+
+        // 座席割当ボタン
+        const seatAllocationBtn = document.getElementById('seatAllocationBtn');
+        if (seatAllocationBtn) {
+            seatAllocationBtn.addEventListener('click', () => {
+                this.openSeatAllocation();
+            });
+        }
+
         // CSVインポート実行ボタン
         document.getElementById('executeCsvImportBtn').addEventListener('click', () => {
             this.executeCsvImport();
@@ -238,6 +262,11 @@ class TicketsManager {
             this.confirmDelete();
         });
 
+        // 譲渡実行ボタン
+        document.getElementById('confirmTransferBtn').addEventListener('click', () => {
+            this.confirmTransfer();
+        });
+
         // ログアウト
         document.getElementById('logoutBtn').addEventListener('click', () => {
             this.logout();
@@ -423,6 +452,22 @@ class TicketsManager {
                     td.appendChild(editBtn);
                     td.appendChild(document.createTextNode(' '));
                     td.appendChild(deleteBtn);
+
+                    if (this.isAdmin) {
+                        const historyBtn = document.createElement('button');
+                        historyBtn.className = 'action-btn small';
+                        historyBtn.textContent = '履歴';
+                        historyBtn.addEventListener('click', () => AuditHistory.open('tickets', ticket.id, ticket.full_name));
+                        td.appendChild(document.createTextNode(' '));
+                        td.appendChild(historyBtn);
+
+                        const transferBtn = document.createElement('button');
+                        transferBtn.className = 'action-btn small';
+                        transferBtn.textContent = '譲渡';
+                        transferBtn.addEventListener('click', () => this.openTransferModal(ticket));
+                        td.appendChild(document.createTextNode(' '));
+                        td.appendChild(transferBtn);
+                    }
                 } else if (col.key === 'is_usable') {
                     // 有効/無効の表示（グレーアウトのチェックボックス）
                     const checkbox = document.createElement('input');
@@ -612,6 +657,105 @@ class TicketsManager {
         }
     }
 
+    openTransferModal(ticket) {
+        document.getElementById('transferTicketLabel').textContent = `${ticket.order_no} ${ticket.product_name} ${ticket.variant}`;
+        document.getElementById('transferOwner').textContent = ticket.owner_shopify_id || '';
+        document.getElementById('transferToEmail').value = '';
+        document.getElementById('transferToCardNo').value = '';
+        document.getElementById('transferNote').value = '';
+        document.getElementById('transferRowIndex').value = ticket.id;
+        document.getElementById('transferModal').classList.remove('hidden');
+        this.loadTransferHistory(ticket.id);
+    }
+
+    closeTransferModal() {
+        document.getElementById('transferModal').classList.add('hidden');
+    }
+
+    async loadTransferHistory(id) {
+        const container = document.getElementById('transferHistory');
+        container.textContent = '読み込み中...';
+
+        try {
+            const response = await authFetch(`${this.apiUrl}/${id}/transfers`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            container.innerHTML = '';
+            if (result.data.length === 0) {
+                container.textContent = '譲渡履歴はありません';
+                return;
+            }
+
+            result.data.forEach(transfer => {
+                const item = document.createElement('div');
+                const note = transfer.note ? `（${transfer.note}）` : '';
+                item.textContent = `${new Date(transfer.created_at).toLocaleString('ja-JP')} ${transfer.from_shopify_id} → ${transfer.to_shopify_id} ${transfer.to_email || ''}${note} - ${transfer.staff_email || '不明'}`;
+                container.appendChild(item);
+            });
+        } catch (error) {
+            container.textContent = `読み込みに失敗しました: ${error.message}`;
+        }
+    }
+
+    async confirmTransfer() {
+        const rowIndex = document.getElementById('transferRowIndex').value;
+        const toEmail = document.getElementById('transferToEmail').value.trim();
+        const toCardNo = document.getElementById('transferToCardNo').value.trim();
+        const note = document.getElementById('transferNote').value.trim();
+
+        if (!toEmail && !toCardNo) {
+            this.showNotification('譲渡先のメールアドレスまたはFWJカード番号を入力してください', 'error');
+            return;
+        }
+
+        const transferBtn = document.getElementById('confirmTransferBtn');
+        const originalText = transferBtn.textContent;
+
+        try {
+            transferBtn.disabled = true;
+            transferBtn.textContent = '譲渡中...';
+
+            const response = await authFetch(`${this.apiUrl}/${rowIndex}/transfer`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    to_email: toEmail,
+                    to_card_no: toCardNo,
+                    note
+                })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.showNotification(result.message, 'success');
+                this.closeTransferModal();
+                this.loadTickets();
+            } else {
+                this.showNotification(result.error || '譲渡に失敗しました', 'error');
+            }
+        } catch (error) {
+            console.error('Transfer error:', error);
+            this.showNotification(`エラー: ${error.message}`, 'error');
+        } finally {
+            transferBtn.disabled = false;
+            transferBtn.textContent = originalText;
+        }
+    }
+
+    async openSeatAllocation() {
+        try {
+            const response = await authFetch(`${this.apiUrl}/filter-options`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            SeatAllocation.open(result.data.productNames || [], () => this.loadTickets());
+        } catch (error) {
+            console.error('Open seat allocation error:', error);
+            this.showNotification(`エラー: ${error.message}`, 'error');
+        }
+    }
+
     openImportModal() {
         document.getElementById('importTag').value = '観戦チケット';
         document.getElementById('importMonthsAgo').value = '3';
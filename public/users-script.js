@@ -363,6 +363,12 @@ class UserManager {
                         deleteBtn.textContent = '削除';
                         deleteBtn.addEventListener('click', () => this.deleteUser(user.id));
                         actionsDiv.appendChild(deleteBtn);
+
+                        const historyBtn = document.createElement('button');
+                        historyBtn.className = 'btn-small';
+                        historyBtn.textContent = '履歴';
+                        historyBtn.addEventListener('click', () => AuditHistory.open('users', user.id, user.name));
+                        actionsDiv.appendChild(historyBtn);
                     } else if (this.currentUser.role !== 'guest') {
                         const editBtn = document.createElement('button');
                         editBtn.className = 'btn-small btn-edit';
@@ -0,0 +1,165 @@
+/**
+ * Webhook受信履歴 - 全画面共通ユーティリティ
+ *
+ * 使い方:
+ * 1. HTMLに <script src="webhook-events.js"></script> を追加
+ * 2. WebhookEvents.open(() => reload()) を呼び出す
+ */
+const WebhookEvents = {
+    STATUS_LABELS: {
+        'received': '未処理',
+        'processing': '処理中',
+        'processed': '処理済み',
+        'failed': '失敗',
+    },
+
+    TOPIC_LABELS: {
+        'orders-create': '注文作成',
+        'orders-paid': '注文支払い',
+        'orders-updated': '注文更新',
+        'refunds-create': '返金',
+        'customers-update': '顧客更新',
+    },
+
+    /**
+     * Webhook受信履歴モーダルを表示
+     * @param {Function} onReplayed - 再実行完了後に呼ばれるコールバック
+     */
+    async open(onReplayed) {
+        this.onReplayed = onReplayed;
+
+        const modal = this.getModal();
+        modal.classList.remove('hidden');
+        await this.load();
+    },
+
+    close() {
+        this.getModal().classList.add('hidden');
+    },
+
+    getModal() {
+        let modal = document.getElementById('webhookEventsModal');
+        if (modal) return modal;
+
+        modal = document.createElement('div');
+        modal.id = 'webhookEventsModal';
+        modal.className = 'modal hidden';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Webhook受信履歴</h2>
+                    <button class="modal-close" onclick="WebhookEvents.close()">&times;</button>
+                </div>
+                <div class="modal-form">
+                    <p class="modal-description">Shopifyから受信した注文・返金・顧客の通知です。処理に失敗した通知は「再実行」でチケット等に反映できます。</p>
+                    <div class="form-group">
+                        <label for="webhookEventsStatus">状態</label>
+                        <select id="webhookEventsStatus" onchange="WebhookEvents.load()">
+                            <option value="failed">失敗</option>
+                            <option value="received">未処理</option>
+                            <option value="processed">処理済み</option>
+                            <option value="">すべて</option>
+                        </select>
+                    </div>
+                    <div id="webhookEventsList"></div>
+                    <div id="webhookEventsStatusMessage" class="import-status hidden"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        return modal;
+    },
+
+    async load() {
+        const list = document.getElementById('webhookEventsList');
+        const status = document.getElementById('webhookEventsStatus').value;
+        list.textContent = '読み込み中...';
+
+        try {
+            const response = await authFetch(`/api/webhooks/events?status=${encodeURIComponent(status)}&limit=100`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            this.render(result.data);
+        } catch (error) {
+            list.textContent = `読み込みに失敗しました: ${error.message}`;
+        }
+    },
+
+    render(events) {
+        const list = document.getElementById('webhookEventsList');
+        list.innerHTML = '';
+
+        if (events.length === 0) {
+            list.textContent = '該当するWebhookはありません';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const headerRow = table.createTHead().insertRow();
+        ['ID', '受信日時', 'トピック', '状態', '試行回数', 'エラー', ''].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        events.forEach(event => {
+            const row = tbody.insertRow();
+            [
+                event.id,
+                new Date(event.created_at).toLocaleString('ja-JP'),
+                this.TOPIC_LABELS[event.topic] || event.topic,
+                this.STATUS_LABELS[event.status] || event.status,
+                event.attempts,
+                event.error || this.formatCapacityWarnings(event.result),
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+
+            const actionCell = row.insertCell();
+            if (event.status === 'failed' || event.status === 'received') {
+                const button = document.createElement('button');
+                button.className = 'btn btn-primary btn-small';
+                button.textContent = '再実行';
+                button.addEventListener('click', () => this.replay(event, button));
+                actionCell.appendChild(button);
+            }
+        });
+
+        list.appendChild(table);
+    },
+
+    // 処理結果に含まれる定員超過の警告を表示用の文字列にする
+    formatCapacityWarnings(result) {
+        const warnings = result && result.results && result.results.capacityWarnings;
+        if (!warnings || warnings.length === 0) return '';
+        return warnings
+            .map(w => `定員超過: ${w.contest_name} ${w.variant}（${w.total}/${w.capacity}）`)
+            .join(' / ');
+    },
+
+    async replay(event, button) {
+        const label = this.TOPIC_LABELS[event.topic] || event.topic;
+        if (!confirm(`#${event.id}「${label}」を再実行しますか？`)) return;
+
+        const statusEl = document.getElementById('webhookEventsStatusMessage');
+        button.disabled = true;
+
+        try {
+            const response = await authFetch(`/api/webhooks/events/${event.id}/replay`, { method: 'POST' });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            statusEl.textContent = `#${event.id} を再実行しました`;
+            statusEl.className = 'import-status success';
+            await this.load();
+            if (this.onReplayed) this.onReplayed();
+        } catch (error) {
+            statusEl.textContent = `エラー: ${error.message}`;
+            statusEl.className = 'import-status error';
+            button.disabled = false;
+        }
+    }
+};
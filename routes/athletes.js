@@ -0,0 +1,47 @@
+const express = require('express');
+const Member = require('../models/Member');
+const Registration = require('../models/Registration');
+const Score = require('../models/Score');
+const Note = require('../models/Note');
+const Subject = require('../models/Subject');
+const { requireAuth } = require('../middleware/auth');
+const { buildAthleteProfile } = require('../utils/athlete-profile');
+
+const router = express.Router();
+const memberModel = new Member();
+const registrationModel = new Registration();
+const scoreModel = new Score();
+const noteModel = new Note();
+const subjectModel = new Subject();
+
+// 選手プロフィール取得（会員情報・出場登録・成績・特記事項・違反認定をFWJカード番号でまとめる）
+router.get('/:fwjCardNo', requireAuth, async (req, res) => {
+  try {
+    const fwjCardNo = req.params.fwjCardNo.trim();
+    if (!fwjCardNo) {
+      return res.status(400).json({ success: false, error: 'FWJカード番号を指定してください' });
+    }
+
+    const [member, registrations, scores, notes, subject] = await Promise.all([
+      memberModel.findByFwjCardNo(fwjCardNo),
+      registrationModel.findByFwjCard(fwjCardNo),
+      scoreModel.findByFwjNo(fwjCardNo),
+      noteModel.findByFwjCardNo(fwjCardNo),
+      subjectModel.findByFwjCard(fwjCardNo),
+    ]);
+
+    if (!member && registrations.length === 0 && scores.length === 0 && notes.length === 0 && !subject) {
+      return res.status(404).json({ success: false, error: `FWJカード番号「${fwjCardNo}」の選手が見つかりません` });
+    }
+
+    res.json({
+      success: true,
+      data: buildAthleteProfile({ fwjCardNo, member, registrations, scores, notes, subject })
+    });
+  } catch (error) {
+    console.error('Get athlete profile error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { requireAdmin } = require('../middleware/auth');
+const router = express.Router();
+
+const auditLogModel = new AuditLog();
+
+// 監査ログの対象テーブル
+const AUDIT_ENTITIES = ['registrations', 'scores', 'tickets', 'notes', 'subjects', 'guests', 'contests', 'users', 'contest_classes', 'ranking_seasons'];
+
+// すべて管理者権限が必要
+router.use(requireAdmin);
+
+// GET / - 監査ログ取得（?entity=registrations&id=123&actor=user@example.com）
+router.get('/', async (req, res) => {
+  try {
+    const { entity, id, actor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    if (entity && !AUDIT_ENTITIES.includes(entity)) {
+      return res.status(400).json({ success: false, error: `不明なentityです: ${entity}` });
+    }
+    if (id && !entity) {
+      return res.status(400).json({ success: false, error: 'idを指定する場合はentityも指定してください' });
+    }
+
+    const logs = await auditLogModel.findAll({ entity, entityId: id, actorEmail: actor }, limit);
+
+    res.json({ success: true, data: logs });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
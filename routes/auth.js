@@ -1,11 +1,13 @@
 const express = require('express');
 const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
 const { requireAuth } = require('../middleware/auth');
 const { generateToken } = require('../middleware/jwt');
 const router = express.Router();
 
 const userModel = new User();
+const auditLogModel = new AuditLog();
 
 // Google OAuth2 クライアント
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
@@ -253,6 +255,7 @@ router.post('/change-password', requireAuth, async (req, res) => {
     // パスワードを更新
     const updateResult = await userModel.updatePassword(req.session.user.id, newPassword);
     if (updateResult.success) {
+      await auditLogModel.record(req, 'users', req.session.user.id, 'update', user, updateResult.data);
       res.json({
         success: true,
         message: 'パスワードが更新されました'
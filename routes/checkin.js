@@ -1,36 +1,601 @@
 const express = require('express');
-const { verifyCheckinCode } = require('../utils/checkin-code');
-const { requireAuth } = require('../middleware/auth');
+const { verifyCheckinCode, verifyGuestCode, isGuestCode } = require('../utils/checkin-code');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
 const Ticket = require('../models/Ticket');
+const CheckinEvent = require('../models/CheckinEvent');
+const Guest = require('../models/Guest');
+const GuestCheckin = require('../models/GuestCheckin');
+const TicketTransfer = require('../models/TicketTransfer');
+const AuditLog = require('../models/AuditLog');
 const { hasPushSubscription, sendPushNotification } = require('../services/notification');
 const router = express.Router();
 
+// オフライン受付の一括送信で受け付ける最大件数
+const MAX_BATCH_SCANS = 500;
+
+// チェックインを取り消せる時間（分）
+const UNDO_WINDOW_MINUTES = parseInt(process.env.CHECKIN_UNDO_WINDOW_MINUTES, 10) || 15;
+
+// 入場状況ストリーム: 受付履歴を確認する間隔・接続を閉じるまでの時間（閉じた後はブラウザが自動で再接続する）
+const STREAM_POLL_MS = 3000;
+const STREAM_HEARTBEAT_MS = 15000;
+const STREAM_MAX_MS = 50000;
+
+// 入場状況: 時間帯別入場数の集計単位（分）・ゲート別の直近処理数の対象時間（分）
+const ARRIVAL_BUCKET_MINUTES = 5;
+const GATE_RECENT_MINUTES = 5;
+
+const checkinEventModel = new CheckinEvent();
+const auditLogModel = new AuditLog();
+const guestModel = new Guest();
+const guestCheckinModel = new GuestCheckin();
+const ticketTransferModel = new TicketTransfer();
+
+/**
+ * 受付1件の結果を記録
+ * @param {Object} req - Expressのリクエスト
+ * @param {string} action - 'verify' | 'checkin' | 'group' | 'undo'
+ * @param {string} result - 'accepted' | 'duplicate' | 'already_used' | 'not_usable' | 'invalid_signature' | 'stale_code' | 'clock_skew' | 'retired_key' | 'transferred_code' | 'not_found' | 'invalid_request' | 'error'
+ * @param {Object} extra - { ticketId, guestId, message }
+ */
+function recordEvent(req, action, result, extra = {}) {
+  return checkinEventModel.record(req, [{ action, result, code: req.body && req.body.code, ...extra }]);
+}
+
+// 無効なコードの記録上の結果（v2コードの期限切れはスクリーンショットの転送などを、時刻の進んだコードは端末の時計の設定を、失効した鍵のコードは鍵の入れ替え漏れを調べられるよう区別する）
+const INVALID_CODE_RESULTS = {
+  stale: 'stale_code',
+  clock_skew: 'clock_skew',
+  retired_key: 'retired_key',
+  guest_code: 'invalid_request',
+};
+
+function invalidCodeResult(verification) {
+  return INVALID_CODE_RESULTS[verification.reason] || 'invalid_signature';
+}
+
+// 譲渡されたチケットのv1コード（固定のため譲渡元の手元にも残る）は受け付けず、v2コードでのみ受付する
+const TRANSFERRED_CODE_ERROR = '譲渡されたチケットです。会員アプリに表示される最新のQRコードで受付してください';
+
+/**
+ * 譲渡されたチケットのv1コードなら受付結果を記録してエラーを返し、true を返す
+ * @param {Object} req - Expressのリクエスト
+ * @param {Object} res - Expressのレスポンス
+ * @param {string} action - 'verify' | 'checkin' | 'group'
+ * @param {Object} verification - verifyCheckinCode の結果
+ * @returns {Promise<boolean>}
+ */
+async function rejectTransferredV1(req, res, action, verification) {
+  if (verification.version !== 1) return false;
+  const transferred = await ticketTransferModel.findTransferredTicketIds([verification.ticketId]);
+  if (!transferred.has(verification.ticketId)) return false;
+
+  await recordEvent(req, action, 'transferred_code', { ticketId: verification.ticketId, message: TRANSFERRED_CODE_ERROR });
+  res.status(400).json({ success: false, error: TRANSFERRED_CODE_ERROR, reason: 'transferred' });
+  return true;
+}
+
+// 使用できないチケットの記録上の結果（使用日時があれば使用済み、なければ返金などによる無効）
+function unusableResult(ticket) {
+  return ticket.used_at ? 'already_used' : 'not_usable';
+}
+
+/**
+ * チェックインしたチケットの購入者にプッシュ通知を送信（fire-and-forget）
+ * @param {Object} ticket - チケット（snake_case）
+ */
+function notifyCheckin(ticket) {
+  if (!ticket.shopify_id) return;
+
+  (async () => {
+    try {
+      const hasSubscription = await hasPushSubscription(ticket.shopify_id);
+      if (hasSubscription) {
+        await sendPushNotification({
+          shopifyId: ticket.shopify_id,
+          title: 'チケットがチェックインされました',
+          body: `${ticket.order_no} ${ticket.product_name} ${ticket.variant} のチケットが受付されました`
+        });
+      }
+    } catch (err) {
+      console.error('Checkin push notification error:', err);
+    }
+  })();
+}
+
+/**
+ * ゲストコードを検証してゲストとパスを取得
+ * 無効なコード・ゲストの場合は受付結果を記録してエラーを返し、null を返す
+ * @param {Object} req - Expressのリクエスト
+ * @param {Object} res - Expressのレスポンス
+ * @param {string} action - 'verify' | 'checkin'
+ * @returns {Promise<Object|null>} { guest, passNo, passCount }
+ */
+async function loadGuestPass(req, res, action) {
+  const verification = verifyGuestCode(req.body.code);
+  if (!verification.valid) {
+    await recordEvent(req, action, invalidCodeResult(verification), { guestId: verification.guestId, message: verification.error });
+    res.status(400).json({
+      success: false,
+      error: verification.error,
+      reason: verification.reason
+    });
+    return null;
+  }
+
+  const { guestId, passNo } = verification;
+  const guest = await guestModel.findById(guestId);
+  if (!guest) {
+    await recordEvent(req, action, 'not_found', { guestId, message: 'ゲストが見つかりません' });
+    res.status(400).json({ success: false, error: 'ゲストが見つかりません' });
+    return null;
+  }
+
+  // 無効化されたゲスト、またはチケット枚数を減らして対象外になったパス
+  const passCount = guestCheckinModel.passCount(guest);
+  if (!guest.isValid || passNo > passCount) {
+    await recordEvent(req, action, 'not_usable', { guestId, message: 'このパスは無効です' });
+    res.status(400).json({ success: false, error: 'このパスは無効です' });
+    return null;
+  }
+
+  return { guest, passNo, passCount };
+}
+
+// レスポンスに含めるゲスト情報
+function guestInfo(guest) {
+  return {
+    id: guest.id,
+    name_ja: guest.name_ja,
+    company_ja: guest.company_ja,
+    pass_type: guest.pass_type,
+    group_type: guest.group_type,
+    ticket_type: guest.ticket_type,
+  };
+}
+
+// 受付画面の共通項目（注文番号・商品名の欄に団体名・付与パスを表示する）
+function guestSummary(guest) {
+  return {
+    type: 'guest',
+    orderName: guest.company_ja || guest.name_ja,
+    productName: guest.pass_type,
+    variantTitle: guest.ticket_type,
+    guest: guestInfo(guest),
+  };
+}
+
 // ============================================
 // チェックインAPI（認証必須・IP制限なし）
 // ============================================
 router.use(requireAuth);
 
+// GET /manifest?contest= - 大会のチケット一覧（オフライン受付用に端末へキャッシュする）
+router.get('/manifest', async (req, res) => {
+  try {
+    const contestName = (req.query.contest || '').trim();
+    if (!contestName) {
+      return res.status(400).json({
+        success: false,
+        error: '大会名を指定してください'
+      });
+    }
+
+    const ticketModel = new Ticket();
+    const tickets = await ticketModel.findManifest(contestName);
+
+    res.json({
+      success: true,
+      contestName,
+      generatedAt: new Date().toISOString(),
+      tickets
+    });
+  } catch (error) {
+    console.error('Manifest error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /batch - オフラインで受付したデータを一括送信
+// 同じチケットが複数回受付されていた場合は、受付時刻が最も早いものを正とし、残りを競合として返す
+// 受け付け済みの受付の再送（同じ受付ID、または used_at と同じ受付時刻）は競合にせず duplicate として返す
+router.post('/batch', async (req, res) => {
+  try {
+    const { deviceId = '', scans } = req.body;
+
+    if (!Array.isArray(scans) || scans.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '受付データがありません'
+      });
+    }
+    if (scans.length > MAX_BATCH_SCANS) {
+      return res.status(400).json({
+        success: false,
+        error: `一度に送信できる受付データは${MAX_BATCH_SCANS}件までです`
+      });
+    }
+
+    // 端末の時計が進んでいる場合に備え、未来の受付時刻はサーバー時刻に丸める
+    const now = new Date();
+    const entries = scans.map((scan, index) => {
+      const scannedAt = new Date(scan.scannedAt);
+      const entry = {
+        index,
+        scanId: scan.scanId != null && scan.scanId !== '' ? String(scan.scanId) : null,
+        code: typeof scan.code === 'string' ? scan.code : '',
+        deviceId: scan.deviceId || deviceId,
+        scannedAt: isNaN(scannedAt.getTime()) ? null : (scannedAt > now ? now : scannedAt),
+      };
+      // v2コードは端末での受付時刻で有効期限を判定する
+      entry.verification = entry.code
+        ? verifyCheckinCode(entry.code, { at: entry.scannedAt || now })
+        : { valid: false, error: 'コードがありません' };
+      return entry;
+    });
+
+    // 受付時刻順（同時刻は端末ID→送信順）に処理して、どの順で送信されても結果が同じになるようにする
+    const ordered = [...entries].sort((a, b) =>
+      (a.scannedAt?.getTime() ?? 0) - (b.scannedAt?.getTime() ?? 0) ||
+      String(a.deviceId).localeCompare(String(b.deviceId)) ||
+      a.index - b.index
+    );
+
+    const ticketModel = new Ticket();
+    const ticketIds = [...new Set(entries.filter(e => e.verification.valid).map(e => e.verification.ticketId))];
+    const ticketsById = new Map((await ticketModel.findByIds(ticketIds)).map(t => [t.id, t]));
+    const transferredIds = await ticketTransferModel.findTransferredTicketIds(
+      [...new Set(entries.filter(e => e.verification.valid && e.verification.version === 1).map(e => e.verification.ticketId))]
+    );
+    const scanKey = entry => `${entry.verification.ticketId}|${entry.scanId}`;
+    const scanIds = [...new Set(entries.filter(e => e.verification.valid && e.scanId).map(e => e.scanId))];
+    const acceptedScans = await checkinEventModel.findAcceptedScans(scanIds);
+
+    const results = new Array(entries.length);
+    const eventResults = new Array(entries.length);  // 受付履歴に記録する結果
+    const conflicts = [];
+
+    for (const entry of ordered) {
+      const result = {
+        index: entry.index,
+        scanId: entry.scanId,
+        deviceId: entry.deviceId,
+        scannedAt: entry.scannedAt,
+      };
+      results[entry.index] = result;
+
+      if (!entry.verification.valid) {
+        Object.assign(result, {
+          status: 'rejected',
+          ticketId: entry.verification.ticketId,
+          error: entry.verification.error,
+          reason: entry.verification.reason,
+        });
+        eventResults[entry.index] = entry.code ? invalidCodeResult(entry.verification) : 'invalid_request';
+        continue;
+      }
+      if (!entry.scannedAt) {
+        Object.assign(result, { status: 'rejected', error: '受付時刻が不正です' });
+        eventResults[entry.index] = 'invalid_request';
+        continue;
+      }
+
+      const ticketId = entry.verification.ticketId;
+      result.ticketId = ticketId;
+
+      const known = ticketsById.get(ticketId);
+      if (!known) {
+        Object.assign(result, { status: 'rejected', error: 'チケットが見つかりません' });
+        eventResults[entry.index] = 'not_found';
+        continue;
+      }
+      if (known.is_usable !== 'TRUE' && !known.used_at) {
+        Object.assign(result, { status: 'rejected', error: 'このチケットは無効です' });
+        eventResults[entry.index] = 'not_usable';
+        continue;
+      }
+      if (entry.verification.version === 1 && transferredIds.has(ticketId)) {
+        Object.assign(result, { status: 'rejected', error: TRANSFERRED_CODE_ERROR, reason: 'transferred' });
+        eventResults[entry.index] = 'transferred_code';
+        continue;
+      }
+
+      // 受け付け済みの受付IDの再送
+      if (entry.scanId && acceptedScans.has(scanKey(entry))) {
+        Object.assign(result, {
+          status: 'duplicate',
+          orderName: known.order_no,
+          productName: known.product_name,
+          variantTitle: known.variant,
+          reservedSeat: known.reserved_seat,
+        });
+        eventResults[entry.index] = 'duplicate';
+        continue;
+      }
+
+      const outcome = await ticketModel.checkinAt(ticketId, entry.scannedAt);
+      const ticket = outcome.ticket;
+      if (ticket) {
+        Object.assign(result, {
+          orderName: ticket.order_no,
+          productName: ticket.product_name,
+          variantTitle: ticket.variant,
+          reservedSeat: ticket.reserved_seat,
+        });
+      }
+
+      eventResults[entry.index] = outcome.status === 'checked_in' ? 'accepted' : outcome.status;
+      if (outcome.status === 'not_found') {
+        Object.assign(result, { status: 'rejected', error: 'チケットが見つかりません' });
+      } else if (outcome.status === 'not_usable') {
+        Object.assign(result, { status: 'rejected', error: 'このチケットは無効です' });
+      } else if (outcome.status === 'duplicate') {
+        result.status = 'duplicate';
+      } else if (outcome.status === 'already_used') {
+        Object.assign(result, { status: 'conflict', error: 'このチケットは既に使用済みです' });
+        conflicts.push({
+          ticketId,
+          index: entry.index,
+          scanId: entry.scanId,
+          deviceId: entry.deviceId,
+          scannedAt: entry.scannedAt,
+          reason: 'already_used',
+          message: 'より早い受付があるため、この受付は無効になりました',
+          usedAt: ticket.used_at,
+        });
+      } else {
+        result.status = 'checked_in';
+        if (entry.scanId) acceptedScans.add(scanKey(entry));
+        if (outcome.previousUsedAt) {
+          // 後から届いたオフライン受付の方が早かった場合は、受付時刻を置き換えて競合として報告する
+          conflicts.push({
+            ticketId,
+            index: entry.index,
+            scanId: entry.scanId,
+            deviceId: entry.deviceId,
+            scannedAt: entry.scannedAt,
+            reason: 'earlier_offline_scan',
+            message: '既存の受付より早いため、この受付を正としました',
+            usedAt: ticket.used_at,
+            previousUsedAt: outcome.previousUsedAt,
+          });
+        } else {
+          notifyCheckin(ticket);
+        }
+      }
+    }
+
+    await checkinEventModel.record(req, entries.map(entry => ({
+      ticketId: results[entry.index].ticketId,
+      action: 'batch',
+      result: eventResults[entry.index],
+      code: entry.code,
+      scanId: entry.scanId,
+      message: results[entry.index].error,
+      scannedAt: entry.scannedAt,
+      deviceId: entry.deviceId,
+    })));
+
+    const count = status => results.filter(r => r.status === status).length;
+    res.json({
+      success: true,
+      data: {
+        results,
+        conflicts,
+        summary: {
+          total: results.length,
+          checkedIn: count('checked_in'),
+          duplicates: count('duplicate'),
+          conflicts: count('conflict'),
+          rejected: count('rejected'),
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Batch checkin error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /events?contest= - 大会の受付履歴（管理者のみ）
+// ticketId または code でチケットを指定すると、そのチケットの履歴のみ返す
+router.get('/events', requireAdmin, async (req, res) => {
+  try {
+    const contestName = (req.query.contest || '').trim();
+    if (!contestName) {
+      return res.status(400).json({
+        success: false,
+        error: '大会名を指定してください'
+      });
+    }
+
+    const { result, gate, deviceId, staffEmail, code, limit = 500 } = req.query;
+    let ticketId = req.query.ticketId;
+    if (code) {
+      // 調査用のため、期限切れのv2コードでもチケットを特定する
+      const verification = verifyCheckinCode(code);
+      if (!verification.valid && verification.reason !== 'stale') {
+        return res.status(400).json({ success: false, error: verification.error });
+      }
+      ticketId = verification.ticketId;
+    }
+
+    const events = await checkinEventModel.findTimeline(
+      contestName,
+      { ticketId, result, gate, deviceId, staffEmail },
+      Math.min(parseInt(limit, 10) || 500, 2000)
+    );
+
+    const counts = {};
+    events.forEach(event => {
+      counts[event.result] = (counts[event.result] || 0) + 1;
+    });
+
+    res.json({
+      success: true,
+      contestName,
+      data: events,
+      summary: { total: events.length, counts }
+    });
+  } catch (error) {
+    console.error('Checkin events error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /dashboard?contest= - 大会の入場状況（商品別の販売数・入場数、時間帯別入場数、ゲート別処理数）
+router.get('/dashboard', async (req, res) => {
+  try {
+    const contestName = (req.query.contest || '').trim();
+    if (!contestName) {
+      return res.status(400).json({
+        success: false,
+        error: '大会名を指定してください'
+      });
+    }
+
+    const ticketModel = new Ticket();
+    const recentSince = new Date(Date.now() - GATE_RECENT_MINUTES * 60 * 1000);
+    const [products, arrivals, gates] = await Promise.all([
+      ticketModel.getAdmissionStats(contestName),
+      ticketModel.getArrivals(contestName, ARRIVAL_BUCKET_MINUTES),
+      checkinEventModel.getGateThroughput(contestName, recentSince)
+    ]);
+
+    res.json({
+      success: true,
+      contestName,
+      generatedAt: new Date().toISOString(),
+      data: {
+        totals: {
+          sold: products.reduce((sum, p) => sum + p.sold, 0),
+          admitted: products.reduce((sum, p) => sum + p.admitted, 0),
+        },
+        products,
+        arrivals,
+        arrivalBucketMinutes: ARRIVAL_BUCKET_MINUTES,
+        gates,
+        gateRecentMinutes: GATE_RECENT_MINUTES,
+      }
+    });
+  } catch (error) {
+    console.error('Checkin dashboard error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /stream?contest= - 大会の受付をServer-Sent Eventsで配信（受付・拒否のたびに scan イベント）
+// 受付履歴をポーリングするため、複数のサーバーインスタンスで受付しても配信される
+// 再接続時は Last-Event-ID（受付履歴ID）の続きから配信する
+router.get('/stream', async (req, res) => {
+  const contestName = (req.query.contest || '').trim();
+  if (!contestName) {
+    return res.status(400).json({
+      success: false,
+      error: '大会名を指定してください'
+    });
+  }
+
+  let lastId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  try {
+    if (!lastId) {
+      lastId = await checkinEventModel.getLatestId();
+    }
+  } catch (error) {
+    console.error('Checkin stream error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 1000\n\n');
+
+  let closed = false;
+  let polling = false;
+
+  const poll = async () => {
+    if (closed || polling) return;
+    polling = true;
+    try {
+      const events = await checkinEventModel.findSince(contestName, lastId);
+      for (const event of events) {
+        if (closed) break;
+        res.write(`id: ${event.id}\nevent: scan\ndata: ${JSON.stringify(event)}\n\n`);
+        lastId = event.id;
+      }
+    } catch (error) {
+      console.error('Checkin stream poll error:', error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    clearTimeout(endTimer);
+    res.end();
+  };
+
+  const pollTimer = setInterval(poll, STREAM_POLL_MS);
+  const heartbeatTimer = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  const endTimer = setTimeout(close, STREAM_MAX_MS);
+  req.on('close', close);
+});
+
 // POST /verify - コード検証のみ（チケット情報を取得）
 router.post('/verify', async (req, res) => {
   try {
     const { code } = req.body;
 
     if (!code) {
+      await recordEvent(req, 'verify', 'invalid_request', { message: 'コードを入力してください' });
       return res.status(400).json({
         success: false,
         error: 'コードを入力してください'
       });
     }
 
+    // ゲストコード（パスごと）
+    if (isGuestCode(code)) {
+      const pass = await loadGuestPass(req, res, 'verify');
+      if (!pass) return;
+
+      const { guest, passNo, passCount } = pass;
+      const checkins = await guestCheckinModel.findByGuestId(guest.id);
+      const checkin = checkins.find(c => c.pass_no === passNo);
+      await recordEvent(req, 'verify', checkin ? 'already_used' : 'accepted', { guestId: guest.id });
+
+      return res.json({
+        success: true,
+        ...guestSummary(guest),
+        isUsable: !checkin,
+        usedAt: checkin ? checkin.checked_in_at : null,
+        passNo,
+        passCount,
+        checkedInCount: checkins.length
+      });
+    }
+
     // コードを検証
     const verification = verifyCheckinCode(code);
 
     if (!verification.valid) {
+      await recordEvent(req, 'verify', invalidCodeResult(verification), { ticketId: verification.ticketId, message: verification.error });
       return res.status(400).json({
         success: false,
-        error: verification.error
+        error: verification.error,
+        reason: verification.reason
       });
     }
+    if (await rejectTransferredV1(req, res, 'verify', verification)) return;
 
     const { ticketId } = verification;
 
@@ -39,12 +604,18 @@ router.post('/verify', async (req, res) => {
     const ticket = await ticketModel.findByTicketId(ticketId);
 
     if (!ticket) {
+      await recordEvent(req, 'verify', 'not_found', { ticketId, message: 'チケットが見つかりません' });
       return res.status(400).json({
         success: false,
         error: 'チケットが見つかりません'
       });
     }
 
+    await recordEvent(req, 'verify', ticket.is_usable === 'TRUE' ? 'accepted' : unusableResult(ticket), { ticketId });
+
+    // 同じラインアイテムのチケット（グループ受付用）
+    const siblings = await ticketModel.findSiblings(ticket);
+
     res.json({
       success: true,
       orderName: ticket.order_no,
@@ -52,10 +623,13 @@ router.post('/verify', async (req, res) => {
       variantTitle: ticket.variant,
       isUsable: ticket.is_usable === 'TRUE',
       reservedSeat: ticket.reserved_seat,
-      usedAt: ticket.used_at
+      usedAt: ticket.used_at,
+      groupCount: siblings.length,
+      groupUsableCount: siblings.filter(t => t.is_usable === 'TRUE').length
     });
   } catch (error) {
     console.error('Verify error:', error);
+    await recordEvent(req, 'verify', 'error', { message: error.message });
 
     let errorMessage = 'コード検証中にエラーが発生しました';
     if (error.message.includes('not found') || error.message.includes('見つかりません')) {
@@ -72,20 +646,52 @@ router.post('/', async (req, res) => {
     const { code } = req.body;
 
     if (!code) {
+      await recordEvent(req, 'checkin', 'invalid_request', { message: 'コードを入力してください' });
       return res.status(400).json({
         success: false,
         error: 'コードを入力してください'
       });
     }
 
+    // ゲストコード（パスごと）
+    if (isGuestCode(code)) {
+      const pass = await loadGuestPass(req, res, 'checkin');
+      if (!pass) return;
+
+      const { guest, passNo, passCount } = pass;
+      const staffEmail = ((req.session && req.session.user) || req.user || {}).email;
+      const checkin = await guestCheckinModel.checkin(guest.id, passNo, staffEmail);
+      if (!checkin) {
+        await recordEvent(req, 'checkin', 'already_used', { guestId: guest.id, message: 'このパスは既に使用済みです' });
+        return res.status(400).json({
+          success: false,
+          error: 'このパスは既に使用済みです'
+        });
+      }
+
+      await guestModel.updateCheckinStatus(guest.id, true);
+      await recordEvent(req, 'checkin', 'accepted', { guestId: guest.id });
+
+      return res.json({
+        success: true,
+        message: '受付完了',
+        ...guestSummary(guest),
+        passNo,
+        passCount
+      });
+    }
+
     // コードを検証
     const verification = verifyCheckinCode(code);
     if (!verification.valid) {
+      await recordEvent(req, 'checkin', invalidCodeResult(verification), { ticketId: verification.ticketId, message: verification.error });
       return res.status(400).json({
         success: false,
-        error: verification.error
+        error: verification.error,
+        reason: verification.reason
       });
     }
+    if (await rejectTransferredV1(req, res, 'checkin', verification)) return;
 
     const { ticketId } = verification;
 
@@ -94,6 +700,7 @@ router.post('/', async (req, res) => {
     const ticket = await ticketModel.findByTicketId(ticketId);
 
     if (!ticket) {
+      await recordEvent(req, 'checkin', 'not_found', { ticketId, message: 'チケットが見つかりません' });
       return res.status(400).json({
         success: false,
         error: 'チケットが見つかりません'
@@ -102,6 +709,7 @@ router.post('/', async (req, res) => {
 
     // 使用済みチェック
     if (ticket.is_usable !== 'TRUE') {
+      await recordEvent(req, 'checkin', unusableResult(ticket), { ticketId, message: 'このチケットは既に使用済みです' });
       return res.status(400).json({
         success: false,
         error: 'このチケットは既に使用済みです'
@@ -110,24 +718,10 @@ router.post('/', async (req, res) => {
 
     // チェックイン実行（is_usableをfalseに更新）
     await ticketModel.checkin(ticket.id);
+    await recordEvent(req, 'checkin', 'accepted', { ticketId });
 
     // fire-and-forget: 購入者にプッシュ通知を送信
-    if (ticket.shopify_id) {
-      (async () => {
-        try {
-          const hasSubscription = await hasPushSubscription(ticket.shopify_id);
-          if (hasSubscription) {
-            await sendPushNotification({
-              shopifyId: ticket.shopify_id,
-              title: 'チケットがチェックインされました',
-              body: `${ticket.order_no} ${ticket.product_name} ${ticket.variant} のチケットが受付されました`
-            });
-          }
-        } catch (err) {
-          console.error('Checkin push notification error:', err);
-        }
-      })();
-    }
+    notifyCheckin(ticket);
 
     res.json({
       success: true,
@@ -138,6 +732,7 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Checkin error:', error);
+    await recordEvent(req, 'checkin', 'error', { message: error.message });
 
     let errorMessage = 'チェックイン処理中にエラーが発生しました';
     if (error.message.includes('not found') || error.message.includes('見つかりません')) {
@@ -148,4 +743,180 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST /group - 1つのコードで同じラインアイテムのチケットをN枚まとめて受付（家族など）
+router.post('/group', async (req, res) => {
+  try {
+    const { code } = req.body;
+    const count = parseInt(req.body.count, 10);
+
+    if (!code) {
+      await recordEvent(req, 'group', 'invalid_request', { message: 'コードを入力してください' });
+      return res.status(400).json({
+        success: false,
+        error: 'コードを入力してください'
+      });
+    }
+    if (!count || count < 1) {
+      await recordEvent(req, 'group', 'invalid_request', { message: '受付する枚数を指定してください' });
+      return res.status(400).json({
+        success: false,
+        error: '受付する枚数を指定してください'
+      });
+    }
+
+    // コードを検証
+    const verification = verifyCheckinCode(code);
+    if (!verification.valid) {
+      await recordEvent(req, 'group', invalidCodeResult(verification), { ticketId: verification.ticketId, message: verification.error });
+      return res.status(400).json({
+        success: false,
+        error: verification.error,
+        reason: verification.reason
+      });
+    }
+    if (await rejectTransferredV1(req, res, 'group', verification)) return;
+
+    const { ticketId } = verification;
+
+    const ticketModel = new Ticket();
+    const ticket = await ticketModel.findByTicketId(ticketId);
+
+    if (!ticket) {
+      await recordEvent(req, 'group', 'not_found', { ticketId, message: 'チケットが見つかりません' });
+      return res.status(400).json({
+        success: false,
+        error: 'チケットが見つかりません'
+      });
+    }
+
+    // 使用可能な同じラインアイテムのチケット（読み取ったチケットを優先し、残りは枝番順）
+    const siblings = await ticketModel.findSiblings(ticket);
+    const usable = siblings
+      .filter(t => t.is_usable === 'TRUE')
+      .sort((a, b) => (b.id === ticket.id) - (a.id === ticket.id));
+
+    if (usable.length === 0) {
+      await recordEvent(req, 'group', unusableResult(ticket), { ticketId, message: 'このチケットは既に使用済みです' });
+      return res.status(400).json({
+        success: false,
+        error: 'このチケットは既に使用済みです'
+      });
+    }
+    if (count > usable.length) {
+      const message = `このチケットで受付できるのは残り${usable.length}枚です`;
+      await recordEvent(req, 'group', 'invalid_request', { ticketId, message });
+      return res.status(400).json({
+        success: false,
+        error: message,
+        groupUsableCount: usable.length
+      });
+    }
+
+    // 他の端末と同時に受付された分は除かれる
+    const admitted = await ticketModel.checkinMany(usable.slice(0, count).map(t => t.id));
+    await checkinEventModel.record(req, admitted.map(t => ({
+      ticketId: t.id,
+      action: 'group',
+      result: 'accepted',
+      code,
+      message: `${admitted.length}枚まとめて受付`,
+    })));
+
+    if (admitted.length > 0) {
+      notifyCheckin(ticket);
+    }
+
+    res.json({
+      success: true,
+      message: `${admitted.length}名 受付完了`,
+      orderName: ticket.order_no,
+      productName: ticket.product_name,
+      variantTitle: ticket.variant,
+      admittedCount: admitted.length,
+      remainingCount: usable.length - admitted.length,
+      tickets: admitted.map(t => ({ id: t.id, itemSubNo: t.item_sub_no, reservedSeat: t.reserved_seat }))
+    });
+  } catch (error) {
+    console.error('Group checkin error:', error);
+    await recordEvent(req, 'group', 'error', { message: error.message });
+    res.status(400).json({ success: false, error: 'チェックイン処理中にエラーが発生しました' });
+  }
+});
+
+// POST /undo - チェックインの取り消し（チェックインから一定時間内のみ・理由必須）
+router.post('/undo', async (req, res) => {
+  try {
+    const { code } = req.body;
+    const reason = (req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: '取り消しの理由を入力してください'
+      });
+    }
+
+    let ticketId = req.body.ticketId ? parseInt(req.body.ticketId, 10) : null;
+    if (code) {
+      // 取り消しはチケットの特定のみのため、期限切れのv2コードも受け付ける
+      const verification = verifyCheckinCode(code);
+      if (!verification.valid && verification.reason !== 'stale') {
+        return res.status(400).json({
+          success: false,
+          error: verification.error
+        });
+      }
+      ticketId = verification.ticketId;
+    }
+    if (!ticketId) {
+      return res.status(400).json({
+        success: false,
+        error: 'コードを入力してください'
+      });
+    }
+
+    const ticketModel = new Ticket();
+    const before = await ticketModel.findByTicketId(ticketId);
+    if (!before) {
+      return res.status(400).json({
+        success: false,
+        error: 'チケットが見つかりません'
+      });
+    }
+    if (before.is_usable === 'TRUE' || !before.used_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'このチケットはチェックインされていません'
+      });
+    }
+
+    const usedAfter = new Date(Date.now() - UNDO_WINDOW_MINUTES * 60 * 1000);
+    const after = await ticketModel.undoCheckin(ticketId, usedAfter);
+    if (!after) {
+      return res.status(400).json({
+        success: false,
+        error: `チェックインから${UNDO_WINDOW_MINUTES}分を過ぎたため取り消せません。管理者にチケットの編集を依頼してください`
+      });
+    }
+
+    await auditLogModel.recordMany(req, 'tickets', [{
+      entityId: ticketId,
+      action: 'undo_checkin',
+      changes: { ...auditLogModel.diff(before, after), reason: { from: null, to: reason } }
+    }]);
+    await recordEvent(req, 'undo', 'accepted', { ticketId, message: reason });
+
+    res.json({
+      success: true,
+      message: 'チェックインを取り消しました',
+      orderName: after.order_no,
+      productName: after.product_name,
+      variantTitle: after.variant
+    });
+  } catch (error) {
+    console.error('Undo checkin error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const ContestClass = require('../models/ContestClass');
+const Registration = require('../models/Registration');
+const AuditLog = require('../models/AuditLog');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const router = express.Router();
+
+const contestClassModel = new ContestClass();
+const registrationModel = new Registration();
+const auditLogModel = new AuditLog();
+
+// GET / - 大会のクラス一覧（開催順）
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { contest_name } = req.query;
+    if (!contest_name) {
+      return res.status(400).json({ success: false, error: '大会名は必須です' });
+    }
+
+    const classes = await contestClassModel.findByContestName(contest_name);
+    res.json({ success: true, data: classes });
+  } catch (error) {
+    console.error('Classes list error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST / - クラス作成
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const result = await contestClassModel.create(req.body);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await auditLogModel.record(req, 'contest_classes', result.data.id, 'create', null, result.data);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Class create error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /from-registrations - 出場登録のクラス名からクラスを作成（未登録のもののみ）
+router.post('/from-registrations', requireAdmin, async (req, res) => {
+  try {
+    const { contest_name } = req.body;
+    if (!contest_name) {
+      return res.status(400).json({ success: false, error: '大会名は必須です' });
+    }
+
+    const registrations = await registrationModel.findByContestName(contest_name);
+    const classes = await contestClassModel.findByContestName(contest_name);
+
+    // 既存クラスにバリエーション名で対応しているクラス名は作成しない
+    const classNames = registrations
+      .map(reg => reg.class_name)
+      .filter(name => name && !contestClassModel.matchVariant(classes, name));
+    const created = await contestClassModel.createMissing(contest_name, classNames);
+
+    await auditLogModel.recordMany(req, 'contest_classes', created.map(cls => ({
+      entityId: cls.id,
+      action: 'create',
+      before: null,
+      after: cls
+    })));
+
+    res.json({
+      success: true,
+      data: created,
+      message: `${created.length}件のクラスを作成しました`
+    });
+  } catch (error) {
+    console.error('Class create from registrations error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /:id - クラス更新（表示名の変更は参照している出場登録にも反映）
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const before = await contestClassModel.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'クラスが見つかりません' });
+    }
+
+    const result = await contestClassModel.update(req.params.id, req.body);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await auditLogModel.record(req, 'contest_classes', req.params.id, 'update', before, result.data);
+
+    if (result.data.class_name !== before.class_name) {
+      const { updated } = await registrationModel.renameClass(req.params.id, result.data.class_name);
+      result.renamedRegistrations = updated;
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Class update error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /:id - クラス削除（出場登録から参照されている場合は削除不可）
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const count = await registrationModel.countByClassId(req.params.id);
+    if (count > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `このクラスには${count}件の出場登録があるため削除できません`
+      });
+    }
+
+    const result = await contestClassModel.delete(req.params.id);
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    await auditLogModel.record(req, 'contest_classes', req.params.id, 'delete', result.data, null);
+    res.json({ success: true, message: 'クラスを削除しました' });
+  } catch (error) {
+    console.error('Class delete error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
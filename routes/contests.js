@@ -1,9 +1,21 @@
 const express = require('express');
 const Contest = require('../models/Contest');
+const AuditLog = require('../models/AuditLog');
+const ContestCapacity = require('../models/ContestCapacity');
+const Ticket = require('../models/Ticket');
+const Guest = require('../models/Guest');
+const Registration = require('../models/Registration');
+const { buildCapacityReport, normalizeCapacities } = require('../utils/capacity');
+const { buildAttendeeManifest, manifestToCsv, manifestToHtml } = require('../utils/attendee-manifest');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const router = express.Router();
 
 const contestModel = new Contest();
+const auditLogModel = new AuditLog();
+const capacityModel = new ContestCapacity();
+const ticketModel = new Ticket();
+const guestModel = new Guest();
+const registrationModel = new Registration();
 
 /**
  * 外部サーバーのContestsキャッシュをクリアする
@@ -24,6 +36,28 @@ async function clearContestsCache() {
   }
 }
 
+/**
+ * 大会の定員レポートを作成
+ * @param {string} contestName - 大会名
+ */
+async function buildContestCapacityReport(contestName) {
+  const [capacities, ticketCounts, guestCounts] = await Promise.all([
+    capacityModel.findByContestName(contestName),
+    ticketModel.getCapacityCounts(contestName),
+    guestModel.getTicketCountsByType(contestName),
+  ]);
+  return buildCapacityReport({ capacities, ticketCounts, guestCounts });
+}
+
+/**
+ * 監査ログ用に定員を { 'capacity:バリエーション': 定員 } の形にする
+ */
+function capacitiesForAudit(capacities) {
+  const result = {};
+  capacities.forEach(c => { result[`capacity:${c.variant}`] = c.capacity; });
+  return result;
+}
+
 // すべて認証が必要
 router.use(requireAuth);
 
@@ -118,6 +152,121 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// 大会の定員レポート（バリエーションごとの定員・発券数・招待チケット・ゲスト）
+router.get('/:id/capacity', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id) || id < 1) {
+      return res.status(400).json({ success: false, error: '無効なIDです' });
+    }
+
+    const contest = await contestModel.findById(id);
+    if (!contest) {
+      return res.status(404).json({ success: false, error: '大会情報が見つかりません' });
+    }
+
+    const report = await buildContestCapacityReport(contest.contest_name);
+    res.json({ success: true, data: { contest_name: contest.contest_name, ...report } });
+  } catch (error) {
+    console.error('Error building capacity report:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 大会の定員を登録（バリエーションごとの定員はすべて置き換え、管理者のみ）
+// body: { capacities: [{ variant, capacity }] }
+router.put('/:id/capacities', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id) || id < 1) {
+      return res.status(400).json({ success: false, error: '無効なIDです' });
+    }
+
+    const contest = await contestModel.findById(id);
+    if (!contest) {
+      return res.status(404).json({ success: false, error: '大会情報が見つかりません' });
+    }
+
+    const { errors, capacities } = normalizeCapacities(req.body.capacities);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors[0], errors });
+    }
+
+    const before = await capacityModel.findByContestName(contest.contest_name);
+    const saved = await capacityModel.replaceForContest(contest.contest_name, capacities);
+    await auditLogModel.record(req, 'contests', id, 'update', capacitiesForAudit(before), capacitiesForAudit(saved));
+
+    const report = await buildContestCapacityReport(contest.contest_name);
+    res.json({
+      success: true,
+      message: '定員を保存しました',
+      data: { contest_name: contest.contest_name, ...report }
+    });
+  } catch (error) {
+    console.error('Error saving capacities:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 大会の来場者一覧（観戦チケット・関係者・選手）
+// ?format=csv でCSV、?format=html で印刷用HTML、省略時はJSON
+router.get('/:id/manifest', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id) || id < 1) {
+      return res.status(400).json({ success: false, error: '無効なIDです' });
+    }
+
+    const format = req.query.format || 'json';
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'formatは json, csv, html のいずれかを指定してください' });
+    }
+
+    const contest = await contestModel.findById(id);
+    if (!contest) {
+      return res.status(404).json({ success: false, error: '大会情報が見つかりません' });
+    }
+
+    const [tickets, guests, registrations] = await Promise.all([
+      ticketModel.findForExport(contest.contest_name, null),
+      guestModel.findByContestName(contest.contest_name),
+      registrationModel.findByContestName(contest.contest_name),
+    ]);
+    const manifest = buildAttendeeManifest({ tickets, guests, registrations });
+    const generatedAt = new Date();
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: {
+          contest_name: contest.contest_name,
+          contest_date: contest.contest_date,
+          generated_at: generatedAt.toISOString(),
+          ...manifest
+        }
+      });
+    }
+
+    // ファイル名: (contest_date)_(contest_name)_来場者一覧.csv
+    const sanitizedContestName = contest.contest_name.replace(/[^a-zA-Z0-9\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/g, '_');
+    const filename = contest.contest_date
+      ? `${contest.contest_date}_${sanitizedContestName}_来場者一覧.${format}`
+      : `${sanitizedContestName}_来場者一覧.${format}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+      return res.send(manifestToCsv(manifest.attendees));
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(manifestToHtml(contest, manifest, generatedAt));
+  } catch (error) {
+    console.error('Error building attendee manifest:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // 新規コンテスト作成（管理者のみ）
 router.post('/', requireAdmin, async (req, res) => {
   try {
@@ -129,6 +278,7 @@ router.post('/', requireAdmin, async (req, res) => {
     }
 
     const result = await contestModel.create(contestData);
+    await auditLogModel.record(req, 'contests', result.id, 'create', null, await contestModel.findById(result.id));
     clearContestsCache();
     res.json(result);
   } catch (error) {
@@ -152,7 +302,9 @@ router.put('/:id', requireAdmin, async (req, res) => {
       return res.status(400).json({ success: false, error: '大会名は必須です' });
     }
 
+    const before = await contestModel.findById(id);
     const result = await contestModel.update(id, contestData);
+    await auditLogModel.record(req, 'contests', id, 'update', before, await contestModel.findById(id));
     clearContestsCache();
     res.json(result);
   } catch (error) {
@@ -180,6 +332,7 @@ router.delete('/:id', requireAdmin, async (req, res) => {
       return res.status(400).json(result);
     }
 
+    await auditLogModel.record(req, 'contests', id, 'delete', contest, null);
     clearContestsCache();
     res.json({ success: true, message: '大会情報を削除しました' });
   } catch (error) {
@@ -1,13 +1,235 @@
 const express = require('express');
 const router = express.Router();
 const Guest = require('../models/Guest');
-const { requireAuth } = require('../middleware/auth');
+const GuestCheckin = require('../models/GuestCheckin');
+const AuditLog = require('../models/AuditLog');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const GuestMail = require('../models/GuestMail');
+const Contest = require('../models/Contest');
+const ImportBatch = require('../models/ImportBatch');
+const { generateGuestCode, MAX_GUEST_PASSES } = require('../utils/checkin-code');
+const {
+  MERGE_FIELDS,
+  TEMPLATES,
+  buildMergeFields,
+  findUnknownFields,
+  usesMergeField,
+  renderGuestMail,
+} = require('../utils/guest-mail');
+const { isMailConfigured, sendMail, isBounceError } = require('../services/mailer');
+const { IMPORT_FIELDS, planGuestImport, planGuestClone, guestsToExportRows } = require('../utils/guest-import');
 
 const guestModel = new Guest();
+const guestCheckinModel = new GuestCheckin();
+const guestMailModel = new GuestMail();
+const auditLogModel = new AuditLog();
+const contestModel = new Contest();
+const importBatchModel = new ImportBatch();
+
+// 1回のリクエストで送信するメールの上限（1通0.5〜1秒かかるため、サーバーレス関数のタイムアウト内に収める）
+// 残りは画面から offset を進めて続けて送信する
+const MAX_MAILS_PER_REQUEST = 5;
+
+// プレビュー用のゲスト（ゲストを指定しない場合）
+const SAMPLE_GUEST = {
+  name_ja: '山田 太郎',
+  company_ja: '株式会社サンプル',
+  pass_type: '関係者パス',
+  ticket_count: 2,
+  contest_name: 'サンプル大会',
+  contest_date: '2026-01-01',
+};
+
+// プレビューでチェックインコードの代わりに差し込む値（署名済みのコードは送信時のみ作成する）
+const PREVIEW_CHECKIN_CODE = 'G-XXXX-XXXX-XXXX-XXXX';
+
+/**
+ * 一覧のフィルタをクエリ・リクエストボディから取得
+ * @param {Object} source - req.query または req.body.filters
+ * @returns {Object}
+ */
+function guestFilters(source = {}) {
+  const filters = {};
+  ['contest_name', 'organization_type', 'pass_type', 'representative_name', 'organization_name', 'search'].forEach(key => {
+    if (source[key]) filters[key] = source[key];
+  });
+  return filters;
+}
+
+/**
+ * ゲストのパスごとのチェックインコード（チケット枚数分、0枚なら1枚。最大 MAX_GUEST_PASSES 枚）
+ * @param {Object} guest - ゲスト（snake_case）
+ * @returns {Array<Object>} [{ pass_no, code }]
+ */
+function guestCheckinCodes(guest) {
+  const passCount = Math.min(guestCheckinModel.passCount(guest), MAX_GUEST_PASSES);
+  const codes = [];
+  for (let passNo = 1; passNo <= passCount; passNo++) {
+    codes.push({ pass_no: passNo, code: generateGuestCode(guest.id, passNo) });
+  }
+  return codes;
+}
+
+/**
+ * 件名・本文のテンプレートを取得（指定がなければ既定のテンプレート）
+ * @returns {{ definition: Object, subject: string, body: string, error?: string }}
+ */
+function mailTemplate(body) {
+  const definition = TEMPLATES[body.template];
+  if (!definition) {
+    return { error: 'テンプレートを選択してください' };
+  }
+
+  const subject = body.subject || definition.subject;
+  const text = body.body || definition.body;
+  const unknown = findUnknownFields(`${subject}\n${text}`);
+  if (unknown.length > 0) {
+    return { error: `不明な差し込み項目があります: ${unknown.map(f => `{{${f}}}`).join(', ')}` };
+  }
+
+  return { definition, subject, body: text };
+}
+
+/**
+ * CSVインポートの計画を作成（対象の大会の既存のゲストと突き合わせる）
+ * @param {Object} body - { rows, contest_name }（rows は列の対応付け済みの行）
+ * @returns {Promise<{ plan?: Object, error?: string }>}
+ */
+async function planImportFromBody(body) {
+  const { rows, contest_name: defaultContest } = body;
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { error: 'CSVデータが不正です' };
+  }
+
+  const contestNames = new Map();
+  rows.forEach(row => {
+    const name = String(row.contest_name || defaultContest || '').trim();
+    if (name) contestNames.set(name.toLowerCase(), name);
+  });
+
+  const contests = await contestModel.findAll();
+  const existingGuests = (await Promise.all(
+    [...contestNames.values()].map(name => guestModel.findByContestName(name))
+  )).flat();
+
+  return { plan: planGuestImport({ rows, defaultContest, contests, existingGuests }) };
+}
 
 // すべて認証が必要
 router.use(requireAuth);
 
+// エクスポート（一覧と同じフィルタ）
+router.get('/export', async (req, res) => {
+  try {
+    const filters = guestFilters(req.query);
+    const guests = await guestModel.findByFilters(filters);
+
+    // ファイル名を生成（日付付き）
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const namePart = filters.contest_name
+      ? filters.contest_name.replace(/[^\w\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/g, '_')
+      : 'all';
+
+    res.json({
+      success: true,
+      data: guestsToExportRows(guests),
+      filename: `guests_${namePart}_${date}.csv`,
+    });
+  } catch (error) {
+    console.error('Export guests error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// CSVインポートの項目（列の対応付け用）
+router.get('/import-fields', async (req, res) => {
+  res.json({ success: true, data: IMPORT_FIELDS });
+});
+
+// CSVインポートのプレビュー（追加・更新・重複の統合・エラーのレポート、管理者のみ）
+router.post('/import-csv/preview', requireAdmin, async (req, res) => {
+  try {
+    const { plan, error } = await planImportFromBody(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Preview guest import error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// CSVインポート（大会ごとにメールアドレスまたは代表者氏名＋団体名で追加・更新、管理者のみ）
+router.post('/import-csv', requireAdmin, async (req, res) => {
+  try {
+    const { plan, error } = await planImportFromBody(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const { inserts, updates, summary } = plan;
+    console.log(`[guests import-csv] rows=${summary.rows}, inserts=${summary.inserts}, updates=${summary.updates}, errors=${summary.errors}`);
+
+    let batchId = null;
+    if (inserts.length > 0 || updates.length > 0) {
+      // インポートバッチを作成（ロールバック用に変更前の値を記録）
+      const batch = await importBatchModel.create('guests-csv', {
+        contestName: req.body.contest_name || null,
+        createdBy: req.session.user.email
+      });
+      batchId = batch.id;
+
+      const updateRows = updates.map(({ id, changes }) => {
+        const data = {};
+        Object.entries(changes).forEach(([field, { after }]) => { data[field] = after; });
+        return { id, data };
+      });
+      if (updateRows.length > 0) {
+        await importBatchModel.recordPreImages(batch.id, 'guests', updateRows.map(u => u.id), 'update');
+      }
+
+      const { insertedIds } = await guestModel.importRows(inserts.map(i => i.data), updateRows);
+      if (insertedIds.length > 0) {
+        await importBatchModel.recordInserts(batch.id, 'guests', insertedIds);
+      }
+      await importBatchModel.markApplied(batch.id);
+
+      // 変更した項目のみ監査ログに記録
+      await auditLogModel.recordMany(req, 'guests', [
+        ...updates.map(({ id, changes }) => {
+          const before = {};
+          const after = {};
+          Object.entries(changes).forEach(([field, change]) => {
+            before[field] = change.before;
+            after[field] = change.after;
+          });
+          return { entityId: id, action: 'update', before, after };
+        }),
+        ...insertedIds.map((id, index) => ({
+          entityId: id,
+          action: 'create',
+          before: null,
+          after: { id, ...inserts[index].data }
+        })),
+      ]);
+    }
+
+    const messages = [];
+    if (summary.updates > 0) messages.push(`${summary.updates}件を更新`);
+    if (summary.inserts > 0) messages.push(`${summary.inserts}件を新規追加`);
+    const message = messages.length > 0 ? messages.join('、') + 'しました' : '対象データがありませんでした';
+
+    res.json({
+      success: true,
+      data: { ...summary, batchId, message, report: plan }
+    });
+  } catch (error) {
+    console.error('Import guests CSV error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // フィルターオプションの取得
 router.get('/filter-options', async (req, res) => {
   try {
@@ -27,15 +249,14 @@ router.get('/', async (req, res) => {
     const sortBy = req.query.sortBy || 'contest_name';
     const sortOrder = req.query.sortOrder || 'asc';
 
-    const filters = {};
-    if (req.query.contest_name) filters.contest_name = req.query.contest_name;
-    if (req.query.organization_type) filters.organization_type = req.query.organization_type;
-    if (req.query.pass_type) filters.pass_type = req.query.pass_type;
-    if (req.query.representative_name) filters.representative_name = req.query.representative_name;
-    if (req.query.organization_name) filters.organization_name = req.query.organization_name;
-    if (req.query.search) filters.search = req.query.search;
+    const result = await guestModel.findWithPaging(page, limit, guestFilters(req.query), sortBy, sortOrder);
+
+    // テンプレートごとの最新の送信状況（バウンス・送信失敗の表示用）
+    const mailStatuses = await guestMailModel.findLatestStatuses(result.data.map(guest => guest.id));
+    result.data.forEach(guest => {
+      guest.mail_statuses = mailStatuses[guest.id] || {};
+    });
 
-    const result = await guestModel.findWithPaging(page, limit, filters, sortBy, sortOrder);
     res.json({ success: true, ...result });
   } catch (error) {
     console.error('Error fetching guests:', error);
@@ -43,6 +264,258 @@ router.get('/', async (req, res) => {
   }
 });
 
+// 前回大会からコピー（受付・メールのフラグは未済に戻し、コピー先に既にいる人は除く、管理者のみ）
+// dry_run: true の場合はコピーせずに対象を返す
+router.post('/clone', requireAdmin, async (req, res) => {
+  try {
+    const {
+      source_contest_name: sourceName,
+      source_contest_date: sourceDate,
+      target_contest_name: targetName,
+      target_contest_date: targetDate,
+      group_type: groupType,
+      pass_type: passType,
+      dry_run: dryRun,
+    } = req.body;
+
+    if (!sourceName || !targetName) {
+      return res.status(400).json({ success: false, error: 'コピー元とコピー先の大会を選択してください' });
+    }
+
+    // コピー先の大会（開催日の指定がなければ最新の回）
+    const target = (await contestModel.findAll())
+      .filter(c => c.contest_name.toLowerCase() === targetName.toLowerCase())
+      .filter(c => !targetDate || c.contest_date === targetDate)
+      .sort((a, b) => new Date(b.contest_date) - new Date(a.contest_date))[0];
+    if (!target) {
+      return res.status(400).json({ success: false, error: `大会「${targetName}」が登録されていません` });
+    }
+    if (sourceName.toLowerCase() === targetName.toLowerCase() && (!sourceDate || sourceDate === target.contest_date)) {
+      return res.status(400).json({ success: false, error: 'コピー元とコピー先に同じ大会は選択できません' });
+    }
+
+    // コピー先の既存ゲストは開催日が未設定・表記違い（'YYYY/MM/DD'）の行も含めて重複を判定する
+    const dateKey = value => String(value || '').trim().slice(0, 10).replace(/\//g, '-');
+    const [sourceGuests, targetContestGuests] = await Promise.all([
+      guestModel.findByContestName(sourceName, sourceDate || null),
+      guestModel.findByContestName(target.contest_name),
+    ]);
+    const targetGuests = targetContestGuests.filter(guest =>
+      !dateKey(guest.contest_date) || dateKey(guest.contest_date) === dateKey(target.contest_date)
+    );
+    const plan = planGuestClone({
+      sourceGuests,
+      targetGuests,
+      target,
+      filters: { group_type: groupType, pass_type: passType },
+    });
+
+    if (dryRun || plan.inserts.length === 0) {
+      return res.json({
+        success: true,
+        data: { ...plan, batchId: null, message: plan.inserts.length === 0 ? 'コピーする関係者がいませんでした' : null }
+      });
+    }
+
+    // インポートバッチを作成（インポート履歴から取り消せるようにする）
+    const batch = await importBatchModel.create('guests-clone', {
+      contestName: target.contest_name,
+      createdBy: req.session.user.email
+    });
+    const { insertedIds } = await guestModel.importRows(plan.inserts.map(i => i.data), []);
+    await importBatchModel.recordInserts(batch.id, 'guests', insertedIds);
+    await importBatchModel.markApplied(batch.id);
+    await auditLogModel.recordMany(req, 'guests', insertedIds.map((id, index) => ({
+      entityId: id,
+      action: 'create',
+      before: null,
+      after: { id, ...plan.inserts[index].data, cloned_from: plan.inserts[index].source_id }
+    })));
+
+    res.json({
+      success: true,
+      data: { ...plan, batchId: batch.id, message: `${insertedIds.length}件をコピーしました` }
+    });
+  } catch (error) {
+    console.error('Clone guests error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// メールのテンプレート・差し込み項目の取得
+router.get('/mail/templates', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        configured: isMailConfigured(),
+        templates: TEMPLATES,
+        fields: MERGE_FIELDS,
+      }
+    });
+  } catch (error) {
+    console.error('Error getting mail templates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// メールのプレビュー（guest_id を省略した場合はサンプルのゲスト）
+// チェックインコードはゲストを指定しても伏せ字にする（コードの確認は管理者のみの /:id/checkin-codes）
+router.post('/mail/preview', async (req, res) => {
+  try {
+    const template = mailTemplate(req.body);
+    if (template.error) {
+      return res.status(400).json({ success: false, error: template.error });
+    }
+
+    let guest = { ...SAMPLE_GUEST, id: 0 };
+    if (req.body.guest_id) {
+      guest = await guestModel.findById(req.body.guest_id);
+      if (!guest) {
+        return res.status(404).json({ success: false, error: 'ゲストが見つかりません' });
+      }
+    }
+
+    const codes = usesMergeField(template.body, 'checkin_codes')
+      ? guestCheckinCodes(guest).map(({ pass_no }) => ({ pass_no, code: PREVIEW_CHECKIN_CODE }))
+      : [];
+    const mail = renderGuestMail({ ...template, fields: buildMergeFields(guest, codes) });
+
+    res.json({ success: true, data: { to: guest.email || '', ...mail } });
+  } catch (error) {
+    console.error('Error previewing mail:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 招待状・お礼状の送信（管理者のみ）
+// ids を指定した場合はそのゲスト、省略した場合は filters（一覧と同じ、大会名は必須）に一致するゲストに送信する
+// 一覧の大会名は部分一致だが、送信では別の大会のゲストに送らないよう大会名（と開催日）を完全一致で絞り込む
+// offset 番目の対象から MAX_MAILS_PER_REQUEST 通まで送信し、続きがあれば next_offset を返す
+router.post('/mail/send', requireAdmin, async (req, res) => {
+  try {
+    const template = mailTemplate(req.body);
+    if (template.error) {
+      return res.status(400).json({ success: false, error: template.error });
+    }
+    if (!isMailConfigured()) {
+      return res.status(400).json({ success: false, error: 'メール送信が設定されていません（SMTP_HOST・MAIL_FROM）' });
+    }
+
+    const { ids, filters, only_unsent = true } = req.body;
+    const offset = Math.max(parseInt(req.body.offset, 10) || 0, 0);
+    let targets;
+    if (Array.isArray(ids) && ids.length > 0) {
+      targets = (await Promise.all(ids.map(id => guestModel.findById(id)))).filter(guest => guest && guest.isValid);
+    } else if (filters && filters.contest_name) {
+      targets = await guestModel.findByFilters({
+        ...guestFilters(filters),
+        exact_contest: true,
+        contest_date: filters.contest_date || null,
+      });
+    } else {
+      return res.status(400).json({ success: false, error: '送信するゲスト、または大会名を指定してください' });
+    }
+
+    const { definition } = template;
+    const templateKey = req.body.template;
+    const usesCodes = usesMergeField(template.body, 'checkin_codes');
+    const staffEmail = req.session.user.email;
+    const results = [];
+    let attempted = 0;
+    let nextOffset = offset;
+
+    // SMTPサーバーの負荷を避けるため1通ずつ送信する（送信しない関係者は上限に数えない）
+    for (const guest of targets.slice(offset)) {
+      if (attempted >= MAX_MAILS_PER_REQUEST) break;
+      nextOffset++;
+      const result = { guest_id: guest.id, name_ja: guest.name_ja, email: (guest.email || '').trim() };
+
+      if (!result.email) {
+        results.push({ ...result, status: 'skipped', error: 'メールアドレスがありません' });
+        continue;
+      }
+      if (only_unsent && guest[definition.flag]) {
+        results.push({ ...result, status: 'skipped', error: '送信済みです' });
+        continue;
+      }
+
+      const mail = renderGuestMail({ ...template, fields: buildMergeFields(guest, usesCodes ? guestCheckinCodes(guest) : []) });
+      attempted++;
+      let sent;
+      try {
+        const info = await sendMail({ to: result.email, subject: mail.subject, text: mail.text });
+        sent = { status: 'sent', messageId: info.messageId };
+      } catch (error) {
+        console.error(`Error sending guest mail (guest ${guest.id}):`, error.message);
+        sent = { status: isBounceError(error) ? 'bounced' : 'failed', error: error.message };
+      }
+
+      await guestMailModel.record({
+        guestId: guest.id,
+        template: templateKey,
+        toAddress: result.email,
+        subject: mail.subject,
+        staffEmail,
+        ...sent,
+      });
+
+      // 送信に成功したらフラグを立てる
+      if (sent.status === 'sent' && !guest[definition.flag]) {
+        await guestModel.updateMailFlag(guest.id, definition.flag, true);
+        await auditLogModel.record(req, 'guests', guest.id, 'update', guest, { ...guest, [definition.flag]: true });
+      }
+
+      results.push({ ...result, status: sent.status, error: sent.error || null });
+    }
+
+    const count = status => results.filter(r => r.status === status).length;
+    res.json({
+      success: true,
+      data: {
+        sent: count('sent'),
+        failed: count('failed'),
+        bounced: count('bounced'),
+        skipped: count('skipped'),
+        results,
+        total: targets.length,
+        next_offset: nextOffset < targets.length ? nextOffset : null,
+      }
+    });
+  } catch (error) {
+    console.error('Error sending guest mails:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 後から届いたバウンス（宛先不明の通知など）を記録（管理者のみ）
+// そのテンプレートで届いたメールがなくなった場合は送信済みフラグを外す
+router.post('/mails/:mailId/bounce', requireAdmin, async (req, res) => {
+  try {
+    const mailId = parseInt(req.params.mailId);
+    if (isNaN(mailId) || mailId < 1) {
+      return res.status(400).json({ success: false, error: '無効なIDです' });
+    }
+
+    const mail = await guestMailModel.markBounced(mailId, (req.body.reason || '').trim());
+    if (!mail) {
+      return res.status(400).json({ success: false, error: '送信済みのメールのみバウンスとして記録できます' });
+    }
+
+    const definition = TEMPLATES[mail.template];
+    const guest = await guestModel.findById(mail.guest_id);
+    if (definition && guest && guest[definition.flag] && !(await guestMailModel.hasDelivered(guest.id, mail.template))) {
+      await guestModel.updateMailFlag(guest.id, definition.flag, false);
+      await auditLogModel.record(req, 'guests', guest.id, 'update', guest, { ...guest, [definition.flag]: false });
+    }
+
+    res.json({ success: true, data: mail });
+  } catch (error) {
+    console.error('Error recording mail bounce:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // 特定のゲスト取得（ID）
 router.get('/:id', async (req, res) => {
   try {
@@ -75,6 +548,7 @@ router.post('/', async (req, res) => {
     }
 
     const result = await guestModel.create(guestData);
+    await auditLogModel.record(req, 'guests', result.id, 'create', null, await guestModel.findById(result.id));
     res.json(result);
   } catch (error) {
     console.error('Error creating guest:', error);
@@ -97,7 +571,16 @@ router.put('/:id', async (req, res) => {
       return res.status(400).json({ success: false, error: '代表者氏名は必須です' });
     }
 
+    const before = await guestModel.findById(id);
     const result = await guestModel.update(id, guestData);
+    const after = await guestModel.findById(id);
+
+    // 未チェックインに戻した場合はパスごとの受付も取り消す（ゲストコードを再び使えるようにする）
+    if (result.success && before && before.is_checked_in && after && !after.is_checked_in) {
+      await guestCheckinModel.deleteByGuestId(id);
+    }
+
+    await auditLogModel.record(req, 'guests', id, 'update', before, after);
     res.json(result);
   } catch (error) {
     console.error('Error updating guest:', error);
@@ -124,6 +607,8 @@ router.delete('/:id', async (req, res) => {
       return res.status(400).json(result);
     }
 
+    await auditLogModel.record(req, 'guests', id, 'soft_delete', guest, await guestModel.findById(id));
+
     res.json({ success: true, message: 'ゲストレコードを削除しました' });
   } catch (error) {
     console.error('Error deleting guest:', error);
@@ -140,12 +625,21 @@ router.put('/:id/checkin', async (req, res) => {
     }
 
     const { is_checked_in } = req.body;
-    const result = await guestModel.updateCheckinStatus(id, is_checked_in === true || is_checked_in === 'TRUE');
+    const checkedIn = is_checked_in === true || is_checked_in === 'TRUE';
+    const before = await guestModel.findById(id);
+    const result = await guestModel.updateCheckinStatus(id, checkedIn);
 
     if (!result.success) {
       return res.status(400).json(result);
     }
 
+    // 未チェックインに戻した場合はパスごとの受付も取り消す（ゲストコードを再び使えるようにする）
+    if (!checkedIn) {
+      await guestCheckinModel.deleteByGuestId(id);
+    }
+
+    await auditLogModel.record(req, 'guests', id, 'update', before, await guestModel.findById(id));
+
     res.json({ success: true, message: 'チェックイン状態を更新しました' });
   } catch (error) {
     console.error('Error updating checkin status:', error);
@@ -153,4 +647,46 @@ router.put('/:id/checkin', async (req, res) => {
   }
 });
 
+// チェックインコード取得（パスごとのコードと受付日時）
+router.get('/:id/checkin-codes', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id) || id < 1) {
+      return res.status(400).json({ success: false, error: '無効なIDです' });
+    }
+
+    const guest = await guestModel.findById(id);
+    if (!guest) {
+      return res.status(404).json({ success: false, error: 'ゲストが見つかりません' });
+    }
+
+    const checkins = await guestCheckinModel.findByGuestId(id);
+    const passes = guestCheckinCodes(guest).map(pass => {
+      const checkin = checkins.find(c => c.pass_no === pass.pass_no);
+      return { ...pass, checked_in_at: checkin ? checkin.checked_in_at : null };
+    });
+
+    res.json({ success: true, data: { guest, passes } });
+  } catch (error) {
+    console.error('Error generating guest checkin codes:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// メール送信履歴
+router.get('/:id/mails', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id) || id < 1) {
+      return res.status(400).json({ success: false, error: '無効なIDです' });
+    }
+
+    const mails = await guestMailModel.findByGuestId(id);
+    res.json({ success: true, data: mails });
+  } catch (error) {
+    console.error('Error fetching guest mails:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const ImportBatch = require('../models/ImportBatch');
+const { requireAdmin } = require('../middleware/auth');
+const router = express.Router();
+
+const importBatchModel = new ImportBatch();
+
+// すべて管理者権限が必要
+router.use(requireAdmin);
+
+// GET / - インポートバッチ一覧（新しい順）
+router.get('/', async (req, res) => {
+  try {
+    const { kind, contest_name } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const batches = await importBatchModel.findAll({ kind, contestName: contest_name }, limit);
+
+    res.json({ success: true, data: batches });
+  } catch (error) {
+    console.error('Import batches list error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /:batchId - インポートバッチ詳細（テーブル・操作ごとの件数）
+router.get('/:batchId', async (req, res) => {
+  try {
+    const batch = await importBatchModel.findById(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'インポートバッチが見つかりません' });
+    }
+
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    console.error('Import batch get error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /:batchId/rollback - インポート前の状態に戻す
+router.post('/:batchId/rollback', async (req, res) => {
+  try {
+    const batchId = parseInt(req.params.batchId);
+    if (isNaN(batchId)) {
+      return res.status(400).json({ success: false, error: '無効なバッチIDです' });
+    }
+
+    console.log(`[Imports] Rollback requested: batch=${batchId}, by=${req.session.user.email}`);
+
+    const result = await importBatchModel.rollback(batchId, req.session.user.email);
+    if (!result.success) {
+      const status = result.error === 'インポートバッチが見つかりません' ? 404 : 400;
+      return res.status(status).json(result);
+    }
+
+    let message = `${result.removed}件の追加を取り消し、${result.restored}件を元に戻しました`;
+    if (result.skipped.length > 0) {
+      message += `（インポート後に変更された${result.skipped.length}件は上書きせずにそのままにしました）`;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        batchId,
+        removed: result.removed,
+        restored: result.restored,
+        skipped: result.skipped,
+        message
+      }
+    });
+  } catch (error) {
+    console.error('Import rollback error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
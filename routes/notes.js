@@ -1,9 +1,11 @@
 const express = require('express');
 const Note = require('../models/Note');
+const AuditLog = require('../models/AuditLog');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const router = express.Router();
 
 const noteModel = new Note();
+const auditLogModel = new AuditLog();
 
 // フィルター用の一意値取得
 router.get('/filter-options', requireAuth, async (req, res) => {
@@ -114,6 +116,7 @@ router.post('/', requireAuth, async (req, res) => {
   try {
     const result = await noteModel.createNote(req.body);
     if (result.success) {
+      await auditLogModel.record(req, 'notes', result.data.id, 'create', null, result.data);
       res.status(201).json(result);
     } else {
       res.status(400).json(result);
@@ -130,8 +133,10 @@ router.put('/:id', requireAuth, async (req, res) => {
       ...req.body,
       updatedAt: new Date().toISOString()
     };
+    const before = await noteModel.findById(req.params.id);
     const result = await noteModel.update(req.params.id, updateData);
     if (result.success) {
+      await auditLogModel.record(req, 'notes', req.params.id, 'update', before, result.data);
       res.json(result);
     } else {
       res.status(400).json(result);
@@ -144,8 +149,10 @@ router.put('/:id', requireAuth, async (req, res) => {
 // 特記事項データ論理削除（認証済みユーザー）
 router.delete('/:id', requireAuth, async (req, res) => {
   try {
+    const before = await noteModel.findById(req.params.id);
     const result = await noteModel.softDelete(req.params.id);
     if (result.success) {
+      await auditLogModel.record(req, 'notes', req.params.id, 'soft_delete', before, result.data);
       res.json({ success: true, message: '特記事項を論理削除しました' });
     } else {
       res.status(404).json(result);
@@ -169,8 +176,10 @@ router.get('/deleted/list', requireAdmin, async (req, res) => {
 // 特記事項データ復元（認証済みユーザー）
 router.put('/:id/restore', requireAuth, async (req, res) => {
   try {
+    const before = await noteModel.findById(req.params.id);
     const result = await noteModel.restore(req.params.id);
     if (result.success) {
+      await auditLogModel.record(req, 'notes', req.params.id, 'restore', before, result.data);
       res.json({ success: true, message: '特記事項を復元しました', data: result.data });
     } else {
       res.status(404).json(result);
@@ -183,8 +192,10 @@ router.put('/:id/restore', requireAuth, async (req, res) => {
 // 特記事項データ完全削除（管理者のみ）
 router.delete('/:id/permanent', requireAdmin, async (req, res) => {
   try {
+    const before = await noteModel.findById(req.params.id);
     const result = await noteModel.delete(req.params.id);
     if (result.success) {
+      await auditLogModel.record(req, 'notes', req.params.id, 'delete', before, null);
       res.json({ success: true, message: '特記事項を完全に削除しました' });
     } else {
       res.status(404).json(result);
@@ -50,60 +50,107 @@ router.get('/current', async (req, res) => {
   }
 });
 
-// タグで注文を検索（プレビュー用）
+/**
+ * Shopifyの注文をordersテーブルに差分同期
+ * 同じ検索条件の前回同期以降に更新された注文だけを取得してアップサートする（初回・full 指定時は全件取得）
+ * 他のタグで取り込んだ注文は削除せず、返金・キャンセルされた注文も状態を更新して残す
+ * limit で件数を打ち切った場合は取得していない注文が残るため、カーソルは進めない
+ * @param {Object} options - { tag, limit, paidOnly, full }
+ * @returns {Promise<Object>} { orderCount, rowCount, inserted, updated, unchanged, incremental, truncated, syncCursor }
+ */
+async function syncOrders({ tag, limit, paidOnly, full }) {
+  const shopify = getShopifyService();
+  const order = getOrderModel();
+
+  // 検索タグを配列として解析（引用符で囲まれたスペース含むタグに対応）
+  const searchTags = tag ? shopify.parseTags(tag) : [];
+
+  const previousCursor = full ? null : await order.getSyncCursor(searchTags, paidOnly);
+  const ordersData = await shopify.getOrdersByTag(tag, limit, paidOnly, previousCursor);
+  console.log(`Found ${ordersData.length} orders (${previousCursor ? `updated since ${previousCursor.toISOString()}` : 'full sync'})`);
+
+  // Shopifyは updated_at 順で返さないため、打ち切った結果の最大 updated_at までカーソルを進めると取りこぼしが出る
+  const truncated = limit > 0 && ordersData.length >= limit;
+
+  // フォーマット（baseData + tags の形式）
+  // 差分取得では検索条件から外れた注文（返金・キャンセル等）も返るため、既存行の状態更新にのみ使う
+  const formattedRows = [];
+  let syncCursor = previousCursor;
+  ordersData.forEach(o => {
+    const insertable = shopify.matchesOrderSearch(o, paidOnly);
+    shopify.formatOrderForSheet(o).forEach(row => formattedRows.push({ ...row, insertable }));
+
+    const updatedAt = o.updatedAt ? new Date(o.updatedAt) : null;
+    if (!truncated && updatedAt && !isNaN(updatedAt.getTime()) && (!syncCursor || updatedAt > syncCursor)) {
+      syncCursor = updatedAt;
+    }
+  });
+
+  // 商品タグでフィルタリング（検索タグが指定されている場合のみ）
+  const filteredRows = searchTags.length > 0
+    ? formattedRows.filter(row =>
+        row.tags && searchTags.every(st => row.tags.some(rt => rt.toLowerCase() === st.toLowerCase()))
+      )
+    : formattedRows;
+
+  const result = await order.upsertFromShopify(filteredRows);
+  if (!result.success) {
+    throw new Error(result.error || 'DB保存に失敗しました');
+  }
+
+  // フィルタ後のユニークな注文数を算出
+  const uniqueOrderCount = new Set(filteredRows.map(row => row.baseData[0])).size;
+
+  // 検索メタデータを保存（order_export_meta）
+  await order.saveExportMeta({
+    searchTags,
+    paidOnly,
+    orderCount: uniqueOrderCount,
+    rowCount: filteredRows.length,
+    syncCursor,
+    insertedCount: result.inserted,
+    updatedCount: result.updated,
+  });
+
+  console.log(`Synced ${uniqueOrderCount} orders (${filteredRows.length} rows): ${result.inserted} inserted, ${result.updated} updated, ${result.unchanged} unchanged`);
+
+  return {
+    orderCount: uniqueOrderCount,
+    rowCount: filteredRows.length,
+    inserted: result.inserted,
+    updated: result.updated,
+    unchanged: result.unchanged,
+    incremental: !!previousCursor,
+    truncated,
+    syncCursor,
+  };
+}
+
+// タグで注文を検索してDBに差分同期
 router.get('/search', async (req, res) => {
   try {
-    const { tag = '', limit = 0, paidOnly = 'true' } = req.query;  // limit=0 は無制限、tag は任意
+    const { tag = '', limit = 0, paidOnly = 'true', full = 'false' } = req.query;  // limit=0 は無制限、tag は任意
     const paidOnlyBool = paidOnly === 'true';
 
-    console.log(`Searching orders with tag: ${tag || '(指定なし)'}, paidOnly: ${paidOnlyBool}`);
-
-    const shopify = getShopifyService();
-    const orders = await shopify.getOrdersByTag(tag, parseInt(limit), paidOnlyBool);
-    console.log(`Found ${orders.length} orders`);
-
-    // フォーマット（baseData + tags の形式）
-    const formattedRows = [];
-    orders.forEach(order => {
-      const rows = shopify.formatOrderForSheet(order);
-      formattedRows.push(...rows);
-    });
-
-    // 検索タグを配列として解析（引用符で囲まれたスペース含むタグに対応）
-    const searchTags = tag ? shopify.parseTags(tag) : [];
-
-    // 商品タグでフィルタリング（検索タグが指定されている場合のみ）
-    const filteredRows = searchTags.length > 0
-      ? formattedRows.filter(row =>
-          row.tags && searchTags.every(st => row.tags.some(rt => rt.toLowerCase() === st.toLowerCase()))
-        )
-      : formattedRows;
-
-    // DBに保存
-    const order = getOrderModel();
-    const importResult = await order.clearAndImport(filteredRows);
-
-    if (!importResult.success) {
-      console.error('Failed to save orders to DB:', importResult.error);
-    }
-
-    // フィルタ後のユニークな注文数を算出
-    const uniqueOrderCount = new Set(filteredRows.map(row => row.baseData[0])).size;
+    console.log(`Searching orders with tag: ${tag || '(指定なし)'}, paidOnly: ${paidOnlyBool}, full: ${full}`);
 
-    // 検索メタデータを保存（order_export_meta）
-    await order.saveExportMeta({
-      searchTags,
+    const result = await syncOrders({
+      tag,
+      limit: parseInt(limit),
       paidOnly: paidOnlyBool,
-      orderCount: uniqueOrderCount,
-      rowCount: filteredRows.length,
+      full: full === 'true',
     });
 
-    console.log(`Saved ${uniqueOrderCount} orders (${filteredRows.length} rows) to database`);
-
     res.json({
       success: true,
-      count: uniqueOrderCount,
-      rowCount: filteredRows.length,
+      count: result.orderCount,
+      rowCount: result.rowCount,
+      inserted: result.inserted,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      incremental: result.incremental,
+      truncated: result.truncated,
+      syncCursor: result.syncCursor,
     });
   } catch (error) {
     console.error('Order search error:', error);
@@ -114,65 +161,30 @@ router.get('/search', async (req, res) => {
 // 検索結果をDBに保存（旧シート出力機能を置き換え）
 router.post('/export', requireAdmin, async (req, res) => {
   try {
-    const { tag = '', limit = 0, paidOnly = true } = req.body;  // limit=0 は無制限、tag は任意
+    const { tag = '', limit = 0, paidOnly = true, full = false } = req.body;  // limit=0 は無制限、tag は任意
 
-    console.log(`Exporting orders with tag: ${tag || '(指定なし)'}, paidOnly: ${paidOnly} to database`);
+    console.log(`Exporting orders with tag: ${tag || '(指定なし)'}, paidOnly: ${paidOnly}, full: ${full} to database`);
 
-    // 注文を取得
-    const shopify = getShopifyService();
-    const ordersData = await shopify.getOrdersByTag(tag, parseInt(limit), paidOnly);
+    const result = await syncOrders({ tag, limit: parseInt(limit), paidOnly, full });
 
-    if (ordersData.length === 0) {
+    if (result.rowCount === 0) {
       return res.json({
         success: true,
-        message: tag ? `タグ「${tag}」を持つ注文が見つかりませんでした` : '該当する注文が見つかりませんでした',
+        message: result.incremental
+          ? '前回の同期以降に更新された注文はありませんでした'
+          : (tag ? `タグ「${tag}」を持つ注文が見つかりませんでした` : '該当する注文が見つかりませんでした'),
         exported: 0
       });
     }
 
-    // フォーマット（baseData + tags の形式）
-    const formattedRows = [];
-    ordersData.forEach(order => {
-      const orderRows = shopify.formatOrderForSheet(order);
-      formattedRows.push(...orderRows);
-    });
-
-    // 検索タグを配列として解析（引用符で囲まれたスペース含むタグに対応）
-    const searchTags = tag ? shopify.parseTags(tag) : [];
-
-    // 商品タグでフィルタリング（検索タグが指定されている場合のみ）
-    const filteredRows = searchTags.length > 0
-      ? formattedRows.filter(row =>
-          row.tags && searchTags.every(st => row.tags.some(rt => rt.toLowerCase() === st.toLowerCase()))
-        )
-      : formattedRows;
-
-    // DBに保存（全削除→一括追加）
-    const order = getOrderModel();
-    const result = await order.clearAndImport(filteredRows);
-
-    if (!result.success) {
-      throw new Error(result.error || 'DB保存に失敗しました');
-    }
-
-    // フィルタ後のユニークな注文数を算出
-    const uniqueOrderCount = new Set(filteredRows.map(row => row.baseData[0])).size;
-
-    // エクスポートメタデータを保存
-    await order.saveExportMeta({
-      searchTags,
-      paidOnly,
-      orderCount: uniqueOrderCount,
-      rowCount: filteredRows.length,
-    });
-
-    console.log(`Exported ${uniqueOrderCount} orders (${filteredRows.length} rows) to database`);
-
     res.json({
       success: true,
-      message: `${uniqueOrderCount}件の注文（${filteredRows.length}行）をデータベースに保存しました`,
-      exported: uniqueOrderCount,
-      rowCount: filteredRows.length
+      message: `${result.orderCount}件の注文（${result.rowCount}行）を同期しました（新規: ${result.inserted}行、更新: ${result.updated}行）`
+        + (result.truncated ? '。件数の上限で打ち切ったため、次回も同じ範囲から取得します' : ''),
+      exported: result.orderCount,
+      rowCount: result.rowCount,
+      inserted: result.inserted,
+      updated: result.updated
     });
   } catch (error) {
     console.error('Order export error:', error);
@@ -183,7 +195,16 @@ router.post('/export', requireAdmin, async (req, res) => {
 // GET /list - DBから注文一覧を取得
 router.get('/list', async (req, res) => {
   try {
-    const { page = 1, limit = 50, sortBy = 'order_date', sortOrder = 'desc', ...filters } = req.query;
+    const { page = 1, limit = 50, sortBy = 'order_date', sortOrder = 'desc', tags, ...filters } = req.query;
+
+    // tags: 商品タグのJSON配列（すべてを持つ注文に絞り込む）
+    if (tags) {
+      try {
+        filters.tags = JSON.parse(tags);
+      } catch (e) {
+        return res.status(400).json({ success: false, error: 'tags の形式が不正です' });
+      }
+    }
 
     const order = getOrderModel();
     const result = await order.findWithPaging(
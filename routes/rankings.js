@@ -0,0 +1,157 @@
+const express = require('express');
+const RankingSeason = require('../models/RankingSeason');
+const Score = require('../models/Score');
+const Contest = require('../models/Contest');
+const AuditLog = require('../models/AuditLog');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { validateRankingSeason, computeRankings, rankingsToExportRows } = require('../utils/rankings');
+
+const router = express.Router();
+const rankingSeasonModel = new RankingSeason();
+const scoreModel = new Score();
+const contestModel = new Contest();
+const auditLogModel = new AuditLog();
+
+router.use(requireAuth);
+
+/**
+ * クエリのシーズンでランキングを計算（シーズン省略時は最新のシーズン）
+ * @returns {Promise<{ season?: Object, result?: Object, error?: string, status?: number }>}
+ */
+async function rankingsFromQuery(query) {
+  const season = query.season
+    ? await rankingSeasonModel.findBySeason(String(query.season).trim())
+    : (await rankingSeasonModel.findAll())[0];
+  if (!season) {
+    return {
+      status: 404,
+      error: query.season ? `シーズン「${query.season}」が設定されていません` : 'ランキングのシーズンが設定されていません',
+    };
+  }
+
+  // 成績の開催日は 'YYYY/MM/DD' と 'YYYY-MM-DD' が混在するため、両方を含む範囲で取得して computeRankings で絞り込む
+  const [scores, contests] = await Promise.all([
+    scoreModel.findByDateRange(season.start_date, season.end_date.replace(/-/g, '/')),
+    contestModel.findAll(),
+  ]);
+
+  const category = query.category ? String(query.category).trim() : '';
+  return { season, result: computeRankings({ scores, contests, season, category }) };
+}
+
+// ランキング取得（?season=2026&category=...）
+router.get('/', async (req, res) => {
+  try {
+    const { season, result, error, status } = await rankingsFromQuery(req.query);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    res.json({ success: true, season, data: result });
+  } catch (error) {
+    console.error('Get rankings error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ランキングのCSVエクスポート
+router.get('/export', async (req, res) => {
+  try {
+    const { season, result, error, status } = await rankingsFromQuery(req.query);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    // ファイル名を生成（日付付き）
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const categoryPart = req.query.category
+      ? String(req.query.category).replace(/[^\w\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/g, '_')
+      : 'all';
+
+    res.json({
+      success: true,
+      data: rankingsToExportRows(result.rankings),
+      filename: `rankings_${season.season}_${categoryPart}_${date}.csv`,
+    });
+  } catch (error) {
+    console.error('Export rankings error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// シーズン一覧
+router.get('/seasons', async (req, res) => {
+  try {
+    const seasons = await rankingSeasonModel.findAll();
+    res.json({ success: true, data: seasons });
+  } catch (error) {
+    console.error('Get ranking seasons error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// シーズン追加（管理者のみ）
+router.post('/seasons', requireAdmin, async (req, res) => {
+  try {
+    const errors = validateRankingSeason(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('、') });
+    }
+    if (await rankingSeasonModel.findBySeason(String(req.body.season).trim())) {
+      return res.status(409).json({ success: false, error: `シーズン「${req.body.season}」は既に設定されています` });
+    }
+
+    const season = await rankingSeasonModel.create(req.body);
+    await auditLogModel.record(req, 'ranking_seasons', season.id, 'create', null, season);
+    res.json({ success: true, data: season });
+  } catch (error) {
+    console.error('Create ranking season error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// シーズン更新（管理者のみ）
+router.put('/seasons/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const before = await rankingSeasonModel.findById(id);
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'シーズンが見つかりません' });
+    }
+
+    const errors = validateRankingSeason(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('、') });
+    }
+    const duplicate = await rankingSeasonModel.findBySeason(String(req.body.season).trim());
+    if (duplicate && duplicate.id !== id) {
+      return res.status(409).json({ success: false, error: `シーズン「${req.body.season}」は既に設定されています` });
+    }
+
+    const season = await rankingSeasonModel.update(id, req.body);
+    await auditLogModel.record(req, 'ranking_seasons', id, 'update', before, season);
+    res.json({ success: true, data: season });
+  } catch (error) {
+    console.error('Update ranking season error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// シーズン削除（管理者のみ）
+router.delete('/seasons/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const before = await rankingSeasonModel.findById(id);
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'シーズンが見つかりません' });
+    }
+
+    await rankingSeasonModel.deleteById(id);
+    await auditLogModel.record(req, 'ranking_seasons', id, 'delete', before, null);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete ranking season error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
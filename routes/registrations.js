@@ -4,6 +4,11 @@ const Subject = require('../models/Subject');
 const Note = require('../models/Note');
 const Member = require('../models/Member');
 const Order = require('../models/Order');
+const ImportPlan = require('../models/ImportPlan');
+const ImportBatch = require('../models/ImportBatch');
+const AuditLog = require('../models/AuditLog');
+const ContestClass = require('../models/ContestClass');
+const Contest = require('../models/Contest');
 const { requireAuth, requireAdmin, checkAuth } = require('../middleware/auth');
 const { parseFlexibleDate, formatToISODate, calculateAge } = require('../utils/dateUtils');
 const wanakana = require('wanakana');
@@ -14,6 +19,14 @@ const subjectModel = new Subject();
 const noteModel = new Note();
 const memberModel = new Member();
 const orderModel = new Order();
+const importPlanModel = new ImportPlan();
+const importBatchModel = new ImportBatch();
+const auditLogModel = new AuditLog();
+const contestClassModel = new ContestClass();
+const contestModel = new Contest();
+
+// import_plans.kind
+const SHOPIFY_IMPORT_PLAN_KIND = 'registrations-shopify';
 
 // 氏名を正規化する関数（スペースを除去）
 function normalizeNameJa(nameJa) {
@@ -61,6 +74,19 @@ function hasMatchingNote(registration, notes) {
   });
 }
 
+/**
+ * class_id が指定されていない場合、クラス名（またはShopifyバリエーション名）からクラスマスタのIDを設定する
+ * @param {Object} data - 登録データ（class_name, class_id）
+ * @param {string} contestName
+ */
+async function resolveClassId(data, contestName) {
+  if (data.class_id !== undefined || data.class_name === undefined || !contestName) return;
+  const classes = await contestClassModel.findByContestName(contestName);
+  const cls = contestClassModel.matchVariant(classes, data.class_name);
+  data.class_id = cls ? cls.id : null;
+  if (cls) data.class_name = cls.class_name;
+}
+
 // フィルター用の一意値取得
 router.get('/filter-options', requireAuth, async (req, res) => {
   try {
@@ -196,13 +222,18 @@ router.get('/search/by-number', requireAuth, async (req, res) => {
 router.get('/class-names/:contestName', requireAuth, async (req, res) => {
   try {
     const contestName = decodeURIComponent(req.params.contestName);
-    const registrations = await registrationModel.findByContestName(contestName);
-    const classNames = [...new Set(
+    const [registrations, classes] = await Promise.all([
+      registrationModel.findByContestName(contestName),
+      contestClassModel.findByContestName(contestName)
+    ]);
+    // クラスマスタのクラス（開催順）を先に、マスタにない登録済みクラス名を後に並べる
+    const masterNames = classes.map(cls => cls.class_name);
+    const otherNames = [...new Set(
       registrations
         .map(reg => reg.class_name)
-        .filter(name => name && name.trim() !== '')
+        .filter(name => name && name.trim() !== '' && !masterNames.includes(name))
     )].sort();
-    res.json({ success: true, data: classNames });
+    res.json({ success: true, data: [...masterNames, ...otherNames] });
   } catch (error) {
     console.error('Class names fetch error:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -338,9 +369,11 @@ router.get('/:id', requireAuth, async (req, res) => {
 router.post('/', requireAuth, async (req, res) => {
   try {
     const data = { ...req.body };
+    await resolveClassId(data, data.contest_name);
 
     const result = await registrationModel.createRegistration(data);
     if (result.success) {
+      await auditLogModel.record(req, 'registrations', result.data.id, 'create', null, result.data);
       res.status(201).json(result);
     } else {
       res.status(400).json(result);
@@ -357,8 +390,11 @@ router.put('/:id', requireAuth, async (req, res) => {
       ...req.body,
       updatedAt: new Date().toISOString()
     };
+    const before = await registrationModel.findById(req.params.id);
+    await resolveClassId(updateData, updateData.contest_name || (before && before.contest_name));
     const result = await registrationModel.update(req.params.id, updateData);
     if (result.success) {
+      await auditLogModel.record(req, 'registrations', req.params.id, 'update', before, result.data);
       res.json(result);
     } else {
       res.status(400).json(result);
@@ -371,8 +407,10 @@ router.put('/:id', requireAuth, async (req, res) => {
 // 登録データ論理削除
 router.delete('/:id', requireAuth, async (req, res) => {
   try {
+    const before = await registrationModel.findById(req.params.id);
     const result = await registrationModel.softDelete(req.params.id);
     if (result.success) {
+      await auditLogModel.record(req, 'registrations', req.params.id, 'soft_delete', before, result.data);
       res.json({ success: true, message: '登録データを論理削除しました' });
     } else {
       res.status(404).json(result);
@@ -396,12 +434,14 @@ router.get('/deleted/list', requireAdmin, async (req, res) => {
 // 登録データ復元（管理者のみ）
 router.put('/:id/restore', requireAdmin, async (req, res) => {
   try {
+    const before = await registrationModel.findById(req.params.id);
     const result = await registrationModel.update(req.params.id, { 
       isValid: 'TRUE',
       restoredAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     });
     if (result.success) {
+      await auditLogModel.record(req, 'registrations', req.params.id, 'restore', before, result.data);
       res.json({ success: true, message: '登録データを復元しました', data: result.data });
     } else {
       res.status(404).json(result);
@@ -414,8 +454,10 @@ router.put('/:id/restore', requireAdmin, async (req, res) => {
 // 登録データ完全削除（管理者のみ）
 router.delete('/:id/permanent', requireAdmin, async (req, res) => {
   try {
+    const before = await registrationModel.findById(req.params.id);
     const result = await registrationModel.delete(req.params.id);
     if (result.success) {
+      await auditLogModel.record(req, 'registrations', req.params.id, 'delete', before, null);
       res.json({ success: true, message: '登録データを完全に削除しました' });
     } else {
       res.status(404).json(result);
@@ -522,6 +564,10 @@ router.get('/export/all_fields/:contestName', requireAuth, async (req, res) => {
     // contest_dateを取得（最初のレコードから）
     const contestDate = targetRegistrations.length > 0 ? targetRegistrations[0].contest_date : '';
 
+    // クラスの開催順（GASでの採番に使用）
+    const classes = await contestClassModel.findByContestName(contestName);
+    const sortIndexMap = new Map(classes.map(cls => [cls.class_name, cls.sort_index]));
+
     // 全項目をエクスポート用に整形
     const csvData = targetRegistrations.map(reg => ({
       'id': reg.id || '',
@@ -540,7 +586,7 @@ router.get('/export/all_fields/:contestName', requireAuth, async (req, res) => {
       'province': reg.province || '',
       'age': reg.age || '',
       'class_name': reg.class_name || '',
-
+      'sort_index': sortIndexMap.get(reg.class_name) ?? '',
       'height': reg.height || '',
       'weight': reg.weight || '',
       'occupation': reg.occupation || '',
@@ -572,6 +618,154 @@ router.get('/export/all_fields/:contestName', requireAuth, async (req, res) => {
   }
 });
 
+// 出場資格チェックのルール（キー → 表示名）
+const ELIGIBILITY_RULES = {
+  age_limit: '年齢制限（ジュニア・マスターズ）',
+  class_restriction: 'クラスの出場資格',
+  membership_missing: '会員資格なし',
+  membership_expired: '会員資格の期限切れ',
+  policy_violation: 'ポリシー違反認定者',
+  duplicate_entry: '同一クラスへの重複エントリー'
+};
+
+/**
+ * 大会のエントリーから出場資格に問題があるものを抽出
+ * @param {string} contestName
+ * @returns {Promise<Object>} { contestDate, totalEntries, violations, counts }
+ */
+async function buildEligibilityReport(contestName) {
+  const [registrations, classes, allMembers, activeSubjects] = await Promise.all([
+    registrationModel.findByContestName(contestName),
+    contestClassModel.findByContestName(contestName),
+    memberModel.findAllUnfiltered(),
+    subjectModel.findAllActive()
+  ]);
+
+  const contestDate = (registrations.find(reg => reg.contest_date) || {}).contest_date || '';
+  const contestDay = parseFlexibleDate(contestDate);
+
+  // registrations.fwj_card_no は Shopify の顧客ID。手入力のエントリーに備えて会員番号でも引けるようにする
+  const membersByShopifyId = new Map();
+  const membersByCardNo = new Map();
+  allMembers.forEach(member => {
+    if (member.shopify_id) membersByShopifyId.set(String(member.shopify_id), member);
+    if (member.fwj_card_no) membersByCardNo.set(String(member.fwj_card_no), member);
+  });
+
+  const violationFwjCards = new Set(activeSubjects.map(subject => subject.fwj_card_no).filter(Boolean));
+
+  // エントリーのクラス（class_id、なければクラス名をクラスマスタと照合。クラスマスタ導入前の行は class_id がない）
+  const classesById = new Map(classes.map(cls => [cls.id, cls]));
+  const classByRegistration = new Map(registrations.map(reg => [
+    reg.id,
+    (reg.class_id != null && classesById.get(reg.class_id)) || contestClassModel.matchVariant(classes, reg.class_name) || null
+  ]));
+
+  // 同一クラス・同一選手のエントリーをまとめる（会員番号がなければ氏名で判定）
+  const entryGroups = new Map();
+  registrations.forEach(reg => {
+    const athleteKey = reg.fwj_card_no ? `card:${reg.fwj_card_no}` : `name:${normalizeNameJa(reg.name_ja)}`;
+    if (athleteKey === 'name:') return;
+    const cls = classByRegistration.get(reg.id);
+    const classKey = cls ? `id:${cls.id}` : `name:${(reg.class_name || '').trim()}`;
+    const key = `${athleteKey}::${classKey}`;
+    if (!entryGroups.has(key)) entryGroups.set(key, []);
+    entryGroups.get(key).push(reg);
+  });
+
+  const duplicates = new Map(); // registration id → 同じクラスのエントリー
+  for (const group of entryGroups.values()) {
+    if (group.length > 1) group.forEach(reg => duplicates.set(reg.id, group));
+  }
+
+  const violations = [];
+  const counts = Object.fromEntries(Object.keys(ELIGIBILITY_RULES).map(rule => [rule, 0]));
+
+  for (const reg of registrations) {
+    const cardNo = String(reg.fwj_card_no || '');
+    const member = cardNo ? (membersByShopifyId.get(cardNo) || membersByCardNo.get(cardNo)) : null;
+    const cls = classByRegistration.get(reg.id) || { class_name: reg.class_name };
+
+    const add = (rule, message) => {
+      counts[rule]++;
+      violations.push({
+        id: reg.id,
+        player_no: reg.player_no,
+        name_ja: reg.name_ja,
+        fwj_card_no: reg.fwj_card_no,
+        member_card_no: member ? member.fwj_card_no || '' : '',
+        class_name: reg.class_name,
+        email: reg.email || (member ? member.email || '' : ''),
+        phone: reg.phone || (member ? member.phone || '' : ''),
+        rule,
+        rule_label: ELIGIBILITY_RULES[rule],
+        message
+      });
+    };
+
+    // 年齢・性別・身長・体重
+    const { min_age, max_age } = contestClassModel.ageLimits(cls);
+    if (member && !member.fwj_birthday && (min_age != null || max_age != null)) {
+      add('age_limit', '生年月日が未登録のため年齢を確認できません');
+    }
+    contestClassModel.checkEligibility(cls, member, contestDate).forEach(issue => {
+      add(issue.rule === 'age' ? 'age_limit' : 'class_restriction', issue.message);
+    });
+
+    // 大会当日に有効な会員資格があるか
+    if (!member) {
+      add('membership_missing', cardNo ? '会員情報が見つかりません' : '会員番号が登録されていません');
+    } else if (!member.fwj_effectivedate) {
+      add('membership_missing', '会員資格の有効期限が登録されていません');
+    } else {
+      const effectiveDate = parseFlexibleDate(member.fwj_effectivedate);
+      if (!effectiveDate) {
+        add('membership_missing', `会員資格の有効期限を読み取れません（${member.fwj_effectivedate}）`);
+      } else if (contestDay && effectiveDate < contestDay) {
+        add('membership_expired', `大会日（${formatToISODate(contestDay)}）時点で有効期限切れです（${formatToISODate(effectiveDate)}まで）`);
+      }
+    }
+
+    if (violationFwjCards.has(cardNo) || (member && violationFwjCards.has(member.fwj_card_no))) {
+      add('policy_violation', 'ポリシー違反認定者として登録されています');
+    }
+
+    if (duplicates.has(reg.id)) {
+      const others = duplicates.get(reg.id).filter(other => other.id !== reg.id);
+      const labels = others.map(other => other.player_no ? `ゼッケン${other.player_no}` : `ID ${other.id}`);
+      add('duplicate_entry', `同じクラスに${others.length + 1}件エントリーがあります（他: ${labels.join('、')}）`);
+    }
+  }
+
+  return { contestDate, totalEntries: registrations.length, violations, counts };
+}
+
+// GET /eligibility/:contestName - 出場資格に問題があるエントリーの一覧
+router.get('/eligibility/:contestName', requireAuth, async (req, res) => {
+  try {
+    const contestName = decodeURIComponent(req.params.contestName);
+    const report = await buildEligibilityReport(contestName);
+
+    res.json({
+      success: true,
+      data: {
+        contestName,
+        contestDate: report.contestDate,
+        rules: ELIGIBILITY_RULES,
+        violations: report.violations,
+        summary: {
+          totalEntries: report.totalEntries,
+          entriesWithViolations: new Set(report.violations.map(v => v.id)).size,
+          counts: report.counts
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Eligibility report error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // GET /:id - 特定のRegistrationを取得
 router.get('/:id', requireAuth, async (req, res) => {
   try {
@@ -593,14 +787,18 @@ router.get('/:id', requireAuth, async (req, res) => {
 router.put('/:id', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const updateData = { ...req.body };
 
+    const before = await registrationModel.findById(id);
+    await resolveClassId(updateData, updateData.contest_name || (before && before.contest_name));
     const result = await registrationModel.update(id, updateData);
 
     if (!result.success) {
       return res.status(400).json(result);
     }
 
+    await auditLogModel.record(req, 'registrations', id, 'update', before, result.data);
+
     res.json(result);
   } catch (error) {
     console.error('Update registration error:', error);
@@ -608,88 +806,307 @@ router.put('/:id', requireAdmin, async (req, res) => {
   }
 });
 
-// POST /assign-player-numbers - ゼッケン番号採番
-router.post('/assign-player-numbers', requireAuth, async (req, res) => {
-  try {
-    const { contestName, mode } = req.body;
+// 開催順未設定のクラスのソート値（末尾扱い）
+const UNSORTED_INDEX = 99999;
 
-    if (!contestName) {
-      return res.status(400).json({ success: false, error: '大会名は必須です' });
+// 空文字・空白のみを未入力として扱う
+function trimmedOrEmpty(value) {
+  return value ? String(value).trim() : '';
+}
+
+/**
+ * ゼッケン番号の採番計画を作成（DBは更新しない）
+ *
+ * クラスの開催順（sort_index）昇順に処理し、同じ fwj_card_no には同じ番号を付与する。
+ * 選手の番号帯は、開催順で最初に出場するクラスのカテゴリーで決まる。
+ * 番号範囲が予約されていないカテゴリーは、予約範囲外の番号を使用する。
+ * @param {Array<Object>} registrations - 大会の有効な出場登録
+ * @param {Array<Object>} classes - ContestClass.findByContestName の結果
+ * @param {Array<Object>} ranges - ContestClass.findNumberRanges の結果
+ * @param {string} mode - 'keep' | 'reassign'
+ * @returns {Object} { items, updates, skipped, errors }
+ */
+function buildPlayerNumberPlan(registrations, classes, ranges, mode) {
+  const classMap = new Map(classes.map(cls => [cls.class_name, cls]));
+  const rangeMap = new Map(ranges.map(range => [range.category, range]));
+  const findReservedRange = (no) => ranges.find(range => no >= range.start_no && no <= range.end_no);
+
+  // 開催順でソート（同じ開催順の中では元の順序を保持）
+  const sorted = registrations
+    .map((reg, index) => {
+      const cls = classMap.get(reg.class_name);
+      const sortIndex = cls && cls.sort_index != null ? cls.sort_index : UNSORTED_INDEX;
+      const category = cls && rangeMap.has(cls.category) ? cls.category : '';
+      return { reg, index, sortIndex, category };
+    })
+    .sort((a, b) => a.sortIndex - b.sortIndex || a.index - b.index);
+
+  // fwj_card_no → 割り当て済み player_no のマップ（同一人物に同じ番号を付与）
+  const cardToPlayerNo = new Map();
+  // 使用済みの番号
+  const usedNumbers = new Set();
+  // 番号帯ごとの次の番号（''は予約範囲外）
+  const counters = new Map();
+
+  if (mode === 'keep') {
+    // 既存の fwj_card_no → player_no マッピングと、番号帯ごとの既存最大値を収集
+    const maxNumbers = new Map();
+    for (const { reg } of sorted) {
+      const cardNo = trimmedOrEmpty(reg.fwj_card_no);
+      const playerNo = trimmedOrEmpty(reg.player_no);
+      if (cardNo && playerNo) {
+        cardToPlayerNo.set(cardNo, playerNo);
+      }
+
+      const pn = parseInt(playerNo, 10);
+      if (isNaN(pn)) continue;
+      usedNumbers.add(pn);
+      const range = findReservedRange(pn);
+      const key = range ? range.category : '';
+      maxNumbers.set(key, Math.max(maxNumbers.get(key) || 0, pn));
+    }
+    maxNumbers.forEach((maxNo, key) => counters.set(key, maxNo + 1));
+  } else {
+    // 振り直さないレコード（fwj_card_no なし）の番号とは重複させない
+    for (const { reg } of sorted) {
+      const pn = parseInt(reg.player_no, 10);
+      if (!trimmedOrEmpty(reg.fwj_card_no) && !isNaN(pn)) usedNumbers.add(pn);
+    }
+  }
+
+  const errors = [];
+  const nextNumber = (category) => {
+    const range = rangeMap.get(category);
+    let counter = counters.get(category) || (range ? range.start_no : 1);
+
+    for (;;) {
+      if (usedNumbers.has(counter)) {
+        counter++;
+        continue;
+      }
+      // 予約範囲外の番号は、他のカテゴリーの予約範囲を飛ばす
+      const reserved = range ? null : findReservedRange(counter);
+      if (reserved) {
+        counter = reserved.end_no + 1;
+        continue;
+      }
+      break;
     }
 
-    if (!mode || !['keep', 'reassign'].includes(mode)) {
-      return res.status(400).json({ success: false, error: '採番モードが不正です' });
+    if (range && counter > range.end_no) {
+      return null;
     }
 
-    console.log(`Starting player number assignment for ${contestName} (mode: ${mode})`);
+    usedNumbers.add(counter);
+    counters.set(category, counter + 1);
+    return String(counter);
+  };
 
-    // 全有効レコードを取得
-    const registrations = await registrationModel.findByContestName(contestName);
+  const items = [];
+  const updates = [];
+  let skipped = 0;
 
-    if (registrations.length === 0) {
-      return res.json({
-        success: true,
-        data: { assigned: 0, skipped: 0, total: 0, contestName, message: '対象レコードがありません' }
-      });
+  for (const { reg, sortIndex, category } of sorted) {
+    const cardNo = trimmedOrEmpty(reg.fwj_card_no);
+    const currentNo = trimmedOrEmpty(reg.player_no);
+
+    // fwj_card_no が空のレコードは採番しない（既存値を保持）
+    if (!cardNo) {
+      skipped++;
+      continue;
     }
 
-    const updates = [];
-    // fwj_card_no → 割り当て済み player_no のマップ（同一人物に同じ番号を付与）
-    const cardToPlayerNo = new Map();
-
-    if (mode === 'reassign') {
-      // fwj_card_no があるレコードのみ採番し直し、空のレコードは既存値を保持
-      let counter = 1;
-      for (const reg of registrations) {
-        if (!reg.fwj_card_no || reg.fwj_card_no.trim() === '') {
+    let playerNo = currentNo;
+    if (mode === 'reassign' || !currentNo) {
+      if (cardToPlayerNo.has(cardNo)) {
+        playerNo = cardToPlayerNo.get(cardNo);
+      } else {
+        playerNo = nextNumber(category);
+        if (playerNo === null) {
+          const range = rangeMap.get(category);
+          errors.push(`カテゴリー「${category}」の番号範囲（${range.start_no}〜${range.end_no}）が不足しています: ${reg.name_ja || cardNo}（${reg.class_name || ''}）`);
           continue;
         }
-
-        const cardNo = reg.fwj_card_no.trim();
-        let playerNo;
-        if (cardToPlayerNo.has(cardNo)) {
-          playerNo = cardToPlayerNo.get(cardNo);
-        } else {
-          playerNo = String(counter);
-          cardToPlayerNo.set(cardNo, playerNo);
-          counter++;
-        }
-        updates.push({ id: reg.id, data: { player_no: playerNo } });
+        cardToPlayerNo.set(cardNo, playerNo);
       }
-    } else {
-      // keep: player_no が空かつ fwj_card_no があるレコードのみ採番
-      // まず既存の fwj_card_no → player_no マッピングを収集
-      for (const reg of registrations) {
-        if (reg.fwj_card_no && reg.fwj_card_no.trim() !== '' && reg.player_no && reg.player_no.trim() !== '') {
-          cardToPlayerNo.set(reg.fwj_card_no.trim(), reg.player_no.trim());
-        }
+      updates.push({ id: reg.id, data: { player_no: playerNo } });
+    }
+
+    items.push({
+      id: reg.id,
+      name_ja: reg.name_ja || '',
+      fwj_card_no: cardNo,
+      class_name: reg.class_name || '',
+      sort_index: sortIndex === UNSORTED_INDEX ? null : sortIndex,
+      category,
+      current_player_no: currentNo,
+      player_no: playerNo,
+      changed: currentNo !== playerNo
+    });
+  }
+
+  return { items, updates, skipped, errors };
+}
+
+/**
+ * 大会の採番計画を作成
+ * @private
+ */
+async function buildPlayerNumberPlanForContest(contestName, mode) {
+  const [registrations, classes, ranges] = await Promise.all([
+    registrationModel.findByContestName(contestName),
+    contestClassModel.findByContestName(contestName),
+    contestClassModel.findNumberRanges(contestName)
+  ]);
+
+  return { registrations, ...buildPlayerNumberPlan(registrations, classes, ranges, mode) };
+}
+
+// 採番リクエストの入力チェック
+function validateAssignPlayerNumbersRequest(body) {
+  const { contestName, mode } = body;
+  if (!contestName) return '大会名は必須です';
+  if (!mode || !['keep', 'reassign'].includes(mode)) return '採番モードが不正です';
+  return null;
+}
+
+// GET /class-order/:contestName - クラス開催順とゼッケン番号範囲を取得
+router.get('/class-order/:contestName', requireAuth, async (req, res) => {
+  try {
+    const contestName = decodeURIComponent(req.params.contestName);
+    const [registrations, classes, ranges] = await Promise.all([
+      registrationModel.findByContestName(contestName),
+      contestClassModel.findByContestName(contestName),
+      contestClassModel.findNumberRanges(contestName)
+    ]);
+
+    // クラスマスタに未登録のクラスも一覧に含める（開催順は空）
+    const unsavedClasses = [...new Set(
+      registrations
+        .map(reg => reg.class_name)
+        .filter(name => name && name.trim() !== '' && !contestClassModel.matchVariant(classes, name))
+    )].sort().map(className => ({ class_name: className, sort_index: null, category: '' }));
+
+    res.json({
+      success: true,
+      data: {
+        contestName,
+        classes: [...classes, ...unsavedClasses],
+        ranges
       }
+    });
+  } catch (error) {
+    console.error('Class order fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-      // 既存の最大値を取得
-      let maxNo = 0;
-      registrations.forEach(reg => {
-        const pn = parseInt(reg.player_no, 10);
-        if (!isNaN(pn) && pn > maxNo) {
-          maxNo = pn;
-        }
-      });
+// クラス開催順・ゼッケン番号範囲の変更を監査ログに記録
+// クラスは contest_classes の行ごと、番号範囲は大会（contests）の1項目として記録する
+async function recordClassOrderAudit(req, contestName, before, after) {
+  const orderOf = cls => ({ sort_index: cls.sort_index, category: cls.category });
+  const beforeById = new Map(before.classes.map(cls => [cls.id, cls]));
+  await auditLogModel.recordMany(req, 'contest_classes', after.classes.map(cls => {
+    const existing = beforeById.get(cls.id);
+    return existing
+      ? { entityId: cls.id, action: 'update', before: orderOf(existing), after: orderOf(cls) }
+      : { entityId: cls.id, action: 'create', before: null, after: cls };
+  }));
+
+  const rangesOf = ranges => ranges.map(r => `${r.category}: ${r.start_no}-${r.end_no}`).join(', ');
+  const contest = await contestModel.findByName(contestName);
+  await auditLogModel.record(
+    req,
+    'contests',
+    contest ? contest.id : contestName,
+    'update',
+    { player_number_ranges: rangesOf(before.ranges) },
+    { player_number_ranges: rangesOf(after.ranges) }
+  );
+}
 
-      let counter = maxNo + 1;
-      for (const reg of registrations) {
-        if (reg.player_no && reg.player_no.trim() !== '') continue;
-        if (!reg.fwj_card_no || reg.fwj_card_no.trim() === '') continue;
+// PUT /class-order/:contestName - クラス開催順とゼッケン番号範囲を保存（管理者のみ）
+router.put('/class-order/:contestName', requireAdmin, async (req, res) => {
+  try {
+    const contestName = decodeURIComponent(req.params.contestName);
+    const { classes = [], ranges = [] } = req.body;
 
-        const cardNo = reg.fwj_card_no.trim();
-        let playerNo;
-        if (cardToPlayerNo.has(cardNo)) {
-          playerNo = cardToPlayerNo.get(cardNo);
-        } else {
-          playerNo = String(counter);
-          cardToPlayerNo.set(cardNo, playerNo);
-          counter++;
-        }
-        updates.push({ id: reg.id, data: { player_no: playerNo } });
+    if (!Array.isArray(classes) || !Array.isArray(ranges)) {
+      return res.status(400).json({ success: false, error: 'classes と ranges は配列で指定してください' });
+    }
+
+    const [beforeClasses, beforeRanges] = await Promise.all([
+      contestClassModel.findByContestName(contestName),
+      contestClassModel.findNumberRanges(contestName)
+    ]);
+
+    const result = await contestClassModel.saveOrder(contestName, classes, ranges);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await recordClassOrderAudit(req, contestName, { classes: beforeClasses, ranges: beforeRanges }, result.data);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Class order save error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /assign-player-numbers/preview - ゼッケン採番結果のプレビュー（保存しない）
+router.post('/assign-player-numbers/preview', requireAuth, async (req, res) => {
+  try {
+    const validationError = validateAssignPlayerNumbersRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { contestName, mode } = req.body;
+    const plan = await buildPlayerNumberPlanForContest(contestName, mode);
+
+    res.json({
+      success: true,
+      data: {
+        contestName,
+        mode,
+        items: plan.items,
+        assigned: plan.updates.length,
+        skipped: plan.skipped,
+        total: plan.registrations.length,
+        errors: plan.errors
       }
+    });
+  } catch (error) {
+    console.error('Assign player numbers preview error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /assign-player-numbers - ゼッケン採番
+router.post('/assign-player-numbers', requireAuth, async (req, res) => {
+  try {
+    const validationError = validateAssignPlayerNumbersRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { contestName, mode } = req.body;
+
+    console.log(`Starting player number assignment for ${contestName} (mode: ${mode})`);
+
+    const { registrations, updates, skipped: skippedCount, errors } = await buildPlayerNumberPlanForContest(contestName, mode);
+
+    if (registrations.length === 0) {
+      return res.json({
+        success: true,
+        data: { assigned: 0, skipped: 0, total: 0, contestName, message: '対象レコードがありません' }
+      });
+    }
+
+    // 番号範囲が不足している場合は一部だけ採番せず中止する
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('\n'), errors });
     }
 
     if (updates.length > 0) {
@@ -697,9 +1114,15 @@ router.post('/assign-player-numbers', requireAuth, async (req, res) => {
       if (!result.success) {
         return res.status(400).json({ success: false, error: result.error });
       }
-    }
 
-    const skippedCount = registrations.filter(r => !r.fwj_card_no || r.fwj_card_no.trim() === '').length;
+      const registrationMap = new Map(registrations.map(r => [r.id, r]));
+      await auditLogModel.recordMany(req, 'registrations', updates.map(({ id, data }) => ({
+        entityId: id,
+        action: 'update',
+        before: { player_no: registrationMap.get(id).player_no },
+        after: { player_no: data.player_no }
+      })));
+    }
 
     const message = mode === 'reassign'
       ? `${updates.length}件のゼッケン番号を振り直しました` + (skippedCount > 0 ? `（FWJカード番号なし${skippedCount}件は保持）` : '')
@@ -723,227 +1146,605 @@ router.post('/assign-player-numbers', requireAuth, async (req, res) => {
     res.status(500).json({ success: false, error: error.message });
   }
 });
-// POST /import-shopify - OrdersテーブルとMembersテーブルからRegistrationsを作成（UPSERT方式）
-router.post('/import-shopify', requireAdmin, async (req, res) => {
-  try {
-    const { contestDate, contestName } = req.body;
+// Shopifyインポートで差分比較する項目
+const SHOPIFY_IMPORT_FIELDS = [
+  'name_ja', 'name_ja_kana', 'first_name', 'last_name', 'phone',
+  'height', 'weight', 'country', 'age', 'fwj_card_no', 'email',
+  'class_name', 'class_id', 'back_stage_pass', 'is_member',
+  'occupation', 'instagram', 'biography', 'entry_date', 'province'
+];
+
+// 比較用に値を正規化（DB保存時の変換に合わせる）
+function normalizeRegistrationValue(field, value) {
+  if (field === 'back_stage_pass') return parseInt(value, 10) || 0;
+  if (field === 'is_member') return value === true || value === 'true';
+  if (field === 'entry_date') {
+    if (!value) return '';
+    const time = new Date(value).getTime();
+    return isNaN(time) ? '' : time;
+  }
+  return value == null ? '' : String(value);
+}
 
-    if (!contestDate || !contestName) {
-      return res.status(400).json({
-        success: false,
-        error: '大会開催日と大会名は必須です'
-      });
+// 既存レコードと新データの項目別差分を取得（変更のある項目のみ）
+function diffRegistration(existing, regData) {
+  const diff = {};
+  for (const field of SHOPIFY_IMPORT_FIELDS) {
+    if (!(field in regData)) continue;
+    if (normalizeRegistrationValue(field, existing[field]) !== normalizeRegistrationValue(field, regData[field])) {
+      diff[field] = { from: existing[field] ?? '', to: regData[field] ?? '' };
     }
+  }
+  return diff;
+}
 
-    console.log(`Starting Shopify import (UPSERT) for ${contestName} (${contestDate})`);
+// レコードの識別用サマリー（プレビュー表示用）
+function summarizeRegistration(reg) {
+  return {
+    id: reg.id,
+    player_no: reg.player_no || '',
+    name_ja: reg.name_ja || '',
+    fwj_card_no: reg.fwj_card_no || '',
+    class_name: reg.class_name || ''
+  };
+}
 
-    // 1. Orders・既存Registrations・Members を取得
-    const ordersData = await orderModel.findAll();
-    console.log(`Loaded ${ordersData.length} order rows from Orders table`);
+/**
+ * Shopifyのバリエーション名（または出場登録のクラス名）をクラスマスタの表示名に変換する関数を作成
+ * クラスマスタにない場合はそのまま返す。UPSERT計画の作成と確定前の確認で同じ照合キーを使う
+ * @param {string} contestName - 大会名
+ * @returns {Promise<Function>} (variant) => className
+ */
+async function shopifyClassNameResolver(contestName) {
+  const classes = await contestClassModel.findByContestName(contestName);
+  return (variant) => {
+    const cls = contestClassModel.matchVariant(classes, variant);
+    return cls ? cls.class_name : (variant || '');
+  };
+}
+
+/**
+ * OrdersテーブルとMembersテーブルからShopifyインポートのUPSERT計画を作成（DB書き込みなし）
+ * @param {string} contestDate
+ * @param {string} contestName
+ * @returns {Promise<Object>} { inserts, updates, deletes, unchanged, preserved, skipped, memberNotFound, unmappedVariants, ineligible, ... }
+ */
+async function buildShopifyImportPlan(contestDate, contestName) {
+  // 1. Orders・既存Registrations・Members を取得
+  // Ordersテーブルには過去のタグ検索の注文も残っているため、最新の検索タグの注文だけを対象にする
+  const latestExport = await orderModel.getLatestExportMeta();
+  const searchTags = latestExport ? latestExport.searchTags : [];
+  const ordersData = await orderModel.findByTags(searchTags);
+  console.log(`Loaded ${ordersData.length} order rows from Orders table (tags: ${JSON.stringify(searchTags)})`);
+
+  // ソフトデリート済みを含む全レコードを取得（UPSERTマッチング用）
+  const allExistingRegistrations = await registrationModel.findByContestNameAll(contestName);
+  // 有効なレコードのみ
+  const activeRegistrations = allExistingRegistrations.filter(r => r.isValid !== 'FALSE');
+  console.log(`Found ${allExistingRegistrations.length} existing registrations (${activeRegistrations.length} active) for ${contestName}`);
+
+  const allMembers = await memberModel.findAllUnfiltered();
+  console.log(`Loaded ${allMembers.length} members from Members table`);
+
+  // shopify_idでMembersをMapに変換（高速ルックアップ用）
+  const membersMap = new Map();
+  allMembers.forEach(member => {
+    if (member.shopify_id) {
+      membersMap.set(String(member.shopify_id), member);
+    }
+  });
+
+  // クラスマスタ（Shopifyのバリエーション名 → クラス）
+  const toClassName = await shopifyClassNameResolver(contestName);
 
-    // ソフトデリート済みを含む全レコードを取得（UPSERTマッチング用）
-    const allExistingRegistrations = await registrationModel.findByContestNameAll(contestName);
-    // 有効なレコードのみ
-    const activeRegistrations = allExistingRegistrations.filter(r => r.isValid !== 'FALSE');
-    console.log(`Found ${allExistingRegistrations.length} existing registrations (${activeRegistrations.length} active) for ${contestName}`);
+  // 2. Orders を走査して「有効注文マップ」「返金注文セット」を構築
+  // key = fwjCardNo::className（クラスマスタにある場合はクラスの表示名）
+  const shopifyOrderStatus = new Map(); // key → 'valid' | 'refunded'
+  const validOrderData = new Map(); // key → order (有効注文のデータ保持用)
+  const refundedOrderData = new Map(); // key → order (削除理由の表示用)
 
-    const allMembers = await memberModel.findAllUnfiltered();
-    console.log(`Loaded ${allMembers.length} members from Members table`);
+  for (const order of ordersData) {
+    if (!order.shopify_id) continue;
+    const key = `${order.shopify_id}::${toClassName(order.variant)}`;
 
-    // shopify_idでMembersをMapに変換（高速ルックアップ用）
-    const membersMap = new Map();
-    allMembers.forEach(member => {
-      if (member.shopify_id) {
-        membersMap.set(String(member.shopify_id), member);
+    if (order.financial_status === '返金済み' || order.cancelled_at || (parseInt(order.current_quantity, 10) || 0) <= 0) {
+      if (!shopifyOrderStatus.has(key)) {
+        shopifyOrderStatus.set(key, 'refunded');
       }
-    });
+      if (!refundedOrderData.has(key)) {
+        refundedOrderData.set(key, order);
+      }
+    } else {
+      shopifyOrderStatus.set(key, 'valid'); // valid は refunded を上書き
+      validOrderData.set(key, order);
+    }
+  }
 
-    // 2. Orders を走査して「有効注文マップ」「返金注文セット」を構築
-    // key = fwjCardNo::className
-    const shopifyOrderStatus = new Map(); // key → 'valid' | 'refunded'
-    const validOrderData = new Map(); // key → order (有効注文のデータ保持用)
+  console.log(`Order status map: ${shopifyOrderStatus.size} entries, ${validOrderData.size} valid orders`);
 
-    for (const order of ordersData) {
-      if (!order.shopify_id) continue;
-      const className = order.variant || '';
-      const key = `${order.shopify_id}::${className}`;
+  // 3. 既存レコードを (fwjCardNo::className) → record のマップ化
+  // fwjCardNo が空/null のレコードはマップに含めない（手動エントリーとして保護）
+  const existingMap = new Map();
+  for (const reg of activeRegistrations) {
+    if (reg.fwj_card_no) {
+      const key = `${reg.fwj_card_no}::${toClassName(reg.class_name)}`;
+      existingMap.set(key, reg);
+    }
+  }
 
-      if (order.financial_status === '返金済み' || (parseInt(order.current_quantity, 10) || 0) <= 0) {
-        if (!shopifyOrderStatus.has(key)) {
-          shopifyOrderStatus.set(key, 'refunded');
-        }
-      } else {
-        shopifyOrderStatus.set(key, 'valid'); // valid は refunded を上書き
-        validOrderData.set(key, order);
+  // 4. 各有効注文について UPDATE / INSERT を判定
+  const updates = [];      // { ...summary, data, diff } の配列
+  const inserts = [];       // batchImport 用の配列
+  const deletes = [];       // { ...summary, refundedOrder } の配列
+  const processedKeys = new Set(); // UPDATE 対象（変更なしを含む）のキーを記録
+  const skippedOrders = [];
+  const memberNotFoundOrders = [];
+  const unmappedVariants = new Map(); // variant → 件数
+  const ineligible = [];
+  let unchangedCount = 0;
+
+  for (const [key, order] of validOrderData) {
+    const shopifyId = order.shopify_id;
+    const cls = contestClassModel.matchVariant(classes, order.variant);
+    const className = cls ? cls.class_name : (order.variant || '');
+
+    // Member を検索
+    const member = membersMap.get(String(shopifyId));
+
+    // クラスマスタに対応するクラスがないバリエーションを記録
+    if (!cls) {
+      unmappedVariants.set(className, (unmappedVariants.get(className) || 0) + 1);
+    }
+
+    // 年齢を計算
+    let age = '';
+    if (member && member.fwj_birthday) {
+      const calculatedAge = calculateAge(member.fwj_birthday, contestDate);
+      if (calculatedAge !== null) {
+        age = String(calculatedAge);
       }
     }
 
-    console.log(`Order status map: ${shopifyOrderStatus.size} entries, ${validOrderData.size} valid orders`);
+    // 共通フィールドデータを構築（player_noは採番機能で別途設定）
+    const regData = {
+      name_ja: member
+        ? `${member.fwj_lastname || ''} ${member.fwj_firstname || ''}`.trim()
+        : (order.full_name || ''),
+      name_ja_kana: member ? `${member.fwj_kanalastname || ''} ${member.fwj_kanafirstname || ''}`.trim() : '',
+      first_name: member ? (member.fwj_firstname || '') : '',
+      last_name: member ? (member.fwj_lastname || '') : '',
+      phone: member ? (member.phone || '') : '',
+      height: member ? (member.fwj_height || '') : '',
+      weight: member ? (member.fwj_weight || '') : '',
+      country: member ? (member.fwj_nationality || '') : '',
+      age: age,
+      fwj_card_no: shopifyId,
+      email: order.email || '',
+      class_name: className,
+      class_id: cls ? cls.id : null,
+      back_stage_pass: order.back_stage_pass ?? 0,
+      is_member: !!member,
+
+      occupation: order.occupation || '',
+      instagram: '',
+      biography: order.biography || '',
+      entry_date: order.order_date || '',
+      province: member?.province || '',
+    };
 
-    // 3. 既存レコードを (fwjCardNo::className) → record のマップ化
-    // fwjCardNo が空/null のレコードはマップに含めない（手動エントリーとして保護）
-    const existingMap = new Map();
-    for (const reg of activeRegistrations) {
-      if (reg.fwj_card_no) {
-        const key = `${reg.fwj_card_no}::${reg.class_name || ''}`;
-        existingMap.set(key, reg);
+    // 既存レコードにマッチ → UPDATE（player_noは変更しない、変更のある項目がある場合のみ）
+    if (existingMap.has(key)) {
+      const existing = existingMap.get(key);
+      const diff = diffRegistration(existing, regData);
+      if (Object.keys(diff).length > 0) {
+        updates.push({ ...summarizeRegistration(existing), data: regData, diff });
+      } else {
+        unchangedCount++;
       }
+      processedKeys.add(key);
+    } else {
+      // 新規 → INSERT（player_noは空白）
+      inserts.push({ ...regData, player_no: '' });
     }
 
-    // 4. 各有効注文について UPDATE / INSERT を判定
-    const updates = [];      // { id, data } の配列
-    const inserts = [];       // batchImport 用の配列
-    const deleteIds = []; // DELETE 対象の ID 配列
-    const processedKeys = new Set(); // UPDATE 済みキーを記録
-    const skippedOrders = [];
-    const memberNotFoundOrders = [];
-
-    for (const [key, order] of validOrderData) {
-      const shopifyId = order.shopify_id;
-      const className = order.variant || '';
+    // クラスの出場資格（性別・年齢・身長・体重）を会員情報でチェック
+    const issues = contestClassModel.checkEligibility(cls, member, contestDate);
+    if (issues.length > 0) {
+      ineligible.push({ fwj_card_no: shopifyId, name_ja: regData.name_ja, class_name: className, issues: issues.map(issue => issue.message) });
+    }
 
-      // Member を検索
-      const member = membersMap.get(String(shopifyId));
+    // Member が見つからなかった場合は記録
+    if (!member) {
+      memberNotFoundOrders.push({
+        shopify_id: shopifyId,
+        order_no: order.order_no || '',
+        email: order.email || ''
+      });
+    }
+  }
 
-      // 年齢を計算
-      let age = '';
-      if (member && member.fwj_birthday) {
-        const calculatedAge = calculateAge(member.fwj_birthday, contestDate);
-        if (calculatedAge !== null) {
-          age = String(calculatedAge);
+  // 5. 返金注文に対応する既存レコードを削除候補に追加
+  for (const [key, existingReg] of existingMap) {
+    // UPDATE 対象 → スキップ
+    if (processedKeys.has(key)) continue;
+    // Orders に返金/キャンセルとして存在するもの → 削除
+    const status = shopifyOrderStatus.get(key);
+    if (status === 'refunded') {
+      const refundedOrder = refundedOrderData.get(key);
+      deletes.push({
+        ...summarizeRegistration(existingReg),
+        refundedOrder: {
+          order_no: refundedOrder.order_no || '',
+          order_date: refundedOrder.order_date || '',
+          financial_status: refundedOrder.financial_status || '',
+          current_quantity: parseInt(refundedOrder.current_quantity, 10) || 0,
+          line_item_id: refundedOrder.line_item_id || ''
         }
-      }
+      });
+    }
+    // Orders に存在しない = 手動エントリー等 → 何もしない
+  }
 
-      // 共通フィールドデータを構築（player_noは採番機能で別途設定）
-      const regData = {
-        name_ja: member
-          ? `${member.fwj_lastname || ''} ${member.fwj_firstname || ''}`.trim()
-          : (order.full_name || ''),
-        name_ja_kana: member ? `${member.fwj_kanalastname || ''} ${member.fwj_kanafirstname || ''}`.trim() : '',
-        first_name: member ? (member.fwj_firstname || '') : '',
-        last_name: member ? (member.fwj_lastname || '') : '',
-        phone: member ? (member.phone || '') : '',
-        height: member ? (member.fwj_height || '') : '',
-        weight: member ? (member.fwj_weight || '') : '',
-        country: member ? (member.fwj_nationality || '') : '',
-        age: age,
-        fwj_card_no: shopifyId,
-        email: order.email || '',
-        class_name: className,
-        back_stage_pass: order.back_stage_pass ?? 0,
-        is_member: !!member,
-
-        occupation: order.occupation || '',
-        instagram: '',
-        biography: order.biography || '',
-        entry_date: order.order_date || '',
-        province: member?.province || '',
-      };
-
-      // 既存レコードにマッチ → UPDATE（player_noは変更しない）
-      if (existingMap.has(key)) {
-        const existing = existingMap.get(key);
-        updates.push({ id: existing.id, data: regData });
-        processedKeys.add(key);
-      } else {
-        // 新規 → INSERT（player_noは空白）
-        inserts.push({ ...regData, player_no: '' });
-      }
+  // 手動エントリー数（fwjCardNo が空 or Orders に存在しないレコード）
+  const deleteIds = new Set(deletes.map(d => d.id));
+  const preservedCount = activeRegistrations.filter(r => {
+    if (!r.fwj_card_no) return true;
+    const key = `${r.fwj_card_no}::${toClassName(r.class_name)}`;
+    return !processedKeys.has(key) && !deleteIds.has(r.id);
+  }).length;
+
+  // Orders からスキップされた行を集計
+  for (const order of ordersData) {
+    if (!order.shopify_id) {
+      skippedOrders.push({ reason: 'shopify_id不明', order: order.order_no || 'unknown' });
+    }
+  }
 
-      // Member が見つからなかった場合は記録
-      if (!member) {
-        memberNotFoundOrders.push({
-          shopify_id: shopifyId,
-          order_no: order.order_no || '',
-          email: order.email || ''
-        });
-      }
+  console.log(`UPSERT plan: ${inserts.length} inserts, ${updates.length} updates, ${unchangedCount} unchanged, ${deletes.length} deletes, ${preservedCount} preserved`);
+
+  return {
+    contestDate,
+    contestName,
+    inserts,
+    updates,
+    deletes,
+    unchanged: unchangedCount,
+    preserved: preservedCount,
+    skipped: skippedOrders.length,
+    memberNotFound: memberNotFoundOrders,
+    unmappedVariants: [...unmappedVariants].map(([variant, count]) => ({ variant, count })),
+    ineligible
+  };
+}
+
+/**
+ * プレビュー後にDBが変更されていないか確認
+ * 計画作成時の値と現在の値が異なるレコードを返す
+ * @param {Object} plan - buildShopifyImportPlan の戻り値
+ * @returns {Promise<Array>} { id, reason } の配列
+ */
+async function findStaleShopifyImportEntries(plan) {
+  const [current, toClassName] = await Promise.all([
+    registrationModel.findByContestNameAll(plan.contestName),
+    shopifyClassNameResolver(plan.contestName),
+  ]);
+  const activeById = new Map();
+  const activeKeys = new Set();
+  current.forEach(reg => {
+    if (reg.isValid === 'FALSE') return;
+    activeById.set(reg.id, reg);
+    // 計画の作成時と同じく、クラス名はクラスマスタの表示名に揃えて照合する
+    if (reg.fwj_card_no) activeKeys.add(`${reg.fwj_card_no}::${toClassName(reg.class_name)}`);
+  });
+
+  const stale = [];
+  for (const update of plan.updates) {
+    const reg = activeById.get(update.id);
+    if (!reg) {
+      stale.push({ id: update.id, reason: '更新対象のレコードが削除されています' });
+      continue;
+    }
+    const changedField = Object.keys(update.diff).find(field =>
+      normalizeRegistrationValue(field, reg[field]) !== normalizeRegistrationValue(field, update.diff[field].from)
+    );
+    if (changedField) {
+      stale.push({ id: update.id, reason: `${changedField} がプレビュー後に変更されています` });
     }
+  }
+  for (const del of plan.deletes) {
+    if (!activeById.has(del.id)) {
+      stale.push({ id: del.id, reason: '削除対象のレコードが既に存在しません' });
+    }
+  }
+  for (const insert of plan.inserts) {
+    if (activeKeys.has(`${insert.fwj_card_no}::${toClassName(insert.class_name)}`)) {
+      stale.push({ id: null, reason: `fwj_card_no: ${insert.fwj_card_no}（${insert.class_name}）は既に登録されています` });
+    }
+  }
+  return stale;
+}
 
-    // 5. 返金注文に対応する既存レコードをソフトデリート候補に追加
-    for (const [key, existingReg] of existingMap) {
-      // UPDATE 済み → スキップ
-      if (processedKeys.has(key)) continue;
-      // Orders に返金/キャンセルとして存在するもの → ソフトデリート
-      const status = shopifyOrderStatus.get(key);
-      if (status === 'refunded') {
-        deleteIds.push(existingReg.id);
-      }
-      // Orders に存在しない = 手動エントリー等 → 何もしない
+/**
+ * UPSERT計画をDBに適用（変更前の値はインポートバッチに記録）
+ * @param {Object} plan - buildShopifyImportPlan の戻り値
+ * @param {number} batchId - インポートバッチID
+ * @returns {Promise<Object>} { success, inserted, insertedIds, updated, deleted, error? }
+ */
+async function applyShopifyImportPlan(plan, batchId) {
+  // INSERT
+  let insertedCount = 0;
+  let insertedIds = [];
+  if (plan.inserts.length > 0) {
+    const importResult = await registrationModel.batchImport(plan.inserts, plan.contestDate, plan.contestName);
+    if (!importResult.success) {
+      return { success: false, error: importResult.error };
     }
+    insertedCount = importResult.data.imported;
+    insertedIds = importResult.data.ids;
+    await importBatchModel.recordInserts(batchId, 'registrations', insertedIds);
+  }
 
-    // 手動エントリー数（fwjCardNo が空 or Orders に存在しないレコード）
-    const preservedCount = activeRegistrations.filter(r => {
-      if (!r.fwj_card_no) return true;
-      const key = `${r.fwj_card_no}::${r.class_name || ''}`;
-      return !processedKeys.has(key) && !deleteIds.includes(r.id);
-    }).length;
+  // UPDATE
+  let updatedCount = 0;
+  if (plan.updates.length > 0) {
+    await importBatchModel.recordPreImages(batchId, 'registrations', plan.updates.map(u => u.id), 'update');
+    const updateResult = await registrationModel.batchUpdate(
+      plan.updates.map(({ id, data }) => ({ id, data }))
+    );
+    if (!updateResult.success) {
+      return { success: false, error: updateResult.error };
+    }
+    updatedCount = updateResult.updated || plan.updates.length;
+  }
 
-    // Orders からスキップされた行を集計
-    for (const order of ordersData) {
-      if (!order.shopify_id) {
-        skippedOrders.push({ reason: 'shopify_id不明', order: order.order_no || 'unknown' });
-      }
+  // DELETE（返金/キャンセル済み注文）
+  let deletedCount = 0;
+  if (plan.deletes.length > 0) {
+    await importBatchModel.recordPreImages(batchId, 'registrations', plan.deletes.map(d => d.id), 'delete');
+    const deleteResult = await registrationModel.batchDelete(plan.deletes.map(d => d.id));
+    if (!deleteResult.success) {
+      return { success: false, error: '削除に失敗しました' };
     }
+    deletedCount = deleteResult.deleted;
+  }
 
-    console.log(`UPSERT plan: ${inserts.length} inserts, ${updates.length} updates, ${deleteIds.length} deletes, ${preservedCount} preserved`);
+  await importBatchModel.markApplied(batchId);
 
-    // 6. DB操作を実行
-    // INSERT
-    let insertedCount = 0;
-    if (inserts.length > 0) {
-      const importResult = await registrationModel.batchImport(inserts, contestDate, contestName);
-      if (!importResult.success) {
-        return res.status(400).json({ success: false, error: importResult.error });
-      }
-      insertedCount = importResult.data.imported;
+  return { success: true, inserted: insertedCount, insertedIds, updated: updatedCount, deleted: deletedCount };
+}
+
+// 確定に失敗したShopifyインポートの途中までの変更をロールバックし、計画を未確定に戻す
+// ロールバックできなかった場合は二重に取り込まないよう確定済みのままにして false を返す
+async function releaseFailedShopifyImport(req, importPlan, batch) {
+  try {
+    if (batch) {
+      const rolledBack = await importBatchModel.rollback(batch.id, req.session.user.email);
+      if (!rolledBack.success) return false;
     }
+    await importPlanModel.releaseCommitted(importPlan.id);
+    return true;
+  } catch (error) {
+    console.error('Release failed Shopify import error:', error);
+    return false;
+  }
+}
 
-    // UPDATE
-    let updatedCount = 0;
-    if (updates.length > 0) {
-      const updateResult = await registrationModel.batchUpdate(updates);
-      if (!updateResult.success) {
-        return res.status(400).json({ success: false, error: updateResult.error });
-      }
-      updatedCount = updateResult.updated || updates.length;
+// Shopifyインポートで変更したレコードを監査ログに記録
+async function recordShopifyImportAudit(req, plan, applied) {
+  await auditLogModel.recordMany(req, 'registrations', [
+    ...plan.inserts.map((data, i) => ({ entityId: applied.insertedIds[i], action: 'create', before: null, after: data })),
+    ...plan.updates.map(({ id, diff }) => ({ entityId: id, action: 'update', changes: diff })),
+    ...plan.deletes.map(({ refundedOrder, ...summary }) => ({ entityId: summary.id, action: 'delete', before: summary, after: null })),
+  ].filter(entry => entry.entityId != null));
+}
+
+// Shopifyインポート結果のレスポンスデータを作成
+function buildShopifyImportResult(plan, applied, batchId) {
+  const { inserted, updated, deleted } = applied;
+  const total = inserted + updated + plan.unchanged + deleted + plan.preserved;
+  const message = `${inserted}件を新規追加、${updated}件を更新、${deleted}件を削除しました`
+    + (plan.preserved > 0 ? `（手動エントリー${plan.preserved}件は保持）` : '');
+
+  const responseData = {
+    total,
+    inserted,
+    updated,
+    unchanged: plan.unchanged,
+    deleted,
+    preserved: plan.preserved,
+    skipped: plan.skipped,
+    memberNotFound: plan.memberNotFound.length,
+    unmappedVariants: plan.unmappedVariants.length,
+    ineligible: plan.ineligible.length,
+    contestDate: plan.contestDate,
+    contestName: plan.contestName,
+    batchId,
+    message
+  };
+
+  const warnings = [
+    ...plan.memberNotFound.map(o =>
+      `shopify_id: ${o.shopify_id} (注文: ${o.order_no}, email: ${o.email}) - Memberが見つからないため、Members由来の項目は空白です`
+    ),
+    ...plan.unmappedVariants.map(v =>
+      `バリエーション「${v.variant}」（${v.count}件）に対応するクラスがクラスマスタにありません`
+    ),
+    ...plan.ineligible.map(e =>
+      `fwj_card_no: ${e.fwj_card_no} ${e.name_ja}（${e.class_name}） - ${e.issues.join('、')}`
+    )
+  ];
+  if (warnings.length > 0) {
+    responseData.warnings = warnings;
+  }
+
+  return responseData;
+}
+
+// POST /import-shopify/preview - Shopifyインポートの計画をプレビュー（DB書き込みなし）
+router.post('/import-shopify/preview', requireAdmin, async (req, res) => {
+  try {
+    const { contestDate, contestName } = req.body;
+
+    if (!contestDate || !contestName) {
+      return res.status(400).json({
+        success: false,
+        error: '大会開催日と大会名は必須です'
+      });
     }
 
-    // DELETE（返金/キャンセル済み注文）
-    let deletedCount = 0;
-    if (deleteIds.length > 0) {
-      const deleteResult = await registrationModel.batchDelete(deleteIds);
-      if (!deleteResult.success) {
-        return res.status(400).json({ success: false, error: '削除に失敗しました' });
-      }
-      deletedCount = deleteResult.deleted;
-    }
-
-    // 結果レスポンス
-    const total = insertedCount + updatedCount + deletedCount + preservedCount;
-    const message = `${insertedCount}件を新規追加、${updatedCount}件を更新、${deletedCount}件を削除しました`
-      + (preservedCount > 0 ? `（手動エントリー${preservedCount}件は保持）` : '');
-
-    const responseData = {
-      total,
-      inserted: insertedCount,
-      updated: updatedCount,
-      deleted: deletedCount,
-      preserved: preservedCount,
-      skipped: skippedOrders.length,
-      memberNotFound: memberNotFoundOrders.length,
+    console.log(`Starting Shopify import preview for ${contestName} (${contestDate})`);
+
+    const plan = await buildShopifyImportPlan(contestDate, contestName);
+    const { token, expires_at } = await importPlanModel.create(SHOPIFY_IMPORT_PLAN_KIND, {
+      contestName,
       contestDate,
+      plan,
+      createdBy: req.session.user.email
+    });
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        expiresAt: expires_at,
+        contestDate,
+        contestName,
+        summary: {
+          inserts: plan.inserts.length,
+          updates: plan.updates.length,
+          unchanged: plan.unchanged,
+          deletes: plan.deletes.length,
+          preserved: plan.preserved,
+          skipped: plan.skipped,
+          memberNotFound: plan.memberNotFound.length,
+          unmappedVariants: plan.unmappedVariants.length,
+          ineligible: plan.ineligible.length
+        },
+        inserts: plan.inserts,
+        updates: plan.updates.map(({ data, ...rest }) => rest),
+        deletes: plan.deletes,
+        memberNotFound: plan.memberNotFound,
+        unmappedVariants: plan.unmappedVariants,
+        ineligible: plan.ineligible
+      }
+    });
+  } catch (error) {
+    console.error('Shopify import preview error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /import-shopify/commit - プレビューした計画をtoken指定で確定
+router.post('/import-shopify/commit', requireAdmin, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ success: false, error: 'tokenは必須です' });
+    }
+
+    const importPlan = await importPlanModel.findByToken(token);
+    if (!importPlan || importPlan.kind !== SHOPIFY_IMPORT_PLAN_KIND) {
+      return res.status(404).json({ success: false, error: 'インポート計画が見つかりません' });
+    }
+    if (importPlan.committed_at) {
+      return res.status(409).json({ success: false, error: 'このインポート計画は既に確定済みです' });
+    }
+    if (new Date(importPlan.expires_at) < new Date()) {
+      return res.status(410).json({ success: false, error: 'インポート計画の有効期限が切れています。再度プレビューしてください' });
+    }
+
+    const plan = importPlan.plan;
+
+    // プレビュー後に対象レコードが変更されていないか確認
+    const stale = await findStaleShopifyImportEntries(plan);
+    if (stale.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'プレビュー後に登録データが変更されています。再度プレビューしてください',
+        stale
+      });
+    }
+
+    // 二重確定を防止
+    const claimed = await importPlanModel.markCommitted(importPlan.id);
+    if (!claimed) {
+      return res.status(409).json({ success: false, error: 'このインポート計画は既に確定済みです' });
+    }
+
+    console.log(`Committing Shopify import plan for ${plan.contestName} (${plan.contestDate})`);
+
+    // 確定済みにした後に失敗した場合は、途中までの変更を取り消して同じtokenで再度確定できるようにする
+    let batch = null;
+    let applied;
+    try {
+      batch = await importBatchModel.create(SHOPIFY_IMPORT_PLAN_KIND, {
+        contestName: plan.contestName,
+        createdBy: req.session.user.email
+      });
+      applied = await applyShopifyImportPlan(plan, batch.id);
+    } catch (error) {
+      applied = { success: false, error: error.message };
+    }
+    if (!applied.success) {
+      const released = await releaseFailedShopifyImport(req, importPlan, batch);
+      console.error(`Shopify import commit failed (batch ${batch ? batch.id : '-'}): ${applied.error}`);
+      return res.status(500).json({
+        success: false,
+        error: released
+          ? `インポートに失敗したため、変更を取り消しました。もう一度「確定」できます（${applied.error}）`
+          : `インポートに失敗し、途中までの変更を取り消せませんでした。インポート履歴からバッチ#${batch.id}をロールバックしてから、再度プレビューしてください（${applied.error}）`,
+        batchId: batch ? batch.id : null,
+        retryable: released
+      });
+    }
+
+    await recordShopifyImportAudit(req, plan, applied);
+
+    const responseData = buildShopifyImportResult(plan, applied, batch.id);
+    console.log(`Shopify import commit completed: inserted ${applied.inserted}, updated ${applied.updated}, deleted ${applied.deleted}, preserved ${plan.preserved}`);
+
+    res.json({
+      success: true,
+      data: responseData
+    });
+  } catch (error) {
+    console.error('Shopify import commit error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /import-shopify - OrdersテーブルとMembersテーブルからRegistrationsを作成（UPSERT方式、プレビューなしで即時実行）
+router.post('/import-shopify', requireAdmin, async (req, res) => {
+  try {
+    const { contestDate, contestName } = req.body;
+
+    if (!contestDate || !contestName) {
+      return res.status(400).json({
+        success: false,
+        error: '大会開催日と大会名は必須です'
+      });
+    }
+
+    console.log(`Starting Shopify import (UPSERT) for ${contestName} (${contestDate})`);
+
+    const plan = await buildShopifyImportPlan(contestDate, contestName);
+
+    const batch = await importBatchModel.create(SHOPIFY_IMPORT_PLAN_KIND, {
       contestName,
-      message
-    };
+      createdBy: req.session.user.email
+    });
 
-    if (memberNotFoundOrders.length > 0) {
-      responseData.warnings = memberNotFoundOrders.map(o =>
-        `shopify_id: ${o.shopify_id} (注文: ${o.order_no}, email: ${o.email}) - Memberが見つからないため、Members由来の項目は空白です`
-      );
+    const applied = await applyShopifyImportPlan(plan, batch.id);
+    if (!applied.success) {
+      return res.status(400).json({ success: false, error: applied.error, batchId: batch.id });
     }
 
-    console.log(`Shopify import (UPSERT) completed: inserted ${insertedCount}, updated ${updatedCount}, deleted ${deletedCount}, preserved ${preservedCount}, skipped ${skippedOrders.length}`);
+    await recordShopifyImportAudit(req, plan, applied);
+
+    const responseData = buildShopifyImportResult(plan, applied, batch.id);
+
+    console.log(`Shopify import (UPSERT) completed: inserted ${applied.inserted}, updated ${applied.updated}, deleted ${applied.deleted}, preserved ${plan.preserved}, skipped ${plan.skipped}`);
 
     res.json({
       success: true,
@@ -1053,9 +1854,10 @@ router.post('/import-csv', requireAdmin, async (req, res) => {
     }
 
     // 更新対象の既存レコードとの整合性チェック（contest_name, player_no, fwj_card_no）
+    let existingMap = new Map();
     if (updates.length > 0) {
       const allRegistrations = await registrationModel.findAll();
-      const existingMap = new Map(allRegistrations.map(r => [r.id, r]));
+      existingMap = new Map(allRegistrations.map(r => [r.id, r]));
 
       for (const { id, data } of updates) {
         const existing = existingMap.get(id);
@@ -1076,15 +1878,33 @@ router.post('/import-csv', requireAdmin, async (req, res) => {
       }
     }
 
+    // インポートバッチを作成（ロールバック用に変更前の値を記録）
+    const batch = await importBatchModel.create('registrations-csv', {
+      contestName: csvData[0].contest_name || null,
+      createdBy: req.session.user.email
+    });
+
     // バッチUPDATE実行
     let updated = 0;
     if (updates.length > 0) {
+      await importBatchModel.recordPreImages(batch.id, 'registrations', updates.map(u => u.id), 'update');
       const result = await registrationModel.batchUpdate(updates);
       if (result.success) {
         updated = result.updated;
       } else {
         return res.status(500).json({ success: false, error: result.error });
       }
+
+      // 変更した項目のみ監査ログに記録（CSVのidは文字列のため文字列キーで照合）
+      const existingById = new Map([...existingMap].map(([id, reg]) => [String(id), reg]));
+      await auditLogModel.recordMany(req, 'registrations', updates
+        .filter(({ id }) => existingById.has(String(id)))
+        .map(({ id, data }) => {
+          const existing = existingById.get(String(id));
+          const before = {};
+          Object.keys(data).forEach(field => { before[field] = existing[field]; });
+          return { entityId: id, action: 'update', before, after: data };
+        }));
     }
 
     // 新規レコードINSERT実行
@@ -1104,12 +1924,21 @@ router.post('/import-csv', requireAdmin, async (req, res) => {
         const result = await registrationModel.batchImport(group.rows, group.contestDate, group.contestName);
         if (result.success) {
           inserted += result.data.imported;
+          await importBatchModel.recordInserts(batch.id, 'registrations', result.data.ids);
+          await auditLogModel.recordMany(req, 'registrations', group.rows.map((row, i) => ({
+            entityId: result.data.ids[i],
+            action: 'create',
+            before: null,
+            after: row
+          })));
         } else {
           return res.status(500).json({ success: false, error: result.error });
         }
       }
     }
 
+    await importBatchModel.markApplied(batch.id);
+
     const messageParts = [];
     if (updated > 0) messageParts.push(`${updated}件を更新`);
     if (inserted > 0) messageParts.push(`${inserted}件を新規追加`);
@@ -1123,6 +1952,7 @@ router.post('/import-csv', requireAdmin, async (req, res) => {
         inserted,
         skipped,
         fields: fields,
+        batchId: batch.id,
         message: messageParts.join('、') + 'しました'
       }
     });
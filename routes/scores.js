@@ -2,12 +2,16 @@ const express = require('express');
 const Score = require('../models/Score');
 const Contest = require('../models/Contest');
 const Registration = require('../models/Registration');
+const ImportBatch = require('../models/ImportBatch');
+const AuditLog = require('../models/AuditLog');
 const { requireAuth, requireAdmin, checkAuth } = require('../middleware/auth');
 const router = express.Router();
 
 const scoreModel = new Score();
 const contestModel = new Contest();
 const registrationModel = new Registration();
+const importBatchModel = new ImportBatch();
+const auditLogModel = new AuditLog();
 
 // CSVをパースするヘルパー関数
 function parseCSVLine(line) {
@@ -140,6 +144,7 @@ router.post('/', requireAdmin, async (req, res) => {
   try {
     const result = await scoreModel.createScore(req.body);
     if (result.success) {
+      await auditLogModel.record(req, 'scores', result.data.id, result.restored ? 'restore' : 'create', null, result.data);
       res.status(201).json(result);
     } else {
       res.status(400).json(result);
@@ -156,8 +161,10 @@ router.put('/:id', requireAdmin, async (req, res) => {
       ...req.body,
       updatedAt: new Date().toISOString()
     };
+    const before = await scoreModel.findById(req.params.id);
     const result = await scoreModel.update(req.params.id, updateData);
     if (result.success) {
+      await auditLogModel.record(req, 'scores', req.params.id, 'update', before, result.data);
       res.json(result);
     } else {
       res.status(400).json(result);
@@ -170,8 +177,10 @@ router.put('/:id', requireAdmin, async (req, res) => {
 // 成績論理削除（管理者のみ）
 router.delete('/:id', requireAdmin, async (req, res) => {
   try {
+    const before = await scoreModel.findById(req.params.id);
     const result = await scoreModel.softDelete(req.params.id);
     if (result.success) {
+      await auditLogModel.record(req, 'scores', req.params.id, 'soft_delete', before, result.data);
       res.json({ success: true, message: '成績を論理削除しました' });
     } else {
       res.status(404).json(result);
@@ -195,12 +204,14 @@ router.get('/deleted/list', requireAdmin, async (req, res) => {
 // 成績復元（管理者のみ）
 router.put('/:id/restore', requireAdmin, async (req, res) => {
   try {
+    const before = await scoreModel.findById(req.params.id);
     const result = await scoreModel.update(req.params.id, { 
       isValid: 'TRUE',
       restoredAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     });
     if (result.success) {
+      await auditLogModel.record(req, 'scores', req.params.id, 'restore', before, result.data);
       res.json({ success: true, message: '成績を復元しました', data: result.data });
     } else {
       res.status(404).json(result);
@@ -213,8 +224,10 @@ router.put('/:id/restore', requireAdmin, async (req, res) => {
 // 成績完全削除（管理者のみ）
 router.delete('/:id/permanent', requireAdmin, async (req, res) => {
   try {
+    const before = await scoreModel.findById(req.params.id);
     const result = await scoreModel.delete(req.params.id);
     if (result.success) {
+      await auditLogModel.record(req, 'scores', req.params.id, 'delete', before, null);
       res.json({ success: true, message: '成績を完全に削除しました' });
     } else {
       res.status(404).json(result);
@@ -400,6 +413,20 @@ router.post('/import', requireAuth, async (req, res) => {
     console.log('Batch import result:', result.success ? 'SUCCESS' : 'FAILED');
     
     if (result.success) {
+      // インポートバッチを記録（ロールバック時に追加した成績を削除する）
+      const batch = await importBatchModel.create('scores', {
+        contestName,
+        createdBy: req.session.user.email
+      });
+      await importBatchModel.recordInserts(batch.id, 'scores', result.data.ids);
+      await importBatchModel.markApplied(batch.id);
+      await auditLogModel.recordMany(req, 'scores', scores.map((score, i) => ({
+        entityId: result.data.ids[i],
+        action: 'create',
+        before: null,
+        after: score
+      })));
+
       let message = `${result.data.imported}件の成績を正常にインポートしました`;
       
       // CSV名が使用された場合は警告メッセージを追加
@@ -428,6 +455,7 @@ router.post('/import', requireAuth, async (req, res) => {
           total: result.data.total,
           imported: result.data.imported,
           csvNameUsed: csvNameUsedCount.length,
+          batchId: batch.id,
           message: message
         }
       });
@@ -0,0 +1,353 @@
+const express = require('express');
+const SeatMap = require('../models/SeatMap');
+const Ticket = require('../models/Ticket');
+const ImportPlan = require('../models/ImportPlan');
+const AuditLog = require('../models/AuditLog');
+const { normalizeSeatMapDefinition, findSeatConflicts, allocateSeats, holdsSeat } = require('../utils/seat-map');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const router = express.Router();
+
+const seatMapModel = new SeatMap();
+const ticketModel = new Ticket();
+const importPlanModel = new ImportPlan();
+const auditLogModel = new AuditLog();
+
+const SEAT_ALLOCATION_PLAN_KIND = 'seat-allocation';
+
+/**
+ * 座席表IDを検証して座席表を取得
+ * @returns {Promise<Object|null>} 座席表（レスポンス送信済みの場合はnull）
+ */
+async function loadSeatMap(req, res) {
+  const id = parseInt(req.params.id);
+  if (isNaN(id) || id < 1) {
+    res.status(400).json({ success: false, error: '無効なIDです' });
+    return null;
+  }
+
+  const seatMap = await seatMapModel.findById(id);
+  if (!seatMap) {
+    res.status(404).json({ success: false, error: '座席表が見つかりません' });
+    return null;
+  }
+  return seatMap;
+}
+
+/**
+ * リクエストボディの座席表の定義を検証
+ * @returns {Object|null} { name, note, seats, grades }（エラーの場合はレスポンス送信済みでnull）
+ */
+function parseDefinition(req, res) {
+  const name = (req.body.name || '').trim();
+  if (!name) {
+    res.status(400).json({ success: false, error: '座席表の名前は必須です' });
+    return null;
+  }
+
+  const { errors, seats, grades } = normalizeSeatMapDefinition(req.body);
+  if (errors.length > 0) {
+    res.status(400).json({ success: false, error: errors[0], errors });
+    return null;
+  }
+
+  return { name, note: (req.body.note || '').trim(), seats, grades };
+}
+
+/**
+ * 座席の割当計画を作成（DB書き込みなし）
+ * @param {Object} seatMap - 座席表
+ * @param {string} productName - 商品名
+ */
+async function buildAllocationPlan(seatMap, productName) {
+  const [seats, grades, tickets] = await Promise.all([
+    seatMapModel.findSeats(seatMap.id),
+    seatMapModel.findGrades(seatMap.id),
+    ticketModel.findForExport(null, productName),
+  ]);
+
+  const { assignments, unassigned } = allocateSeats({ seats, grades, tickets });
+  const conflicts = findSeatConflicts(seats, tickets);
+
+  return {
+    seatMapId: seatMap.id,
+    productName,
+    assignments,
+    unassigned,
+    ...conflicts,
+  };
+}
+
+/**
+ * プレビュー後に対象チケットが変更されていないか確認
+ * （座席が割り当てられた・無効になった・予定の座席が他のチケットに使われた）
+ */
+async function findStaleAssignments(plan) {
+  const tickets = await ticketModel.findForExport(null, plan.productName);
+  const ticketsById = new Map(tickets.map(ticket => [ticket.id, ticket]));
+  // 割当計画と同じく、返金などで無効になったチケットの座席は空席として扱う
+  const takenSeats = new Set(tickets.filter(holdsSeat).map(ticket => ticket.reserved_seat));
+
+  const stale = [];
+  for (const assignment of plan.assignments) {
+    const ticket = ticketsById.get(assignment.ticket_id);
+    if (!ticket || ticket.is_usable !== 'TRUE') {
+      stale.push({ ticket_id: assignment.ticket_id, reason: 'チケットが削除または無効になっています' });
+    } else if (ticket.reserved_seat) {
+      stale.push({ ticket_id: assignment.ticket_id, reason: `座席 ${ticket.reserved_seat} が割り当て済みです` });
+    } else if (takenSeats.has(assignment.reserved_seat)) {
+      stale.push({ ticket_id: assignment.ticket_id, reason: `座席 ${assignment.reserved_seat} が他のチケットに割り当てられています` });
+    }
+  }
+  return stale;
+}
+
+/**
+ * 確定に失敗した割当を取り消して、割当計画を再度確定できるようにする
+ * 確定前は対象チケットがすべて未割当のため、途中まで書き込まれた座席を未割当に戻す
+ * @returns {Promise<boolean>} 取り消せた場合はtrue
+ */
+async function releaseFailedAllocation(allocationPlan) {
+  try {
+    await ticketModel.bulkUpdateReservedSeats(
+      allocationPlan.plan.assignments.map(a => ({ id: a.ticket_id, reserved_seat: '' }))
+    );
+    await importPlanModel.releaseCommitted(allocationPlan.id);
+    return true;
+  } catch (error) {
+    console.error('Release failed seat allocation error:', error);
+    return false;
+  }
+}
+
+// すべて認証が必要
+router.use(requireAuth);
+
+// GET / - 座席表一覧
+router.get('/', async (req, res) => {
+  try {
+    const seatMaps = await seatMapModel.findAll();
+    res.json({ success: true, data: seatMaps });
+  } catch (error) {
+    console.error('Seat maps list error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /allocate/commit - プレビューした割当をtoken指定で確定（管理者のみ）
+router.post('/allocate/commit', requireAdmin, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ success: false, error: 'tokenは必須です' });
+    }
+
+    const allocationPlan = await importPlanModel.findByToken(token);
+    if (!allocationPlan || allocationPlan.kind !== SEAT_ALLOCATION_PLAN_KIND) {
+      return res.status(404).json({ success: false, error: '座席の割当計画が見つかりません' });
+    }
+    if (allocationPlan.committed_at) {
+      return res.status(409).json({ success: false, error: 'この割当計画は既に確定済みです' });
+    }
+    if (new Date(allocationPlan.expires_at) < new Date()) {
+      return res.status(410).json({ success: false, error: '割当計画の有効期限が切れています。再度プレビューしてください' });
+    }
+
+    const plan = allocationPlan.plan;
+
+    const stale = await findStaleAssignments(plan);
+    if (stale.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'プレビュー後にチケットが変更されています。再度プレビューしてください',
+        stale
+      });
+    }
+
+    // 二重確定を防止
+    const claimed = await importPlanModel.markCommitted(allocationPlan.id);
+    if (!claimed) {
+      return res.status(409).json({ success: false, error: 'この割当計画は既に確定済みです' });
+    }
+
+    let result;
+    try {
+      result = await ticketModel.bulkUpdateReservedSeats(
+        plan.assignments.map(a => ({ id: a.ticket_id, reserved_seat: a.reserved_seat }))
+      );
+    } catch (error) {
+      const released = await releaseFailedAllocation(allocationPlan);
+      console.error(`Seat allocation commit failed for ${plan.productName}: ${error.message}`);
+      return res.status(500).json({
+        success: false,
+        error: released
+          ? `座席の割当に失敗したため、変更を取り消しました。もう一度「確定」できます（${error.message}）`
+          : `座席の割当に失敗し、途中までの変更を取り消せませんでした。座席を確認してから、再度プレビューしてください（${error.message}）`,
+        retryable: released
+      });
+    }
+
+    await auditLogModel.recordMany(req, 'tickets', plan.assignments.map(a => ({
+      entityId: a.ticket_id,
+      action: 'update',
+      changes: { reserved_seat: { from: '', to: a.reserved_seat } }
+    })));
+
+    console.log(`Seat allocation committed for ${plan.productName}: ${result.updated} tickets`);
+
+    res.json({
+      success: true,
+      message: `${result.updated}件のチケットに座席を割り当てました`,
+      data: { updated: result.updated }
+    });
+  } catch (error) {
+    console.error('Seat allocation commit error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /:id - 座席表（座席・等級の対応を含む）
+router.get('/:id', async (req, res) => {
+  try {
+    const seatMap = await loadSeatMap(req, res);
+    if (!seatMap) return;
+
+    const [seats, grades] = await Promise.all([
+      seatMapModel.findSeats(seatMap.id),
+      seatMapModel.findGrades(seatMap.id),
+    ]);
+
+    res.json({ success: true, data: { ...seatMap, seats, grades } });
+  } catch (error) {
+    console.error('Get seat map error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST / - 座席表を作成（管理者のみ）
+// body: { name, note, seats: [{ section, row, seat, grade, blocked }], grades: [{ grade, variant }] }
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const definition = parseDefinition(req, res);
+    if (!definition) return;
+
+    const seatMap = await seatMapModel.create(definition);
+    await auditLogModel.record(req, 'seat_maps', seatMap.id, 'create', null, { ...seatMap, seat_count: definition.seats.length });
+
+    res.status(201).json({ success: true, data: { ...seatMap, seat_count: definition.seats.length } });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ success: false, error: `座席表「${req.body.name}」は既に登録されています` });
+    }
+    console.error('Seat map create error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /:id - 座席表を更新（座席・等級の対応はすべて置き換え、管理者のみ）
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const before = await loadSeatMap(req, res);
+    if (!before) return;
+
+    const definition = parseDefinition(req, res);
+    if (!definition) return;
+
+    const seatMap = await seatMapModel.update(before.id, definition);
+    await auditLogModel.record(req, 'seat_maps', before.id, 'update', before, seatMap);
+
+    res.json({ success: true, data: { ...seatMap, seat_count: definition.seats.length } });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ success: false, error: `座席表「${req.body.name}」は既に登録されています` });
+    }
+    console.error('Seat map update error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /:id - 座席表を削除（割当済みのreserved_seatは変更しない、管理者のみ）
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const seatMap = await loadSeatMap(req, res);
+    if (!seatMap) return;
+
+    await seatMapModel.deleteById(seatMap.id);
+    await auditLogModel.record(req, 'seat_maps', seatMap.id, 'delete', seatMap, null);
+
+    res.json({ success: true, message: '座席表を削除しました' });
+  } catch (error) {
+    console.error('Seat map delete error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /:id/conflicts?product_name= - 商品の座席の重複・座席表にない座席・割当不可の座席
+router.get('/:id/conflicts', async (req, res) => {
+  try {
+    const productName = (req.query.product_name || '').trim();
+    if (!productName) {
+      return res.status(400).json({ success: false, error: '商品名は必須です' });
+    }
+
+    const seatMap = await loadSeatMap(req, res);
+    if (!seatMap) return;
+
+    const [seats, tickets] = await Promise.all([
+      seatMapModel.findSeats(seatMap.id),
+      ticketModel.findForExport(null, productName),
+    ]);
+
+    res.json({ success: true, data: findSeatConflicts(seats, tickets) });
+  } catch (error) {
+    console.error('Seat conflicts error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /:id/allocate/preview - 座席の自動割当をプレビュー（DB書き込みなし、管理者のみ）
+// body: { product_name }
+router.post('/:id/allocate/preview', requireAdmin, async (req, res) => {
+  try {
+    const productName = (req.body.product_name || '').trim();
+    if (!productName) {
+      return res.status(400).json({ success: false, error: '商品名は必須です' });
+    }
+
+    const seatMap = await loadSeatMap(req, res);
+    if (!seatMap) return;
+
+    const plan = await buildAllocationPlan(seatMap, productName);
+    const { token, expires_at } = await importPlanModel.create(SEAT_ALLOCATION_PLAN_KIND, {
+      plan,
+      createdBy: req.session.user.email
+    });
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        expiresAt: expires_at,
+        seatMapName: seatMap.name,
+        productName,
+        summary: {
+          assigned: plan.assignments.length,
+          split: plan.assignments.filter(a => a.split).length,
+          unassigned: plan.unassigned.length,
+          doubleBooked: plan.doubleBooked.length,
+          unknownSeats: plan.unknownSeats.length,
+          blockedSeats: plan.blockedSeats.length
+        },
+        assignments: plan.assignments,
+        unassigned: plan.unassigned,
+        doubleBooked: plan.doubleBooked,
+        unknownSeats: plan.unknownSeats,
+        blockedSeats: plan.blockedSeats
+      }
+    });
+  } catch (error) {
+    console.error('Seat allocation preview error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
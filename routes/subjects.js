@@ -1,9 +1,11 @@
 const express = require('express');
 const Subject = require('../models/Subject');
+const AuditLog = require('../models/AuditLog');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const router = express.Router();
 
 const subjectModel = new Subject();
+const auditLogModel = new AuditLog();
 
 // 全対象者データ取得（認証必要）
 router.get('/', requireAuth, async (req, res) => {
@@ -44,6 +46,7 @@ router.post('/', requireAdmin, async (req, res) => {
   try {
     const result = await subjectModel.createSubject(req.body);
     if (result.success) {
+      await auditLogModel.record(req, 'subjects', result.data.id, result.restored ? 'restore' : 'create', null, result.data);
       res.status(201).json(result);
     } else {
       res.status(400).json(result);
@@ -60,8 +63,10 @@ router.put('/:id', requireAdmin, async (req, res) => {
       ...req.body,
       updatedAt: new Date().toISOString()
     };
+    const before = await subjectModel.findById(req.params.id);
     const result = await subjectModel.update(req.params.id, updateData);
     if (result.success) {
+      await auditLogModel.record(req, 'subjects', req.params.id, 'update', before, result.data);
       res.json(result);
     } else {
       res.status(400).json(result);
@@ -74,8 +79,10 @@ router.put('/:id', requireAdmin, async (req, res) => {
 // 対象者データ論理削除（管理者のみ）
 router.delete('/:id', requireAdmin, async (req, res) => {
   try {
+    const before = await subjectModel.findById(req.params.id);
     const result = await subjectModel.softDelete(req.params.id);
     if (result.success) {
+      await auditLogModel.record(req, 'subjects', req.params.id, 'soft_delete', before, result.data);
       res.json({ success: true, message: '対象者データを論理削除しました' });
     } else {
       res.status(404).json(result);
@@ -99,12 +106,14 @@ router.get('/deleted/list', requireAdmin, async (req, res) => {
 // 対象者データ復元（管理者のみ）
 router.put('/:id/restore', requireAdmin, async (req, res) => {
   try {
+    const before = await subjectModel.findById(req.params.id);
     const result = await subjectModel.update(req.params.id, { 
       isValid: 'TRUE',
       restoredAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     });
     if (result.success) {
+      await auditLogModel.record(req, 'subjects', req.params.id, 'restore', before, result.data);
       res.json({ success: true, message: '対象者データを復元しました', data: result.data });
     } else {
       res.status(404).json(result);
@@ -117,8 +126,10 @@ router.put('/:id/restore', requireAdmin, async (req, res) => {
 // 対象者データ完全削除（管理者のみ）
 router.delete('/:id/permanent', requireAdmin, async (req, res) => {
   try {
+    const before = await subjectModel.findById(req.params.id);
     const result = await subjectModel.delete(req.params.id);
     if (result.success) {
+      await auditLogModel.record(req, 'subjects', req.params.id, 'delete', before, null);
       res.json({ success: true, message: '対象者データを完全に削除しました' });
     } else {
       res.status(404).json(result);
@@ -1,11 +1,70 @@
 const express = require('express');
 const Ticket = require('../models/Ticket');
 const Contest = require('../models/Contest');
+const Member = require('../models/Member');
+const TicketTransfer = require('../models/TicketTransfer');
+const ImportBatch = require('../models/ImportBatch');
+const AuditLog = require('../models/AuditLog');
 const ShopifyService = require('../services/shopify');
+const { hasPushSubscription, sendPushNotification } = require('../services/notification');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const router = express.Router();
 
 const ticketModel = new Ticket();
+const importBatchModel = new ImportBatch();
+const auditLogModel = new AuditLog();
+const ticketTransferModel = new TicketTransfer();
+
+// 譲渡を締め切る時間（開場の何時間前か）・開場時刻（大会日の日本時間）
+const TRANSFER_CUTOFF_HOURS = parseInt(process.env.TICKET_TRANSFER_CUTOFF_HOURS, 10) || 24;
+const DOORS_OPEN_TIME = process.env.CONTEST_DOORS_OPEN_TIME || '09:00';
+
+/**
+ * チケットの大会の開場日時を取得（タグに一致する大会がない場合はnull）
+ * @param {Object} ticket - チケット（snake_case）
+ * @returns {Promise<Date|null>}
+ */
+async function findDoorsOpenAt(ticket) {
+  const contestModel = new Contest();
+  for (let i = 1; i <= 10; i++) {
+    const tag = ticket[`tag${i}`];
+    if (!tag) continue;
+
+    const contest = await contestModel.findByName(tag);
+    if (contest && contest.contest_date) {
+      const doorsOpenAt = new Date(`${contest.contest_date}T${DOORS_OPEN_TIME}:00+09:00`);
+      return isNaN(doorsOpenAt.getTime()) ? null : doorsOpenAt;
+    }
+  }
+  return null;
+}
+
+/**
+ * 譲渡元・譲渡先の会員にプッシュ通知を送信（fire-and-forget）
+ * @param {Object} ticket - 譲渡後のチケット（snake_case）
+ * @param {string} fromShopifyId - 譲渡元
+ * @param {string} toShopifyId - 譲渡先
+ */
+function notifyTransfer(ticket, fromShopifyId, toShopifyId) {
+  const label = `${ticket.order_no} ${ticket.product_name} ${ticket.variant}`;
+  const messages = [
+    { shopifyId: fromShopifyId, title: 'チケットを譲渡しました', body: `${label} のチケットを譲渡しました` },
+    { shopifyId: toShopifyId, title: 'チケットが譲渡されました', body: `${label} のチケットが譲渡されました。アプリでチケットを確認してください` },
+  ];
+
+  messages.forEach(message => {
+    (async () => {
+      try {
+        const hasSubscription = await hasPushSubscription(message.shopifyId);
+        if (hasSubscription) {
+          await sendPushNotification(message);
+        }
+      } catch (err) {
+        console.error('Transfer push notification error:', err);
+      }
+    })();
+  });
+}
 
 // サービスの遅延初期化
 let shopifyService = null;
@@ -110,13 +169,30 @@ router.post('/import-csv', requireAdmin, async (req, res) => {
     let inserted = 0;
     let skipped = 0;
 
+    // インポートバッチを作成（ロールバック用に変更前の値を記録）
+    const batch = await importBatchModel.create('tickets-csv', {
+      createdBy: req.session.user.email
+    });
+
     // バッチUPDATE
     if (updates.length > 0) {
+      await importBatchModel.recordPreImages(batch.id, 'tickets', updates.map(u => u.id), 'update');
+      const beforeMap = new Map((await ticketModel.findByIds(updates.map(u => u.id))).map(t => [t.id, t]));
       const updateResult = await ticketModel.batchUpdate(updates);
       if (!updateResult.success) {
         return res.status(500).json({ success: false, error: updateResult.error });
       }
       updated = updateResult.updated;
+
+      // 変更した項目のみ監査ログに記録
+      await auditLogModel.recordMany(req, 'tickets', updates
+        .filter(({ id }) => beforeMap.has(id))
+        .map(({ id, data }) => {
+          const existing = beforeMap.get(id);
+          const before = {};
+          Object.keys(data).forEach(field => { before[field] = existing[field]; });
+          return { entityId: id, action: 'update', before, after: data };
+        }));
     }
 
     // バッチINSERT
@@ -127,8 +203,18 @@ router.post('/import-csv', requireAdmin, async (req, res) => {
       }
       inserted = insertResult.inserted;
       skipped = insertResult.skipped;
+      await importBatchModel.recordInserts(batch.id, 'tickets', insertResult.ids);
+      const insertedTickets = await ticketModel.findByIds(insertResult.ids);
+      await auditLogModel.recordMany(req, 'tickets', insertedTickets.map(ticket => ({
+        entityId: ticket.id,
+        action: 'create',
+        before: null,
+        after: ticket
+      })));
     }
 
+    await importBatchModel.markApplied(batch.id);
+
     const messages = [];
     if (updated > 0) messages.push(`${updated}件を更新`);
     if (inserted > 0) messages.push(`${inserted}件を新規追加`);
@@ -137,7 +223,7 @@ router.post('/import-csv', requireAdmin, async (req, res) => {
 
     res.json({
       success: true,
-      data: { updated, inserted, skipped, message }
+      data: { updated, inserted, skipped, batchId: batch.id, message }
     });
   } catch (error) {
     console.error('Import CSV error:', error);
@@ -276,11 +362,14 @@ router.put('/:id', requireAdmin, async (req, res) => {
       });
     }
 
+    const before = await ticketModel.findById(id);
     const result = await ticketModel.updateById(id, updateData);
     if (!result.success) {
       return res.status(400).json(result);
     }
 
+    await auditLogModel.record(req, 'tickets', id, 'update', before, result.data);
+
     res.json(result);
   } catch (error) {
     console.error('Update ticket error:', error);
@@ -288,6 +377,129 @@ router.put('/:id', requireAdmin, async (req, res) => {
   }
 });
 
+// GET /:id/transfers - 譲渡履歴（新しい順）
+router.get('/:id/transfers', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id) || id < 1) {
+      return res.status(400).json({
+        success: false,
+        error: '無効なIDです'
+      });
+    }
+
+    const transfers = await ticketTransferModel.findByTicketId(id);
+    res.json({ success: true, data: transfers });
+  } catch (error) {
+    console.error('Get ticket transfers error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /:id/transfer - 別の会員にチケットを譲渡（管理者のみ）
+// 譲渡したチケットは譲渡元の手元に残るv1コードでは受付できなくなる（routes/checkin.js）
+// body: { to_email | to_card_no, note }
+router.post('/:id/transfer', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id) || id < 1) {
+      return res.status(400).json({
+        success: false,
+        error: '無効なIDです'
+      });
+    }
+
+    const toEmail = (req.body.to_email || '').trim();
+    const toCardNo = (req.body.to_card_no || '').trim();
+    if (!toEmail && !toCardNo) {
+      return res.status(400).json({
+        success: false,
+        error: '譲渡先のメールアドレスまたはFWJカード番号を指定してください'
+      });
+    }
+
+    const before = await ticketModel.findById(id);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'チケットが見つかりません'
+      });
+    }
+
+    if (before.used_at) {
+      return res.status(409).json({
+        success: false,
+        error: '使用済みのチケットは譲渡できません'
+      });
+    }
+    if (before.is_usable !== 'TRUE') {
+      return res.status(409).json({
+        success: false,
+        error: '無効なチケットは譲渡できません'
+      });
+    }
+
+    const doorsOpenAt = await findDoorsOpenAt(before);
+    if (doorsOpenAt && Date.now() > doorsOpenAt.getTime() - TRANSFER_CUTOFF_HOURS * 60 * 60 * 1000) {
+      return res.status(409).json({
+        success: false,
+        error: `開場の${TRANSFER_CUTOFF_HOURS}時間前を過ぎたため譲渡できません`,
+        doorsOpenAt
+      });
+    }
+
+    const memberModel = new Member();
+    const recipient = toEmail ? await memberModel.findByEmail(toEmail) : await memberModel.findByFwjCardNo(toCardNo);
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        error: '譲渡先の会員が見つかりません'
+      });
+    }
+
+    const fromShopifyId = before.owner_shopify_id;
+    const toShopifyId = String(recipient.shopify_id);
+    if (fromShopifyId === toShopifyId) {
+      return res.status(400).json({
+        success: false,
+        error: '譲渡先が現在の所有者と同じです'
+      });
+    }
+
+    // 確認中にチェックイン・他の譲渡が行われた場合は更新されない
+    const after = await ticketModel.transferOwner(id, fromShopifyId, toShopifyId);
+    if (!after) {
+      return res.status(409).json({
+        success: false,
+        error: 'チケットの状態が変更されたため譲渡できませんでした。再読み込みしてください'
+      });
+    }
+
+    const note = (req.body.note || '').trim();
+    const transfer = await ticketTransferModel.create({
+      ticket_id: id,
+      from_shopify_id: fromShopifyId,
+      to_shopify_id: toShopifyId,
+      to_email: recipient.email,
+      note,
+      staff_email: req.session.user.email
+    });
+
+    await auditLogModel.record(req, 'tickets', id, 'transfer', before, after);
+    notifyTransfer(after, fromShopifyId, toShopifyId);
+
+    res.json({
+      success: true,
+      message: 'チケットを譲渡しました。譲渡後は会員アプリのQRコード（v2コード）でのみ受付できます',
+      data: after,
+      transfer
+    });
+  } catch (error) {
+    console.error('Transfer ticket error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // DELETE /:id - チケット削除（管理者のみ）
 router.delete('/:id', requireAdmin, async (req, res) => {
   try {
@@ -299,11 +511,14 @@ router.delete('/:id', requireAdmin, async (req, res) => {
       });
     }
 
+    const before = await ticketModel.findById(id);
     const result = await ticketModel.deleteById(id);
     if (!result.success) {
       return res.status(400).json(result);
     }
 
+    await auditLogModel.record(req, 'tickets', id, 'delete', before, null);
+
     res.json({ success: true, message: 'チケットを削除しました' });
   } catch (error) {
     console.error('Delete ticket error:', error);
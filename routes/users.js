@@ -1,9 +1,11 @@
 const express = require('express');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
 const { requireAuth, requireAdmin, checkAuth } = require('../middleware/auth');
 const router = express.Router();
 
 const userModel = new User();
+const auditLogModel = new AuditLog();
 
 router.get('/', requireAuth, async (req, res) => {
   try {
@@ -43,6 +45,7 @@ router.post('/', requireAdmin, async (req, res) => {
   try {
     const result = await userModel.createUser(req.body);
     if (result.success) {
+      await auditLogModel.record(req, 'users', result.data.id, 'create', null, result.data);
       res.status(201).json(result);
     } else {
       res.status(400).json(result);
@@ -85,8 +88,10 @@ router.put('/:id', requireAuth, async (req, res) => {
       delete updateData.password;
     }
 
+    const before = await userModel.findById(req.params.id);
     const result = await userModel.update(req.params.id, updateData);
     if (result.success) {
+      await auditLogModel.record(req, 'users', req.params.id, 'update', before, result.data);
       res.json(result);
     } else {
       res.status(400).json(result);
@@ -98,8 +103,10 @@ router.put('/:id', requireAuth, async (req, res) => {
 
 router.delete('/:id', requireAdmin, async (req, res) => {
   try {
+    const before = await userModel.findById(req.params.id);
     const result = await userModel.deleteById(req.params.id);
     if (result.success) {
+      await auditLogModel.record(req, 'users', req.params.id, 'delete', before, null);
       res.json({ success: true, message: 'ユーザーを削除しました' });
     } else {
       res.status(404).json(result);
@@ -2,14 +2,336 @@ const express = require('express');
 const router = express.Router();
 const ShopifyService = require('../services/shopify');
 const Ticket = require('../models/Ticket');
+const Member = require('../models/Member');
+const Order = require('../models/Order');
+const Registration = require('../models/Registration');
+const ContestClass = require('../models/ContestClass');
+const ContestCapacity = require('../models/ContestCapacity');
+const Guest = require('../models/Guest');
+const AuditLog = require('../models/AuditLog');
+const WebhookEvent = require('../models/WebhookEvent');
+const { buildCapacityReport } = require('../utils/capacity');
+const { requireAdmin } = require('../middleware/auth');
+
+const webhookEventModel = new WebhookEvent();
+
+// 会員として同期する顧客のタグ（/api/members/sync と同じ）
+const MEMBER_TAG = 'FWJカード会員';
+
+// 注文のタグを配列に変換
+function orderTags(order) {
+  return (order.tags || '').split(',').map(t => t.trim()).filter(t => t !== '');
+}
+
+// 商品名からコンテストエントリーの大会名を取得（例: '○○大会 コンテストエントリー' → '○○大会'）
+function contestNameFromEntryTitle(title) {
+  return (title || '').replace(/コンテストエントリー.*$/, '').trim();
+}
+
+// チケット（snake_case）の tag1〜tag10 を配列に変換
+function ticketTags(ticket) {
+  const tags = [];
+  for (let i = 1; i <= 10; i++) {
+    if (ticket[`tag${i}`]) tags.push(ticket[`tag${i}`]);
+  }
+  return tags;
+}
+
+/**
+ * 注文のチケットが該当する大会・バリエーションのうち、定員を超えているものを取得
+ * 定員が設定されている (大会, バリエーション) のみ確認する
+ * @param {Ticket} ticket - チケットモデル
+ * @param {string} orderNo - 注文番号
+ * @returns {Promise<Array>} [{ contest_name, variant, capacity, total, over }]
+ */
+async function findCapacityWarnings(ticket, orderNo) {
+  const capacityModel = new ContestCapacity();
+  const capacities = await capacityModel.findAll();
+  if (capacities.length === 0) return [];
+
+  const orderTickets = (await ticket.findByOrderNo(orderNo))
+    .filter(t => t.is_usable === 'TRUE' || t.used_at);
+
+  // 大会名 → 注文に含まれるバリエーション
+  const targets = new Map();
+  for (const capacity of capacities) {
+    const contestKey = capacity.contest_name.toLowerCase();
+    const hit = orderTickets.some(t =>
+      t.variant === capacity.variant && ticketTags(t).some(tag => tag.toLowerCase() === contestKey)
+    );
+    if (!hit) continue;
+    if (!targets.has(capacity.contest_name)) targets.set(capacity.contest_name, new Set());
+    targets.get(capacity.contest_name).add(capacity.variant);
+  }
+
+  const guestModel = new Guest();
+  const warnings = [];
+  for (const [contestName, variants] of targets) {
+    const [contestCapacities, ticketCounts, guestCounts] = await Promise.all([
+      capacityModel.findByContestName(contestName),
+      ticket.getCapacityCounts(contestName),
+      guestModel.getTicketCountsByType(contestName),
+    ]);
+    const { rows } = buildCapacityReport({ capacities: contestCapacities, ticketCounts, guestCounts });
+    rows
+      .filter(row => row.status === 'over' && variants.has(row.variant))
+      .forEach(row => warnings.push({
+        contest_name: contestName,
+        variant: row.variant,
+        capacity: row.capacity,
+        total: row.total,
+        over: row.total - row.capacity,
+      }));
+  }
+  return warnings;
+}
+
+/**
+ * モデルの処理結果が失敗なら例外にする
+ * Ticket のメソッドはエラーを返り値（{ success: false, error }）で返すため、そのままでは処理済みとして記録され、Shopifyも再送しない
+ * @private
+ */
+function ensureSuccess(result, operation) {
+  if (result && result.success === false) {
+    throw new Error(`${operation} failed: ${result.error || 'unknown error'}`);
+  }
+  return result;
+}
+
+/**
+ * orders/create, orders/paid, orders/updated
+ * チケット対象の注文のチケットを作成・更新する（キャンセル済みなら削除）
+ */
+async function handleOrder(order) {
+  console.log(`[Webhook] Order: ${order.name}, Tags: ${order.tags || 'none'}`);
+
+  // チケット対象の注文かチェック（ペイロードのtagsから判定）
+  const tags = orderTags(order);
+  const isTicketOrder = tags.some(t => t.toLowerCase() === '観戦チケット'.toLowerCase());
+  const isContestEntry = tags.some(t => t.toLowerCase() === 'コンテストエントリー'.toLowerCase());
+
+  if (!isTicketOrder && !isContestEntry) {
+    console.log('[Webhook] Not a ticket order (no relevant tag), skipped');
+    return { message: 'Not a ticket order, skipped' };
+  }
+
+  // キャンセル済みの場合は該当注文のチケットを削除
+  const ticket = new Ticket();
+  if (order.cancelled_at) {
+    console.log(`[Webhook] Order ${order.name} is cancelled, deleting tickets...`);
+    const result = ensureSuccess(await ticket.deleteByOrderNo(order.name), 'deleteByOrderNo');
+    console.log(`[Webhook] Delete result:`, result);
+    return { success: true, result };
+  }
+
+  // タグに応じてupsert（両方のタグを持つ場合は両方処理）
+  const results = {};
+  if (isTicketOrder) {
+    results.ticket = ensureSuccess(await ticket.upsertByOrder(order), 'upsertByOrder');
+    console.log(`[Webhook] Upsert ticket result:`, results.ticket);
+  }
+  if (isContestEntry) {
+    results.contestEntry = ensureSuccess(await ticket.upsertContestEntryTickets(order), 'upsertContestEntryTickets');
+    console.log(`[Webhook] Upsert contest entry result:`, results.contestEntry);
+  }
+
+  // 定員超過の警告（チケットの作成・更新は取り消さない）
+  try {
+    const warnings = await findCapacityWarnings(ticket, order.name);
+    if (warnings.length > 0) {
+      results.capacityWarnings = warnings;
+      warnings.forEach(w => {
+        console.warn(`[Webhook] Capacity exceeded: ${w.contest_name} ${w.variant} ${w.total}/${w.capacity} (order ${order.name})`);
+      });
+    }
+  } catch (error) {
+    console.error('[Webhook] Capacity check failed:', error);
+  }
+
+  return { success: true, results };
+}
+
+/**
+ * 全額返金されたコンテストエントリーに対応する出場登録をソフトデリート
+ * 出場登録は (Shopify顧客ID, 大会名, クラス名) で特定する
+ * @private
+ */
+async function softDeleteRefundedRegistrations(req, shopifyCustomerId, lineItem) {
+  const registrationModel = new Registration();
+  const contestClassModel = new ContestClass();
+
+  const contestName = contestNameFromEntryTitle(lineItem.title);
+  const variant = (lineItem.variantTitle || '').trim();
+
+  const candidates = (await registrationModel.findByFwjCard(shopifyCustomerId))
+    .filter(reg => reg.contest_name.trim().toLowerCase() === contestName.toLowerCase());
+  if (candidates.length === 0) return [];
+
+  const classes = await contestClassModel.findByContestName(candidates[0].contest_name);
+  const cls = contestClassModel.matchVariant(classes, variant);
+  const classNames = new Set([variant, cls ? cls.class_name : null].filter(Boolean));
+
+  const targets = candidates.filter(reg =>
+    (cls && reg.class_id === cls.id) || classNames.has(reg.class_name)
+  );
+  if (targets.length === 0) return [];
+
+  await registrationModel.batchSoftDelete(targets.map(reg => reg.id));
+  await new AuditLog().recordMany(req, 'registrations', targets.map(reg => ({
+    entityId: reg.id,
+    action: 'soft_delete',
+    changes: { isValid: { from: 'TRUE', to: 'FALSE' } }
+  })));
+
+  return targets.map(reg => ({ id: reg.id, contest_name: reg.contest_name, class_name: reg.class_name, name_ja: reg.name_ja }));
+}
+
+/**
+ * refunds/create
+ * 返金されたラインアイテムのチケットを返金数量分だけ無効化し、
+ * コンテストエントリーが全額返金された場合は招待チケットと出場登録も無効化する
+ */
+async function handleRefund(refund, req) {
+  const refundLineItems = refund.refund_line_items || [];
+  console.log(`[Webhook] Refund ${refund.id} for order ${refund.order_id}: ${refundLineItems.length} line items`);
+
+  if (refundLineItems.length === 0) {
+    return { message: 'No refunded line items, skipped' };
+  }
+
+  // 返金のペイロードには顧客・注文番号が含まれないため、注文を取得する
+  const shopifyService = new ShopifyService();
+  const order = await shopifyService.getOrderById(refund.order_id);
+  if (!order) {
+    throw new Error(`Order ${refund.order_id} not found`);
+  }
+
+  const orderNo = order.name;
+  const shopifyCustomerId = order.customer?.id?.replace('gid://shopify/Customer/', '') || '';
+  const currentLineItems = new Map(
+    (order.lineItems?.edges || []).map(edge => [edge.node.id.replace('gid://shopify/LineItem/', ''), edge.node])
+  );
+
+  const ticket = new Ticket();
+  const orderModel = new Order();
+  const results = [];
+
+  for (const refundLineItem of refundLineItems) {
+    const lineItemId = String(refundLineItem.line_item_id);
+    const quantity = parseInt(refundLineItem.quantity, 10) || 0;
+    const lineItem = currentLineItems.get(lineItemId);
+    const title = lineItem ? lineItem.title : (refundLineItem.line_item?.title || '');
+    const currentQuantity = lineItem ? lineItem.currentQuantity : null;
+
+    const result = { line_item_id: lineItemId, title, quantity };
+    const isFullEntryRefund = title.includes('コンテストエントリー') && currentQuantity !== null && currentQuantity <= 0;
+
+    // チケットの無効化を先に行い、失敗した場合は注文数量・出場登録を変更せずにイベントを失敗として記録する（再実行できる）
+    // 観戦チケット
+    const invalidated = ensureSuccess(await ticket.invalidateByLineItem(lineItemId, quantity), 'invalidateByLineItem');
+    result.ticketsInvalidated = invalidated.invalidated;
+
+    // コンテストエントリーが全額返金された場合の招待チケット
+    if (isFullEntryRefund) {
+      const entryTickets = ensureSuccess(await ticket.invalidateContestEntryTickets(orderNo, lineItemId), 'invalidateContestEntryTickets');
+      result.ticketsInvalidated += entryTickets.invalidated;
+    }
+
+    // Ordersテーブルの数量を返金後の値に更新（出場登録のShopify同期で返金として扱われる）
+    if (currentQuantity !== null && await orderModel.findByLineItemId(lineItemId)) {
+      ensureSuccess(await orderModel.updateCurrentQuantity(lineItemId, currentQuantity), 'updateCurrentQuantity');
+    }
+
+    // コンテストエントリーが全額返金された場合は出場登録も無効化
+    if (isFullEntryRefund) {
+      result.registrationsDeleted = shopifyCustomerId
+        ? await softDeleteRefundedRegistrations(req, shopifyCustomerId, lineItem)
+        : [];
+    }
+
+    console.log(`[Webhook] Refund line item ${lineItemId}:`, result);
+    results.push(result);
+  }
+
+  return { success: true, orderNo, results };
+}
+
+/**
+ * customers/update
+ * 会員タグを持つ顧客の情報を members にアップサートする
+ */
+async function handleCustomerUpdate(customer) {
+  console.log(`[Webhook] Customer: ${customer.id}`);
+
+  // ペイロードには metafields（FWJカード情報）が含まれないため、GraphQL で取得し直す
+  const shopifyService = new ShopifyService();
+  const fullCustomer = await shopifyService.getCustomerById(customer.id);
+  if (!fullCustomer) {
+    throw new Error(`Customer ${customer.id} not found`);
+  }
+
+  if (!(fullCustomer.tags || []).includes(MEMBER_TAG)) {
+    console.log(`[Webhook] Customer ${customer.id} does not have ${MEMBER_TAG} tag, skipped`);
+    return { message: `Not a member (no ${MEMBER_TAG} tag), skipped` };
+  }
+
+  const memberModel = new Member();
+  const result = await memberModel.upsertFromShopify([shopifyService.formatCustomerForSheet(fullCustomer)]);
+  console.log(`[Webhook] Upsert member result:`, result);
+
+  return { success: true, result };
+}
+
+// トピック（URLの :topic）→ 処理
+const TOPIC_HANDLERS = {
+  'orders-create': handleOrder,
+  'orders-paid': handleOrder,
+  'orders-updated': handleOrder,
+  'refunds-create': handleRefund,
+  'customers-update': handleCustomerUpdate,
+};
+
+/**
+ * 記録済みのWebhookイベントを処理して結果を記録
+ * 処理済み・処理中のイベントは処理しない（Shopifyの再送による二重処理を防ぐ）
+ * @param {number} eventId
+ * @param {Object} req - Expressのリクエスト（監査ログ用）
+ * @returns {Promise<Object>} { success, duplicate, result, error }
+ */
+async function processEvent(eventId, req) {
+  const event = await webhookEventModel.claim(eventId);
+  if (!event) {
+    return { success: true, duplicate: true };
+  }
+
+  try {
+    const handler = TOPIC_HANDLERS[event.topic];
+    if (!handler) {
+      throw new Error(`Topic ${event.topic} is not supported`);
+    }
+
+    const result = await handler(JSON.parse(event.payload), req);
+    await webhookEventModel.markProcessed(event.id, result);
+    return { success: true, result };
+  } catch (error) {
+    console.error(`[Webhook] Error processing event ${event.id} (${event.topic}):`, error);
+    try {
+      await webhookEventModel.markFailed(event.id, error.message);
+    } catch (markError) {
+      console.error(`[Webhook] Failed to record error for event ${event.id}:`, markError);
+    }
+    return { success: false, error: error.message };
+  }
+}
 
 // Shopify Webhook受信
 router.post('/shopify/:topic', async (req, res) => {
   const topic = req.params.topic;
   const hmac = req.get('X-Shopify-Hmac-SHA256');
+  const webhookId = req.get('X-Shopify-Webhook-Id');
   const shopifyService = new ShopifyService();
 
-  console.log(`[Webhook] Received: ${topic}`);
+  console.log(`[Webhook] Received: ${topic} (${webhookId || 'no webhook id'})`);
 
   // 1. 署名検証
   if (!shopifyService.verifyWebhookSignature(req.body, hmac)) {
@@ -17,51 +339,80 @@ router.post('/shopify/:topic', async (req, res) => {
     return res.status(401).json({ error: 'Invalid signature' });
   }
 
+  // 2. 対応していないトピックは無視
+  if (!TOPIC_HANDLERS[topic]) {
+    console.log(`[Webhook] Topic ${topic} is not supported, skipped`);
+    return res.status(200).json({ message: `Topic ${topic} is not supported` });
+  }
+
+  // 3. 受信内容を記録（記録できない場合はShopifyに再送させる）
+  let event;
   try {
-    // 2. JSONパース
-    const order = JSON.parse(req.body.toString());
-    console.log(`[Webhook] Order: ${order.name}, Tags: ${order.tags || 'none'}`);
-
-    // 3. orders-updated 以外は無視
-    if (topic !== 'orders-updated') {
-      console.log(`[Webhook] Topic ${topic} is not supported, skipped`);
-      return res.status(200).json({ message: `Topic ${topic} is not supported` });
-    }
+    event = await webhookEventModel.receive(webhookId, topic, req.body.toString());
+  } catch (error) {
+    console.error('[Webhook] Failed to store event:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
 
-    // 4. チケット対象の注文かチェック（ペイロードのtagsから判定）
-    const tags = (order.tags || '').split(',').map(t => t.trim());
-    const isTicketOrder = tags.some(t => t.toLowerCase() === '観戦チケット'.toLowerCase());
-    const isContestEntry = tags.some(t => t.toLowerCase() === 'コンテストエントリー'.toLowerCase());
+  // 4. 処理（処理済みの再送はスキップ、失敗時は500を返してShopifyに再送させる）
+  const outcome = await processEvent(event.id, req);
+  if (outcome.duplicate) {
+    console.log(`[Webhook] Event ${event.id} was already ${event.status}, skipped`);
+    return res.status(200).json({ success: true, message: 'Already processed', eventId: event.id });
+  }
 
-    if (!isTicketOrder && !isContestEntry) {
-      console.log('[Webhook] Not a ticket order (no relevant tag), skipped');
-      return res.status(200).json({ message: 'Not a ticket order, skipped' });
+  res.status(outcome.success ? 200 : 500).json({ eventId: event.id, ...outcome });
+});
+
+// GET /events - Webhookイベント一覧（?status=failed で失敗したイベントのみ）
+router.get('/events', requireAdmin, async (req, res) => {
+  try {
+    const { status, topic, limit = 100 } = req.query;
+    const data = await webhookEventModel.findAll({ status, topic }, Math.min(parseInt(limit, 10) || 100, 500));
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Webhook events fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /events/:id - Webhookイベントの詳細（ペイロードを含む）
+router.get('/events/:id', requireAdmin, async (req, res) => {
+  try {
+    const event = await webhookEventModel.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'イベントが見つかりません' });
     }
+    res.json({ success: true, data: event });
+  } catch (error) {
+    console.error('Webhook event fetch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // 5. キャンセル済みの場合は該当注文のチケットを削除
-    const ticket = new Ticket();
-    if (order.cancelled_at) {
-      console.log(`[Webhook] Order ${order.name} is cancelled, deleting tickets...`);
-      const result = await ticket.deleteByOrderNo(order.name);
-      console.log(`[Webhook] Delete result:`, result);
-      return res.status(200).json({ success: true, result });
+// POST /events/:id/replay - 失敗したWebhookイベントを再実行
+router.post('/events/:id/replay', requireAdmin, async (req, res) => {
+  try {
+    const event = await webhookEventModel.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'イベントが見つかりません' });
     }
 
-    // 6. タグに応じてupsert（両方のタグを持つ場合は両方処理）
-    const results = {};
-    if (isTicketOrder) {
-      results.ticket = await ticket.upsertByOrder(order);
-      console.log(`[Webhook] Upsert ticket result:`, results.ticket);
+    const outcome = await processEvent(event.id, req);
+    if (outcome.duplicate) {
+      return res.status(409).json({
+        success: false,
+        error: event.status === 'processed' ? '処理済みのイベントは再実行できません' : 'イベントは処理中です'
+      });
     }
-    if (isContestEntry) {
-      results.contestEntry = await ticket.upsertContestEntryTickets(order);
-      console.log(`[Webhook] Upsert contest entry result:`, results.contestEntry);
+    if (!outcome.success) {
+      return res.status(500).json({ success: false, error: outcome.error });
     }
 
-    res.status(200).json({ success: true, results });
+    res.json({ success: true, data: await webhookEventModel.findById(event.id) });
   } catch (error) {
-    console.error('[Webhook] Error processing webhook:', error);
-    res.status(200).json({ success: false, error: error.message });
+    console.error('Webhook event replay error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
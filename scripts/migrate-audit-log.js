@@ -0,0 +1,56 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateAuditLog() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Creating audit_log table...');
+
+  // audit_log テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id SERIAL PRIMARY KEY,
+      entity VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(50) NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      changes TEXT,
+      actor_id VARCHAR(50),
+      actor_email VARCHAR(255),
+      origin_ip VARCHAR(100),
+      user_agent VARCHAR(500),
+      request_path VARCHAR(500),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+  console.log('audit_log table created.');
+
+  // インデックス作成
+  console.log('Creating indexes...');
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id)
+  `;
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_audit_log_actor_email ON audit_log(actor_email)
+  `;
+
+  console.log('Indexes created.');
+
+  // 確認
+  const columns = await sql`
+    SELECT column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_name = 'audit_log'
+    ORDER BY ordinal_position
+  `;
+
+  console.log('\n=== audit_log table columns ===');
+  columns.forEach(col => {
+    console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+  });
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateAuditLog().catch(console.error);
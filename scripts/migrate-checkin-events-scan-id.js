@@ -0,0 +1,21 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateCheckinEventsScanId() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  // オフライン受付の再送を判定するため、端末側の受付IDを記録する
+  console.log('Adding scan_id to checkin_events...');
+  await sql`ALTER TABLE checkin_events ADD COLUMN IF NOT EXISTS scan_id VARCHAR(100)`;
+  console.log('✓ scan_id');
+
+  console.log('Creating indexes...');
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_checkin_events_scan_id ON checkin_events(scan_id)
+  `;
+  console.log('Indexes created.');
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateCheckinEventsScanId().catch(console.error);
@@ -0,0 +1,60 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateCheckinEvents() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Creating checkin_events table...');
+
+  // checkin_events テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS checkin_events (
+      id SERIAL PRIMARY KEY,
+      ticket_id INTEGER,
+      contest_name VARCHAR(255),
+      action VARCHAR(20) NOT NULL,
+      result VARCHAR(30) NOT NULL,
+      code VARCHAR(30),
+      message TEXT,
+      staff_id VARCHAR(50),
+      staff_email VARCHAR(255),
+      device_id VARCHAR(100),
+      gate VARCHAR(100),
+      scanned_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+  console.log('checkin_events table created.');
+
+  // インデックス作成
+  console.log('Creating indexes...');
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_checkin_events_ticket_id ON checkin_events(ticket_id)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_checkin_events_contest_name ON checkin_events(contest_name)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_checkin_events_scanned_at ON checkin_events(scanned_at)
+  `;
+
+  console.log('Indexes created.');
+
+  // 確認
+  const columns = await sql`
+    SELECT column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_name = 'checkin_events'
+    ORDER BY ordinal_position
+  `;
+
+  console.log('\n=== checkin_events table columns ===');
+  columns.forEach(col => {
+    console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+  });
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateCheckinEvents().catch(console.error);
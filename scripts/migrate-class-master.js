@@ -0,0 +1,45 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrate() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Adding class master columns...\n');
+
+  // contest_classes テーブル（migrate-contest-classes.js 実行済みの環境向け）
+  console.log('=== contest_classes table ===');
+  const classAlterStatements = [
+    `ALTER TABLE contest_classes ADD COLUMN IF NOT EXISTS shopify_variant VARCHAR(255)`,
+    `ALTER TABLE contest_classes ADD COLUMN IF NOT EXISTS sex VARCHAR(10)`,
+    `ALTER TABLE contest_classes ADD COLUMN IF NOT EXISTS min_age INTEGER`,
+    `ALTER TABLE contest_classes ADD COLUMN IF NOT EXISTS max_age INTEGER`,
+    `ALTER TABLE contest_classes ADD COLUMN IF NOT EXISTS min_height REAL`,
+    `ALTER TABLE contest_classes ADD COLUMN IF NOT EXISTS max_height REAL`,
+    `ALTER TABLE contest_classes ADD COLUMN IF NOT EXISTS min_weight REAL`,
+    `ALTER TABLE contest_classes ADD COLUMN IF NOT EXISTS max_weight REAL`,
+  ];
+
+  for (const stmt of classAlterStatements) {
+    try {
+      await sql(stmt);
+      console.log(`✓ ${stmt.split('ADD COLUMN IF NOT EXISTS ')[1].split(' ')[0]}`);
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+    }
+  }
+
+  // registrations テーブル
+  console.log('\n=== registrations table ===');
+  try {
+    await sql(`ALTER TABLE registrations ADD COLUMN IF NOT EXISTS class_id INTEGER`);
+    console.log(`✓ class_id`);
+    await sql(`CREATE INDEX IF NOT EXISTS idx_registrations_class_id ON registrations(class_id)`);
+    console.log(`✓ idx_registrations_class_id`);
+  } catch (error) {
+    console.error(`✗ Error: ${error.message}`);
+  }
+
+  console.log('\nMigration complete!');
+}
+
+migrate().catch(console.error);
@@ -0,0 +1,48 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateContestCapacities() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Creating contest_capacities table...');
+
+  // contest_capacities テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS contest_capacities (
+      id SERIAL PRIMARY KEY,
+      contest_name VARCHAR(255) NOT NULL,
+      variant VARCHAR(255) NOT NULL,
+      capacity INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CONSTRAINT unique_contest_capacities_contest_variant UNIQUE (contest_name, variant)
+    )
+  `;
+  console.log('contest_capacities table created.');
+
+  // インデックス作成
+  console.log('Creating indexes...');
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_contest_capacities_contest_name ON contest_capacities(contest_name)
+  `;
+
+  console.log('Indexes created.');
+
+  // 確認
+  const columns = await sql`
+    SELECT column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_name = 'contest_capacities'
+    ORDER BY ordinal_position
+  `;
+
+  console.log('\n=== contest_capacities table columns ===');
+  columns.forEach(col => {
+    console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+  });
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateContestCapacities().catch(console.error);
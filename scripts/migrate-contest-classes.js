@@ -0,0 +1,79 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateContestClasses() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Creating contest_classes table...');
+
+  // contest_classes テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS contest_classes (
+      id SERIAL PRIMARY KEY,
+      contest_name VARCHAR(255) NOT NULL,
+      class_name VARCHAR(255) NOT NULL,
+      shopify_variant VARCHAR(255),
+      sort_index INTEGER,
+      category VARCHAR(100),
+      sex VARCHAR(10),
+      min_age INTEGER,
+      max_age INTEGER,
+      min_height REAL,
+      max_height REAL,
+      min_weight REAL,
+      max_weight REAL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CONSTRAINT unique_contest_classes_contest_class UNIQUE (contest_name, class_name)
+    )
+  `;
+  console.log('contest_classes table created.');
+
+  console.log('Creating player_number_ranges table...');
+
+  // player_number_ranges テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS player_number_ranges (
+      id SERIAL PRIMARY KEY,
+      contest_name VARCHAR(255) NOT NULL,
+      category VARCHAR(100) NOT NULL,
+      start_no INTEGER NOT NULL,
+      end_no INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      CONSTRAINT unique_player_number_ranges_contest_category UNIQUE (contest_name, category)
+    )
+  `;
+  console.log('player_number_ranges table created.');
+
+  // インデックス作成
+  console.log('Creating indexes...');
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_contest_classes_contest_name ON contest_classes(contest_name)
+  `;
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_player_number_ranges_contest_name ON player_number_ranges(contest_name)
+  `;
+
+  console.log('Indexes created.');
+
+  // 確認
+  for (const tableName of ['contest_classes', 'player_number_ranges']) {
+    const columns = await sql`
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_name = ${tableName}
+      ORDER BY ordinal_position
+    `;
+
+    console.log(`\n=== ${tableName} table columns ===`);
+    columns.forEach(col => {
+      console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+    });
+  }
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateContestClasses().catch(console.error);
@@ -0,0 +1,55 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateGuestCheckins() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Creating guest_checkins table...');
+
+  // guest_checkins テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS guest_checkins (
+      id SERIAL PRIMARY KEY,
+      guest_id INTEGER NOT NULL,
+      pass_no INTEGER NOT NULL,
+      staff_email VARCHAR(255),
+      checked_in_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      CONSTRAINT unique_guest_checkins_guest_pass UNIQUE (guest_id, pass_no)
+    )
+  `;
+  console.log('guest_checkins table created.');
+
+  // checkin_events テーブル（migrate-checkin-events.js 実行済みの環境向け）
+  console.log('Adding guest_id to checkin_events...');
+  await sql`ALTER TABLE checkin_events ADD COLUMN IF NOT EXISTS guest_id INTEGER`;
+  console.log('✓ guest_id');
+
+  // インデックス作成
+  console.log('Creating indexes...');
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_guest_checkins_guest_id ON guest_checkins(guest_id)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_checkin_events_guest_id ON checkin_events(guest_id)
+  `;
+
+  console.log('Indexes created.');
+
+  // 確認
+  const columns = await sql`
+    SELECT column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_name = 'guest_checkins'
+    ORDER BY ordinal_position
+  `;
+
+  console.log('\n=== guest_checkins table columns ===');
+  columns.forEach(col => {
+    console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+  });
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateGuestCheckins().catch(console.error);
@@ -0,0 +1,55 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateGuestMails() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Creating guest_mails table...');
+
+  // guest_mails テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS guest_mails (
+      id SERIAL PRIMARY KEY,
+      guest_id INTEGER NOT NULL,
+      template VARCHAR(50) NOT NULL,
+      to_address VARCHAR(255) NOT NULL,
+      subject VARCHAR(500) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      message_id VARCHAR(255),
+      error TEXT,
+      staff_email VARCHAR(255),
+      sent_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      bounced_at TIMESTAMP
+    )
+  `;
+  console.log('guest_mails table created.');
+
+  // インデックス作成
+  console.log('Creating indexes...');
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_guest_mails_guest_id ON guest_mails(guest_id)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_guest_mails_message_id ON guest_mails(message_id)
+  `;
+
+  console.log('Indexes created.');
+
+  // 確認
+  const columns = await sql`
+    SELECT column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_name = 'guest_mails'
+    ORDER BY ordinal_position
+  `;
+
+  console.log('\n=== guest_mails table columns ===');
+  columns.forEach(col => {
+    console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+  });
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateGuestMails().catch(console.error);
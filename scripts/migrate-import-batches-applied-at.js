@@ -0,0 +1,30 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateImportBatchesAppliedAt() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  // import_batches にインポート完了日時を追加
+  console.log('Adding applied_at to import_batches...');
+  await sql`
+    ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS applied_at TIMESTAMP
+  `;
+  console.log('applied_at added.');
+
+  // 既存のバッチは最後に記録した行の日時（行がなければ作成日時）から1分後を完了日時とみなす
+  // （変更前の値は書き込みの直前に記録しているため、少し余裕を持たせる）
+  const updated = await sql`
+    UPDATE import_batches
+    SET applied_at = COALESCE(
+      (SELECT MAX(created_at) FROM import_batch_items WHERE batch_id = import_batches.id),
+      import_batches.created_at
+    ) + INTERVAL '1 minute'
+    WHERE applied_at IS NULL
+    RETURNING id
+  `;
+  console.log(`Backfilled applied_at for ${updated.length} batches.`);
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateImportBatchesAppliedAt().catch(console.error);
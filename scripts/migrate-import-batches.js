@@ -0,0 +1,71 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateImportBatches() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Creating import_batches table...');
+
+  // import_batches テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS import_batches (
+      id SERIAL PRIMARY KEY,
+      kind VARCHAR(50) NOT NULL,
+      contest_name VARCHAR(255),
+      status VARCHAR(20) NOT NULL DEFAULT 'applied',
+      created_by VARCHAR(255),
+      rolled_back_by VARCHAR(255),
+      rolled_back_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+  console.log('import_batches table created.');
+
+  console.log('Creating import_batch_items table...');
+
+  // import_batch_items テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS import_batch_items (
+      id SERIAL PRIMARY KEY,
+      batch_id INTEGER NOT NULL,
+      entity VARCHAR(50) NOT NULL,
+      entity_id INTEGER NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      pre_image TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+  console.log('import_batch_items table created.');
+
+  // インデックス作成
+  console.log('Creating indexes...');
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_import_batches_kind ON import_batches(kind)
+  `;
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_import_batch_items_batch_id ON import_batch_items(batch_id)
+  `;
+
+  console.log('Indexes created.');
+
+  // 確認
+  for (const tableName of ['import_batches', 'import_batch_items']) {
+    const columns = await sql`
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_name = ${tableName}
+      ORDER BY ordinal_position
+    `;
+
+    console.log(`\n=== ${tableName} table columns ===`);
+    columns.forEach(col => {
+      console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+    });
+  }
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateImportBatches().catch(console.error);
@@ -0,0 +1,43 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateImportPlans() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Creating import_plans table...');
+
+  // import_plans テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS import_plans (
+      id SERIAL PRIMARY KEY,
+      token VARCHAR(64) NOT NULL,
+      kind VARCHAR(50) NOT NULL,
+      contest_name VARCHAR(255),
+      contest_date VARCHAR(20),
+      plan TEXT NOT NULL,
+      created_by VARCHAR(255),
+      expires_at TIMESTAMP NOT NULL,
+      committed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      CONSTRAINT unique_import_plans_token UNIQUE (token)
+    )
+  `;
+  console.log('import_plans table created.');
+
+  // 確認
+  const columns = await sql`
+    SELECT column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_name = 'import_plans'
+    ORDER BY ordinal_position
+  `;
+
+  console.log('\n=== import_plans table columns ===');
+  columns.forEach(col => {
+    console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+  });
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateImportPlans().catch(console.error);
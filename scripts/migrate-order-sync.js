@@ -0,0 +1,46 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrate() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Adding order sync columns...\n');
+
+  // orders テーブル
+  console.log('=== orders table ===');
+  const orderAlterStatements = [
+    `ALTER TABLE orders ADD COLUMN IF NOT EXISTS shopify_updated_at TIMESTAMP`,
+    `ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at VARCHAR(30)`,
+  ];
+
+  for (const stmt of orderAlterStatements) {
+    try {
+      await sql(stmt);
+      console.log(`✓ ${stmt.split('ADD COLUMN IF NOT EXISTS ')[1].split(' ')[0]}`);
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+    }
+  }
+
+  // order_export_meta テーブル
+  console.log('\n=== order_export_meta table ===');
+  const metaAlterStatements = [
+    `ALTER TABLE order_export_meta ADD COLUMN IF NOT EXISTS sync_cursor TIMESTAMP`,
+    `ALTER TABLE order_export_meta ADD COLUMN IF NOT EXISTS inserted_count INTEGER DEFAULT 0`,
+    `ALTER TABLE order_export_meta ADD COLUMN IF NOT EXISTS updated_count INTEGER DEFAULT 0`,
+  ];
+
+  for (const stmt of metaAlterStatements) {
+    try {
+      await sql(stmt);
+      console.log(`✓ ${stmt.split('ADD COLUMN IF NOT EXISTS ')[1].split(' ')[0]}`);
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+    }
+  }
+
+  console.log('\nMigration complete!');
+  console.log('既存の注文データには sync_cursor がないため、次回の検索は全件取得になります。');
+}
+
+migrate().catch(console.error);
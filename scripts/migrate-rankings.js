@@ -0,0 +1,49 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateRankings() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  // contests にランキングのティアを追加
+  console.log('Adding ranking_tier to contests...');
+  await sql`
+    ALTER TABLE contests ADD COLUMN IF NOT EXISTS ranking_tier VARCHAR(50) NOT NULL DEFAULT ''
+  `;
+  console.log('ranking_tier added.');
+
+  console.log('Creating ranking_seasons table...');
+
+  // ranking_seasons テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS ranking_seasons (
+      id SERIAL PRIMARY KEY,
+      season VARCHAR(20) NOT NULL,
+      start_date VARCHAR(20) NOT NULL,
+      end_date VARCHAR(20) NOT NULL,
+      points_table TEXT NOT NULL,
+      tier_multipliers TEXT NOT NULL,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CONSTRAINT unique_ranking_seasons_season UNIQUE (season)
+    )
+  `;
+  console.log('ranking_seasons table created.');
+
+  // 確認
+  const columns = await sql`
+    SELECT column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_name = 'ranking_seasons'
+    ORDER BY ordinal_position
+  `;
+
+  console.log('\n=== ranking_seasons table columns ===');
+  columns.forEach(col => {
+    console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+  });
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateRankings().catch(console.error);
@@ -0,0 +1,81 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateSeatMaps() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Creating seat map tables...');
+
+  // seat_maps テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS seat_maps (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CONSTRAINT unique_seat_maps_name UNIQUE (name)
+    )
+  `;
+  console.log('seat_maps table created.');
+
+  // seats テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS seats (
+      id SERIAL PRIMARY KEY,
+      seat_map_id INTEGER NOT NULL,
+      section VARCHAR(50) NOT NULL,
+      row_label VARCHAR(20) NOT NULL,
+      seat_number INTEGER NOT NULL,
+      label VARCHAR(50) NOT NULL,
+      grade VARCHAR(100) NOT NULL,
+      priority INTEGER NOT NULL,
+      is_blocked BOOLEAN NOT NULL DEFAULT FALSE,
+      CONSTRAINT unique_seats_seat_map_label UNIQUE (seat_map_id, label)
+    )
+  `;
+  console.log('seats table created.');
+
+  // seat_grades テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS seat_grades (
+      id SERIAL PRIMARY KEY,
+      seat_map_id INTEGER NOT NULL,
+      grade VARCHAR(100) NOT NULL,
+      variant VARCHAR(255) NOT NULL,
+      CONSTRAINT unique_seat_grades_seat_map_variant UNIQUE (seat_map_id, variant)
+    )
+  `;
+  console.log('seat_grades table created.');
+
+  // インデックス作成
+  console.log('Creating indexes...');
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_seats_seat_map_id ON seats(seat_map_id)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_seat_grades_seat_map_id ON seat_grades(seat_map_id)
+  `;
+
+  console.log('Indexes created.');
+
+  // 確認
+  for (const tableName of ['seat_maps', 'seats', 'seat_grades']) {
+    const columns = await sql`
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_name = ${tableName}
+      ORDER BY ordinal_position
+    `;
+
+    console.log(`\n=== ${tableName} table columns ===`);
+    columns.forEach(col => {
+      console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+    });
+  }
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateSeatMaps().catch(console.error);
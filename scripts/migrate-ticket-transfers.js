@@ -0,0 +1,55 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateTicketTransfers() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Creating ticket_transfers table...');
+
+  // ticket_transfers テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS ticket_transfers (
+      id SERIAL PRIMARY KEY,
+      ticket_id INTEGER NOT NULL,
+      from_shopify_id VARCHAR(50) NOT NULL,
+      to_shopify_id VARCHAR(50) NOT NULL,
+      to_email VARCHAR(255),
+      note TEXT,
+      staff_email VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+  console.log('ticket_transfers table created.');
+
+  // インデックス作成
+  console.log('Creating indexes...');
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_ticket_transfers_ticket_id ON ticket_transfers(ticket_id)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_ticket_transfers_from_shopify_id ON ticket_transfers(from_shopify_id)
+  `;
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_ticket_transfers_to_shopify_id ON ticket_transfers(to_shopify_id)
+  `;
+
+  console.log('Indexes created.');
+
+  // 確認
+  const columns = await sql`
+    SELECT column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_name = 'ticket_transfers'
+    ORDER BY ordinal_position
+  `;
+
+  console.log('\n=== ticket_transfers table columns ===');
+  columns.forEach(col => {
+    console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+  });
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateTicketTransfers().catch(console.error);
@@ -0,0 +1,53 @@
+require('dotenv').config();
+const { neon } = require('@neondatabase/serverless');
+
+async function migrateWebhookEvents() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  console.log('Creating webhook_events table...');
+
+  // webhook_events テーブル作成
+  await sql`
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id SERIAL PRIMARY KEY,
+      webhook_id VARCHAR(100),
+      topic VARCHAR(100) NOT NULL,
+      payload TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'received',
+      error TEXT,
+      result TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      processed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CONSTRAINT unique_webhook_events_webhook_id UNIQUE (webhook_id)
+    )
+  `;
+  console.log('webhook_events table created.');
+
+  // インデックス作成
+  console.log('Creating indexes...');
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status)
+  `;
+
+  console.log('Indexes created.');
+
+  // 確認
+  const columns = await sql`
+    SELECT column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_name = 'webhook_events'
+    ORDER BY ordinal_position
+  `;
+
+  console.log('\n=== webhook_events table columns ===');
+  columns.forEach(col => {
+    console.log(`${col.column_name}: ${col.data_type} (nullable: ${col.is_nullable})`);
+  });
+
+  console.log('\nMigration completed successfully!');
+}
+
+migrateWebhookEvents().catch(console.error);
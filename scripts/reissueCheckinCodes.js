@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * チェックインコード再発行スクリプト
+ *
+ * 使用可能なチケットすべてのチェックインコード（v1）を、生成用の鍵（CHECKIN_ACTIVE_KEY）で作り直してCSVに出力する。
+ * 鍵を入れ替えた後、メール・印刷などアプリ以外で配布したコードを差し替えるために使う。
+ * （会員アプリのコードはfitness-appが同じ鍵で生成するため、fitness-app側の鍵の設定を合わせれば切り替わる）
+ *
+ * 使い方:
+ *   node scripts/reissueCheckinCodes.js [--contest 大会名] [--key 鍵の世代] [--out 出力ファイル]
+ *
+ * 例:
+ *   node scripts/reissueCheckinCodes.js --contest "2026 FWJ東京" --key 1
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const Ticket = require('../models/Ticket');
+const { generateCheckinCode, verifyCheckinCode, getActiveKey } = require('../utils/checkin-code');
+
+const CSV_HEADERS = ['ticket_id', 'order_no', 'shopify_id', 'full_name', 'email', 'product_name', 'variant', 'reserved_seat', 'code'];
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--contest') options.contest = argv[++i];
+    else if (arg === '--key') options.key = argv[++i];
+    else if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`不明な引数: ${arg}`);
+  }
+  return options;
+}
+
+function printUsage() {
+  console.log('チェックインコード再発行スクリプト');
+  console.log('');
+  console.log('使い方:');
+  console.log('  node scripts/reissueCheckinCodes.js [--contest 大会名] [--key 鍵の世代] [--out 出力ファイル]');
+  console.log('');
+  console.log('引数:');
+  console.log('  --contest  対象の大会名 (省略時: すべての大会)');
+  console.log('  --key      生成に使う鍵の世代 (省略時: CHECKIN_ACTIVE_KEY)');
+  console.log('  --out      出力ファイル (省略時: checkin-codes_k<鍵の世代>_<日付>.csv)');
+}
+
+function escapeCsv(value) {
+  const str = value == null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+async function reissueCheckinCodes() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error('エラー:', error.message);
+    printUsage();
+    process.exit(1);
+  }
+
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  if (options.key !== undefined) {
+    process.env.CHECKIN_ACTIVE_KEY = options.key;
+  }
+
+  const key = getActiveKey();
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const out = options.out || `checkin-codes_k${key.version}_${date}.csv`;
+
+  console.log('=== チェックインコード再発行 ===');
+  console.log('');
+  console.log('  大会名:', options.contest || '（すべて）');
+  console.log('  鍵の世代:', key.version);
+  console.log('');
+
+  const ticketModel = new Ticket();
+  const tickets = await ticketModel.findUsable(options.contest);
+  console.log(`使用可能なチケット: ${tickets.length}件`);
+
+  const lines = [CSV_HEADERS.join(',')];
+  for (const ticket of tickets) {
+    const code = generateCheckinCode(ticket.id);
+
+    // 生成したコードが検証を通ることを確認（鍵の設定ミスを出力前に検出する）
+    const verification = verifyCheckinCode(code);
+    if (!verification.valid || verification.ticketId !== ticket.id) {
+      throw new Error(`チケット ${ticket.id} のコード検証に失敗しました: ${verification.error}`);
+    }
+
+    lines.push([
+      ticket.id,
+      ticket.order_no,
+      ticket.shopify_id,
+      ticket.full_name,
+      ticket.email,
+      ticket.product_name,
+      ticket.variant,
+      ticket.reserved_seat,
+      code,
+    ].map(escapeCsv).join(','));
+  }
+
+  // Excelで文字化けしないようBOM付きで出力
+  fs.writeFileSync(out, '\uFEFF' + lines.join('\r\n') + '\r\n');
+
+  console.log('');
+  console.log(`✓ ${tickets.length}件のコードを ${out} に出力しました`);
+}
+
+reissueCheckinCodes()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('エラー:', error.message);
+    process.exit(1);
+  });
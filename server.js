@@ -18,6 +18,12 @@ const orderRoutes = require('./routes/orders');
 const checkinRoutes = require('./routes/checkin');
 const ticketRoutes = require('./routes/tickets');
 const webhookRoutes = require('./routes/webhooks');
+const importRoutes = require('./routes/imports');
+const auditRoutes = require('./routes/audit');
+const classRoutes = require('./routes/classes');
+const seatMapRoutes = require('./routes/seat-maps');
+const athleteRoutes = require('./routes/athletes');
+const rankingRoutes = require('./routes/rankings');
 const { checkAuth, requireIpRestriction } = require('./middleware/auth');
 const { sessionCompatibility } = require('./middleware/jwt');
 
@@ -137,6 +143,13 @@ app.use('/api/guests', requireIpRestriction);
 app.use('/api/members', requireIpRestriction);
 app.use('/api/orders', requireIpRestriction);
 app.use('/api/tickets', requireIpRestriction);
+app.use('/api/imports', requireIpRestriction);
+app.use('/api/audit', requireIpRestriction);
+app.use('/api/classes', requireIpRestriction);
+app.use('/api/seat-maps', requireIpRestriction);
+app.use('/api/athletes', requireIpRestriction);
+app.use('/api/rankings', requireIpRestriction);
+app.use('/api/webhooks/events', requireIpRestriction);
 
 // セッション互換性ミドルウェア（JWT対応）
 app.use(sessionCompatibility);
@@ -190,6 +203,18 @@ app.get('/tickets', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'tickets.html'));
 });
 
+app.get('/athletes', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'athletes.html'));
+});
+
+app.get('/rankings', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'rankings.html'));
+});
+
+app.get('/checkin-dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'checkin-dashboard.html'));
+});
+
 // チェックインページ（認証チェックはフロントエンドで行う）
 app.get('/checkin', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'checkin.html'));
@@ -214,6 +239,12 @@ app.use('/api/guests', guestRoutes);
 app.use('/api/members', memberRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/tickets', ticketRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/classes', classRoutes);
+app.use('/api/seat-maps', seatMapRoutes);
+app.use('/api/athletes', athleteRoutes);
+app.use('/api/rankings', rankingRoutes);
 
 // チェックインAPI（認証不要・IP制限なし）
 app.use('/api/checkin', checkinRoutes);
@@ -0,0 +1,72 @@
+require('dotenv').config();
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * メール送信が設定されているか（SMTP_HOST と MAIL_FROM が必須）
+ * @returns {boolean}
+ */
+function isMailConfigured() {
+  return !!(process.env.SMTP_HOST && process.env.MAIL_FROM);
+}
+
+/**
+ * SMTPトランスポートを取得（初回のみ作成）
+ * 開発時はローカルのSMTPサーバー（MailHog・smtp4dev など）を SMTP_HOST=localhost SMTP_PORT=1025 で指定する
+ * @private
+ */
+function getTransporter() {
+  if (!transporter) {
+    const secure = process.env.SMTP_SECURE === 'true';
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 587),
+      secure,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+/**
+ * メールを送信
+ * 宛先がすべてSMTPサーバーに拒否された場合は例外（isBounceError で判定できる）
+ * @param {{ to: string, subject: string, text: string }} params
+ * @returns {Promise<{ messageId: string, response: string }>}
+ */
+async function sendMail({ to, subject, text }) {
+  if (!isMailConfigured()) {
+    throw new Error('メール送信が設定されていません（SMTP_HOST・MAIL_FROM）');
+  }
+
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM,
+    replyTo: process.env.MAIL_REPLY_TO || undefined,
+    to,
+    subject,
+    text,
+  });
+
+  if (info.rejected && info.rejected.length > 0) {
+    const error = new Error(`宛先が拒否されました: ${info.rejected.join(', ')}`);
+    error.rejected = info.rejected;
+    throw error;
+  }
+
+  return { messageId: info.messageId, response: info.response };
+}
+
+/**
+ * 宛先の拒否（5xx応答）による送信失敗か（接続エラーなどの一時的な失敗と区別する）
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isBounceError(error) {
+  if (error.rejected && error.rejected.length > 0) return true;
+  return error.responseCode >= 500 && error.responseCode < 600;
+}
+
+module.exports = { isMailConfigured, sendMail, isBounceError };
@@ -155,6 +155,66 @@ class ShopifyService {
     }
   }
 
+  /**
+   * 顧客IDから顧客情報（metafields含む）を取得
+   * Webhookのペイロードには metafields が含まれないため、会員情報の更新時に使う
+   * @param {string} customerId - 顧客ID（数値またはGID形式）
+   * @returns {Promise<object|null>} 顧客データ（getCustomersByTag と同じ形式）
+   */
+  async getCustomerById(customerId) {
+    const customerGid = customerId.toString().startsWith('gid://')
+      ? customerId
+      : `gid://shopify/Customer/${customerId}`;
+
+    const query = `
+      query getCustomer($id: ID!) {
+        customer(id: $id) {
+          id
+          email
+          firstName
+          lastName
+          phone
+          tags
+          createdAt
+          updatedAt
+          defaultAddress {
+            address1
+            address2
+            city
+            province
+            zip
+            phone
+            country
+          }
+          addresses {
+            phone
+          }
+          metafields(first: 100) {
+            edges {
+              node {
+                namespace
+                key
+                value
+                type
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await this.makeRequest('/graphql.json', {
+      method: 'POST',
+      body: JSON.stringify({ query, variables: { id: customerGid } })
+    });
+
+    if (response.errors) {
+      throw new Error(`GraphQL error: ${response.errors.map(e => e.message).join(', ')}`);
+    }
+
+    return response.data?.customer || null;
+  }
+
   // 顧客データをスプレッドシート形式に変換
   formatCustomerForSheet(customer) {
     // Shopify IDからgid://部分を削除して数値IDを取得
@@ -242,7 +302,14 @@ class ShopifyService {
     return tags;
   }
 
-  async getOrdersByTag(tagInput, limit = 0, paidOnly = true) {
+  /**
+   * タグで注文を取得
+   * @param {string} tagInput - 検索タグ（カンマ区切り、空なら指定なし）
+   * @param {number} limit - 取得件数（0は無制限）
+   * @param {boolean} paidOnly - 支払い済み・オープン状態のみ
+   * @param {Date|null} updatedSince - 指定した場合はこの日時以降に更新された注文のみ（返金・キャンセルも含む）
+   */
+  async getOrdersByTag(tagInput, limit = 0, paidOnly = true, updatedSince = null) {
     try {
       const allOrders = [];
       let pageInfo = null;
@@ -267,6 +334,11 @@ class ShopifyService {
       if (paidOnly) {
         searchQuery = `${tagQueries}financial_status:paid status:open -status:cancelled`;
       }
+
+      // 差分取得の場合は返金・キャンセルされた注文の状態変化も取り込むため、ステータスでは絞り込まない
+      if (updatedSince) {
+        searchQuery = `${tagQueries}updated_at:>='${updatedSince.toISOString()}'`;
+      }
       
       console.log(`Parsed tags: ${JSON.stringify(tags)}`);
       
@@ -285,6 +357,9 @@ class ShopifyService {
                   id
                   name
                   createdAt
+                  updatedAt
+                  cancelledAt
+                  closed
                   totalPriceSet {
                     shopMoney {
                       amount
@@ -444,13 +519,21 @@ class ShopifyService {
             backStagePass,                 // back_stage_pass
             item.product?.id?.replace('gid://shopify/Product/', '') || '',  // product_id
             occupation,                    // occupation (職業)
-            biography                      // biography (プロフィール)
+            biography,                     // biography (プロフィール)
+            order.updatedAt || '',         // shopify_updated_at
+            order.cancelledAt || ''        // cancelled_at
           ],
           tags: productTags
         };
       });
   }
 
+  // 注文が通常検索の条件（キャンセル以外、paidOnly の場合は支払い済み・オープン）を満たすか
+  matchesOrderSearch(order, paidOnly = true) {
+    if (order.cancelledAt) return false;
+    return !paidOnly || (order.displayFinancialStatus === 'PAID' && !order.closed);
+  }
+
   // 支払いステータスを日本語に変換
   translateFinancialStatus(status) {
     const statusMap = {
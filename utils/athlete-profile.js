@@ -0,0 +1,189 @@
+/**
+ * 選手プロフィールユーティリティ
+ *
+ * FWJカード番号ごとに分かれている会員情報・出場登録・成績・特記事項・違反認定を1人分のプロフィールにまとめ、
+ * 大会ごとの出場歴と時系列（新しい順）を作成する。
+ */
+
+// 時系列の種類（キー → 表示名）
+const TIMELINE_TYPES = {
+  member: 'FWJ会員登録',
+  entry: '出場登録',
+  placing: '成績',
+  note: '特記事項',
+  subject: '違反認定',
+};
+
+/**
+ * 日付の比較用（'YYYY/MM/DD' と 'YYYY-MM-DD'、ISO形式の日時を揃える）
+ * @private
+ */
+function dateKey(value) {
+  return String(value || '').slice(0, 10).replace(/\//g, '-');
+}
+
+/**
+ * 順位の数値（「1」「1位」などから取り出す。数値でない場合はnull）
+ * @private
+ */
+function placingNumber(placing) {
+  const match = String(placing || '').normalize('NFKC').match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * 表示用の氏名（出場登録の最新の氏名を優先し、なければ会員情報・成績・違反認定から）
+ * @private
+ */
+function resolveName({ member, registrations, scores, subject }) {
+  const latest = registrations[0] || {};
+  const memberName = member
+    ? [member.fwj_lastname, member.fwj_firstname].filter(Boolean).join(' ')
+    : '';
+  const memberKana = member
+    ? [member.fwj_kanalastname, member.fwj_kanafirstname].filter(Boolean).join(' ')
+    : '';
+
+  return {
+    name_ja: latest.name_ja || (subject && subject.name_ja) || (scores[0] && scores[0].player_name) || memberName,
+    name_ja_kana: latest.name_ja_kana || memberKana,
+    first_name: latest.first_name || (subject && subject.first_name) || (member && member.first_name) || '',
+    last_name: latest.last_name || (subject && subject.last_name) || (member && member.last_name) || '',
+  };
+}
+
+/**
+ * 選手プロフィールを作成
+ * @param {Object} params
+ * @param {string} params.fwjCardNo - FWJカード番号
+ * @param {Object|null} params.member - 会員情報（snake_case）
+ * @param {Array<Object>} params.registrations - 出場登録（有効なもの）
+ * @param {Array<Object>} params.scores - 成績（有効なもの）
+ * @param {Array<Object>} params.notes - 特記事項（有効なもの）
+ * @param {Object|null} params.subject - 違反認定（有効なもの）
+ * @returns {Object} { fwj_card_no, name, member, subject, summary, contests, timeline }
+ *   contests: [{ contest_name, contest_date, classes, placings, notes }]（開催日の新しい順）
+ *   timeline: [{ date, type, type_label, contest_name, title, detail, entity, entity_id }]（新しい順）
+ */
+function buildAthleteProfile({ fwjCardNo, member, registrations, scores, notes, subject }) {
+  // 大会ごとの出場歴
+  const contestMap = new Map();
+  const contestFor = (contestName, contestDate) => {
+    const key = `${dateKey(contestDate)}|${contestName}`;
+    if (!contestMap.has(key)) {
+      contestMap.set(key, { contest_name: contestName, contest_date: contestDate, classes: [], placings: [], notes: [] });
+    }
+    return contestMap.get(key);
+  };
+
+  registrations.forEach(reg => {
+    contestFor(reg.contest_name, reg.contest_date).classes.push({
+      id: reg.id,
+      class_name: reg.class_name,
+      player_no: reg.player_no,
+    });
+  });
+  scores.forEach(score => {
+    contestFor(score.contest_name, score.contest_date).placings.push({
+      id: score.id,
+      category_name: score.category_name,
+      placing: score.placing,
+      player_no: score.player_no,
+    });
+  });
+  notes.forEach(note => {
+    contestFor(note.contest_name, note.contest_date).notes.push({
+      id: note.id,
+      type: note.type,
+      note: note.note,
+    });
+  });
+
+  const contests = [...contestMap.values()]
+    .sort((a, b) => dateKey(b.contest_date).localeCompare(dateKey(a.contest_date)));
+
+  // 時系列
+  const timeline = [];
+  const addEvent = (event) => timeline.push({ ...event, type_label: TIMELINE_TYPES[event.type] });
+
+  if (member && member.fwj_effectivedate) {
+    addEvent({
+      date: member.fwj_effectivedate,
+      type: 'member',
+      contest_name: '',
+      title: 'FWJ会員の有効日',
+      detail: member.email || '',
+      entity: 'members',
+      entity_id: member.id,
+    });
+  }
+  registrations.forEach(reg => addEvent({
+    date: reg.contest_date,
+    type: 'entry',
+    contest_name: reg.contest_name,
+    title: reg.class_name,
+    detail: reg.player_no ? `ゼッケン ${reg.player_no}` : '',
+    entity: 'registrations',
+    entity_id: reg.id,
+  }));
+  scores.forEach(score => addEvent({
+    date: score.contest_date,
+    type: 'placing',
+    contest_name: score.contest_name,
+    title: score.category_name,
+    detail: /^\d+$/.test(score.placing) ? `${score.placing}位` : score.placing,
+    entity: 'scores',
+    entity_id: score.id,
+  }));
+  notes.forEach(note => addEvent({
+    date: note.contest_date,
+    type: 'note',
+    contest_name: note.contest_name,
+    title: note.type,
+    detail: note.note,
+    entity: 'notes',
+    entity_id: note.id,
+  }));
+  if (subject) {
+    addEvent({
+      date: subject.createdAt,
+      type: 'subject',
+      contest_name: '',
+      title: '違反認定者として登録',
+      detail: subject.note,
+      entity: 'subjects',
+      entity_id: subject.id,
+    });
+  }
+
+  // 同じ日は 会員登録 → 出場登録 → 成績 → 特記事項 → 違反認定 の順（新しい順に並べるため逆順）
+  const typeOrder = Object.keys(TIMELINE_TYPES);
+  timeline.sort((a, b) =>
+    dateKey(b.date).localeCompare(dateKey(a.date)) || typeOrder.indexOf(b.type) - typeOrder.indexOf(a.type)
+  );
+
+  const placingNumbers = scores.map(score => placingNumber(score.placing)).filter(n => n !== null);
+
+  return {
+    fwj_card_no: fwjCardNo,
+    name: resolveName({ member, registrations, scores, subject }),
+    member,
+    subject,
+    summary: {
+      contests: contests.length,
+      entries: registrations.length,
+      placings: scores.length,
+      wins: placingNumbers.filter(n => n === 1).length,
+      best_placing: placingNumbers.length > 0 ? Math.min(...placingNumbers) : null,
+      notes: notes.length,
+      has_violation: !!subject,
+    },
+    contests,
+    timeline,
+  };
+}
+
+module.exports = {
+  TIMELINE_TYPES,
+  buildAthleteProfile,
+};
@@ -0,0 +1,287 @@
+/**
+ * 来場者一覧ユーティリティ
+ *
+ * 観戦チケット（tickets）・関係者（guests）・選手（registrations）を1つの来場者一覧にまとめ、
+ * 入場エリア・人数・入場状況を集計する。CSVと印刷用HTMLへの変換もここで行う。
+ */
+
+// 入場エリア（キー → 表示名）
+const ZONES = {
+  seat: '客席',
+  backstage: 'バックステージ',
+  press: '報道・撮影',
+};
+
+// 来場者の区分（キー → 表示名）
+const SOURCES = {
+  ticket: '観戦チケット',
+  guest: '関係者',
+  athlete: '選手',
+};
+
+// ゲストの付与パスと入場エリアの対応（未登録のパスは客席のみ）
+const GUEST_PASS_ZONES = {
+  '関係者パス': 'backstage',
+  '出展者パス': 'backstage',
+  '撮影者パス': 'press',
+  'GUESTパス': 'seat',
+};
+
+/**
+ * 観戦チケットを来場者に変換（返金などで無効になったチケットは除く）
+ * @private
+ */
+function fromTickets(tickets) {
+  return tickets
+    .filter(ticket => ticket.is_usable === 'TRUE' || ticket.used_at)
+    .map(ticket => ({
+      source: 'ticket',
+      source_id: ticket.id,
+      name: ticket.full_name || '',
+      organization: '',
+      category: [ticket.product_name, ticket.variant].filter(Boolean).join(' / '),
+      reference: ticket.order_no || '',
+      seat: ticket.reserved_seat || '',
+      zones: ['seat'],
+      people: 1,
+      checked_in: !!ticket.used_at,
+      checked_in_at: ticket.used_at || null,
+    }));
+}
+
+/**
+ * 関係者を来場者に変換（人数はチケット枚数、0枚なら1人）
+ * @private
+ */
+function fromGuests(guests) {
+  return guests.map(guest => {
+    const ticketCount = guest.ticket_count || 0;
+    const zones = new Set();
+    const passZone = GUEST_PASS_ZONES[guest.pass_type];
+    if (passZone) zones.add(passZone);
+    if (ticketCount > 0 || zones.size === 0) zones.add('seat');
+
+    return {
+      source: 'guest',
+      source_id: guest.id,
+      name: guest.name_ja || '',
+      organization: guest.company_ja || '',
+      category: [guest.pass_type, guest.ticket_type].filter(Boolean).join(' / '),
+      reference: guest.group_type || '',
+      seat: '',
+      zones: Object.keys(ZONES).filter(zone => zones.has(zone)),
+      people: Math.max(ticketCount, 1),
+      checked_in: !!guest.is_checked_in,
+      checked_in_at: null,
+    };
+  });
+}
+
+/**
+ * 選手を来場者に変換
+ * 複数クラスに出場する選手はFWJカード番号（なければゼッケン番号）で1人にまとめる。
+ * 人数は本人＋バックステージパスの枚数。選手の入場状況は記録していないため checked_in は null
+ * @private
+ */
+function fromRegistrations(registrations) {
+  const athletes = new Map();
+  registrations.forEach(reg => {
+    const key = reg.fwj_card_no || (reg.player_no ? `player:${reg.player_no}` : `id:${reg.id}`);
+    if (!athletes.has(key)) {
+      athletes.set(key, {
+        source: 'athlete',
+        source_id: reg.id,
+        name: reg.name_ja || [reg.last_name, reg.first_name].filter(Boolean).join(' '),
+        organization: '',
+        classes: [],
+        reference: reg.player_no || '',
+        seat: '',
+        zones: ['backstage'],
+        backStagePass: 0,
+        checked_in: null,
+        checked_in_at: null,
+      });
+    }
+    const athlete = athletes.get(key);
+    if (reg.class_name && !athlete.classes.includes(reg.class_name)) athlete.classes.push(reg.class_name);
+    athlete.backStagePass = Math.max(athlete.backStagePass, parseInt(reg.back_stage_pass, 10) || 0);
+  });
+
+  return [...athletes.values()].map(({ classes, backStagePass, ...athlete }) => ({
+    ...athlete,
+    category: classes.join(' / '),
+    people: 1 + backStagePass,
+  }));
+}
+
+/**
+ * 来場者一覧を作成
+ * @param {Object} params
+ * @param {Array<Object>} params.tickets - 大会のチケット（snake_case）
+ * @param {Array<Object>} params.guests - 大会のゲスト（snake_case）
+ * @param {Array<Object>} params.registrations - 大会の出場登録
+ * @returns {{ attendees: Array<Object>, counts: Object }}
+ *   attendees は { source, source_id, name, organization, category, reference, seat, zones, people, checked_in, checked_in_at }
+ */
+function buildAttendeeManifest({ tickets, guests, registrations }) {
+  const sourceOrder = Object.keys(SOURCES);
+  const attendees = [
+    ...fromTickets(tickets),
+    ...fromGuests(guests),
+    ...fromRegistrations(registrations),
+  ].sort((a, b) =>
+    sourceOrder.indexOf(a.source) - sourceOrder.indexOf(b.source) ||
+    a.organization.localeCompare(b.organization, 'ja') ||
+    a.name.localeCompare(b.name, 'ja')
+  );
+
+  const emptyCount = () => ({ entries: 0, people: 0, checked_in: 0 });
+  const counts = {
+    total: emptyCount(),
+    by_source: Object.fromEntries(sourceOrder.map(source => [source, emptyCount()])),
+    by_zone: Object.fromEntries(Object.keys(ZONES).map(zone => [zone, emptyCount()])),
+  };
+
+  attendees.forEach(attendee => {
+    const targets = [counts.total, counts.by_source[attendee.source], ...attendee.zones.map(zone => counts.by_zone[zone])];
+    targets.forEach(count => {
+      count.entries += 1;
+      count.people += attendee.people;
+      if (attendee.checked_in) count.checked_in += attendee.people;
+    });
+  });
+
+  return { attendees, counts };
+}
+
+/**
+ * 入場状況の表示用文字列
+ * @private
+ */
+function checkinLabel(attendee) {
+  if (attendee.checked_in === null) return '—';
+  return attendee.checked_in ? '済' : '未';
+}
+
+/**
+ * 日時を日本時間で表示
+ * @private
+ */
+function formatDateTime(value) {
+  if (!value) return '';
+  return new Date(value).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' });
+}
+
+/**
+ * 来場者一覧の行（CSV・HTML共通の列）
+ * @private
+ */
+function manifestRows(attendees) {
+  return attendees.map(a => [
+    SOURCES[a.source],
+    a.name,
+    a.organization,
+    a.category,
+    a.reference,
+    a.seat,
+    a.zones.map(zone => ZONES[zone]).join('・'),
+    a.people,
+    checkinLabel(a),
+    formatDateTime(a.checked_in_at),
+  ]);
+}
+
+const MANIFEST_HEADERS = ['区分', '氏名', '団体名', '種別', '注文番号・ゼッケン等', '座席', '入場エリア', '人数', '入場', '入場日時'];
+
+// CSVの値をエスケープ
+function escapeCsv(value) {
+  const str = String(value ?? '');
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * 来場者一覧をCSVに変換（Excelで文字化けしないようBOM付き）
+ * @param {Array<Object>} attendees - buildAttendeeManifest の attendees
+ * @returns {string}
+ */
+function manifestToCsv(attendees) {
+  const lines = [MANIFEST_HEADERS, ...manifestRows(attendees)].map(row => row.map(escapeCsv).join(','));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// HTMLの値をエスケープ
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 来場者一覧を印刷用HTMLに変換
+ * @param {Object} contest - 大会（contest_name, contest_date）
+ * @param {Object} manifest - buildAttendeeManifest の結果
+ * @param {Date} generatedAt - 作成日時
+ * @returns {string}
+ */
+function manifestToHtml(contest, manifest, generatedAt) {
+  const { attendees, counts } = manifest;
+  const countCells = (count) => `<td>${count.entries}</td><td>${count.people}</td><td>${count.checked_in}</td>`;
+  const summaryRows = [
+    ...Object.entries(SOURCES).map(([key, label]) => `<tr><th>${label}</th>${countCells(counts.by_source[key])}</tr>`),
+    ...Object.entries(ZONES).map(([key, label]) => `<tr><th>${label}</th>${countCells(counts.by_zone[key])}</tr>`),
+    `<tr class="total"><th>合計</th>${countCells(counts.total)}</tr>`,
+  ].join('\n');
+  const attendeeRows = manifestRows(attendees)
+    .map(row => `<tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}<td class="check"></td></tr>`)
+    .join('\n');
+  const title = `${contest.contest_name} 来場者一覧`;
+
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; font-size: 11px; margin: 16px; }
+  h1 { font-size: 16px; margin: 0 0 4px; }
+  .meta { margin: 0 0 12px; color: #555; }
+  table { border-collapse: collapse; margin-bottom: 16px; }
+  th, td { border: 1px solid #999; padding: 3px 6px; text-align: left; }
+  thead { display: table-header-group; }
+  tr { page-break-inside: avoid; }
+  .summary td { text-align: right; }
+  .summary .total { font-weight: bold; }
+  .attendees { width: 100%; }
+  .check { width: 24px; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">開催日: ${escapeHtml(contest.contest_date || '')} ／ 作成: ${escapeHtml(formatDateTime(generatedAt))}（人数・入場は関係者のチケット枚数・選手のバックステージパスを含む）</p>
+<table class="summary">
+<thead><tr><th></th><th>件数</th><th>人数</th><th>入場済み</th></tr></thead>
+<tbody>
+${summaryRows}
+</tbody>
+</table>
+<table class="attendees">
+<thead><tr>${MANIFEST_HEADERS.map(h => `<th>${h}</th>`).join('')}<th>✓</th></tr></thead>
+<tbody>
+${attendeeRows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  ZONES,
+  SOURCES,
+  buildAttendeeManifest,
+  manifestToCsv,
+  manifestToHtml,
+};
@@ -0,0 +1,103 @@
+/**
+ * 大会定員ユーティリティ
+ *
+ * バリエーションごとの定員と、発券数（Shopifyのチケット・招待チケット・ゲストのチケット枚数）を突き合わせる。
+ * ゲストのチケット枚数はチケット種別（ticket_type）がバリエーション名と一致する行に加算する。
+ */
+
+/**
+ * 定員レポートを作成
+ * @param {Object} params
+ * @param {Array<Object>} params.capacities - 定員 [{ variant, capacity }]
+ * @param {Array<Object>} params.ticketCounts - Ticket#getCapacityCounts の結果 [{ variant, issued, campaign }]
+ * @param {Array<Object>} params.guestCounts - Guest#getTicketCountsByType の結果 [{ ticket_type, ticket_count }]
+ * @returns {{ rows: Array<Object>, totals: Object }}
+ *   rows は { variant, capacity, issued, campaign, guests, total, remaining, status }
+ *   status: 'ok' | 'full'（定員ちょうど） | 'over'（定員超過） | 'no_capacity'（定員未設定）
+ */
+function buildCapacityReport({ capacities, ticketCounts, guestCounts }) {
+  const rowsByVariant = new Map();
+  const rowFor = (variant) => {
+    if (!rowsByVariant.has(variant)) {
+      rowsByVariant.set(variant, { variant, capacity: null, issued: 0, campaign: 0, guests: 0 });
+    }
+    return rowsByVariant.get(variant);
+  };
+
+  capacities.forEach(c => { rowFor(c.variant).capacity = c.capacity; });
+  ticketCounts.forEach(c => {
+    const row = rowFor(c.variant);
+    row.issued += c.issued;
+    row.campaign += c.campaign;
+  });
+  guestCounts.forEach(c => {
+    if (c.ticket_count > 0) rowFor(c.ticket_type).guests += c.ticket_count;
+  });
+
+  const totals = { capacity: 0, issued: 0, campaign: 0, guests: 0, total: 0 };
+  const rows = [...rowsByVariant.values()]
+    .sort((a, b) => a.variant.localeCompare(b.variant, 'ja'))
+    .map(row => {
+      const total = row.issued + row.campaign + row.guests;
+      let status = 'no_capacity';
+      if (row.capacity !== null) {
+        if (total > row.capacity) status = 'over';
+        else if (total === row.capacity) status = 'full';
+        else status = 'ok';
+      }
+
+      totals.capacity += row.capacity || 0;
+      totals.issued += row.issued;
+      totals.campaign += row.campaign;
+      totals.guests += row.guests;
+      totals.total += total;
+
+      return {
+        ...row,
+        total,
+        remaining: row.capacity !== null ? row.capacity - total : null,
+        status,
+      };
+    });
+
+  return { rows, totals };
+}
+
+/**
+ * 定員の入力を検証
+ * @param {Array<Object>} capacities - [{ variant, capacity }]
+ * @returns {{ errors: Array<string>, capacities: Array<Object> }}
+ */
+function normalizeCapacities(capacities) {
+  const errors = [];
+  const normalized = [];
+  const variants = new Set();
+
+  (Array.isArray(capacities) ? capacities : []).forEach((c, index) => {
+    const line = index + 1;
+    const variant = String(c.variant ?? '').trim();
+    const capacity = c.capacity === '' || c.capacity == null ? NaN : Number(c.capacity);
+
+    if (!variant) {
+      errors.push(`${line}件目: バリエーションは必須です`);
+      return;
+    }
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      errors.push(`${line}件目: 定員は0以上の整数で入力してください`);
+      return;
+    }
+    if (variants.has(variant)) {
+      errors.push(`${line}件目: バリエーション「${variant}」が重複しています`);
+      return;
+    }
+    variants.add(variant);
+    normalized.push({ variant, capacity });
+  });
+
+  return { errors, capacities: normalized };
+}
+
+module.exports = {
+  buildCapacityReport,
+  normalizeCapacities,
+};
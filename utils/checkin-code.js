@@ -1,16 +1,59 @@
 /**
  * チェックインコード検証ユーティリティ
  *
+ * v1（固定コード）
  * コード形式: XXXX-XXXX-XXXX (12文字)
  * 構造: [ticket_id: 4B][signature: 3B]
  * 合計: 7バイト → Base32で12文字
  *
  * ticket_id: 4バイト (32ビット) = 最大約43億通り
  * signature: 3バイト (24ビット) = 約1600万通り
+ *
+ * v2（30秒ごとに切り替わるコード。スクリーンショットの転送対策）
+ * コード形式: XXXX-XXXX-XXXX-XXXX-XXXX-XXXX (24文字)
+ * 構造: [version: 1B (0x02)][ticket_id: 4B][time_step: 4B][signature: 6B]
+ * 合計: 15バイト → Base32で24文字
+ *
+ * time_step: UNIX時刻 / 30秒
+ * signature: HMAC-SHA256(チケットごとの秘密鍵, version + ticket_id + time_step) の先頭6バイト
+ * チケットごとの秘密鍵: HMAC-SHA256(CHECKIN_SALT, 'checkin-v2' + ticket_id)
+ *
+ * 鍵の世代（キーリング）
+ * コードに鍵の世代番号（0〜15）を埋め込み、世代ごとのソルトで署名・検証する。
+ *   v1: Base32の最終文字の余り4ビット（56ビットを12文字にした余り）
+ *   v2: version バイトの上位4ビット（下位4ビットが 0x2）
+ * 世代0は CHECKIN_SALT（鍵の世代に対応する前に発行したコードはすべて世代0）。
+ * 追加の世代は CHECKIN_KEYS に「世代:ソルト[:失効日]」をカンマ区切りで指定し、
+ * 生成に使う世代を CHECKIN_ACTIVE_KEY で指定する（未指定時は0）。
+ * 失効日を過ぎた世代のコードは検証で拒否する。
+ *
+ * ゲストコード（関係者・報道・協賛企業など。付与枚数分のパスごとに発行する固定コード）
+ * コード形式: G-XXXX-XXXX-XXXX-XXXX（先頭の G が種別、続く16文字）
+ * 構造: [header: 1B][guest_id: 4B][pass_no: 1B][signature: 4B]
+ * 合計: 10バイト → Base32で16文字
+ *
+ * header: 上位4ビットが鍵の世代、下位4ビットが 0x1
+ * pass_no: パスの番号（1〜付与枚数）
+ * signature: HMAC-SHA256(鍵の世代のソルト, 'checkin-guest' + header + guest_id + pass_no) の先頭4バイト
  */
 
 const crypto = require('crypto');
 
+// v2コードの設定
+const V2_VERSION = 0x02;
+const V2_STEP_SECONDS = 30;
+// 許容する時刻のずれ（前後のステップ数）。端末の時計のずれと、読み取ってから受付するまでの時間を含む
+const V2_ALLOWED_SKEW_STEPS = 2;
+
+// 鍵の世代番号の上限（4ビット）
+const MAX_KEY_VERSION = 15;
+
+// ゲストコードの設定
+const GUEST_CODE_PREFIX = 'G';
+const GUEST_CODE_VERSION = 0x01;
+// 1人のゲストに発行できるパスの上限（1バイト）
+const MAX_GUEST_PASSES = 255;
+
 // Base32文字セット（紛らわしい文字を除外: 0, O, 1, I）
 // 32文字: A-Z から I, O を除外 (24文字) + 2-9 (8文字) = 32文字
 const BASE32_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
@@ -101,21 +144,182 @@ function bytesToNumber(buffer) {
 }
 
 /**
- * チェックインコードを検証
- * @param {string} code - ハイフン区切りのコード (XXXX-XXXX-XXXX)
- * @returns {{ valid: boolean, ticketId?: number, error?: string }}
+ * 鍵の一覧を取得（世代0は CHECKIN_SALT。CHECKIN_KEYS に世代0を指定した場合はそちらを優先）
+ * 例: CHECKIN_KEYS=1:new-secret,0:old-secret:2026-12-31
+ * @returns {Map<number, { version: number, salt: string, retiresAt: Date|null }>}
+ */
+function getCheckinKeys() {
+  const keys = new Map();
+
+  if (process.env.CHECKIN_SALT) {
+    keys.set(0, { version: 0, salt: process.env.CHECKIN_SALT, retiresAt: null });
+  }
+
+  const entries = (process.env.CHECKIN_KEYS || '').split(',').map(e => e.trim()).filter(Boolean);
+  for (const entry of entries) {
+    const [versionStr, salt, retiresAtStr] = entry.split(':');
+    const version = parseInt(versionStr, 10);
+    if (isNaN(version) || version < 0 || version > MAX_KEY_VERSION || !salt) {
+      throw new Error(`CHECKIN_KEYSの形式が正しくありません: ${versionStr}`);
+    }
+
+    let retiresAt = null;
+    if (retiresAtStr) {
+      retiresAt = new Date(retiresAtStr);
+      if (isNaN(retiresAt.getTime())) {
+        throw new Error(`CHECKIN_KEYSの失効日が正しくありません: ${retiresAtStr}`);
+      }
+    }
+    keys.set(version, { version, salt, retiresAt });
+  }
+
+  return keys;
+}
+
+/**
+ * コード生成に使う鍵（CHECKIN_ACTIVE_KEY の世代）を取得
+ * @returns {{ version: number, salt: string, retiresAt: Date|null }}
+ */
+function getActiveKey() {
+  const version = parseInt(process.env.CHECKIN_ACTIVE_KEY, 10) || 0;
+  const key = getCheckinKeys().get(version);
+
+  if (!key) {
+    throw new Error(version === 0 ? 'CHECKIN_SALTが未設定です' : `CHECKIN_ACTIVE_KEYの鍵（世代${version}）が未設定です`);
+  }
+  if (key.retiresAt && key.retiresAt <= new Date()) {
+    throw new Error(`CHECKIN_ACTIVE_KEYの鍵（世代${version}）は失効しています`);
+  }
+  return key;
+}
+
+/**
+ * 検証に使う鍵を取得（未登録・失効済みの場合はエラー結果を返す）
+ * @param {number} version - コードに埋め込まれた鍵の世代
+ * @param {Date} at - 基準時刻（オフライン受付では端末での受付時刻）
+ * @returns {{ key?: Object, result?: Object }}
+ */
+function findVerificationKey(version, at) {
+  const key = getCheckinKeys().get(version);
+  if (!key) {
+    return { result: { valid: false, error: '無効なコードです' } };
+  }
+  if (key.retiresAt && key.retiresAt <= at) {
+    return {
+      result: {
+        valid: false,
+        keyVersion: version,
+        reason: 'retired_key',
+        error: 'このコードは使用できなくなりました。アプリで最新のコードを表示してください'
+      }
+    };
+  }
+  return { key };
+}
+
+/**
+ * v2コードのチケットごとの秘密鍵を生成
+ * @param {string} salt - 鍵の世代のソルト
+ * @param {number} ticketId
+ * @returns {Buffer}
  */
-function verifyCheckinCode(code) {
-  const CHECKIN_SALT = process.env.CHECKIN_SALT;
+function deriveTicketSecret(salt, ticketId) {
+  const hmac = crypto.createHmac('sha256', salt);
+  hmac.update(Buffer.concat([Buffer.from('checkin-v2'), numberToBytes(ticketId)]));
+  return hmac.digest();
+}
 
-  if (!CHECKIN_SALT) {
+/**
+ * 時刻をv2コードのステップ番号に変換
+ * @param {Date} date
+ * @returns {number}
+ */
+function timeStep(date) {
+  return Math.floor(date.getTime() / 1000 / V2_STEP_SECONDS);
+}
+
+/**
+ * v1コードの署名（先頭3バイト）
+ * @param {string} salt - 鍵の世代のソルト
+ * @param {Buffer} data - ticket_id (4バイト)
+ * @returns {Buffer}
+ */
+function signV1(salt, data) {
+  const hmac = crypto.createHmac('sha256', salt);
+  hmac.update(data);
+  return hmac.digest().slice(0, 3);
+}
+
+/**
+ * v2コードの署名（先頭6バイト）
+ * @param {string} salt - 鍵の世代のソルト
+ * @param {number} ticketId
+ * @param {Buffer} data - version + ticket_id + time_step (9バイト)
+ * @returns {Buffer}
+ */
+function signV2(salt, ticketId, data) {
+  const hmac = crypto.createHmac('sha256', deriveTicketSecret(salt, ticketId));
+  hmac.update(data);
+  return hmac.digest().slice(0, 6);
+}
+
+/**
+ * ゲストコードの署名（先頭4バイト）
+ * @param {string} salt - 鍵の世代のソルト
+ * @param {Buffer} data - header + guest_id + pass_no (6バイト)
+ * @returns {Buffer}
+ */
+function signGuest(salt, data) {
+  const hmac = crypto.createHmac('sha256', salt);
+  hmac.update(Buffer.concat([Buffer.from('checkin-guest'), data]));
+  return hmac.digest().slice(0, 4);
+}
+
+/**
+ * ゲストコードかどうか（ハイフン除去後、先頭が G の17文字）
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isGuestCode(code) {
+  const cleanCode = String(code || '').replace(/-/g, '').toUpperCase();
+  return cleanCode.length === 17 && cleanCode[0] === GUEST_CODE_PREFIX;
+}
+
+/**
+ * チェックインコードを検証（v1・v2の両方に対応）
+ * @param {string} code - ハイフン区切りのコード (XXXX-XXXX-XXXX または XXXX-XXXX-XXXX-XXXX-XXXX-XXXX)
+ * @param {Object} [options]
+ * @param {Date} [options.at] - v2コードの時刻を判定する基準時刻（オフライン受付では端末での受付時刻）
+ * @returns {{ valid: boolean, ticketId?: number, version?: number, keyVersion?: number, error?: string, reason?: string }}
+ *   v2コードの時間切れは reason: 'stale'、時刻が進みすぎたコードは reason: 'clock_skew'（いずれも ticketId も返す）、失効した鍵の世代は reason: 'retired_key'
+ */
+function verifyCheckinCode(code, options = {}) {
+  let keys;
+  try {
+    keys = getCheckinKeys();
+  } catch (error) {
+    return { valid: false, error: `システム設定エラー: ${error.message}` };
+  }
+  if (keys.size === 0) {
     return { valid: false, error: 'システム設定エラー: CHECKIN_SALTが未設定です' };
   }
 
+  const at = options.at || new Date();
+
   try {
+    // ゲストコードは verifyGuestCode で検証する
+    if (isGuestCode(code)) {
+      return { valid: false, reason: 'guest_code', error: 'ゲストのコードはこの受付では使用できません' };
+    }
+
     // ハイフン除去 & 大文字変換
     const cleanCode = code.replace(/-/g, '').toUpperCase();
 
+    // v2（24文字: 15バイト = 120ビット → 120/5 = 24文字）
+    if (cleanCode.length === 24) {
+      return verifyCheckinCodeV2(cleanCode, at);
+    }
+
     // 長さチェック（12文字: 7バイト = 56ビット → ceil(56/5) = 12文字）
     if (cleanCode.length !== 12) {
       return { valid: false, error: '無効なコード形式です' };
@@ -133,19 +337,20 @@ function verifyCheckinCode(code) {
     const data = payload.slice(0, 4);      // 4バイト (ticket_id)
     const signature = payload.slice(4, 7); // 3バイト
 
-    // 署名を再計算して検証
-    const hmac = crypto.createHmac('sha256', CHECKIN_SALT);
-    hmac.update(data);
-    const expectedSig = hmac.digest().slice(0, 3);
+    // 最終文字の余り4ビットが鍵の世代
+    const keyVersion = BASE32_LOOKUP[cleanCode[11]] & 0x0f;
+    const { key, result } = findVerificationKey(keyVersion, at);
+    if (result) return result;
 
-    if (!signature.equals(expectedSig)) {
+    // 署名を再計算して検証
+    if (!signature.equals(signV1(key.salt, data))) {
       return { valid: false, error: '無効なコードです' };
     }
 
     // ticketIdを復元
     const ticketId = bytesToNumber(data);
 
-    return { valid: true, ticketId };
+    return { valid: true, ticketId, version: 1, keyVersion };
   } catch (error) {
     console.error('Checkin code verification error:', error);
     return { valid: false, error: '無効なコードです' };
@@ -153,36 +358,177 @@ function verifyCheckinCode(code) {
 }
 
 /**
- * チェックインコードを生成
+ * v2コードを検証
+ * @param {string} cleanCode - ハイフン除去・大文字変換済みの24文字
+ * @param {Date} at - 基準時刻
+ * @returns {{ valid: boolean, ticketId?: number, version?: number, error?: string, reason?: string }}
+ */
+function verifyCheckinCodeV2(cleanCode, at) {
+  const payload = base32Decode(cleanCode);
+  if (payload.length < 15 || (payload[0] & 0x0f) !== V2_VERSION) {
+    return { valid: false, error: '無効なコードです' };
+  }
+
+  const data = payload.slice(0, 9);        // version + ticket_id + time_step
+  const signature = payload.slice(9, 15);  // 6バイト
+  const keyVersion = payload[0] >> 4;
+  const ticketId = payload.readUInt32BE(1);
+  const step = payload.readUInt32BE(5);
+
+  const { key, result } = findVerificationKey(keyVersion, at);
+  if (result) return result;
+
+  if (!crypto.timingSafeEqual(signature, signV2(key.salt, ticketId, data))) {
+    return { valid: false, error: '無効なコードです' };
+  }
+
+  // 時刻のずれを許容した上で、古いコード（スクリーンショット等）は別のエラーにする
+  const diff = step - timeStep(at);
+  if (diff < -V2_ALLOWED_SKEW_STEPS) {
+    return {
+      valid: false,
+      ticketId,
+      version: 2,
+      keyVersion,
+      reason: 'stale',
+      error: 'コードの有効期限が切れています。アプリで最新のコードを表示してください'
+    };
+  }
+  if (diff > V2_ALLOWED_SKEW_STEPS) {
+    return {
+      valid: false,
+      ticketId,
+      version: 2,
+      keyVersion,
+      reason: 'clock_skew',
+      error: 'コードの時刻が正しくありません。スマートフォンの時刻設定を確認してください'
+    };
+  }
+
+  return { valid: true, ticketId, version: 2, keyVersion };
+}
+
+/**
+ * ゲストコードを検証
+ * @param {string} code - G-XXXX-XXXX-XXXX-XXXX
+ * @returns {{ valid: boolean, guestId?: number, passNo?: number, keyVersion?: number, error?: string, reason?: string }}
+ */
+function verifyGuestCode(code) {
+  let keys;
+  try {
+    keys = getCheckinKeys();
+  } catch (error) {
+    return { valid: false, error: `システム設定エラー: ${error.message}` };
+  }
+  if (keys.size === 0) {
+    return { valid: false, error: 'システム設定エラー: CHECKIN_SALTが未設定です' };
+  }
+
+  if (!isGuestCode(code)) {
+    return { valid: false, error: '無効なコード形式です' };
+  }
+
+  try {
+    const payload = base32Decode(code.replace(/-/g, '').toUpperCase().slice(1));
+    if (payload.length < 10 || (payload[0] & 0x0f) !== GUEST_CODE_VERSION) {
+      return { valid: false, error: '無効なコードです' };
+    }
+
+    const data = payload.slice(0, 6);        // header + guest_id + pass_no
+    const signature = payload.slice(6, 10);  // 4バイト
+    const keyVersion = payload[0] >> 4;
+
+    const { key, result } = findVerificationKey(keyVersion, new Date());
+    if (result) return result;
+
+    if (!crypto.timingSafeEqual(signature, signGuest(key.salt, data))) {
+      return { valid: false, error: '無効なコードです' };
+    }
+
+    return { valid: true, guestId: payload.readUInt32BE(1), passNo: payload[5], keyVersion };
+  } catch (error) {
+    console.error('Guest code verification error:', error);
+    return { valid: false, error: '無効なコードです' };
+  }
+}
+
+/**
+ * ゲストコードを生成（CHECKIN_ACTIVE_KEY の世代で署名）
+ * @param {number} guestId - ゲストID（4バイト整数）
+ * @param {number} passNo - パスの番号（1〜255）
+ * @returns {string} ハイフン区切りのコード (G-XXXX-XXXX-XXXX-XXXX)
+ */
+function generateGuestCode(guestId, passNo) {
+  if (!Number.isInteger(passNo) || passNo < 1 || passNo > MAX_GUEST_PASSES) {
+    throw new Error(`パスの番号は1〜${MAX_GUEST_PASSES}で指定してください`);
+  }
+  const key = getActiveKey();
+
+  const data = Buffer.alloc(6);
+  data[0] = (key.version << 4) | GUEST_CODE_VERSION;
+  data.writeUInt32BE(guestId >>> 0, 1);
+  data[5] = passNo;
+
+  // データ + 署名を結合（10バイト）→ Base32エンコード（16文字）
+  const code = base32Encode(Buffer.concat([data, signGuest(key.salt, data)]));
+
+  return `${GUEST_CODE_PREFIX}-${code.match(/.{1,4}/g).join('-')}`;
+}
+
+/**
+ * チェックインコードを生成（CHECKIN_ACTIVE_KEY の世代で署名）
  * @param {number} ticketId - チケットID（4バイト整数）
  * @returns {string} ハイフン区切りのコード (XXXX-XXXX-XXXX)
  */
 function generateCheckinCode(ticketId) {
-  const CHECKIN_SALT = process.env.CHECKIN_SALT;
-
-  if (!CHECKIN_SALT) {
-    throw new Error('CHECKIN_SALTが未設定です');
-  }
+  const key = getActiveKey();
 
   // ticketIdをバイト配列に変換（4バイト）
   const data = numberToBytes(ticketId);
 
   // HMAC署名（SHA256の先頭3バイト）
-  const hmac = crypto.createHmac('sha256', CHECKIN_SALT);
-  hmac.update(data);
-  const signature = hmac.digest().slice(0, 3);
+  const signature = signV1(key.salt, data);
 
   // データ + 署名を結合（7バイト）
   const payload = Buffer.concat([data, signature]);
 
-  // Base32エンコード（12文字）
-  const code = base32Encode(payload);
+  // Base32エンコード（12文字）。最終文字の余り4ビットに鍵の世代を入れる
+  const encoded = base32Encode(payload);
+  const lastIndex = BASE32_LOOKUP[encoded[11]] | key.version;
+  const code = encoded.slice(0, 11) + BASE32_ALPHABET[lastIndex];
 
   // ハイフン区切り（4文字ごと）
   return code.match(/.{1,4}/g).join('-');
 }
 
+/**
+ * v2チェックインコードを生成（会員アプリで30秒ごとに再生成して表示する）
+ * @param {number} ticketId - チケットID（4バイト整数）
+ * @param {Date} [at] - 生成時刻
+ * @returns {string} ハイフン区切りのコード (XXXX-XXXX-XXXX-XXXX-XXXX-XXXX)
+ */
+function generateCheckinCodeV2(ticketId, at = new Date()) {
+  const key = getActiveKey();
+
+  const data = Buffer.alloc(9);
+  data[0] = (key.version << 4) | V2_VERSION;
+  data.writeUInt32BE(ticketId >>> 0, 1);
+  data.writeUInt32BE(timeStep(at), 5);
+
+  // データ + 署名を結合（15バイト）→ Base32エンコード（24文字）
+  const code = base32Encode(Buffer.concat([data, signV2(key.salt, ticketId, data)]));
+
+  return code.match(/.{1,4}/g).join('-');
+}
+
 module.exports = {
   verifyCheckinCode,
-  generateCheckinCode
+  generateCheckinCode,
+  generateCheckinCodeV2,
+  verifyGuestCode,
+  generateGuestCode,
+  isGuestCode,
+  getActiveKey,
+  V2_STEP_SECONDS,
+  MAX_GUEST_PASSES
 };
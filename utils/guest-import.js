@@ -0,0 +1,353 @@
+/**
+ * ゲストCSVインポートユーティリティ
+ *
+ * 列の対応付け済みのCSVの行を、大会ごとに既存のゲストと突き合わせて追加・更新の計画と重複の統合レポートを作成する。
+ * 既存のゲストとの照合はメールアドレスを優先し、メールアドレスで見つからない場合は代表者氏名＋団体名で行う。
+ * CSV内の同じ人の行は1件にまとめ、空でない値を後の行で上書きする（空欄で既存の値は消さない）。
+ * 前回大会からのコピーも同じ照合で、コピー先に既にいる人を除く。
+ */
+
+// インポートできる項目（キー → 表示名・CSVの見出しの別名）
+// 見出しは表示名・別名・キーのいずれかと一致すれば自動で対応付ける（画面で変更できる）
+const IMPORT_FIELDS = {
+  contest_name: { label: '大会名', aliases: ['大会'] },
+  name_ja: { label: '代表者氏名', aliases: ['氏名', '名前', 'お名前', '代表者'] },
+  company_ja: { label: '団体名', aliases: ['会社名', '企業名', '媒体名', '所属'] },
+  email: { label: 'メールアドレス', aliases: ['メール', 'Eメール', 'e-mail', 'mail'] },
+  phone: { label: '電話番号', aliases: ['電話', 'TEL'] },
+  contact_person: { label: '担当者', aliases: ['担当者名', 'ご担当者'] },
+  ticket_type: { label: 'チケット種別', aliases: ['席種'] },
+  group_type: { label: '団体/個人', aliases: ['団体・個人'] },
+  pass_type: { label: '付与パス', aliases: ['パス'] },
+  request_type: { label: '申請種別', aliases: [] },
+  ticket_count: { label: '合計付与枚数', aliases: ['付与枚数', '枚数'] },
+  note: { label: '備考欄', aliases: ['備考'] },
+};
+
+// 大会名・照合に使う項目以外で、更新の対象にする項目
+const UPDATE_FIELDS = Object.keys(IMPORT_FIELDS).filter(field => field !== 'contest_name');
+
+/**
+ * 氏名・団体名の照合用の正規化（全角・半角の統一、空白の除去、小文字化）
+ * @private
+ */
+function normalizeName(value) {
+  return String(value || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * メールアドレスの照合用の正規化
+ * @private
+ */
+function normalizeEmail(value) {
+  return String(value || '').normalize('NFKC').trim().toLowerCase();
+}
+
+function nameKey(guest) {
+  return `${normalizeName(guest.name_ja)}|${normalizeName(guest.company_ja)}`;
+}
+
+/**
+ * CSVの1行を検証して正規化
+ * @private
+ * @returns {{ row?: Object, error?: string }}
+ */
+function normalizeRow(raw, defaultContest, contests) {
+  const row = {};
+  Object.keys(IMPORT_FIELDS).forEach(field => {
+    row[field] = String(raw[field] ?? '').trim();
+  });
+
+  const contestName = row.contest_name || defaultContest || '';
+  if (!contestName) {
+    return { error: '大会名がありません' };
+  }
+  const contest = contests.get(contestName.toLowerCase());
+  if (!contest) {
+    return { error: `大会「${contestName}」が登録されていません` };
+  }
+  row.contest_name = contest.contest_name;
+
+  if (!row.name_ja) {
+    return { error: '代表者氏名がありません' };
+  }
+  if (row.email && !/^[^\s@]+@[^\s@]+$/.test(row.email)) {
+    return { error: `メールアドレスが正しくありません: ${row.email}` };
+  }
+  if (row.ticket_count) {
+    const count = Number(row.ticket_count.normalize('NFKC'));
+    if (!Number.isInteger(count) || count < 0) {
+      return { error: `合計付与枚数は0以上の整数で入力してください: ${row.ticket_count}` };
+    }
+    row.ticket_count = String(count);
+  }
+
+  return { row };
+}
+
+/**
+ * 値の比較用（枚数は数値、氏名・団体名・メールアドレスは照合と同じ正規化をして比較する。
+ * 全角・半角や空白だけの違いでは既存の値を書き換えない）
+ * @private
+ */
+function sameValue(field, a, b) {
+  if (field === 'ticket_count') return Number(a || 0) === Number(b || 0);
+  if (field === 'name_ja' || field === 'company_ja') return normalizeName(a) === normalizeName(b);
+  if (field === 'email') return normalizeEmail(a) === normalizeEmail(b);
+  return String(a ?? '') === String(b ?? '');
+}
+
+/**
+ * インポートの計画を作成
+ * @param {Object} params
+ * @param {Array<Object>} params.rows - 列の対応付け済みのCSVの行（IMPORT_FIELDS のキー）
+ * @param {string} params.defaultContest - 大会名が空の行に使う大会名
+ * @param {Array<Object>} params.contests - 登録されている大会（contest_name, contest_date）
+ * @param {Array<Object>} params.existingGuests - 対象の大会の既存のゲスト（snake_case）
+ * @returns {Object} { inserts, updates, unchanged, merged, errors, summary }
+ *   inserts: [{ row_numbers, data }]
+ *   updates: [{ id, row_numbers, matched_by, name_ja, company_ja, changes: { field: { before, after } } }]
+ *   unchanged: [{ id, row_numbers, name_ja, company_ja }]
+ *   merged: [{ row_numbers, name_ja, company_ja, conflicts: { field: [値...] } }]（CSV内の重複）
+ *   errors: [{ row_number, error }]（既存のゲストが複数一致した行を含む）
+ */
+function planGuestImport({ rows, defaultContest, contests, existingGuests }) {
+  const contestMap = new Map(contests.map(c => [String(c.contest_name).toLowerCase(), c]));
+  const errors = [];
+
+  // 既存のゲストの索引（大会ごと）
+  const existingIndex = new Map();
+  const indexFor = (contestName) => {
+    const key = contestName.toLowerCase();
+    if (!existingIndex.has(key)) existingIndex.set(key, { byEmail: new Map(), byName: new Map() });
+    return existingIndex.get(key);
+  };
+  const addTo = (map, key, guest) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(guest);
+  };
+  existingGuests.forEach(guest => {
+    if (!guest.contest_name) return;
+    const index = indexFor(guest.contest_name);
+    if (guest.email) addTo(index.byEmail, normalizeEmail(guest.email), guest);
+    addTo(index.byName, nameKey(guest), guest);
+  });
+
+  // 同じ人の行をまとめる（既存のゲストに一致した行はゲストID、それ以外はCSV内のメールアドレス・氏名＋団体名）
+  const groups = new Map();
+  const pendingByEmail = new Map();
+  const pendingByName = new Map();
+
+  rows.forEach((raw, index) => {
+    const rowNumber = index + 2;  // 1行目は見出し
+    const { row, error } = normalizeRow(raw, defaultContest, contestMap);
+    if (error) {
+      errors.push({ row_number: rowNumber, error });
+      return;
+    }
+
+    const contestKey = row.contest_name.toLowerCase();
+    const existing = indexFor(row.contest_name);
+    const email = normalizeEmail(row.email);
+    const name = nameKey(row);
+
+    let matches = [];
+    let matchedBy = null;
+    if (email && existing.byEmail.has(email)) {
+      matches = existing.byEmail.get(email);
+      matchedBy = 'email';
+    } else if (existing.byName.has(name)) {
+      matches = existing.byName.get(name);
+      matchedBy = 'name_company';
+    }
+    if (matches.length > 1) {
+      errors.push({
+        row_number: rowNumber,
+        error: `既存のゲストが複数一致しました（ID: ${matches.map(g => g.id).join(', ')}）。重複を整理してから再度インポートしてください`,
+      });
+      return;
+    }
+
+    let groupKey;
+    if (matches.length === 1) {
+      groupKey = `guest:${matches[0].id}`;
+    } else {
+      const emailKey = email ? `${contestKey}|${email}` : null;
+      const nameKeyInContest = `${contestKey}|${name}`;
+      groupKey = (emailKey && pendingByEmail.get(emailKey)) || pendingByName.get(nameKeyInContest) || `new:${rowNumber}`;
+      if (emailKey && !pendingByEmail.has(emailKey)) pendingByEmail.set(emailKey, groupKey);
+      if (!pendingByName.has(nameKeyInContest)) pendingByName.set(nameKeyInContest, groupKey);
+    }
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { existing: matches[0] || null, matchedBy, rowNumbers: [], data: {}, conflicts: {} });
+    }
+    const group = groups.get(groupKey);
+    group.rowNumbers.push(rowNumber);
+
+    // 空でない値で上書きし、異なる値があれば記録する
+    Object.entries(row).forEach(([field, value]) => {
+      if (!value) return;
+      const current = group.data[field];
+      if (current && !sameValue(field, current, value)) {
+        group.conflicts[field] = group.conflicts[field] || [current];
+        group.conflicts[field].push(value);
+      }
+      group.data[field] = value;
+    });
+  });
+
+  const inserts = [];
+  const updates = [];
+  const unchanged = [];
+  const merged = [];
+
+  groups.forEach(group => {
+    const { existing, data } = group;
+    const label = existing
+      ? { name_ja: existing.name_ja || '', company_ja: existing.company_ja || '' }
+      : { name_ja: data.name_ja || '', company_ja: data.company_ja || '' };
+
+    if (group.rowNumbers.length > 1) {
+      merged.push({ row_numbers: group.rowNumbers, ...label, conflicts: group.conflicts });
+    }
+
+    if (!existing) {
+      const contest = contestMap.get(data.contest_name.toLowerCase());
+      inserts.push({
+        row_numbers: group.rowNumbers,
+        data: { ...data, contest_name: contest.contest_name, contest_date: contest.contest_date },
+      });
+      return;
+    }
+
+    const changes = {};
+    UPDATE_FIELDS.forEach(field => {
+      if (data[field] && !sameValue(field, existing[field], data[field])) {
+        changes[field] = { before: existing[field] ?? '', after: data[field] };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      unchanged.push({ id: existing.id, row_numbers: group.rowNumbers, ...label });
+    } else {
+      updates.push({ id: existing.id, row_numbers: group.rowNumbers, matched_by: group.matchedBy, ...label, changes });
+    }
+  });
+
+  return {
+    inserts,
+    updates,
+    unchanged,
+    merged,
+    errors,
+    summary: {
+      rows: rows.length,
+      inserts: inserts.length,
+      updates: updates.length,
+      unchanged: unchanged.length,
+      merged_rows: merged.reduce((sum, m) => sum + m.row_numbers.length - 1, 0),
+      errors: errors.length,
+    },
+  };
+}
+
+// 前回大会からコピーする項目（大会名・開催日はコピー先、受付・メールのフラグは未済に戻す）
+const CLONE_FIELDS = [
+  'ticket_type', 'group_type', 'pass_type', 'request_type', 'ticket_count',
+  'name_ja', 'company_ja', 'email', 'phone', 'contact_person', 'note',
+];
+
+/**
+ * 前回大会のゲストをコピーする計画を作成
+ * コピー先に既にいる人（メールアドレスまたは代表者氏名＋団体名が一致）と、コピー元で重複している人は除く
+ * @param {Object} params
+ * @param {Array<Object>} params.sourceGuests - コピー元の大会の有効なゲスト（snake_case）
+ * @param {Array<Object>} params.targetGuests - コピー先の大会の有効なゲスト（snake_case）
+ * @param {Object} params.target - コピー先の大会（contest_name, contest_date）
+ * @param {Object} params.filters - { group_type, pass_type }（指定した値と一致するゲストのみコピー）
+ * @returns {Object} { inserts, skipped, summary }
+ *   inserts: [{ source_id, data }]
+ *   skipped: [{ id, name_ja, company_ja, reason }]（reason: 'exists' | 'duplicate'）
+ */
+function planGuestClone({ sourceGuests, targetGuests, target, filters = {} }) {
+  const targetEmails = new Set();
+  const targetNames = new Set();
+  targetGuests.forEach(guest => {
+    if (guest.email) targetEmails.add(normalizeEmail(guest.email));
+    targetNames.add(nameKey(guest));
+  });
+
+  const copiedEmails = new Set();
+  const copiedNames = new Set();
+  const inserts = [];
+  const skipped = [];
+
+  sourceGuests
+    .filter(guest => !filters.group_type || guest.group_type === filters.group_type)
+    .filter(guest => !filters.pass_type || guest.pass_type === filters.pass_type)
+    .forEach(guest => {
+      const email = normalizeEmail(guest.email);
+      const name = nameKey(guest);
+      const label = { id: guest.id, name_ja: guest.name_ja || '', company_ja: guest.company_ja || '' };
+
+      if ((email && targetEmails.has(email)) || targetNames.has(name)) {
+        skipped.push({ ...label, reason: 'exists' });
+        return;
+      }
+      if ((email && copiedEmails.has(email)) || copiedNames.has(name)) {
+        skipped.push({ ...label, reason: 'duplicate' });
+        return;
+      }
+      if (email) copiedEmails.add(email);
+      copiedNames.add(name);
+
+      const data = {
+        contest_name: target.contest_name,
+        contest_date: target.contest_date,
+        is_checked_in: false,
+        is_pre_notified: false,
+        is_post_mailed: false,
+      };
+      CLONE_FIELDS.forEach(field => {
+        data[field] = guest[field] ?? null;
+      });
+      inserts.push({ source_id: guest.id, data });
+    });
+
+  return {
+    inserts,
+    skipped,
+    summary: {
+      inserts: inserts.length,
+      exists: skipped.filter(s => s.reason === 'exists').length,
+      duplicates: skipped.filter(s => s.reason === 'duplicate').length,
+    },
+  };
+}
+
+/**
+ * ゲストをエクスポート用の行に変換（見出しは IMPORT_FIELDS の表示名。そのままインポートし直せる）
+ * @param {Array<Object>} guests - ゲスト（snake_case）
+ * @returns {Array<Object>}
+ */
+function guestsToExportRows(guests) {
+  return guests.map(guest => {
+    const row = { ID: guest.id };
+    Object.entries(IMPORT_FIELDS).forEach(([field, { label }]) => {
+      row[label] = guest[field] ?? '';
+    });
+    row['開催日'] = guest.contest_date || '';
+    row['Check-In'] = guest.is_checked_in ? 'TRUE' : 'FALSE';
+    row['事前案内メール'] = guest.is_pre_notified ? 'TRUE' : 'FALSE';
+    row['開催後メール'] = guest.is_post_mailed ? 'TRUE' : 'FALSE';
+    return row;
+  });
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  planGuestImport,
+  planGuestClone,
+  guestsToExportRows,
+};
@@ -0,0 +1,134 @@
+/**
+ * ゲストメールユーティリティ
+ *
+ * 招待状・お礼状のテンプレートと差し込み項目。件名・本文の {{項目名}} をゲストの値に置き換える。
+ * 送信に成功すると、テンプレートごとのフラグ（招待状は is_pre_notified、お礼状は is_post_mailed）を立てる。
+ */
+
+// 差し込み項目（キー → 表示名）
+const MERGE_FIELDS = {
+  name_ja: '代表者氏名',
+  company_ja: '団体名',
+  pass_type: '付与パス',
+  ticket_count: '合計付与枚数',
+  contest_name: '大会名',
+  contest_date: '開催日',
+  checkin_codes: 'チェックインコード（パスごと）',
+};
+
+// テンプレート（キー → 表示名・送信済みフラグ・既定の件名と本文）
+const TEMPLATES = {
+  invitation: {
+    label: '招待状（事前案内メール）',
+    flag: 'is_pre_notified',
+    subject: '【{{contest_name}}】ご招待のご案内',
+    body: `{{company_ja}}
+{{name_ja}} 様
+
+平素より格別のご高配を賜り、厚く御礼申し上げます。
+このたびは「{{contest_name}}」にご招待申し上げます。
+
+■ 開催日: {{contest_date}}
+■ 付与パス: {{pass_type}}
+■ 付与枚数: {{ticket_count}}枚
+
+当日は受付で下記のチェックインコードをご提示ください（1枚につき1名様）。
+{{checkin_codes}}
+
+ご来場を心よりお待ちしております。
+`,
+  },
+  thanks: {
+    label: 'お礼状（開催後メール）',
+    flag: 'is_post_mailed',
+    subject: '【{{contest_name}}】ご来場のお礼',
+    body: `{{company_ja}}
+{{name_ja}} 様
+
+先日は「{{contest_name}}」にお越しいただき、誠にありがとうございました。
+おかげさまで無事に大会を終えることができました。
+
+今後ともご支援を賜りますよう、よろしくお願い申し上げます。
+`,
+  },
+};
+
+// {{項目名}}（前後の空白は無視）
+const FIELD_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * ゲストの差し込み項目の値を作成
+ * @param {Object} guest - ゲスト（snake_case）
+ * @param {Array<Object>} checkinCodes - パスごとのコード [{ pass_no, code }]
+ * @returns {Object}
+ */
+function buildMergeFields(guest, checkinCodes = []) {
+  return {
+    name_ja: guest.name_ja || '',
+    company_ja: guest.company_ja || '',
+    pass_type: guest.pass_type || '',
+    ticket_count: String(guest.ticket_count || 0),
+    contest_name: guest.contest_name || '',
+    contest_date: guest.contest_date || '',
+    checkin_codes: checkinCodes.map(c => `パス${c.pass_no}: ${c.code}`).join('\n'),
+  };
+}
+
+/**
+ * 件名・本文に含まれる未定義の差し込み項目
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function findUnknownFields(text) {
+  const unknown = new Set();
+  for (const match of String(text || '').matchAll(FIELD_PATTERN)) {
+    if (!(match[1] in MERGE_FIELDS)) unknown.add(match[1]);
+  }
+  return [...unknown];
+}
+
+/**
+ * 件名・本文で差し込み項目を使っているか（チェックインコードなど、使うときだけ値を用意する項目用）
+ * @param {string} text
+ * @param {string} field - 項目名
+ * @returns {boolean}
+ */
+function usesMergeField(text, field) {
+  return [...String(text || '').matchAll(FIELD_PATTERN)].some(match => match[1] === field);
+}
+
+/**
+ * 差し込み項目を置き換える
+ * @param {string} text - 件名または本文
+ * @param {Object} fields - buildMergeFields の結果
+ * @returns {string}
+ */
+function renderTemplate(text, fields) {
+  return String(text || '').replace(FIELD_PATTERN, (match, key) => (key in fields ? fields[key] : match));
+}
+
+/**
+ * ゲスト宛てのメールを作成
+ * 団体名のない個人宛てで先頭が空行になる場合は詰める
+ * @param {Object} params
+ * @param {string} params.subject - 件名のテンプレート
+ * @param {string} params.body - 本文のテンプレート
+ * @param {Object} params.fields - buildMergeFields の結果
+ * @returns {{ subject: string, text: string }}
+ */
+function renderGuestMail({ subject, body, fields }) {
+  return {
+    subject: renderTemplate(subject, fields).replace(/\s+/g, ' ').trim(),
+    text: renderTemplate(body, fields).replace(/^\s*\n/, ''),
+  };
+}
+
+module.exports = {
+  MERGE_FIELDS,
+  TEMPLATES,
+  buildMergeFields,
+  findUnknownFields,
+  usesMergeField,
+  renderTemplate,
+  renderGuestMail,
+};
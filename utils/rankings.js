@@ -0,0 +1,291 @@
+/**
+ * ランキングユーティリティ
+ *
+ * シーズンの期間内の成績から、カテゴリーごとの年間ランキングを計算する。
+ * ポイント = 順位ごとのポイント × 大会のティアの倍率（ティア未設定・倍率未設定の大会は1倍）。
+ * 同点の場合は 上位入賞回数（1位の回数、2位の回数…）→ 直近の大会の順位 の順に比べ、それでも並ぶ場合は同順位とする。
+ */
+
+// 同点の判定（キー → 表示名）
+const TIE_BREAKS = {
+  points: '',
+  countback: '上位入賞回数',
+  recent: '直近の大会の順位',
+  tied: '同順位',
+};
+
+/**
+ * 日付の比較用（'YYYY/MM/DD' と 'YYYY-MM-DD' を揃える）
+ * @private
+ */
+function dateKey(value) {
+  return String(value || '').slice(0, 10).replace(/\//g, '-');
+}
+
+/**
+ * 順位の数値（「1」「1位」などから取り出す。数値でない場合はnull）
+ * @private
+ */
+function placingNumber(placing) {
+  const match = String(placing || '').normalize('NFKC').match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * 大会の照合キー（大会名・開催日）
+ * @private
+ */
+function contestKey(contestName, contestDate) {
+  return `${String(contestName || '').trim().toLowerCase()}|${dateKey(contestDate)}`;
+}
+
+/**
+ * ポイントを小数第2位で丸める
+ * @private
+ */
+function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * シーズン設定のチェック
+ * @param {Object} data - { season, start_date, end_date, points_table, tier_multipliers }
+ * @returns {Array<string>} エラーメッセージ（問題がなければ空）
+ */
+function validateRankingSeason(data) {
+  const errors = [];
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+  if (!String(data.season || '').trim()) {
+    errors.push('シーズンは必須です');
+  }
+  if (!isDate(data.start_date) || !isDate(data.end_date)) {
+    errors.push('開始日・終了日は YYYY-MM-DD 形式で入力してください');
+  } else if (data.start_date > data.end_date) {
+    errors.push('終了日は開始日以降にしてください');
+  }
+
+  const points = data.points_table;
+  if (!Array.isArray(points) || points.length === 0) {
+    errors.push('順位ごとのポイントを1つ以上入力してください');
+  } else if (points.some(p => typeof p !== 'number' || !isFinite(p) || p < 0)) {
+    errors.push('順位ごとのポイントは0以上の数値で入力してください');
+  }
+
+  const multipliers = data.tier_multipliers || {};
+  if (typeof multipliers !== 'object' || Array.isArray(multipliers)) {
+    errors.push('ティアの倍率の形式が正しくありません');
+  } else {
+    Object.entries(multipliers).forEach(([tier, value]) => {
+      if (!tier.trim()) {
+        errors.push('ティア名が空の倍率があります');
+      } else if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+        errors.push(`ティア「${tier}」の倍率は0より大きい数値で入力してください`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 2人の成績を同点の判定ルールで比較
+ * @private
+ * @returns {{ order: number, rule: string }} order < 0 なら a が上位
+ */
+function compareStandings(a, b) {
+  if (a.total_points !== b.total_points) {
+    return { order: b.total_points - a.total_points, rule: 'points' };
+  }
+
+  // 上位入賞回数（1位の回数、2位の回数…の順）
+  const maxPlacing = Math.max(a.placing_counts.length, b.placing_counts.length);
+  for (let i = 1; i < maxPlacing; i++) {
+    const diff = (b.placing_counts[i] || 0) - (a.placing_counts[i] || 0);
+    if (diff !== 0) return { order: diff, rule: 'countback' };
+  }
+
+  // 直近の大会の順位（それぞれの最も新しい成績どうしを比べる）
+  const aRecent = a.results[0] && placingNumber(a.results[0].placing);
+  const bRecent = b.results[0] && placingNumber(b.results[0].placing);
+  if (aRecent && bRecent && aRecent !== bRecent) {
+    return { order: aRecent - bRecent, rule: 'recent' };
+  }
+
+  return { order: 0, rule: 'tied' };
+}
+
+/**
+ * 1カテゴリーの順位表を作成
+ * @private
+ */
+function buildStandings(athletes) {
+  const sorted = [...athletes].sort((a, b) =>
+    compareStandings(a, b).order || a.fwj_card_no.localeCompare(b.fwj_card_no)
+  );
+
+  return sorted.map((athlete, index) => {
+    let rank = index + 1;
+    let tieBreak = 'points';
+    const prev = sorted[index - 1];
+    if (prev && prev.total_points === athlete.total_points) {
+      const { rule } = compareStandings(prev, athlete);
+      tieBreak = rule;
+      if (rule === 'tied') rank = prev.rank;
+    }
+    const next = sorted[index + 1];
+    if (tieBreak === 'points' && next && next.total_points === athlete.total_points) {
+      tieBreak = compareStandings(athlete, next).rule;
+    }
+    athlete.rank = rank;
+    athlete.tie_break = tieBreak;
+    athlete.tie_break_label = TIE_BREAKS[tieBreak];
+    return athlete;
+  }).map(({ placing_counts, ...athlete }) => ({
+    ...athlete,
+    wins: placing_counts[1] || 0,
+    seconds: placing_counts[2] || 0,
+    thirds: placing_counts[3] || 0,
+  }));
+}
+
+/**
+ * 年間ランキングを計算
+ * @param {Object} params
+ * @param {Array<Object>} params.scores - 成績（有効なもの）
+ * @param {Array<Object>} params.contests - 大会（ranking_tier を含む）
+ * @param {Object} params.season - シーズン設定 { start_date, end_date, points_table, tier_multipliers }
+ * @param {string} [params.category] - カテゴリー（省略時は全カテゴリー）
+ * @returns {Object} { categories, rankings: [{ category, standings }], excluded: { unidentified, unknown_tiers } }
+ *   standings: [{ rank, fwj_card_no, player_name, total_points, contests, best_placing, wins, seconds, thirds, tie_break, tie_break_label, results }]
+ *   results: [{ contest_name, contest_date, placing, tier, base_points, multiplier, points }]（開催日の新しい順）
+ */
+function computeRankings({ scores, contests, season, category }) {
+  const pointsTable = season.points_table || [];
+  const multipliers = season.tier_multipliers || {};
+
+  const tierByContest = new Map();
+  contests.forEach(contest => {
+    tierByContest.set(contestKey(contest.contest_name, contest.contest_date), contest.ranking_tier || '');
+  });
+
+  const inSeason = scores.filter(score => {
+    const date = dateKey(score.contest_date);
+    return date >= season.start_date && date <= season.end_date && score.category_name;
+  });
+  const categories = [...new Set(inSeason.map(score => score.category_name))].sort((a, b) => a.localeCompare(b, 'ja'));
+
+  let unidentified = 0;
+  const unknownTiers = new Set();
+
+  // カテゴリー → FWJカード番号 → 大会ごとの成績
+  const byCategory = new Map();
+  inSeason
+    .filter(score => !category || score.category_name === category)
+    .forEach(score => {
+      const fwjCardNo = String(score.fwj_card_no || '').trim();
+      if (!fwjCardNo) {
+        unidentified++;
+        return;
+      }
+
+      const tier = tierByContest.get(contestKey(score.contest_name, score.contest_date)) || '';
+      let multiplier = 1;
+      if (tier) {
+        if (multipliers[tier] !== undefined) {
+          multiplier = multipliers[tier];
+        } else {
+          unknownTiers.add(tier);
+        }
+      }
+
+      const placing = placingNumber(score.placing);
+      const basePoints = placing ? (pointsTable[placing - 1] || 0) : 0;
+      const result = {
+        contest_name: score.contest_name,
+        contest_date: score.contest_date,
+        placing: score.placing,
+        tier,
+        base_points: basePoints,
+        multiplier,
+        points: roundPoints(basePoints * multiplier),
+      };
+
+      if (!byCategory.has(score.category_name)) byCategory.set(score.category_name, new Map());
+      const athletes = byCategory.get(score.category_name);
+      if (!athletes.has(fwjCardNo)) {
+        athletes.set(fwjCardNo, { fwj_card_no: fwjCardNo, player_name: score.player_name || '', results: new Map() });
+      }
+      const athlete = athletes.get(fwjCardNo);
+
+      // 同じ大会・カテゴリーの成績が重複している場合はポイントの高い方を採用
+      const key = contestKey(score.contest_name, score.contest_date);
+      const existing = athlete.results.get(key);
+      if (!existing || result.points > existing.points) {
+        athlete.results.set(key, result);
+      }
+    });
+
+  const rankings = [...byCategory.entries()]
+    .sort(([a], [b]) => a.localeCompare(b, 'ja'))
+    .map(([categoryName, athletes]) => ({
+      category: categoryName,
+      standings: buildStandings([...athletes.values()].map(athlete => {
+        const results = [...athlete.results.values()]
+          .sort((a, b) => dateKey(b.contest_date).localeCompare(dateKey(a.contest_date)));
+        const placings = results.map(r => placingNumber(r.placing)).filter(n => n !== null);
+        const placingCounts = [];
+        placings.forEach(n => { placingCounts[n] = (placingCounts[n] || 0) + 1; });
+
+        return {
+          fwj_card_no: athlete.fwj_card_no,
+          player_name: athlete.player_name,
+          total_points: roundPoints(results.reduce((sum, r) => sum + r.points, 0)),
+          contests: results.length,
+          best_placing: placings.length > 0 ? Math.min(...placings) : null,
+          placing_counts: placingCounts,
+          results,
+        };
+      })),
+    }));
+
+  return {
+    categories,
+    rankings,
+    excluded: {
+      unidentified,
+      unknown_tiers: [...unknownTiers],
+    },
+  };
+}
+
+/**
+ * ランキングをCSV出力用の行に変換
+ * @param {Array<Object>} rankings - computeRankings の rankings
+ * @returns {Array<Object>}
+ */
+function rankingsToExportRows(rankings) {
+  return rankings.flatMap(({ category, standings }) => standings.map(s => ({
+    '順位': s.rank,
+    'カテゴリー': category,
+    'FWJカード番号': s.fwj_card_no,
+    '氏名': s.player_name,
+    '合計ポイント': s.total_points,
+    '出場大会数': s.contests,
+    '最高順位': s.best_placing || '',
+    '1位回数': s.wins,
+    '2位回数': s.seconds,
+    '3位回数': s.thirds,
+    '同点の判定': s.tie_break_label,
+    '内訳': s.results
+      .map(r => `${r.contest_name} ${/^\d+$/.test(r.placing) ? `${r.placing}位` : r.placing} ${r.points}pt`)
+      .join(' / '),
+  })));
+}
+
+module.exports = {
+  TIE_BREAKS,
+  validateRankingSeason,
+  computeRankings,
+  rankingsToExportRows,
+};
@@ -0,0 +1,267 @@
+/**
+ * 座席表・座席割当ユーティリティ
+ *
+ * 座席表の定義（座席の一覧は良い席から順に並べる）を検証し、
+ * 使用可能なチケットに座席を割り当てる。DBには書き込まない（プレビュー・確定はルート側で行う）。
+ */
+
+/**
+ * reserved_seat に書き込む座席番号を生成
+ * @param {string} section - ブロック
+ * @param {string} row - 列
+ * @param {number} seatNumber - 座席番号
+ * @returns {string} 例: 'A-3-12'
+ */
+function seatLabel(section, row, seatNumber) {
+  return `${section}-${row}-${seatNumber}`;
+}
+
+/**
+ * 座席表の定義を検証して保存用の形式に変換
+ * @param {Object} definition - { seats: [{ section, row, seat, grade, blocked }], grades: [{ grade, variant }] }
+ *   seats は良い席から順に並べる（並び順が割当の優先順位になる）
+ * @returns {{ errors: Array<string>, seats: Array<Object>, grades: Array<Object> }}
+ */
+function normalizeSeatMapDefinition(definition) {
+  const errors = [];
+  const seats = [];
+  const grades = [];
+  const labels = new Set();
+
+  const seatDefs = Array.isArray(definition.seats) ? definition.seats : [];
+  if (seatDefs.length === 0) {
+    errors.push('座席が登録されていません');
+  }
+
+  seatDefs.forEach((def, index) => {
+    const line = index + 1;
+    const section = String(def.section ?? '').trim();
+    const row = String(def.row ?? '').trim();
+    const seatNumber = parseInt(def.seat, 10);
+    const grade = String(def.grade ?? '').trim();
+
+    if (!section || !row || isNaN(seatNumber) || !grade) {
+      errors.push(`${line}件目: ブロック・列・座席番号・等級は必須です`);
+      return;
+    }
+
+    const label = seatLabel(section, row, seatNumber);
+    if (labels.has(label)) {
+      errors.push(`${line}件目: 座席 ${label} が重複しています`);
+      return;
+    }
+    labels.add(label);
+
+    const blocked = def.blocked;
+    seats.push({
+      section,
+      rowLabel: row,
+      seatNumber,
+      label,
+      grade,
+      priority: index + 1,
+      isBlocked: blocked === true || blocked === 'true' || blocked === 'TRUE' || blocked === '1' || blocked === 1,
+    });
+  });
+
+  const seatGradeNames = new Set(seats.map(seat => seat.grade));
+  const variants = new Set();
+  const gradeDefs = Array.isArray(definition.grades) ? definition.grades : [];
+
+  gradeDefs.forEach((def, index) => {
+    const grade = String(def.grade ?? '').trim();
+    const variant = String(def.variant ?? '').trim();
+
+    if (!grade || !variant) {
+      errors.push(`等級の対応 ${index + 1}件目: 等級とバリエーションは必須です`);
+      return;
+    }
+    if (!seatGradeNames.has(grade)) {
+      errors.push(`等級の対応 ${index + 1}件目: 等級「${grade}」の座席がありません`);
+      return;
+    }
+    if (variants.has(variant)) {
+      errors.push(`等級の対応 ${index + 1}件目: バリエーション「${variant}」が重複しています`);
+      return;
+    }
+    variants.add(variant);
+    grades.push({ grade, variant });
+  });
+
+  return { errors, seats, grades };
+}
+
+/**
+ * 座席を押さえているチケットか（使用可能、またはチェックイン済み）
+ * 返金等で無効になったチケットの座席は空席として扱う
+ * @param {Object} ticket - チケット（snake_case）
+ * @returns {boolean}
+ */
+function holdsSeat(ticket) {
+  return !!ticket.reserved_seat && (ticket.is_usable === 'TRUE' || !!ticket.used_at);
+}
+
+/**
+ * 座席の重複・座席表にない座席・割当不可の座席を検出
+ * @param {Array<Object>} seats - 座席表の座席（snake_case）
+ * @param {Array<Object>} tickets - 対象商品のチケット（snake_case）
+ * @returns {{ doubleBooked: Array, unknownSeats: Array, blockedSeats: Array }}
+ *   各要素は { seat, ticket_ids }
+ */
+function findSeatConflicts(seats, tickets) {
+  const seatsByLabel = new Map(seats.map(seat => [seat.label, seat]));
+  const holders = new Map();
+
+  tickets.filter(holdsSeat).forEach(ticket => {
+    if (!holders.has(ticket.reserved_seat)) holders.set(ticket.reserved_seat, []);
+    holders.get(ticket.reserved_seat).push(ticket.id);
+  });
+
+  const doubleBooked = [];
+  const unknownSeats = [];
+  const blockedSeats = [];
+
+  holders.forEach((ticketIds, label) => {
+    const entry = { seat: label, ticket_ids: ticketIds };
+    if (ticketIds.length > 1) doubleBooked.push(entry);
+
+    const seat = seatsByLabel.get(label);
+    if (!seat) unknownSeats.push(entry);
+    else if (seat.is_blocked) blockedSeats.push(entry);
+  });
+
+  return { doubleBooked, unknownSeats, blockedSeats };
+}
+
+/**
+ * 列ごとに連続した空席の中から、合計の優先順位が最も良い（小さい）並びを探す
+ * @param {Map<string, Array<Object>>} rows - 列ごとの空席（座席番号順）
+ * @param {number} count - 必要な席数
+ * @returns {Array<Object>|null}
+ */
+function findBestBlock(rows, count) {
+  let best = null;
+  let bestScore = Infinity;
+
+  rows.forEach(rowSeats => {
+    for (let start = 0; start + count <= rowSeats.length; start++) {
+      let score = 0;
+      let contiguous = true;
+      for (let i = start; i < start + count; i++) {
+        if (i > start && rowSeats[i].seat_number !== rowSeats[i - 1].seat_number + 1) {
+          contiguous = false;
+          break;
+        }
+        score += rowSeats[i].priority;
+      }
+      if (contiguous && score < bestScore) {
+        best = rowSeats.slice(start, start + count);
+        bestScore = score;
+      }
+    }
+  });
+
+  return best;
+}
+
+/**
+ * 使用可能で座席未割当のチケットに座席を割り当てる
+ * - 注文日時の早い注文から良い席を割り当てる
+ * - 1つの注文のチケットは同じ列の連続した席にまとめる（まとまった空席がない場合は分けて割り当て、split: true）
+ * - 既に座席があるチケット（チェックイン済みを含む）の座席・割当不可の座席は使わない
+ * @param {Object} params
+ * @param {Array<Object>} params.seats - 座席表の座席（snake_case）
+ * @param {Array<Object>} params.grades - 等級とバリエーションの対応 [{ grade, variant }]
+ * @param {Array<Object>} params.tickets - 対象商品のチケット（snake_case）
+ * @returns {{ assignments: Array, unassigned: Array }}
+ */
+function allocateSeats({ seats, grades, tickets }) {
+  const gradeByVariant = new Map(grades.map(g => [g.variant, g.grade]));
+  const occupied = new Set(tickets.filter(holdsSeat).map(ticket => ticket.reserved_seat));
+
+  const assignments = [];
+  const unassigned = [];
+
+  // 等級ごと・注文ごとにまとめる
+  const ordersByGrade = new Map();
+  tickets
+    .filter(ticket => ticket.is_usable === 'TRUE' && !ticket.reserved_seat)
+    .forEach(ticket => {
+      const grade = gradeByVariant.get(ticket.variant);
+      if (!grade) {
+        unassigned.push({ ticket_id: ticket.id, order_no: ticket.order_no, variant: ticket.variant, reason: 'unmapped_variant' });
+        return;
+      }
+      if (!ordersByGrade.has(grade)) ordersByGrade.set(grade, new Map());
+      const orders = ordersByGrade.get(grade);
+      if (!orders.has(ticket.order_no)) orders.set(ticket.order_no, []);
+      orders.get(ticket.order_no).push(ticket);
+    });
+
+  ordersByGrade.forEach((orders, grade) => {
+    // 空席（列ごと・座席番号順）
+    const available = seats.filter(seat => seat.grade === grade && !seat.is_blocked && !occupied.has(seat.label));
+    const rows = new Map();
+    available.forEach(seat => {
+      const key = `${seat.section}|${seat.row_label}`;
+      if (!rows.has(key)) rows.set(key, []);
+      rows.get(key).push(seat);
+    });
+    rows.forEach(rowSeats => rowSeats.sort((a, b) => a.seat_number - b.seat_number));
+
+    const takeSeats = (taken) => {
+      const labels = new Set(taken.map(seat => seat.label));
+      rows.forEach((rowSeats, key) => {
+        rows.set(key, rowSeats.filter(seat => !labels.has(seat.label)));
+      });
+    };
+
+    // 注文日時の早い順（同時刻は注文番号順）
+    const sortedOrders = [...orders.values()].sort((a, b) =>
+      String(a[0].order_date).localeCompare(String(b[0].order_date)) ||
+      String(a[0].order_no).localeCompare(String(b[0].order_no))
+    );
+
+    sortedOrders.forEach(orderTickets => {
+      orderTickets.sort((a, b) => a.item_sub_no - b.item_sub_no || a.id - b.id);
+
+      let taken = findBestBlock(rows, orderTickets.length);
+      let split = false;
+      if (!taken) {
+        const remaining = [...rows.values()].flat().sort((a, b) => a.priority - b.priority);
+        if (remaining.length < orderTickets.length) {
+          orderTickets.forEach(ticket => {
+            unassigned.push({ ticket_id: ticket.id, order_no: ticket.order_no, variant: ticket.variant, reason: 'no_seats' });
+          });
+          return;
+        }
+        taken = remaining.slice(0, orderTickets.length);
+        split = orderTickets.length > 1;
+      }
+
+      takeSeats(taken);
+      orderTickets.forEach((ticket, i) => {
+        assignments.push({
+          ticket_id: ticket.id,
+          order_no: ticket.order_no,
+          order_date: ticket.order_date,
+          full_name: ticket.full_name,
+          variant: ticket.variant,
+          grade,
+          reserved_seat: taken[i].label,
+          split,
+        });
+      });
+    });
+  });
+
+  return { assignments, unassigned };
+}
+
+module.exports = {
+  seatLabel,
+  holdsSeat,
+  normalizeSeatMapDefinition,
+  findSeatConflicts,
+  allocateSeats,
+};